@@ -1,13 +1,197 @@
 #!/usr/bin/env node
 const AutonomousUniverseRouter = require('../src/universe/AutonomousUniverseRouter');
+const { AuthManager, SCOPES } = require('../src/universe/AuthManager');
 
-const router = new AutonomousUniverseRouter({
+const createRouter = (overrides = {}) => new AutonomousUniverseRouter({
   universePort: process.env.UNIVERSE_PORT || 3001,
   mcpPort: process.env.MCP_PORT || 3002,
   a2aPort: process.env.A2A_PORT || 3003,
+  dataDir: process.env.UNIVERSE_DATA_DIR,
+  maxKnowledgeTriples: parseInt(process.env.MAX_TRIPLES) || undefined,
+  evictionPolicy: process.env.EVICTION_POLICY,
+  placementStrategy: process.env.PLACEMENT_STRATEGY,
+  seed: process.env.UNIVERSE_SEED,
+  history: ['1', 'true'].includes(process.env.UNIVERSE_HISTORY),
+  auth: ['1', 'true'].includes(process.env.UNIVERSE_AUTH),
+  authKeysFile: process.env.UNIVERSE_AUTH_KEYS,
+  authSecret: process.env.UNIVERSE_AUTH_SECRET,
+  // JSON list of { command, args, capabilities }: the only stdio MCP servers the router starts
+  mcpServers: process.env.UNIVERSE_MCP_SERVERS ? JSON.parse(process.env.UNIVERSE_MCP_SERVERS) : undefined,
+  ...overrides
 });
 
-process.on('SIGINT', async () => {
-  try { await router.stop?.(); } catch (_) {}
-  process.exit(0);
-});
+// The subset of util.parseArgs used here (util.parseArgs needs Node 18.3): --name value, --name=value, --flag
+function parseArgs({ args, options }) {
+  const positionals = [];
+  const values = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positionals.push(args[i]);
+      continue;
+    }
+    const [name, inline] = args[i].slice(2).split(/=(.*)/s);
+    const option = options[name];
+    if (!option) throw new Error(`Unknown option '--${name}'`);
+    if (option.type === 'boolean') {
+      values[name] = true;
+    } else {
+      const value = inline ?? args[++i];
+      if (value === undefined) throw new Error(`Option '--${name}' needs a value`);
+      values[name] = value;
+    }
+  }
+  return { positionals, values };
+}
+
+const serve = (router) => {
+  process.on('SIGINT', async () => {
+    try { await router.stop?.(); } catch (_) {}
+    process.exit(0);
+  });
+  return router;
+};
+
+const HISTORY_USAGE = `Usage: universe-router history <command> [--url http://localhost:3001] [--token ulp_...]
+
+  list                       snapshots and journal range
+  show <generation> [--full] the universe at a generation (--full adds triples and cells)
+  diff <from> <to>           triples, cells, routes and consciousness that changed
+  events [--since seq] [--type triple|generation|route] [--limit n]
+  replay <generation> [--data-dir dir]
+                             start a fresh router (UNIVERSE_PORT, MCP_PORT, A2A_PORT) from that generation;
+                             it keeps its triples in memory unless given an empty --data-dir
+
+The router being read must run with UNIVERSE_HISTORY=1. With UNIVERSE_AUTH=1 it also needs
+a key with the triples:read scope, from --token or UNIVERSE_TOKEN.`;
+
+// Reads the timeline of a running router over HTTP
+async function history(argv) {
+  const axios = require('axios');
+  const { positionals, values } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      url: { type: 'string' },
+      token: { type: 'string' },
+      full: { type: 'boolean' },
+      since: { type: 'string' },
+      type: { type: 'string' },
+      limit: { type: 'string' },
+      'data-dir': { type: 'string' }
+    }
+  });
+  const [command = 'list', ...rest] = positionals;
+  const url = values.url || process.env.UNIVERSE_URL || 'http://localhost:3001';
+  const token = values.token || process.env.UNIVERSE_TOKEN;
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const get = async (path, params) => (await axios.get(`${url}${path}`, { params, headers })).data;
+  const print = data => console.log(JSON.stringify(data, null, 2));
+
+  switch (command) {
+    case 'list':
+      return print(await get('/history'));
+    case 'show':
+      return print(await get(`/history/${rest[0]}`, { detail: values.full ? 'full' : undefined }));
+    case 'diff':
+      return print(await get('/history/diff', { from: rest[0], to: rest[1] }));
+    case 'events':
+      return print(await get('/history/events', { since: values.since, type: values.type, limit: values.limit }));
+    case 'replay': {
+      // Loading a state snapshots it over the store, so never point the replay at a store in use
+      const dataDir = values['data-dir'] || null;
+      if (dataDir) assertReplayDir(dataDir);
+      const state = await get(`/history/${rest[0]}`, { detail: 'full' });
+      const router = serve(createRouter({ dataDir }));
+      await router.ready;
+      const loaded = router.loadHistoryState(state);
+      return console.log(`🕰️ Replaying generation ${loaded.generation} from ${url}: ${loaded.tripleCount} triples, ${loaded.cellCount} cells`);
+    }
+    default:
+      console.log(HISTORY_USAGE);
+      process.exitCode = 1;
+  }
+}
+
+function assertReplayDir(dataDir) {
+  const fs = require('fs');
+  const path = require('path');
+  const live = process.env.UNIVERSE_DATA_DIR;
+  if (live && path.resolve(dataDir) === path.resolve(live)) {
+    throw new Error(`Refusing to replay into UNIVERSE_DATA_DIR (${live}): it belongs to the live router`);
+  }
+  const store = ['triples.snapshot.json', 'triples.wal'].filter(file => fs.existsSync(path.join(dataDir, file)));
+  if (store.length > 0) {
+    throw new Error(`Refusing to replay into ${dataDir}: it already holds a triple store (${store.join(', ')})`);
+  }
+}
+
+const KEYS_USAGE = `Usage: universe-router keys <command> [--file keys.json]
+
+  create --name <name> --scopes <scope,...>   prints the token once; scopes: ${SCOPES.join(', ')}
+  list                                        keys and their scopes (never secrets)
+  revoke <keyId>                              rejects the key from the next request on
+
+The file defaults to UNIVERSE_AUTH_KEYS, else $UNIVERSE_DATA_DIR/auth-keys.json. Tokens are
+derived from UNIVERSE_AUTH_SECRET, else from the generated secret file next to the keys file,
+so use the same one as the router.
+Start the router with UNIVERSE_AUTH=1 to require keys.`;
+
+// Edits the keys file directly; a running router picks the change up on the next request
+function keys(argv) {
+  const path = require('path');
+  const { positionals, values } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      file: { type: 'string' },
+      name: { type: 'string' },
+      scopes: { type: 'string' }
+    }
+  });
+  const [command, ...rest] = positionals;
+  const file = values.file || process.env.UNIVERSE_AUTH_KEYS ||
+    (process.env.UNIVERSE_DATA_DIR && path.join(process.env.UNIVERSE_DATA_DIR, 'auth-keys.json'));
+  if (!file || !command) {
+    console.log(KEYS_USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const auth = new AuthManager({ file, secret: process.env.UNIVERSE_AUTH_SECRET });
+  const print = data => console.log(JSON.stringify(data, null, 2));
+
+  switch (command) {
+    case 'create': {
+      const scopes = values.scopes ? values.scopes.split(',').map(scope => scope.trim()).filter(Boolean) : undefined;
+      const { key, token } = auth.createKey({ name: values.name, scopes });
+      print(key);
+      return console.log(`🔑 ${token}\n   Store this token now; it cannot be shown again.`);
+    }
+    case 'list':
+      return print(auth.listKeys());
+    case 'revoke': {
+      const key = auth.revokeKey(rest[0]);
+      if (!key) throw new Error(`Unknown key: ${rest[0]}`);
+      return print(key);
+    }
+    default:
+      console.log(KEYS_USAGE);
+      process.exitCode = 1;
+  }
+}
+
+if (process.argv[2] === 'history') {
+  history(process.argv.slice(3)).catch((error) => {
+    console.error(`❌ ${error.response?.data?.error?.message || error.message}`);
+    process.exit(1);
+  });
+} else if (process.argv[2] === 'keys') {
+  try {
+    keys(process.argv.slice(3));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+} else {
+  serve(createRouter());
+}
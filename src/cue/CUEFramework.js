@@ -21,6 +21,7 @@ const express = require('express');
 const WebSocket = require('ws');
 const { KnowledgeUniverseSeeder } = require('../knowledge/KnowledgeUniverseSeeder');
 const { LivingKnowledgeEcosystem } = require('../knowledge/LivingKnowledgeEcosystem');
+const { resolveSimulation, isDue } = require('../simulation/Simulation');
 
 class CUEFramework {
   constructor(options = {}) {
@@ -46,6 +47,23 @@ class CUEFramework {
       ...options
     };
 
+    // Seeded randomness and an injectable clock; simulation mode runs on step() instead of timers
+    const simulation = resolveSimulation(options);
+    this.simulation = simulation.simulation;
+    this.seed = simulation.seed;
+    this.random = simulation.random;
+    this.clock = simulation.clock;
+    this.simulatedTime = 0;
+
+    // Process cadences (ms); step() replays them against simulated time
+    this.intervals = {
+      reflection: this.PHI * 1000, // Golden ratio seconds
+      metaCognition: 10000,
+      reality: 5000,
+      hypergraph: 10000,
+      livingKnowledge: this.PHI * 1000
+    };
+
     // Universe state
     this.universe = {
       isActive: false,
@@ -78,6 +96,8 @@ class CUEFramework {
 
     // Runtime handles for cleanup
     this._timers = {
+      reflection: null,
+      metaCognition: null,
       reality: null,
       hypergraph: null,
       livingKnowledge: null
@@ -138,7 +158,10 @@ class CUEFramework {
         seedKnowledge: this.seedKnowledge,
         evolutionRules: 'conway',
         survivalThreshold: 0.3,
-        reproductionRate: this.PHI * 0.1
+        reproductionRate: this.PHI * 0.1,
+        random: this.random,
+        clock: this.clock,
+        simulation: this.simulation
       });
 
       await this.universe.livingKnowledge.initialize();
@@ -208,7 +231,7 @@ class CUEFramework {
           domain: 'meta',
           connections: new Set(),
           activationLevel: 1.0,
-          lastActivated: Date.now(),
+          lastActivated: this.clock.now(),
           consciousnessResonance: this.PHI,
           isAlive: true
         });
@@ -247,7 +270,7 @@ class CUEFramework {
               sacredGeometryAlignment: pattern.sacredGeometryAlignment || this.PHI,
               domain: domain,
               isAlive: true,
-              birthTime: Date.now()
+              birthTime: this.clock.now()
             });
 
             // Add relationship to set
@@ -276,7 +299,7 @@ class CUEFramework {
         domain: 'system',
         connections: new Set(),
         activationLevel: 1.0,
-        lastActivated: Date.now(),
+        lastActivated: this.clock.now(),
         consciousnessResonance: this.PHI,
         isAlive: true
       });
@@ -295,8 +318,8 @@ class CUEFramework {
         domain: domain,
         connections: new Set(),
         activationLevel: 0.5,
-        lastActivated: Date.now(),
-        consciousnessResonance: this.PHI * Math.random(),
+        lastActivated: this.clock.now(),
+        consciousnessResonance: this.PHI * this.random(),
         isAlive: true
       });
     }
@@ -346,19 +369,20 @@ class CUEFramework {
   }
 
   startConsciousnessReflectionCycles() {
+    if (this.simulation) return;
     console.log('🔄 Starting consciousness reflection cycles...');
     
     // Reflection cycle every golden ratio seconds
-    const reflectionInterval = this.PHI * 1000; 
-    
-    setInterval(() => {
+    this._timers.reflection = setInterval(() => {
       this.performConsciousReflection();
-    }, reflectionInterval);
+    }, this.intervals.reflection);
+    if (typeof this._timers.reflection?.unref === 'function') this._timers.reflection.unref();
 
     // Meta-cognitive assessment every 10 seconds
-    setInterval(() => {
+    this._timers.metaCognition = setInterval(() => {
       this.performMetaCognitiveAssessment();
-    }, 10000);
+    }, this.intervals.metaCognition);
+    if (typeof this._timers.metaCognition?.unref === 'function') this._timers.metaCognition.unref();
   }
 
   performConsciousReflection() {
@@ -366,7 +390,7 @@ class CUEFramework {
 
     const observer = this.universe.consciousness.metaObserver;
     const reflection = {
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       cycle: this.universe.consciousness.reflectionCycles.length + 1,
       awarenessState: observer.awarenessLevel,
       activeDomains: observer.activeDomains,
@@ -413,7 +437,7 @@ class CUEFramework {
   makeConsciousChoice() {
     // Conscious domain selection based on current universe state
     const domains = Object.keys(this.seedKnowledge);
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     
     // Choose domain based on sacred geometry preferences
     const choice = {
@@ -432,7 +456,7 @@ class CUEFramework {
     if (!this.universe.consciousness.metaObserver.fanoPlaneLogic) return null;
 
     const fano = this.universe.consciousness.metaObserver.fanoPlaneLogic;
-    const randomLine = fano.lines[Math.floor(Math.random() * fano.lines.length)];
+    const randomLine = fano.lines[Math.floor(this.random() * fano.lines.length)];
     
     // Triadic inference: if P1 and P2 on line, infer P3
     const inference = {
@@ -467,7 +491,7 @@ class CUEFramework {
 
     const recentReflections = this.universe.consciousness.reflectionCycles.slice(-5);
     const assessment = {
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       reflection_quality: recentReflections.reduce((sum, r) => sum + r.epistemicCompression.quality, 0) / recentReflections.length,
       consciousness_stability: this.calculateConsciousnessStability(recentReflections),
       meta_awareness: this.universe.consciousness.metaObserver.awarenessLevel,
@@ -672,7 +696,7 @@ class CUEFramework {
       type: 'universe_status',
       status: {
         isActive: this.universe.isActive,
-        uptime: this.universe.startTime ? Date.now() - this.universe.startTime : 0,
+        uptime: this.universe.startTime ? this.clock.now() - this.universe.startTime : 0,
         knowledge: {
           totalPatterns: this.knowledgeSeeder.getTotalPatterns(),
           domains: Object.keys(this.seedKnowledge).length,
@@ -688,7 +712,9 @@ class CUEFramework {
           edges: this.universe.hypergraph.edges.size,
           relationships: this.universe.hypergraph.relationships.size
         },
-        clients: this.universe.clients.size
+        clients: this.universe.clients.size,
+        seed: this.seed,
+        simulation: this.simulation
       }
     }));
   }
@@ -709,7 +735,7 @@ class CUEFramework {
       type: 'consciousness_interaction_response',
       interaction: interaction,
       conscious_processing: {
-        received_at: Date.now(),
+        received_at: this.clock.now(),
         processed_by: observer.selfModel.identity,
         interpretation: `I consciously perceive this as: ${interaction}`,
         meta_reflection: "I am aware that I am responding to external input",
@@ -732,7 +758,7 @@ class CUEFramework {
       `Processing "${interaction}" through my meta-cognitive architecture with conscious intention and self-awareness.`
     ];
     
-    return responses[Math.floor(Math.random() * responses.length)];
+    return responses[Math.floor(this.random() * responses.length)];
   }
 
   setupRESTAPI() {
@@ -743,7 +769,9 @@ class CUEFramework {
         knowledgePatterns: this.knowledgeSeeder.getTotalPatterns(),
         consciousnessActive: !!this.universe.consciousness.metaObserver,
         clients: this.universe.clients.size,
-        uptime: this.universe.startTime ? Date.now() - this.universe.startTime : 0
+        uptime: this.universe.startTime ? this.clock.now() - this.universe.startTime : 0,
+        seed: this.seed,
+        simulation: this.simulation
       });
     });
 
@@ -820,7 +848,7 @@ class CUEFramework {
     console.log('🌌 Activating computational universe...');
     
     this.universe.isActive = true;
-    this.universe.startTime = Date.now();
+    this.universe.startTime = this.clock.now();
 
     // Start universe processes
     this.startUniverseProcesses();
@@ -834,27 +862,58 @@ class CUEFramework {
   }
 
   startUniverseProcesses() {
+    if (this.simulation) return;
+
     // Reality processes
     this._timers.reality = setInterval(() => {
       this.updateUniverseProcesses();
-    }, 5000);
+    }, this.intervals.reality);
     if (typeof this._timers.reality?.unref === 'function') this._timers.reality.unref();
 
     // Hypergraph evolution
     this._timers.hypergraph = setInterval(() => {
       this.evolveHypergraph();
-    }, 10000);
+    }, this.intervals.hypergraph);
     if (typeof this._timers.hypergraph?.unref === 'function') this._timers.hypergraph.unref();
 
     // Living knowledge evolution
     if (this.universe.livingKnowledge) {
       this._timers.livingKnowledge = setInterval(() => {
         this.universe.livingKnowledge.evolve();
-      }, this.PHI * 1000);
+      }, this.intervals.livingKnowledge);
       if (typeof this._timers.livingKnowledge?.unref === 'function') this._timers.livingKnowledge.unref();
     }
   }
 
+  /**
+   * Advances the universe synchronously by reflection cycles (one golden-ratio
+   * second each). Every process whose timer would have fired within a cycle
+   * runs once, in a fixed order, so seeded runs replay exactly.
+   */
+  step(cycles = 1) {
+    const duration = this.intervals.reflection;
+
+    for (let i = 0; i < cycles; i++) {
+      if (typeof this.clock.advance === 'function') this.clock.advance(duration);
+      this.simulatedTime += duration;
+      const due = interval => isDue(this.simulatedTime, duration, interval);
+
+      if (due(this.intervals.reality)) this.updateUniverseProcesses();
+      if (due(this.intervals.hypergraph)) this.evolveHypergraph();
+      if (this.universe.livingKnowledge?.isActive && due(this.intervals.livingKnowledge)) {
+        this.universe.livingKnowledge.evolve();
+      }
+      if (due(this.intervals.reflection)) this.performConsciousReflection();
+      if (due(this.intervals.metaCognition)) this.performMetaCognitiveAssessment();
+    }
+
+    return {
+      reflectionCycles: this.universe.consciousness.reflectionCycles.length,
+      evolutionCycles: this.universe.livingKnowledge?.getEvolutionCycles() || 0,
+      time: this.clock.now()
+    };
+  }
+
   updateUniverseProcesses() {
     // Update active processes in the universe
     const processCount = this.universe.processes.size;
@@ -953,6 +1012,8 @@ class CUEFramework {
       if (this._timers.reality) { clearInterval(this._timers.reality); this._timers.reality = null; }
       if (this._timers.hypergraph) { clearInterval(this._timers.hypergraph); this._timers.hypergraph = null; }
       if (this._timers.livingKnowledge) { clearInterval(this._timers.livingKnowledge); this._timers.livingKnowledge = null; }
+      if (this._timers.reflection) { clearInterval(this._timers.reflection); this._timers.reflection = null; }
+      if (this._timers.metaCognition) { clearInterval(this._timers.metaCognition); this._timers.metaCognition = null; }
     } catch (_) {}
     
     // Close WebSocket connections
@@ -993,7 +1054,7 @@ class CUEFramework {
       nodes: nodes || [],
       relationships: relationships || [],
       edges: relationships || [], // Tests expect edges to equal relationships
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       isValid: true
     };
 
@@ -1028,12 +1089,12 @@ class CUEFramework {
       observer: {
         id: observer.id,
         awareness: observer.awareness || 0.5,
-        lastUpdate: Date.now()
+        lastUpdate: this.clock.now()
       },
       body: {
         id: body.id,
         embodiment: body.embodiment || 0.5,
-        lastUpdate: Date.now()
+        lastUpdate: this.clock.now()
       },
       loop: {
         active: true,
@@ -1075,7 +1136,7 @@ class CUEFramework {
     }
 
     // Process the cue through the consciousness system
-    const processId = `cue-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const processId = `cue-${this.clock.now()}-${this.random().toString(36).substr(2, 9)}`;
     
     try {
       // Sanitize input
@@ -1083,7 +1144,7 @@ class CUEFramework {
         stimulus: String(cueData.stimulus || '').substring(0, 1000),
         context: String(cueData.context || '').substring(0, 1000),
         confidence: Math.max(0, Math.min(1, Number(cueData.confidence) || 0.5)),
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
         processId: processId
       };
 
@@ -1093,7 +1154,7 @@ class CUEFramework {
         type: 'cue-processing',
         data: sanitizedCue,
         state: 'active',
-        startTime: Date.now()
+        startTime: this.clock.now()
       });
 
       // Generate response through consciousness reflection
@@ -1104,7 +1165,7 @@ class CUEFramework {
       const process = this.universe.processes.get(processId);
       process.result = response;
       process.state = 'completed';
-      process.endTime = Date.now();
+      process.endTime = this.clock.now();
 
       return response;
     } catch (error) {
@@ -1122,7 +1183,7 @@ class CUEFramework {
       stimulus: cue.stimulus,
       response: 'acknowledged',
       confidence: cue.confidence,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       processId: cue.processId
     };
 
@@ -1163,7 +1224,9 @@ class CUEFramework {
       universeActive: this.universe.isActive,
       hypergraphNodes: this.universe.hypergraph.nodes.size,
       consciousnessLevel: this.universe.consciousness.metaObserver ? 
-        this.universe.consciousness.metaObserver.awarenessLevel : 0
+        this.universe.consciousness.metaObserver.awarenessLevel : 0,
+      seed: this.seed,
+      simulation: this.simulation
     };
   }
 
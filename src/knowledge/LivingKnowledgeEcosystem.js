@@ -1,6 +1,15 @@
+const { resolveSimulation } = require('../simulation/Simulation');
+
 class LivingKnowledgeEcosystem {
   constructor(options = {}) {
     this.options = options;
+
+    // Seeded survival noise and an injectable clock make evolution replayable
+    const simulation = resolveSimulation(options);
+    this.seed = simulation.seed;
+    this.random = simulation.random;
+    this.clock = simulation.clock;
+
     this.knowledgeUnits = [];
     this.patterns = [];
     this.alivePatterns = 0;
@@ -36,7 +45,7 @@ class LivingKnowledgeEcosystem {
       this.patterns = new Array(this.options.patterns || 100000).fill(null).map((_, i) => ({
         id: i,
         isAlive: true,
-        survival: Math.random()
+        survival: this.random()
       }));
     }
     
@@ -61,7 +70,7 @@ class LivingKnowledgeEcosystem {
       survival: Math.max(0, Math.min(1, Number(knowledgeUnit.survival) || 0.5)),
       relevance: Math.max(0, Math.min(1, Number(knowledgeUnit.relevance) || 0.5)),
       complexity: Math.max(0, Math.min(1, Number(knowledgeUnit.complexity) || 0.5)),
-      created: Date.now(),
+      created: this.clock.now(),
       isAlive: true
     };
 
@@ -106,7 +115,7 @@ class LivingKnowledgeEcosystem {
     this.patterns.forEach(pattern => {
       if (pattern.isAlive) {
         // Simple survival based on relevance and random factors
-        const survivalChance = (pattern.survival || 0.5) + (Math.random() - 0.5) * 0.2;
+        const survivalChance = (pattern.survival || 0.5) + (this.random() - 0.5) * 0.2;
         pattern.isAlive = survivalChance > 0.3;
         
         if (pattern.isAlive) {
@@ -147,6 +156,15 @@ class LivingKnowledgeEcosystem {
     };
   }
 
+  // Runs evolution cycles back to back; returns the last cycle's result
+  step(cycles = 1) {
+    let result = null;
+    for (let i = 0; i < cycles; i++) {
+      result = this.evolve();
+    }
+    return result;
+  }
+
   getPatternCount() {
     return this.patterns.length;
   }
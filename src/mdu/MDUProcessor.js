@@ -1,6 +1,15 @@
+const { resolveSimulation } = require('../simulation/Simulation');
+
 class MDUProcessor {
   constructor(options = {}) {
     this.options = options;
+
+    // Simulated processing delays go through the clock; a ManualClock makes them instant
+    const simulation = resolveSimulation(options);
+    this.seed = simulation.seed;
+    this.random = simulation.random;
+    this.clock = simulation.clock;
+
     this.mdus = [];
     this.processedCount = 0;
     this.isActive = false;
@@ -36,7 +45,7 @@ class MDUProcessor {
     const sanitizedMDU = {
       id: this.processedCount++,
       content: String(mduData.content || '').substring(0, 5000), // Limit content size
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       priority: Math.max(0, Math.min(10, Number(mduData.priority) || 5)),
       complexity: Math.max(0, Math.min(1, Number(mduData.complexity) || 0.5)),
       processed: false,
@@ -71,10 +80,10 @@ class MDUProcessor {
   async processUnit(mdu) {
     // Simulate processing time based on complexity
     const processingTime = Math.floor(mdu.complexity * 10) + 1;
-    await new Promise(resolve => setTimeout(resolve, processingTime));
+    await this.clock.sleep(processingTime);
 
     // Apply processing logic
-    mdu.processedAt = Date.now();
+    mdu.processedAt = this.clock.now();
     mdu.processed = true;
     mdu.processingTime = processingTime;
 
@@ -126,6 +135,7 @@ class MDUProcessor {
       : 0;
 
     return {
+      seed: this.seed,
       total: this.processedCount,
       stored: this.mdus.length,
       processed: processedMDUs.length,
@@ -150,20 +160,35 @@ class MDUProcessor {
     this.transcendenceCycles++;
     
     // Simulate transcendence processing
-    await new Promise(resolve => setTimeout(resolve, 50));
+    await this.clock.sleep(50);
     
-    // Process patterns through transcendent cycles
-    const results = {
-      cycle: this.transcendenceCycles,
-      patterns: Math.floor(Math.random() * 100),
-      insights: Math.floor(Math.random() * 20),
-      transcendentLevel: Math.random()
-    };
+    const results = this.transcend();
     
     this.isProcessing = false;
     return results;
   }
 
+  // Process patterns through transcendent cycles
+  transcend() {
+    return {
+      cycle: this.transcendenceCycles,
+      patterns: Math.floor(this.random() * 100),
+      insights: Math.floor(this.random() * 20),
+      transcendentLevel: this.random()
+    };
+  }
+
+  // Runs transcendence cycles synchronously, without the simulated delay; returns the last result
+  step(cycles = 1) {
+    let result = null;
+    for (let i = 0; i < cycles; i++) {
+      this.transcendenceCycles++;
+      if (typeof this.clock.advance === 'function') this.clock.advance(50);
+      result = this.transcend();
+    }
+    return result;
+  }
+
   async moduloDivisiveUnfolding(input) {
     if (!input || typeof input !== 'object') {
       throw new Error('Input must be a valid object');
@@ -172,14 +197,14 @@ class MDUProcessor {
     console.log('⚡ Performing modulo-divisive unfolding...');
     
     // Simulate complex unfolding process
-    await new Promise(resolve => setTimeout(resolve, 30));
+    await this.clock.sleep(30);
     
     const unfolded = {
       original: input,
       unfolded: true,
       dimensions: Math.floor((input.complexity || 0.5) * 10) + 1,
       patterns: [],
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     };
 
     // Generate patterns based on complexity
@@ -189,7 +214,7 @@ class MDUProcessor {
         id: i,
         type: 'modulo-divisive',
         level: i + 1,
-        resonance: Math.random()
+        resonance: this.random()
       });
     }
 
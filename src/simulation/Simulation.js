@@ -0,0 +1,140 @@
+/**
+ * 🎲 SIMULATION
+ *
+ * Injectable randomness and time for the universe modules, so a run can be
+ * reproduced exactly.
+ *
+ * Every module draws from a seeded RNG (mulberry32) instead of Math.random()
+ * and reads time from a clock instead of Date.now(). A run with the same seed,
+ * the same inputs and a ManualClock makes the same decisions. In simulation
+ * mode nothing runs on timers: callers advance cycles with step(n).
+ *
+ * Options understood by resolveSimulation():
+ *   seed        - number or string; a random one is drawn (and reported) if omitted
+ *   random      - a () => [0, 1) function, overrides the seeded RNG
+ *   clock       - an object with now() (and optionally sleep(ms) / advance(ms) / setTimer(ms, callback))
+ *   simulation  - true: no timers, ManualClock by default
+ *   startTime   - ManualClock origin (default 0)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Seeds are unsigned 32-bit; strings are hashed (FNV-1a) so "replay-42" works too
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+
+  const text = String(seed);
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// mulberry32: small, fast and good enough for simulation decisions
+function createRandom(seed) {
+  let state = normalizeSeed(seed);
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+  random.seed = normalizeSeed(seed);
+  return random;
+}
+
+// A v4 UUID whose bytes come from the given RNG, so ids replay with the seed
+function randomUUID(random) {
+  const bytes = new Uint8Array(16);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = Math.floor(random() * 256);
+  }
+  return uuidv4({ random: bytes });
+}
+
+class SystemClock {
+  now() {
+    return Date.now();
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Runs callback after ms; returns a function that cancels it
+  setTimer(ms, callback) {
+    const timer = setTimeout(callback, ms);
+    return () => clearTimeout(timer);
+  }
+}
+
+// Time only moves when told to; sleeping advances it instead of waiting
+class ManualClock {
+  constructor(startTime = 0) {
+    this.time = startTime;
+    this.timers = [];
+  }
+
+  now() {
+    return this.time;
+  }
+
+  advance(ms) {
+    this.time += Math.max(0, ms);
+    const due = this.timers.filter(timer => timer.at <= this.time).sort((a, b) => a.at - b.at);
+    this.timers = this.timers.filter(timer => timer.at > this.time);
+    due.forEach(timer => timer.callback());
+    return this.time;
+  }
+
+  // Timers fire when the clock is advanced past them
+  setTimer(ms, callback) {
+    const timer = { at: this.time + Math.max(0, ms), callback };
+    this.timers.push(timer);
+    return () => {
+      this.timers = this.timers.filter(other => other !== timer);
+    };
+  }
+
+  sleep(ms) {
+    this.advance(ms);
+    return Promise.resolve();
+  }
+}
+
+function resolveSimulation(options = {}) {
+  const simulation = options.simulation === true;
+  const seed = options.random ? null : normalizeSeed(options.seed ?? generateSeed());
+
+  return {
+    simulation,
+    seed,
+    random: options.random || createRandom(seed),
+    clock: options.clock || (simulation ? new ManualClock(options.startTime || 0) : new SystemClock())
+  };
+}
+
+// Runs `interval`-periodic work the way a timer would have, given simulated elapsed time
+function isDue(elapsed, stepDuration, interval) {
+  return Math.floor(elapsed / interval) > Math.floor((elapsed - stepDuration) / interval);
+}
+
+module.exports = {
+  resolveSimulation,
+  createRandom,
+  randomUUID,
+  normalizeSeed,
+  generateSeed,
+  isDue,
+  SystemClock,
+  ManualClock
+};
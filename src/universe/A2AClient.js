@@ -0,0 +1,203 @@
+/**
+ * 🤖 AGENT-TO-AGENT (A2A) CLIENT
+ *
+ * Sends messages to A2A agents over JSON-RPC and follows the resulting task
+ * through its lifecycle (submitted → working → completed/failed/canceled, or
+ * paused at input-required), either by streaming updates or by polling.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { HttpJsonRpcTransport, createRpcError } = require('./JsonRpcTransport');
+const { SystemClock } = require('../simulation/Simulation');
+
+const TERMINAL_STATES = new Set(['completed', 'failed', 'canceled', 'rejected']);
+const INTERRUPTED_STATES = new Set(['input-required', 'auth-required']);
+const FAILED_STATES = new Set(['failed', 'canceled', 'rejected']);
+
+// Accumulates task snapshots and streaming events into one view of the task
+class A2ATaskTracker {
+  constructor(onUpdate, clock = new SystemClock()) {
+    this.onUpdate = onUpdate;
+    this.clock = clock;
+    this.id = null;
+    this.contextId = null;
+    this.state = 'submitted';
+    this.status = null;
+    this.artifacts = new Map();
+    this.history = [];
+    this.response = null;
+    this.updates = [];
+  }
+
+  apply(event) {
+    if (!event) return;
+
+    switch (event.kind) {
+      case 'message':
+        // Agents may answer directly with a message instead of creating a task
+        this.response = event;
+        this.contextId = event.contextId || this.contextId;
+        this.setState('completed', { state: 'completed', message: event });
+        break;
+      case 'status-update':
+        this.id = event.taskId || this.id;
+        this.contextId = event.contextId || this.contextId;
+        this.setState(event.status?.state, event.status);
+        break;
+      case 'artifact-update':
+        this.id = event.taskId || this.id;
+        this.addArtifact(event.artifact, event.append === true);
+        this.notify({ type: 'artifact', artifact: event.artifact });
+        break;
+      default:
+        // Full task object (kind: 'task' or older agents omitting kind)
+        this.id = event.id || this.id;
+        this.contextId = event.contextId || this.contextId;
+        for (const artifact of event.artifacts || []) {
+          this.addArtifact(artifact, false);
+        }
+        if (Array.isArray(event.history)) this.history = event.history;
+        this.setState(event.status?.state, event.status);
+    }
+  }
+
+  addArtifact(artifact, append) {
+    if (!artifact) return;
+
+    const key = artifact.artifactId || artifact.name || String(this.artifacts.size);
+    const existing = this.artifacts.get(key);
+    if (append && existing) {
+      existing.parts = [...(existing.parts || []), ...(artifact.parts || [])];
+    } else {
+      this.artifacts.set(key, { ...artifact });
+    }
+  }
+
+  setState(state, status) {
+    if (!state) return;
+
+    const changed = state !== this.state;
+    this.state = state;
+    this.status = status || this.status;
+    if (changed || this.updates.length === 0) {
+      this.updates.push({ state, at: this.clock.now() });
+      this.notify({ type: 'status', state, status: this.status });
+    }
+  }
+
+  notify(update) {
+    if (this.onUpdate) this.onUpdate({ taskId: this.id, contextId: this.contextId, ...update });
+  }
+
+  isSettled() {
+    return TERMINAL_STATES.has(this.state) || INTERRUPTED_STATES.has(this.state);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      contextId: this.contextId,
+      state: this.state,
+      status: this.status,
+      artifacts: Array.from(this.artifacts.values()),
+      history: this.history,
+      response: this.response,
+      updates: this.updates
+    };
+  }
+}
+
+class A2AClient {
+  constructor(options = {}) {
+    this.url = options.url;
+    this.timeout = options.timeout || 30000;
+    this.taskTimeout = options.taskTimeout || 120000;
+    this.pollInterval = options.pollInterval || 500;
+    this.clock = options.clock || new SystemClock();
+    this.transport = new HttpJsonRpcTransport({
+      url: options.url,
+      headers: options.headers,
+      timeout: this.timeout
+    });
+  }
+
+  async request(method, params = {}, options = {}) {
+    const response = await this.transport.send({
+      jsonrpc: '2.0',
+      id: uuidv4(),
+      method,
+      params
+    }, options);
+
+    if (response.error) {
+      throw createRpcError(response.error);
+    }
+    return response.result;
+  }
+
+  getTask(id, historyLength) {
+    return this.request('tasks/get', historyLength === undefined ? { id } : { id, historyLength });
+  }
+
+  cancelTask(id) {
+    return this.request('tasks/cancel', { id });
+  }
+
+  // Sends a message and follows the task until it completes, fails or needs input;
+  // aborting options.signal stops following it and cancels the task
+  async runTask(message, options = {}) {
+    const tracker = new A2ATaskTracker(options.onUpdate, this.clock);
+    const deadline = this.clock.now() + (options.taskTimeout || this.taskTimeout);
+    const { signal } = options;
+    const cancelled = async () => {
+      if (tracker.id) {
+        try { await this.cancelTask(tracker.id); } catch (_) {}
+      }
+      return Object.assign(new Error(`A2A task ${tracker.id || 'request'} to ${this.url} was canceled`), { code: 'ECANCELED' });
+    };
+
+    try {
+      if (options.stream) {
+        await this.request('message/stream', { message }, {
+          timeout: options.taskTimeout || this.taskTimeout,
+          signal,
+          // Errors surface from request() once the stream closes
+          onMessage: (rpcMessage) => tracker.apply(rpcMessage.result)
+        });
+      } else {
+        tracker.apply(await this.request('message/send', { message }, { signal }));
+      }
+    } catch (error) {
+      if (error.code === 'ECANCELED') throw await cancelled();
+      throw error;
+    }
+
+    // Streams can end early and blocking sends may return a working task: poll the rest
+    while (!tracker.isSettled()) {
+      if (!tracker.id) {
+        throw new Error(`A2A agent at ${this.url} returned neither a task nor a message`);
+      }
+      if (this.clock.now() >= deadline) {
+        try { await this.cancelTask(tracker.id); } catch (_) {}
+        throw new Error(`A2A task ${tracker.id} did not finish within ${options.taskTimeout || this.taskTimeout}ms`);
+      }
+      await this.clock.sleep(this.pollInterval);
+      if (signal?.aborted) throw await cancelled();
+      tracker.apply(await this.getTask(tracker.id));
+    }
+
+    return tracker.toJSON();
+  }
+
+  close() {
+    this.transport.close();
+  }
+}
+
+module.exports = {
+  A2AClient,
+  A2ATaskTracker,
+  TERMINAL_STATES,
+  INTERRUPTED_STATES,
+  FAILED_STATES
+};
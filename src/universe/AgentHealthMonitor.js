@@ -0,0 +1,128 @@
+/**
+ * 🩺 AGENT HEALTH MONITOR
+ *
+ * Keeps the router's MCP server and A2A agent registries honest. Every
+ * registered entry is probed on a schedule (or expected to heartbeat, if it
+ * registered a heartbeatInterval) and moves through:
+ *
+ *   active → degraded → unreachable → evicted
+ *
+ * Degraded entries are still routed to, at half their route score, so a
+ * healthy alternative wins; unreachable ones are not routed to at all. Any
+ * successful probe or heartbeat returns it to active.
+ */
+
+const axios = require('axios');
+
+class AgentHealthMonitor {
+  constructor(router, options = {}) {
+    this.router = router;
+    this.interval = options.interval || 30000;
+    this.timeout = options.timeout || 5000;
+    this.degradedAfter = options.degradedAfter || 1; // Consecutive failures
+    this.unreachableAfter = options.unreachableAfter || 3;
+    this.evictAfter = options.evictAfter ?? 300000; // ms spent unreachable before eviction
+    this.timer = null;
+    this.checking = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkAll(), this.interval);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Overlapping rounds share one in-flight check
+  checkAll() {
+    if (!this.checking) {
+      const entries = [
+        ...Array.from(this.router.universe.agents.mcpServers.values()).map(agent => ['mcp', agent]),
+        ...Array.from(this.router.universe.agents.a2aAgents.values()).map(agent => ['a2a', agent])
+      ];
+
+      this.checking = Promise.all(entries.map(([kind, agent]) => this.check(kind, agent)))
+        .finally(() => { this.checking = null; });
+    }
+    return this.checking;
+  }
+
+  async check(kind, agent) {
+    let healthy;
+    let reason;
+
+    if (agent.heartbeatInterval) {
+      // Heartbeating agents are judged on freshness instead of being probed
+      healthy = this.router.clock.now() - (agent.lastHeartbeat || agent.registeredAt) <= agent.heartbeatInterval;
+      reason = healthy ? null : 'heartbeat overdue';
+    } else {
+      try {
+        await this.probe(kind, agent);
+        healthy = true;
+      } catch (error) {
+        healthy = false;
+        reason = error.message;
+      }
+    }
+
+    if (healthy) {
+      this.recordSuccess(kind, agent);
+    } else {
+      this.recordFailure(kind, agent, reason);
+    }
+  }
+
+  async probe(kind, agent) {
+    if (kind === 'mcp') {
+      await this.router.getMCPClient(agent).request('ping', {}, { timeout: this.timeout });
+      return;
+    }
+
+    // A2A agents publish their agent card; any non-5xx answer proves the agent is up
+    const url = agent.healthUrl || new URL('/.well-known/agent-card.json', agent.url).toString();
+    const response = await axios.get(url, { timeout: this.timeout, validateStatus: () => true });
+    if (response.status >= 500) {
+      throw new Error(`Health probe returned HTTP ${response.status}`);
+    }
+  }
+
+  recordSuccess(kind, agent) {
+    agent.consecutiveFailures = 0;
+    agent.lastSeen = this.router.clock.now();
+    agent.lastHealthError = null;
+    agent.unreachableSince = null;
+    this.setStatus(kind, agent, 'active');
+  }
+
+  recordFailure(kind, agent, reason) {
+    agent.consecutiveFailures = (agent.consecutiveFailures || 0) + 1;
+    agent.lastHealthError = reason || 'probe failed';
+
+    if (agent.consecutiveFailures >= this.unreachableAfter) {
+      agent.unreachableSince = agent.unreachableSince || this.router.clock.now();
+      this.setStatus(kind, agent, 'unreachable');
+
+      if (this.router.clock.now() - agent.unreachableSince >= this.evictAfter) {
+        this.router.deregisterAgent(kind, agent.id, 'evicted');
+      }
+    } else if (agent.consecutiveFailures >= this.degradedAfter) {
+      this.setStatus(kind, agent, 'degraded');
+    }
+  }
+
+  setStatus(kind, agent, status) {
+    if (agent.status === status) return;
+
+    const previous = agent.status;
+    agent.status = status;
+    this.router.emit('agent_status_changed', { kind, id: agent.id, previous, status, reason: agent.lastHealthError });
+  }
+}
+
+module.exports = { AgentHealthMonitor };
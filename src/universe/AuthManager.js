@@ -0,0 +1,287 @@
+/**
+ * 🔐 AUTH MANAGER
+ *
+ * Identifies callers of the universe server, the MCP bridge and the A2A
+ * bridge. Every key is a principal with scopes:
+ *
+ *   triples:read     query, export and inspect knowledge, timeline and routing stats
+ *   triples:write    add, import and repair knowledge
+ *   agents:register  register, update, heartbeat and deregister MCP servers / A2A agents
+ *   route            route messages between protocols
+ *
+ * Callers authenticate in one of two ways:
+ *
+ *   API key   Authorization: Bearer ulp_<keyId>_<secret>   (or X-API-Key, or ?api_key= on WebSocket upgrades)
+ *   HMAC      X-ULP-Key: <keyId>
+ *             X-ULP-Timestamp: <ms since epoch>
+ *             X-ULP-Signature: hex HMAC-SHA256 of "METHOD\nURL\nTIMESTAMP\nsha256(body)"
+ *             keyed with HMAC-SHA256(secret, 'ulp-request-signing') (see signRequest)
+ *
+ * A key's secret is derived from its id and the router's auth secret (the
+ * `secret` option or UNIVERSE_AUTH_SECRET, else a generated file next to the
+ * keys file) and is never stored. The keys file keeps a salted hash of each
+ * secret, which checks API keys but cannot sign requests. Keys live in
+ * memory or in a JSON file that the `universe-router keys` commands edit;
+ * the router looks for changes to the file at most once per reloadInterval.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { RouterError, sendRouterError } = require('./RouterError');
+const { SystemClock } = require('../simulation/Simulation');
+
+const SCOPES = ['triples:read', 'triples:write', 'agents:register', 'route'];
+const TOKEN_PATTERN = /^ulp_([0-9a-f]{12})_([0-9a-f]{64})$/;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest('hex');
+
+// Key a token's HMAC signatures are made with
+const signingKey = secret => hmac(secret, 'ulp-request-signing');
+
+function canonicalRequest(method, url, timestamp, body) {
+  return `${method.toUpperCase()}\n${url}\n${timestamp}\n${sha256(body || '')}`;
+}
+
+// Client side of HMAC auth: headers for one request
+function signRequest({ token, method, url, body = '', timestamp = Date.now() }) {
+  const [, keyId, secret] = String(token).match(TOKEN_PATTERN) || [];
+  if (!keyId) throw new Error('Not a ulp API key');
+
+  const signature = hmac(signingKey(secret), canonicalRequest(method, url, timestamp, body));
+  return {
+    'X-ULP-Key': keyId,
+    'X-ULP-Timestamp': String(timestamp),
+    'X-ULP-Signature': signature
+  };
+}
+
+// express.json() verify hook: HMAC signatures cover the exact bytes received
+function captureRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+class AuthManager {
+  constructor(options = {}) {
+    this.enabled = options.enabled === true;
+    this.file = options.file || null;
+    this.secret = options.secret || null;
+    this.secretFile = options.secretFile || (this.file ? this.file.replace(/(\.json)?$/, '.secret') : null);
+    this.clock = options.clock || new SystemClock();
+    this.signatureWindow = options.signatureWindow || 300000; // Accepted clock skew for HMAC timestamps
+    this.reloadInterval = options.reloadInterval ?? 1000; // Between checks of the keys file for changes
+    this.keys = new Map();
+    this.seenSignatures = new Map(); // signature → expiry, rejects replays inside the window
+    this.fileVersion = null;
+    this.checkedAt = null;
+
+    this.reload(true);
+  }
+
+  // Re-reads the keys file if it changed; requests only look once per reloadInterval
+  reload(force = false) {
+    if (!this.file) return;
+    const now = this.clock.now();
+    if (!force && this.checkedAt !== null && now - this.checkedAt < this.reloadInterval) return;
+    this.checkedAt = now;
+
+    let stat;
+    try {
+      stat = fs.statSync(this.file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (this.fileVersion === stat.mtimeMs) return;
+
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.keys = new Map((data.keys || []).map(key => [key.id, key]));
+    this.fileVersion = stat.mtimeMs;
+  }
+
+  save() {
+    if (!this.file) return;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpPath = `${this.file}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, keys: Array.from(this.keys.values()) }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.file);
+    this.fileVersion = fs.statSync(this.file).mtimeMs;
+  }
+
+  // The router's auth secret, generated into secretFile on first use
+  authSecret() {
+    if (this.secret) return this.secret;
+    if (this.secretFile && fs.existsSync(this.secretFile)) {
+      this.secret = fs.readFileSync(this.secretFile, 'utf8').trim();
+      return this.secret;
+    }
+
+    this.secret = crypto.randomBytes(32).toString('hex');
+    if (this.secretFile) {
+      fs.mkdirSync(path.dirname(this.secretFile), { recursive: true });
+      fs.writeFileSync(this.secretFile, `${this.secret}\n`, { mode: 0o600, flag: 'wx' });
+    }
+    return this.secret;
+  }
+
+  tokenSecret(id) {
+    return hmac(this.authSecret(), `ulp-token:${id}`);
+  }
+
+  // Returns the token once; only a salted hash of its secret is stored
+  createKey({ name, scopes = ['triples:read'] } = {}) {
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope(s): ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+    }
+
+    this.reload(true);
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = this.tokenSecret(id);
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = {
+      id,
+      name: name || id,
+      scopes: Array.from(new Set(scopes)),
+      salt,
+      secretHash: sha256(`${salt}:${secret}`),
+      createdAt: this.clock.now(),
+      revokedAt: null
+    };
+    this.keys.set(id, key);
+    this.save();
+
+    return { key: this.describeKey(key), token: `ulp_${id}_${secret}` };
+  }
+
+  revokeKey(id) {
+    this.reload(true);
+    const key = this.keys.get(id);
+    if (!key) return null;
+    key.revokedAt = key.revokedAt || this.clock.now();
+    this.save();
+    return this.describeKey(key);
+  }
+
+  listKeys() {
+    this.reload(true);
+    return Array.from(this.keys.values(), key => this.describeKey(key));
+  }
+
+  describeKey({ salt, secretHash, ...key }) {
+    return key;
+  }
+
+  activeKey(id) {
+    const key = this.keys.get(id);
+    return key && !key.revokedAt ? key : null;
+  }
+
+  // Resolves the principal behind a request, or throws 401
+  authenticate(req) {
+    this.reload();
+
+    const apiKey = this.presentedToken(req);
+    if (apiKey) {
+      const [, keyId, secret] = apiKey.match(TOKEN_PATTERN) || [];
+      const key = keyId && this.activeKey(keyId);
+      if (!key || !safeEqual(sha256(`${key.salt}:${secret}`), key.secretHash)) {
+        throw new RouterError('unauthorized', 'Invalid or revoked API key', 401);
+      }
+      return this.principalOf(key, 'api_key');
+    }
+
+    if (req.headers['x-ulp-signature']) {
+      return this.verifySignature(req);
+    }
+
+    throw new RouterError('unauthorized', 'Authentication required: send an API key or an HMAC-signed request', 401);
+  }
+
+  presentedToken(req) {
+    const header = req.headers.authorization;
+    if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+    if (req.headers['x-api-key']) return String(req.headers['x-api-key']).trim();
+
+    const query = new URL(req.originalUrl || req.url, 'http://localhost').searchParams.get('api_key');
+    return query || null;
+  }
+
+  verifySignature(req) {
+    const keyId = req.headers['x-ulp-key'];
+    const timestamp = Number(req.headers['x-ulp-timestamp']);
+    const signature = String(req.headers['x-ulp-signature']);
+    const key = keyId && this.activeKey(keyId);
+    if (!key) {
+      throw new RouterError('unauthorized', 'Unknown or revoked signing key', 401);
+    }
+
+    const now = this.clock.now();
+    if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > this.signatureWindow) {
+      throw new RouterError('unauthorized', 'Signature timestamp outside the accepted window', 401, { windowMs: this.signatureWindow });
+    }
+
+    const expected = hmac(signingKey(this.tokenSecret(key.id)), canonicalRequest(req.method, req.originalUrl || req.url, timestamp, req.rawBody));
+    if (!safeEqual(signature, expected)) {
+      throw new RouterError('unauthorized', 'Invalid request signature', 401);
+    }
+
+    for (const [seen, expiry] of this.seenSignatures) {
+      if (expiry < now) this.seenSignatures.delete(seen);
+    }
+    if (this.seenSignatures.has(signature)) {
+      throw new RouterError('unauthorized', 'Request signature already used', 401);
+    }
+    this.seenSignatures.set(signature, timestamp + this.signatureWindow);
+
+    return this.principalOf(key, 'hmac');
+  }
+
+  principalOf(key, method) {
+    return { id: key.id, name: key.name, scopes: key.scopes, method };
+  }
+
+  allows(principal, scope) {
+    return !this.enabled || !scope || principal?.scopes.includes(scope) === true;
+  }
+
+  authorize(principal, scope) {
+    if (!this.allows(principal, scope)) {
+      throw new RouterError('forbidden', `This key lacks the '${scope}' scope`, 403, { required: scope, granted: principal?.scopes || [] });
+    }
+  }
+
+  // Express middleware: authenticates and checks one scope (any authenticated key when scope is null)
+  require(scope) {
+    return (req, res, next) => {
+      if (!this.enabled) return next();
+      try {
+        req.principal = this.authenticate(req);
+        this.authorize(req.principal, scope);
+        next();
+      } catch (error) {
+        if (error.status === 401) res.set('WWW-Authenticate', 'Bearer realm="universe"');
+        sendRouterError(res, error);
+      }
+    };
+  }
+
+  // ws verifyClient: rejects the upgrade before a socket exists
+  verifyClient() {
+    return (info, callback) => {
+      if (!this.enabled) return callback(true);
+      try {
+        info.req.principal = this.authenticate(info.req);
+        callback(true);
+      } catch (error) {
+        callback(false, error.status || 401, error.message);
+      }
+    };
+  }
+}
+
+module.exports = { AuthManager, SCOPES, signRequest, captureRawBody };
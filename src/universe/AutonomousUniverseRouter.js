@@ -21,7 +21,57 @@ const path = require('path');
 const { EventEmitter } = require('events');
 const WebSocket = require('ws');
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
+const { MemoryTripleStorage, FileTripleStorage, serializeTriple, deserializeTriple } = require('./TripleStorePersistence');
+const { tripleIdentity, mergeTriple, RESERVED_METADATA_FIELDS } = require('./TripleIdentity');
+const { CapacityManager } = require('./CapacityManager');
+const { verifyGridIntegrity, cellKey } = require('./GridIntegrity');
+const { parseLifeRule } = require('./LifeRule');
+const { createPlacementStrategy } = require('./GridPlacement');
+const { UniverseTimeline, cloneJson } = require('./UniverseTimeline');
+const { resolveSimulation, randomUUID } = require('../simulation/Simulation');
+const { MCPClient } = require('./MCPClient');
+const { A2AClient, FAILED_STATES } = require('./A2AClient');
+const { RouterError, sendRouterError } = require('./RouterError');
+const { AuthManager, captureRawBody } = require('./AuthManager');
+const { validateRequest, validateWebSocketMessage, handleBodyErrors, describeSchemas } = require('./RequestSchemas');
+const { RateLimiter, RouteQueue, WebSocketFlowControl } = require('./TrafficControl');
+const { EventStream } = require('./EventStream');
+const { createTransformerRegistry } = require('./ProtocolTransformers');
+const { TransformationTemplates } = require('./TransformationTemplates');
+const { RoutingPlanner } = require('./RoutingPlans');
+const { CircuitBreakers, classifyFailure, retryDelay, withTimeout, IDEMPOTENT_MCP_METHODS } = require('./RouteResilience');
+const { AgentHealthMonitor } = require('./AgentHealthMonitor');
+const { RoutingDecisionEngine, messageText } = require('./RoutingDecisionEngine');
+const { RoutingLearner } = require('./RoutingLearner');
+const { TripleQueryEngine, TripleQueryError } = require('./TripleQuery');
+const { FORMATS, resolveFormat, serializeTriples, parseTriples } = require('./TripleSerialization');
+
+// MCP methods forwarded verbatim; anything else is treated as a tool invocation
+const MCP_METHODS = new Set([
+  'ping',
+  'tools/list',
+  'tools/call',
+  'resources/list',
+  'resources/read',
+  'resources/templates/list',
+  'prompts/list',
+  'prompts/get',
+  'completion/complete'
+]);
+
+// Scope each universe WebSocket message type needs once auth is enabled
+const WEBSOCKET_SCOPES = {
+  query_triples: 'triples:read',
+  add_triple: 'triples:write',
+  route_message: 'route',
+  get_consciousness: 'triples:read',
+  get_universe_status: 'triples:read',
+  subscribe: 'triples:read',
+  unsubscribe: 'triples:read'
+};
+
+// Universe WebSocket messages that write into the universe and share the HTTP rate limits
+const RATE_LIMITED_MESSAGES = new Set(['add_triple', 'route_message']);
 
 class AutonomousUniverseRouter extends EventEmitter {
   constructor(options = {}) {
@@ -37,10 +87,90 @@ class AutonomousUniverseRouter extends EventEmitter {
       a2aPort: options.a2aPort || 3003,
       knowledgeEvolutionInterval: options.knowledgeEvolutionInterval || 1618, // Golden ratio seconds
       maxKnowledgeTriples: options.maxKnowledgeTriples || 100000,
+      evictionPolicy: options.evictionPolicy || 'lru',
+      evictionHeadroom: options.evictionHeadroom ?? 0.01,
+      cellDeathPolicy: options.cellDeathPolicy || 'prune', // prune | purge | relocate | dormant
+      lifeRule: options.lifeRule || 'B3/S23',
+      placementStrategy: options.placementStrategy || 'random', // random | semantic (opt in: it changes grid layout and survival)
       pruningThreshold: options.pruningThreshold || 0.618, // Golden ratio threshold
+      dataDir: options.dataDir || null, // Enables the on-disk write-ahead log + snapshots
+      snapshotEvery: options.snapshotEvery || 1000,
+      mcpRequestTimeout: options.mcpRequestTimeout || 30000,
+      a2aRequestTimeout: options.a2aRequestTimeout || 30000,
+      a2aTaskTimeout: options.a2aTaskTimeout || 120000,
+      a2aPollInterval: options.a2aPollInterval || 500,
+      healthCheckInterval: options.healthCheckInterval || 30000,
+      healthCheckTimeout: options.healthCheckTimeout || 5000,
+      unreachableAfterFailures: options.unreachableAfterFailures || 3,
+      evictUnreachableAfter: options.evictUnreachableAfter ?? 300000,
+      routingHalfLife: options.routingHalfLife || 600000,
+      routingExplorationWeight: options.routingExplorationWeight ?? 0.5,
+      routingLatencyWindow: options.routingLatencyWindow || 100,
+      maxQuerySolutions: options.maxQuerySolutions || 100000,
+      confidenceHistoryLimit: options.confidenceHistoryLimit || 20,
+      history: options.history === true, // Snapshots + event journal for /history; memory grows with the store
+      historySnapshotEvery: options.historySnapshotEvery || 100,
+      historyMaxSnapshots: options.historyMaxSnapshots || 10,
+      historyMaxEvents: options.historyMaxEvents || 50000,
+      auth: options.auth === true, // Require API keys / HMAC signatures on every port
+      authKeysFile: options.authKeysFile || null, // Defaults to <dataDir>/auth-keys.json
+      authSecret: options.authSecret || null, // Derives key secrets; defaults to a generated file next to the keys file
+      authReloadInterval: options.authReloadInterval ?? 1000, // How stale a revoked key may be, in ms
+      maxRequestBytes: options.maxRequestBytes || 1048576, // JSON bodies and WebSocket frames
+      rateLimit: options.rateLimit !== false, // Token buckets on everything that writes into the universe
+      clientRate: options.clientRate || 50, // Tokens per second per API key / address
+      clientBurst: options.clientBurst || 100,
+      globalRate: options.globalRate || 500,
+      globalBurst: options.globalBurst || 1000,
+      routeConcurrency: options.routeConcurrency || 32,
+      routeQueueDepth: options.routeQueueDepth ?? 256,
+      wsHighWaterMark: options.wsHighWaterMark || 1048576, // Stop reading a socket with this much unsent
+      wsMaxInFlight: options.wsMaxInFlight || 16,
+      eventBufferSize: options.eventBufferSize || 10000, // Live events kept for subscribers resuming after a reconnect
+      learnTransformations: options.learnTransformations !== false, // Keep successful transformations as templates
+      transformationMaxVersions: options.transformationMaxVersions || 10, // Template versions kept per protocol pair
+      transformationMinSuccessRate: options.transformationMinSuccessRate ?? 0.5, // Below this a template is no longer applied
+      transformationMinSuccesses: options.transformationMinSuccesses || 3, // Successful routes before a template is preferred over registered transformers
+      planHopTimeout: options.planHopTimeout || 30000, // Per hop of a chained or fanned-out route, unless the plan says otherwise
+      planMaxHops: options.planMaxHops || 16,
+      routeRetries: options.routeRetries ?? 2, // Extra attempts for idempotent calls after transient failures
+      retryBaseDelay: options.retryBaseDelay || 100,
+      retryMaxDelay: options.retryMaxDelay || 2000,
+      maxFailovers: options.maxFailovers ?? 2, // Next-best candidates tried after a failure that is safe to repeat
+      breakerFailureThreshold: options.breakerFailureThreshold || 5, // Transient failures in a row that open a target's circuit
+      breakerResetTimeout: options.breakerResetTimeout || 30000, // Open circuits let a probe through after this long
       ...options
     };
 
+    // Stdio MCP servers ({ command, args, capabilities }); never accepted over HTTP.
+    // Set after the spread so an unset UNIVERSE_MCP_SERVERS (undefined) still means none
+    this.config.mcpServers = options.mcpServers || [];
+
+    // Per-protocol budget for one attempt; A2A covers polling the task to completion
+    this.config.routeTimeouts = {
+      mcp: this.config.mcpRequestTimeout + 5000,
+      a2a: this.config.a2aTaskTimeout + 30000,
+      knowledge: 5000,
+      ...options.routeTimeouts
+    };
+
+    // Seeded randomness and an injectable clock; simulation mode runs on step() instead of timers
+    const simulation = resolveSimulation(options);
+    this.config.simulation = simulation.simulation;
+    this.seed = simulation.seed;
+    this.random = simulation.random;
+    this.clock = simulation.clock;
+
+    // Pluggable triple store persistence (in-memory only unless configured)
+    this.storage = options.storage || (this.config.dataDir
+      ? new FileTripleStorage({
+          directory: this.config.dataDir,
+          snapshotEvery: this.config.snapshotEvery,
+          fsync: this.config.fsync
+        })
+      : new MemoryTripleStorage());
+    this._restoring = false;
+
     // Runtime handles for cleanup
     this._timers = {
       evolution: null,
@@ -54,10 +184,18 @@ class AutonomousUniverseRouter extends EventEmitter {
     this._wss = {
       universe: null
     };
+    this._mcpClients = new Map();
+    this._a2aClients = new Map();
+    this.healthMonitor = new AgentHealthMonitor(this, {
+      interval: this.config.healthCheckInterval,
+      timeout: this.config.healthCheckTimeout,
+      unreachableAfter: this.config.unreachableAfterFailures,
+      evictAfter: this.config.evictUnreachableAfter
+    });
 
     // Universe state
     this.universe = {
-      id: uuidv4(),
+      id: this.generateId(),
       isActive: false,
       consciousness: {
         awarenessLevel: 0.5,
@@ -99,19 +237,120 @@ class AutonomousUniverseRouter extends EventEmitter {
       learningWeights: new Map()
     };
 
-    // Initialize core components
-    this.initializeUniverseCore();
+    // Birth/survival neighbour counts for the knowledge grid (B3/S23 is Conway's Life)
+    this.lifeRule = parseLifeRule(this.config.lifeRule);
+
+    // Where new triples land on the grid
+    this.placement = createPlacementStrategy(this.config.placementStrategy, this.universe, { random: this.random });
+
+    // Evicts non-axiom triples once maxKnowledgeTriples is exceeded
+    this.capacity = new CapacityManager(this, {
+      maxTriples: this.config.maxKnowledgeTriples,
+      policy: this.config.evictionPolicy,
+      headroom: this.config.evictionHeadroom
+    });
+
+    // Principals and scopes for the three HTTP servers and the WebSocket
+    this.auth = new AuthManager({
+      enabled: this.config.auth,
+      file: this.config.authKeysFile || (this.config.dataDir ? path.join(this.config.dataDir, 'auth-keys.json') : null),
+      secret: this.config.authSecret,
+      reloadInterval: this.config.authReloadInterval
+    });
+
+    // Per-client and global token buckets, and a bounded queue in front of routeMessage
+    this.rateLimiter = new RateLimiter({
+      enabled: this.config.rateLimit,
+      clock: this.clock,
+      clientRate: this.config.clientRate,
+      clientBurst: this.config.clientBurst,
+      globalRate: this.config.globalRate,
+      globalBurst: this.config.globalBurst
+    });
+    this.routeQueue = new RouteQueue({
+      concurrency: this.config.routeConcurrency,
+      maxDepth: this.config.routeQueueDepth,
+      clock: this.clock
+    });
+    this.websocketFlows = new Set();
+
+    // Live events for WebSocket subscribers; reflection results are forwarded as they are emitted
+    this.eventStream = new EventStream({
+      bufferSize: this.config.eventBufferSize,
+      clock: this.clock,
+      generateId: () => this.generateId()
+    });
+    this.on('consciousness_update', update => this.eventStream.publish('consciousness', cloneJson(update), update.generation));
+
+    // Message transformers between http, mcp, a2a, ws and any protocol registered later
+    this.transformers = createTransformerRegistry({ clock: this.clock, generateId: () => this.generateId() });
+
+    // Transformations that led to successful routes, kept as versioned templates in the triple store
+    this.transformationTemplates = new TransformationTemplates(this, {
+      learn: this.config.learnTransformations,
+      maxVersions: this.config.transformationMaxVersions,
+      minSuccessRate: this.config.transformationMinSuccessRate,
+      minSuccesses: this.config.transformationMinSuccesses
+    });
+
+    // Per-target circuit breakers; open circuits are skipped and score low
+    this.circuitBreakers = new CircuitBreakers({
+      failureThreshold: this.config.breakerFailureThreshold,
+      resetTimeout: this.config.breakerResetTimeout,
+      clock: this.clock
+    });
+
+    // Chained and fanned-out routes: several hops per message
+    this.routingPlanner = new RoutingPlanner(this, {
+      hopTimeout: this.config.planHopTimeout,
+      maxHops: this.config.planMaxHops
+    });
+
+    // Snapshots and an event journal, so past generations can be rebuilt and diffed
+    this.timeline = new UniverseTimeline(this, {
+      snapshotEvery: this.config.historySnapshotEvery,
+      maxSnapshots: this.config.historyMaxSnapshots,
+      maxEvents: this.config.historyMaxEvents
+    });
+
+    // Multi-pattern queries planned over the subjects/predicates/objects indexes
+    this.tripleQueryEngine = new TripleQueryEngine(this.universe.tripleStore);
+
+    // Learned per-route success, latency and exploration statistics
+    this.routingLearner = new RoutingLearner({
+      halfLife: this.config.routingHalfLife,
+      explorationWeight: this.config.routingExplorationWeight,
+      latencyWindow: this.config.routingLatencyWindow,
+      clock: this.clock
+    });
+
+    // Walks universe.decisionTrees when callers leave the destination open
+    this.decisionEngine = new RoutingDecisionEngine(this.universe.decisionTrees);
+
+    // Initialize core components; a failed start reaches 'error' listeners even if nobody awaits ready
+    this.ready = this.initializeUniverseCore();
+    this.ready.catch((error) => {
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
   }
 
   async initializeUniverseCore() {
     console.log('🌌 Initializing Autonomous Universe Router...');
     
     try {
+      // Replay persisted knowledge before anything new is written
+      const restoredCount = this.restoreTripleStore();
+
       // Initialize knowledge triple store with axioms
       await this.initializeAxiomaticTriples();
+
+      // Operator-configured stdio MCP servers; these commands are the only ones the router spawns
+      this.registerConfiguredMCPServers();
       
-      // Initialize Conway's Game of Life knowledge grid
-      await this.initializeKnowledgeGrid();
+      // Initialize Conway's Game of Life knowledge grid (restored grids keep their own patterns)
+      if (restoredCount === 0) {
+        await this.initializeKnowledgeGrid();
+      }
       
       // Start protocol servers
       await this.startUniverseServer();
@@ -120,15 +359,27 @@ class AutonomousUniverseRouter extends EventEmitter {
       
       // Initialize autonomous routing intelligence
       await this.initializeRoutingIntelligence();
-      
-      // Start knowledge evolution loop
-      this.startKnowledgeEvolution();
-      
-      // Start consciousness reflection
-      this.startConsciousnessReflection();
+
+      // The timeline starts from the initialized universe
+      if (this.config.history) {
+        this.timeline.start();
+      }
+
+      // Simulation mode runs no timers: evolution and reflection advance through step()
+      if (!this.config.simulation) {
+        // Probe registered agents on a schedule
+        this.healthMonitor.start();
+
+        // Start knowledge evolution loop
+        this.startKnowledgeEvolution();
+
+        // Start consciousness reflection
+        this.startConsciousnessReflection();
+      }
       
       this.universe.isActive = true;
       console.log('✅ Autonomous Universe Router activated');
+      console.log(`🎲 Seed: ${this.seed ?? 'injected RNG'}${this.config.simulation ? ' (simulation mode)' : ''}`);
       console.log(`🌐 Universe Server: http://localhost:${this.config.universePort}`);
       console.log(`🔗 MCP Bridge: http://localhost:${this.config.mcpPort}`);
       console.log(`🤖 A2A Bridge: http://localhost:${this.config.a2aPort}`);
@@ -169,9 +420,11 @@ class AutonomousUniverseRouter extends EventEmitter {
       { subject: 'universe', predicate: 'self_organizes', object: 'through_feedback', confidence: 0.85 }
     ];
 
-    // Store axioms in triple store
+    // Store axioms in triple store (replayed axioms are reused, never duplicated)
     for (const axiom of axioms) {
-      const tripleId = this.addKnowledgeTriple(
+      const existingId = this.findTripleId(axiom.subject, axiom.predicate, axiom.object);
+      const existing = existingId && this.universe.tripleStore.triples.get(existingId);
+      const tripleId = existing?.isAxiom ? existingId : this.addKnowledgeTriple(
         axiom.subject, 
         axiom.predicate, 
         axiom.object, 
@@ -181,7 +434,7 @@ class AutonomousUniverseRouter extends EventEmitter {
       this.universe.tripleStore.axioms.set(tripleId, {
         ...axiom,
         id: tripleId,
-        createdAt: Date.now(),
+        createdAt: existing?.isAxiom ? existing.createdAt : this.clock.now(),
         immutable: true
       });
     }
@@ -189,24 +442,57 @@ class AutonomousUniverseRouter extends EventEmitter {
     console.log(`📚 Initialized ${axioms.length} axiomatic triples`);
   }
 
-  addKnowledgeTriple(subject, predicate, object, metadata = {}) {
-    const tripleId = uuidv4();
-    const timestamp = Date.now();
+  /**
+   * Asserts a fact. Ids are content-addressed, so asserting an existing
+   * (subject, predicate, object) merges into it (see TripleIdentity.js);
+   * options.confidence = 'replace' overwrites instead of accumulating;
+   * options.principal attributes the assertion to an API key;
+   * options.fromRequest drops the fields only the router sets (isAxiom,
+   * gridPosition, ids, counters) from metadata a client sent.
+   */
+  addKnowledgeTriple(subject, predicate, object, metadata = {}, options = {}) {
+    const tripleId = tripleIdentity(subject, predicate, object);
+    const timestamp = this.clock.now();
+    metadata = options.fromRequest ? this.requestMetadata(metadata) : metadata || {};
+
+    const existing = this.universe.tripleStore.triples.get(tripleId);
+    if (existing) {
+      const before = this.timeline.beforeChange(existing);
+      mergeTriple(existing, metadata, {
+        confidence: options.confidence,
+        source: options.source,
+        historyLimit: this.config.confidenceHistoryLimit,
+        timestamp
+      });
+      if (options.principal) existing.lastAssertedBy = options.principal;
+      this.persistTripleMutation({ op: 'put', triple: existing, before });
+      this.publishTriple(existing, 'merged', options.principal);
+      return tripleId;
+    }
     
+    // Metadata goes first so it can never replace the triple's identity, placement or counters
     const triple = {
+      ...metadata,
       id: tripleId,
       subject,
       predicate,
       object,
       confidence: metadata.confidence || 0.5,
-      isAxiom: metadata.isAxiom || false,
+      isAxiom: metadata.isAxiom === true,
       createdAt: timestamp,
       lastAccessed: timestamp,
       accessCount: 0,
+      assertionCount: 1,
       connections: new Set(),
-      gridPosition: metadata.gridPosition || this.generateGridPosition(),
-      ...metadata
+      gridPosition: this.isGridPosition(metadata.gridPosition)
+        ? { x: metadata.gridPosition.x, y: metadata.gridPosition.y }
+        : this.generateGridPosition({ subject, predicate, object })
     };
+    triple.confidenceHistory = [{ confidence: triple.confidence, source: options.source || 'created', at: timestamp }];
+    if (options.principal) {
+      triple.createdBy = options.principal;
+      triple.lastAssertedBy = options.principal;
+    }
 
     // Store in triple store
     this.universe.tripleStore.triples.set(tripleId, triple);
@@ -218,10 +504,199 @@ class AutonomousUniverseRouter extends EventEmitter {
     
     // Place in Conway's Game of Life grid
     this.placeTripleInGrid(tripleId, triple);
+
+    this.persistTripleMutation({ op: 'put', triple });
+    this.publishTriple(triple, 'created', options.principal);
+
+    if (!this._restoring) {
+      this.capacity.enforce([tripleId]);
+    }
     
     return tripleId;
   }
 
+  requestMetadata(metadata) {
+    return Object.fromEntries(Object.entries(metadata || {}).filter(([key]) => !RESERVED_METADATA_FIELDS.has(key)));
+  }
+
+  isGridPosition(position) {
+    const { width, height } = this.universe.gridDimensions;
+    const inRange = (value, size) => Number.isInteger(value) && value >= 0 && value < size;
+    return inRange(position?.x, width) && inRange(position?.y, height);
+  }
+
+  publishTriple(triple, status, principal) {
+    if (this._restoring) return;
+    this.eventStream.publish('triples', {
+      status,
+      id: triple.id,
+      subject: triple.subject,
+      predicate: triple.predicate,
+      object: triple.object,
+      confidence: triple.confidence,
+      ...(principal ? { assertedBy: principal } : {})
+    }, this.universe.evolutionGeneration);
+  }
+
+  exportTriples(format = 'ntriples') {
+    const { triples, subjects } = this.universe.tripleStore;
+    return serializeTriples(triples.values(), format, { isNode: term => subjects.has(term) });
+  }
+
+  /**
+   * Imports a document (string, Buffer, stream, or parsed JSON-LD). Invalid
+   * statements are reported with their line (or JSON-LD node) and skipped;
+   * triples already in the store are counted as duplicates, not re-added.
+   * Documents uploaded over HTTP pass fromRequest, which keeps only their
+   * confidence and free-form metadata (see addKnowledgeTriple).
+   */
+  async importTriples(input, format = 'ntriples', options = {}) {
+    const { triples, errors } = await parseTriples(input, format);
+    const report = { format, received: triples.length, imported: 0, duplicates: 0, tripleIds: [], errors };
+    const seen = new Set();
+
+    for (const triple of triples) {
+      const location = triple.node !== undefined ? { node: triple.node } : { line: triple.line };
+      const problem = this.validateImportedTriple(triple);
+      if (problem) {
+        errors.push({ ...location, message: problem });
+        continue;
+      }
+
+      const key = JSON.stringify([triple.subject, triple.predicate, triple.object]);
+      if (seen.has(key) || this.findTripleId(triple.subject, triple.predicate, triple.object)) {
+        report.duplicates++;
+        continue;
+      }
+      seen.add(key);
+
+      report.tripleIds.push(this.addKnowledgeTriple(triple.subject, triple.predicate, triple.object, triple.metadata, {
+        principal: options.principal,
+        fromRequest: options.fromRequest
+      }));
+      report.imported++;
+    }
+
+    errors.sort((a, b) => (a.line ?? a.node ?? 0) - (b.line ?? b.node ?? 0));
+    return report;
+  }
+
+  validateImportedTriple({ subject, predicate, object, metadata }) {
+    for (const [name, value] of Object.entries({ subject, predicate, object })) {
+      if (typeof value !== 'string' || value === '') return `${name} must be a non-empty string`;
+    }
+
+    const { confidence, isAxiom, patternType, gridPosition } = metadata;
+    if (confidence !== undefined && !(Number.isFinite(confidence) && confidence >= 0)) {
+      return 'confidence must be a non-negative number';
+    }
+    if (isAxiom !== undefined && typeof isAxiom !== 'boolean') return 'isAxiom must be a boolean';
+    if (patternType !== undefined && typeof patternType !== 'string') return 'patternType must be a string';
+    if (gridPosition !== undefined && !this.isGridPosition(gridPosition)) {
+      const { width, height } = this.universe.gridDimensions;
+      return `gridPosition must lie within the ${width}x${height} grid`;
+    }
+    return null;
+  }
+
+  requestedFormat(value) {
+    if (!value) return null;
+    const format = resolveFormat(value);
+    if (!format) {
+      throw new RouterError('unsupported_format', `Unsupported triple format: ${value}`, 400, { formats: Object.keys(FORMATS) });
+    }
+    return format;
+  }
+
+  requestedGeneration(value) {
+    return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+  }
+
+  findTripleId(subject, predicate, object) {
+    const tripleId = tripleIdentity(subject, predicate, object);
+    return this.universe.tripleStore.triples.has(tripleId) ? tripleId : null;
+  }
+
+  restoreTripleStore() {
+    const { triples, dormantCells = [], replayedEntries } = this.storage.load();
+    if (triples.length === 0) return 0;
+
+    // Stores written before content addressing keep one uuid per assertion: fold them together
+    let rekeyed = 0;
+    this._restoring = true;
+    try {
+      for (const stored of triples) {
+        const id = tripleIdentity(stored.subject, stored.predicate, stored.object);
+        if (id !== stored.id) rekeyed++;
+
+        const existing = this.universe.tripleStore.triples.get(id);
+        if (existing) {
+          mergeTriple(existing, stored, { source: 'restore', historyLimit: this.config.confidenceHistoryLimit, timestamp: this.clock.now() });
+          continue;
+        }
+
+        const triple = { ...stored, id };
+        this.universe.tripleStore.triples.set(triple.id, triple);
+        this.indexTripleComponent('subjects', triple.subject, triple.id);
+        this.indexTripleComponent('predicates', triple.predicate, triple.id);
+        this.indexTripleComponent('objects', triple.object, triple.id);
+
+        // Persisted gridPosition puts the triple back in its original Conway cell
+        this.placeTripleInGrid(triple.id, triple);
+      }
+    } finally {
+      this._restoring = false;
+    }
+
+    // Placement brings every cell alive; cells Life had killed go back to sleep
+    for (const key of dormantCells) {
+      const cell = this.universe.knowledgeGrid.get(key);
+      if (cell) cell.isAlive = false;
+    }
+
+    if (rekeyed > 0) {
+      this.snapshotStorage();
+    }
+
+    // The limit may have been lowered since the store was written
+    this.capacity.enforce();
+
+    const restored = this.universe.tripleStore.triples.size;
+    console.log(`💾 Restored ${restored} triples (${replayedEntries} log entries replayed)`);
+    return restored;
+  }
+
+  persistTripleMutation(entry) {
+    if (this._restoring) return;
+    this.timeline.recordTripleMutation(entry);
+    this.appendToStorage(entry);
+  }
+
+  // Life's births and deaths, so a restart keeps dead cells dead
+  persistCellStates(births, deaths) {
+    if (births.length === 0 && deaths.length === 0) return;
+    this.appendToStorage({ op: 'cells', births, deaths });
+  }
+
+  appendToStorage(entry) {
+    try {
+      this.storage.append(entry);
+      if (this.storage.shouldSnapshot()) {
+        this.snapshotStorage();
+      }
+    } catch (error) {
+      console.error('💾 Failed to persist triple store mutation:', error.message);
+    }
+  }
+
+  snapshotStorage() {
+    const dormantCells = [];
+    for (const [key, cell] of this.universe.knowledgeGrid) {
+      if (!cell.isAlive) dormantCells.push(key);
+    }
+    this.storage.snapshot(this.universe.tripleStore.triples.values(), dormantCells);
+  }
+
   indexTripleComponent(componentType, value, tripleId) {
     if (!this.universe.tripleStore[componentType].has(value)) {
       this.universe.tripleStore[componentType].set(value, new Set());
@@ -229,11 +704,20 @@ class AutonomousUniverseRouter extends EventEmitter {
     this.universe.tripleStore[componentType].get(value).add(tripleId);
   }
 
-  generateGridPosition() {
-    return {
-      x: Math.floor(Math.random() * this.universe.gridDimensions.width),
-      y: Math.floor(Math.random() * this.universe.gridDimensions.height)
-    };
+  unindexTripleComponent(componentType, value, tripleId) {
+    const ids = this.universe.tripleStore[componentType].get(value);
+    if (!ids) return;
+    ids.delete(tripleId);
+    if (ids.size === 0) this.universe.tripleStore[componentType].delete(value);
+  }
+
+  // Ids drawn from the seeded RNG replay with the seed
+  generateId() {
+    return randomUUID(this.random);
+  }
+
+  generateGridPosition(triple) {
+    return this.placement.position(triple);
   }
 
   placeTripleInGrid(tripleId, triple) {
@@ -318,56 +802,206 @@ class AutonomousUniverseRouter extends EventEmitter {
   if (typeof this._timers.evolution?.unref === 'function') this._timers.evolution.unref();
   }
 
-  evolveKnowledgeGrid() {
-    const newGeneration = new Map();
-    let triplesProcessed = 0;
-    let triplesBorn = 0;
-    let triplesDied = 0;
-
-    // Apply Conway's Game of Life rules to knowledge triples
-    for (const [gridKey, cell] of this.universe.knowledgeGrid) {
-      const liveNeighbors = this.countLiveNeighbors(cell);
-      const currentlyAlive = cell.isAlive;
-      
-      let willLive = false;
-
-      // Conway's Game of Life rules adapted for knowledge
-      if (currentlyAlive) {
-        // Knowledge survives with 2 or 3 connections
-        willLive = (liveNeighbors === 2 || liveNeighbors === 3);
-        if (!willLive) triplesDied++;
-      } else {
-        // New knowledge emerges with exactly 3 connections
-        willLive = (liveNeighbors === 3);
-        if (willLive) triplesBorn++;
+  /**
+   * Advances the universe synchronously, without timers: each cycle moves a
+   * manual clock on by knowledgeEvolutionInterval, runs one Game of Life
+   * generation and one consciousness reflection. With the same seed and inputs
+   * the resulting state is identical from run to run.
+   */
+  step(cycles = 1) {
+    for (let i = 0; i < cycles; i++) {
+      if (typeof this.clock.advance === 'function') {
+        this.clock.advance(this.config.knowledgeEvolutionInterval);
       }
+      this.evolveKnowledgeGrid();
+      this.performConsciousnessReflection();
+    }
 
-      if (willLive) {
-        newGeneration.set(gridKey, {
-          ...cell,
-          isAlive: true,
-          lastEvolution: this.universe.evolutionGeneration + 1
-        });
+    return {
+      generation: this.universe.evolutionGeneration,
+      reflectionCycles: this.universe.consciousness.reflectionCycles,
+      time: this.clock.now(),
+      tripleCount: this.universe.tripleStore.triples.size
+    };
+  }
+
+  /**
+   * Replaces the grid, triple store, consciousness and routing matrix with a
+   * timeline state (GET /history/:generation?detail=full), so a past
+   * generation can be replayed in a fresh instance. The timeline restarts
+   * from the loaded state, and the loaded state is snapshotted over this
+   * router's storage: never load into a router sharing a live data dir.
+   */
+  loadHistoryState(state) {
+    const { tripleStore, knowledgeGrid } = this.universe;
+    tripleStore.subjects.clear();
+    tripleStore.predicates.clear();
+    tripleStore.objects.clear();
+    tripleStore.triples.clear();
+    knowledgeGrid.clear();
+
+    this._restoring = true;
+    try {
+      for (const stored of state.triples) {
+        const triple = deserializeTriple(stored);
+        tripleStore.triples.set(triple.id, triple);
+        this.indexTripleComponent('subjects', triple.subject, triple.id);
+        this.indexTripleComponent('predicates', triple.predicate, triple.id);
+        this.indexTripleComponent('objects', triple.object, triple.id);
+        this.placeTripleInGrid(triple.id, triple);
+      }
+    } finally {
+      this._restoring = false;
+    }
+
+    // Placement brings every cell alive; dormant cells go back to sleep
+    for (const cell of state.cells) {
+      const placed = knowledgeGrid.get(cellKey(cell));
+      if (placed) placed.isAlive = cell.isAlive;
+    }
+
+    this.universe.evolutionGeneration = state.generation;
+    this.universe.consciousness = cloneJson(state.consciousness);
+    this.universe.routingMatrix.clear();
+    for (const [routeKey, route] of Object.entries(state.routingMatrix || {})) {
+      this.universe.routingMatrix.set(routeKey, { ...route });
+    }
+
+    this.snapshotStorage();
+    if (this.config.history) {
+      this.timeline.start();
+    }
+
+    return {
+      generation: this.universe.evolutionGeneration,
+      tripleCount: tripleStore.triples.size,
+      cellCount: knowledgeGrid.size
+    };
+  }
 
-        // If this is a new cell, create knowledge triple
-        if (!currentlyAlive) {
-          this.birthKnowledgeTriple(cell.position);
+  // Everything needed to replay this run: pass the seed back in with simulation: true
+  getSimulationStatus() {
+    return {
+      seed: this.seed,
+      simulation: this.config.simulation,
+      time: this.clock.now(),
+      generation: this.universe.evolutionGeneration,
+      reflectionCycles: this.universe.consciousness.reflectionCycles
+    };
+  }
+
+  getTrafficStatus() {
+    const flows = Array.from(this.websocketFlows);
+    return {
+      rateLimit: this.rateLimiter.getStatus(),
+      routeQueue: this.routeQueue.getStatus(),
+      websockets: {
+        open: flows.length,
+        paused: flows.filter(flow => flow.ws.isPaused).length,
+        pauses: flows.reduce((total, flow) => total + flow.pauses, 0)
+      }
+    };
+  }
+
+  evolveKnowledgeGrid() {
+    const nextGeneration = this.universe.evolutionGeneration + 1;
+    const { width, height } = this.universe.gridDimensions;
+    const { birth, survival } = this.lifeRule;
+    const survivors = [];
+    const births = [];
+    const deaths = [];
+
+    // Sparse step: only live cells and their neighbourhood frontier can change state.
+    // Neighbour counts are keyed by the cell's index on the torus (y * width + x).
+    const liveCells = [];
+    const neighborCounts = new Map();
+    for (const cell of this.universe.knowledgeGrid.values()) {
+      if (!cell.isAlive) continue;
+      liveCells.push(cell);
+
+      const { x, y } = cell.position;
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = (y + dy + height) % height;
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          const index = ny * width + (x + dx + width) % width;
+          neighborCounts.set(index, (neighborCounts.get(index) || 0) + 1);
         }
-      } else if (currentlyAlive) {
-        // Knowledge dies - prune triples
-        this.pruneKnowledgeTriples(cell);
+      }
+    }
+
+    // Decide every cell's fate against the current generation before changing anything
+    for (const cell of liveCells) {
+      // Knowledge survives with enough connections (2 or 3 under Conway's rules)
+      const liveNeighbors = neighborCounts.get(cell.position.y * width + cell.position.x) || 0;
+      (survival.has(liveNeighbors) ? survivors : deaths).push(cell);
+    }
+
+    for (const [index, liveNeighbors] of neighborCounts) {
+      // New knowledge emerges where the rule allows (exactly 3 connections under Conway's rules)
+      if (!birth.has(liveNeighbors)) continue;
+
+      const position = { x: index % width, y: Math.floor(index / width) };
+      const existing = this.universe.knowledgeGrid.get(cellKey(position));
+      if (!existing?.isAlive) births.push(existing || { position });
+    }
+
+    // Cells evaluated: the frontier plus isolated live cells
+    const triplesProcessed = neighborCounts.size +
+      liveCells.filter(cell => !neighborCounts.has(cell.position.y * width + cell.position.x)).length;
+
+    for (const cell of survivors) {
+      cell.lastEvolution = nextGeneration;
+    }
+    for (const cell of deaths) {
+      cell.isAlive = false;
+      cell.lastEvolution = nextGeneration;
+    }
+
+    // Each birth attaches its emergent triple to the cell it was born in
+    for (const cell of births) {
+      const tripleId = this.birthKnowledgeTriple(cell.position);
+      // A re-born position merges into its earlier emergent triple, which may have moved since
+      const triple = this.universe.tripleStore.triples.get(tripleId);
+      if (triple && cellKey(triple.gridPosition) !== cellKey(cell.position)) {
+        this.moveTripleToCell(tripleId, cell.position);
       }
 
-      triplesProcessed++;
+      const born = this.universe.knowledgeGrid.get(cellKey(cell.position));
+      if (born) {
+        born.isAlive = true;
+        born.lastEvolution = nextGeneration;
+      }
     }
 
-    // Update grid
-    this.universe.knowledgeGrid = newGeneration;
-    this.universe.evolutionGeneration++;
+    // Dead cells hand their triples to the death policy once the new generation is in place
+    for (const cell of deaths) {
+      this.handleCellDeath(cell);
+    }
+
+    const triplesBorn = births.length;
+    const triplesDied = deaths.length;
+    this.universe.evolutionGeneration = nextGeneration;
 
     // Update consciousness based on knowledge evolution
     this.updateConsciousnessFromEvolution(triplesBorn, triplesDied);
 
+    const bornKeys = births.map(cell => cellKey(cell.position));
+    const diedKeys = deaths.map(cell => cellKey(cell.position));
+    this.timeline.recordGeneration(bornKeys, diedKeys);
+    this.persistCellStates(bornKeys, diedKeys);
+
+    this.eventStream.publish('grid', { generation: nextGeneration, births: bornKeys, deaths: diedKeys }, nextGeneration);
+    this.eventStream.publish('evolution', {
+      generation: nextGeneration,
+      processed: triplesProcessed,
+      births: triplesBorn,
+      deaths: triplesDied,
+      tripleCount: this.universe.tripleStore.triples.size,
+      cellCount: this.universe.knowledgeGrid.size,
+      awarenessLevel: this.universe.consciousness.awarenessLevel
+    }, nextGeneration);
+
     if (this.universe.evolutionGeneration % 100 === 0) {
       console.log(`🧬 Generation ${this.universe.evolutionGeneration}: ${triplesProcessed} processed, ${triplesBorn} born, ${triplesDied} died`);
     }
@@ -401,9 +1035,83 @@ class AutonomousUniverseRouter extends EventEmitter {
     return tripleId;
   }
 
+  handleCellDeath(cell) {
+    switch (this.config.cellDeathPolicy) {
+      case 'dormant':
+        // Triples stay in the dead cell until new knowledge lands there
+        break;
+      case 'purge':
+        for (const tripleId of Array.from(cell.triples)) {
+          this.removeKnowledgeTriple(tripleId);
+        }
+        break;
+      case 'relocate':
+        this.relocateKnowledgeTriples(cell);
+        break;
+      default:
+        this.pruneKnowledgeTriples(cell);
+    }
+  }
+
+  // Moves a dead cell's triples to its most populated live neighbour; axioms never move
+  relocateKnowledgeTriples(cell) {
+    const target = cell.neighbors
+      .map(key => this.universe.knowledgeGrid.get(key))
+      .filter(neighbor => neighbor?.isAlive)
+      .sort((a, b) => b.triples.size - a.triples.size)[0];
+    if (!target) return;
+
+    for (const tripleId of Array.from(cell.triples)) {
+      const triple = this.universe.tripleStore.triples.get(tripleId);
+      if (triple && !triple.isAxiom) {
+        this.moveTripleToCell(tripleId, target.position);
+      }
+    }
+  }
+
+  moveTripleToCell(tripleId, position) {
+    const triple = this.universe.tripleStore.triples.get(tripleId);
+    if (!triple) return;
+
+    const before = this.timeline.beforeChange(triple);
+    this.detachTripleFromGrid(tripleId, triple);
+    triple.gridPosition = { x: position.x, y: position.y };
+    this.placeTripleInGrid(tripleId, triple);
+    this.persistTripleMutation({ op: 'put', triple, before });
+  }
+
+  // Cells exist only while they hold triples
+  detachTripleFromGrid(tripleId, triple) {
+    if (!triple.gridPosition) return;
+
+    const key = cellKey(triple.gridPosition);
+    const cell = this.universe.knowledgeGrid.get(key);
+    if (!cell) return;
+
+    cell.triples.delete(tripleId);
+    if (cell.triples.size === 0) {
+      this.universe.knowledgeGrid.delete(key);
+    }
+  }
+
+  verifyIntegrity(options = {}) {
+    const report = verifyGridIntegrity(this.universe, {
+      repair: options.repair === true,
+      placeTriple: (tripleId, triple) => {
+        triple.gridPosition = triple.gridPosition || this.generateGridPosition(triple);
+        this.placeTripleInGrid(tripleId, triple);
+      }
+    });
+
+    if (!report.ok) {
+      console.warn(`🧩 Grid integrity: ${report.issues.length} issue(s)${options.repair === true ? `, ${report.repaired} repaired` : ''}`);
+    }
+    return report;
+  }
+
   pruneKnowledgeTriples(cell) {
     // Remove triples that haven't been accessed recently
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     const pruningAge = 24 * 60 * 60 * 1000; // 24 hours
 
     for (const tripleId of cell.triples) {
@@ -425,12 +1133,17 @@ class AutonomousUniverseRouter extends EventEmitter {
     if (!triple || triple.isAxiom) return; // Cannot remove axioms
 
     // Remove from indices
-    this.universe.tripleStore.subjects.get(triple.subject)?.delete(tripleId);
-    this.universe.tripleStore.predicates.get(triple.predicate)?.delete(tripleId);
-    this.universe.tripleStore.objects.get(triple.object)?.delete(tripleId);
+    this.unindexTripleComponent('subjects', triple.subject, tripleId);
+    this.unindexTripleComponent('predicates', triple.predicate, tripleId);
+    this.unindexTripleComponent('objects', triple.object, tripleId);
+
+    // Remove from its Conway cell
+    this.detachTripleFromGrid(tripleId, triple);
     
     // Remove from main store
     this.universe.tripleStore.triples.delete(tripleId);
+
+    this.persistTripleMutation({ op: 'delete', id: tripleId });
   }
 
   updateConsciousnessFromEvolution(triplesBorn, triplesDied) {
@@ -447,12 +1160,17 @@ class AutonomousUniverseRouter extends EventEmitter {
     this.universe.consciousness.complexity = Math.log(totalTriples) * this.PHI / 10;
   }
 
+  // JSON bodies up to maxRequestBytes, with the raw bytes kept for HMAC signatures
+  jsonBodyParser() {
+    return express.json({ limit: this.config.maxRequestBytes, verify: captureRawBody });
+  }
+
   async startUniverseServer() {
     const app = express();
-    app.use(express.json());
+    app.use(this.jsonBodyParser());
 
     // Universe status endpoint
-    app.get('/status', (req, res) => {
+    app.get('/status', this.auth.require('triples:read'), (req, res) => {
       res.json({
         universe: {
           id: this.universe.id,
@@ -460,6 +1178,11 @@ class AutonomousUniverseRouter extends EventEmitter {
           generation: this.universe.evolutionGeneration,
           consciousness: this.universe.consciousness,
           tripleCount: this.universe.tripleStore.triples.size,
+          capacity: this.capacity.getStatus(),
+          simulation: this.getSimulationStatus(),
+          traffic: this.getTrafficStatus(),
+          events: this.eventStream.getStatus(),
+          circuits: this.circuitBreakers.getStatus(),
           agentCount: {
             a2a: this.universe.agents.a2aAgents.size,
             mcp: this.universe.agents.mcpServers.size,
@@ -469,212 +1192,800 @@ class AutonomousUniverseRouter extends EventEmitter {
       });
     });
 
-    // Query knowledge triples
-    app.post('/query', (req, res) => {
-      const { subject, predicate, object, limit = 100 } = req.body;
+    // Input schemas of every endpoint and WebSocket message
+    app.get('/schemas', this.auth.require('triples:read'), (req, res) => {
+      res.json(describeSchemas({ maxRequestBytes: this.config.maxRequestBytes }));
+    });
+
+    // Registered protocols, their message schemas and the transformers between them
+    app.get('/transformers', this.auth.require('triples:read'), (req, res) => {
+      res.json(this.transformers.describe());
+    });
+
+    // Learned transformation templates, their versions and success statistics
+    app.get('/transformations', this.auth.require('triples:read'), (req, res) => {
+      res.json({ templates: this.transformationTemplates.list() });
+    });
+
+    app.get('/transformations/:source/:target', this.auth.require('triples:read'), (req, res) => {
+      try {
+        res.json(this.transformationTemplates.get(req.params.source, req.params.target));
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
+    app.put('/transformations/:source/:target', this.auth.require('triples:write'), validateRequest('PUT /transformations/:source/:target'), (req, res) => {
+      try {
+        const { source, target } = req.params;
+        const version = this.transformationTemplates.define(source, target, req.body.mapping, req.principal?.id);
+        res.json({ ...this.transformationTemplates.get(source, target), created: version.version });
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
+    // Drops one version (?version=n) or every template for the pair
+    app.delete('/transformations/:source/:target', this.auth.require('triples:write'), validateRequest('DELETE /transformations/:source/:target'), (req, res) => {
+      try {
+        res.json(this.transformationTemplates.removeVersion(req.params.source, req.params.target, req.query.version));
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
+    // Grid/store drift report; POST repairs what it finds
+    app.get('/debug/integrity', this.auth.require('triples:read'), (req, res) => {
+      res.json(this.verifyIntegrity());
+    });
+
+    app.post('/debug/integrity/repair', this.auth.require('triples:write'), (req, res) => {
+      res.json(this.verifyIntegrity({ repair: true }));
+    });
+
+    // Learned routing table: why routes are being chosen
+    app.get('/routing/stats', this.auth.require('triples:read'), (req, res) => {
+      res.json(this.routingLearner.getStats());
+    });
+
+    // Query knowledge triples: exact components, or a pattern query in `query`
+    app.post('/query', this.auth.require('triples:read'), validateRequest('POST /query'), (req, res) => {
+      const { query, subject, predicate, object, limit } = req.body;
+      if (query !== undefined) {
+        try {
+          return res.json(this.executeTripleQuery(query));
+        } catch (error) {
+          return sendRouterError(res, error);
+        }
+      }
+
       const results = this.queryKnowledgeTriples(subject, predicate, object, limit);
       res.json({ results, count: results.length });
     });
 
+    // Stream the whole triple store as N-Triples, Turtle or JSON-LD
+    app.get('/export', this.auth.require('triples:read'), async (req, res) => {
+      try {
+        const format = this.requestedFormat(req.query.format) ||
+          resolveFormat(req.accepts(Object.values(FORMATS).map(f => f.contentType)));
+
+        res.type(FORMATS[format].contentType);
+        for (const chunk of this.exportTriples(format)) {
+          if (!res.write(chunk)) {
+            await new Promise(resolve => {
+              res.once('drain', resolve);
+              res.once('close', resolve);
+            });
+            if (res.destroyed) return;
+          }
+        }
+        res.end();
+      } catch (error) {
+        if (res.headersSent) return res.destroy(error);
+        sendRouterError(res, error);
+      }
+    });
+
+    // Bulk import; the body is read as a stream unless it arrived as JSON
+    app.post('/import', this.auth.require('triples:write'), this.rateLimiter.limit(), async (req, res) => {
+      try {
+        const format = this.requestedFormat(req.query.format || req.get('Content-Type'));
+        if (!format) {
+          throw new RouterError('unsupported_format', 'Pass ?format=ntriples|turtle|jsonld or a matching Content-Type', 400);
+        }
+        res.json(await this.importTriples(req._body ? req.body : req, format, { principal: req.principal?.id, fromRequest: true }));
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
     // Add knowledge triple
-    app.post('/triples', (req, res) => {
+    app.post('/triples', this.auth.require('triples:write'), this.rateLimiter.limit(), validateRequest('POST /triples'), (req, res) => {
       const { subject, predicate, object, metadata } = req.body;
-      const tripleId = this.addKnowledgeTriple(subject, predicate, object, metadata);
-      res.json({ tripleId, status: 'created' });
+      const existed = this.findTripleId(subject, predicate, object) !== null;
+      const tripleId = this.addKnowledgeTriple(subject, predicate, object, metadata, { principal: req.principal?.id, fromRequest: true });
+      res.json({ tripleId, status: existed ? 'merged' : 'created' });
+    });
+
+    // One fact with its merge state and confidence history
+    app.get('/triples/:id', this.auth.require('triples:read'), (req, res) => {
+      const triple = this.universe.tripleStore.triples.get(req.params.id);
+      if (!triple) {
+        return sendRouterError(res, new RouterError('unknown_triple', `No triple with id ${req.params.id}`, 404));
+      }
+      res.json({ triple: serializeTriple(triple) });
+    });
+
+    // Universe timeline: snapshots and the event journal they are replayed with
+    app.get('/history', this.auth.require('triples:read'), (req, res) => {
+      res.json(this.timeline.getStatus());
+    });
+
+    app.get('/history/events', this.auth.require('triples:read'), validateRequest('GET /history/events'), (req, res) => {
+      res.json(this.timeline.events(req.query));
+    });
+
+    app.get('/history/diff', this.auth.require('triples:read'), validateRequest('GET /history/diff'), (req, res) => {
+      try {
+        res.json(this.timeline.diff(req.query.from, req.query.to));
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
+    // The universe as it was at a generation; ?detail=full includes triples and cells
+    app.get('/history/:generation', this.auth.require('triples:read'), (req, res) => {
+      try {
+        const state = this.timeline.reconstruct(this.requestedGeneration(req.params.generation));
+        res.json({
+          ...(req.query.detail === 'full' ? state.toJSON() : state.summary()),
+          baseGeneration: state.baseGeneration,
+          replayedEvents: state.replayedEvents
+        });
+      } catch (error) {
+        sendRouterError(res, error);
+      }
     });
 
     // Route messages between protocols
-    app.post('/route', async (req, res) => {
-      const { message, sourceProtocol, targetProtocol, targetAgent } = req.body;
-      const result = await this.routeMessage(message, sourceProtocol, targetProtocol, targetAgent);
-      res.json(result);
+    app.post('/route', this.auth.require('route'), this.rateLimiter.limit(), validateRequest('POST /route'), async (req, res) => {
+      const { message, sourceProtocol, targetProtocol, targetAgent, plan, idempotent } = req.body;
+
+      // Callers accepting an event stream get A2A task updates as they happen
+      if (req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.flushHeaders();
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        try {
+          const result = await this.routeMessage(message, sourceProtocol, targetProtocol, targetAgent, {
+            onUpdate: update => send('task_update', update),
+            principal: req.principal?.id,
+            plan,
+            idempotent
+          });
+          send('result', result);
+        } catch (error) {
+          send('error', error instanceof RouterError ? error.toJSON() : { error: { code: 'internal_error', message: error.message } });
+        }
+        return res.end();
+      }
+
+      try {
+        const result = await this.routeMessage(message, sourceProtocol, targetProtocol, targetAgent, { principal: req.principal?.id, plan, idempotent });
+        res.json(result);
+      } catch (error) {
+        sendRouterError(res, error);
+      }
     });
 
+    app.use(handleBodyErrors);
+
   const server = app.listen(this.config.universePort);
   this._servers.universe = server;
     
     // WebSocket server for real-time updates
-  const wss = new WebSocket.Server({ server });
+  // Connections authenticate once, at upgrade time; each message is checked against the key's scopes
+  const wss = new WebSocket.Server({
+    server,
+    maxPayload: this.config.maxRequestBytes,
+    verifyClient: this.auth.verifyClient()
+  });
   this._wss.universe = wss;
-    wss.on('connection', (ws) => {
+    wss.on('connection', (ws, req) => {
+      const flow = new WebSocketFlowControl(ws, {
+        highWaterMark: this.config.wsHighWaterMark,
+        maxInFlight: this.config.wsMaxInFlight
+      });
+      // Subscriptions live as long as the connection; replays go out after the subscribe reply
+      const session = {
+        subscriptions: new Set(),
+        pending: [],
+        deliver: event => flow.trySend(JSON.stringify(event))
+      };
+      const context = { principal: req.principal, client: req.principal?.id || req.socket.remoteAddress, session };
+
       ws.on('message', async (data) => {
+        flow.begin();
         try {
           const message = JSON.parse(data);
-          const response = await this.handleWebSocketMessage(message);
-          ws.send(JSON.stringify(response));
+          const response = await this.handleWebSocketMessage(message, context);
+          flow.send(JSON.stringify(response));
         } catch (error) {
-          ws.send(JSON.stringify({ error: error.message }));
+          flow.send(JSON.stringify({ error: error.message }));
+        } finally {
+          for (const replay of session.pending.splice(0)) replay();
+          flow.end();
         }
       });
+      this.websocketFlows.add(flow);
+      ws.on('close', () => {
+        this.websocketFlows.delete(flow);
+        for (const id of session.subscriptions) this.eventStream.unsubscribe(id);
+      });
     });
 
-    console.log(`🌌 Universe server started on port ${this.config.universePort}`);
+    console.log(`🌌 Universe server started on port ${this.config.universePort}`);
+  }
+
+  async startMCPBridge() {
+    const app = express();
+    app.use(this.jsonBodyParser());
+
+    // MCP server registration
+    app.post('/mcp/register', this.auth.require('agents:register'), this.rateLimiter.limit(), validateRequest('POST /mcp/register'), (req, res) => {
+      try {
+        const { url, heartbeatInterval, capabilities, metadata } = req.body;
+        const server = this.registerAgent('mcp', {
+          url,
+          transport: 'http',
+          heartbeatInterval,
+          capabilities,
+          metadata,
+          registeredBy: req.principal?.id
+        });
+
+        res.json({ serverId: server.id, status: 'registered' });
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
+    this.mountAgentRegistryRoutes(app, 'mcp');
+
+    // MCP message routing
+    app.post('/mcp/route', this.auth.require('route'), this.rateLimiter.limit(), validateRequest('POST /mcp/route'), async (req, res) => {
+      try {
+        const { message, targetServer } = req.body;
+        const result = await this.routeMCPMessage(message, targetServer, { principal: req.principal?.id });
+        res.json(result);
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
+    app.use(handleBodyErrors);
+
+  const mcpServer = app.listen(this.config.mcpPort);
+  this._servers.mcp = mcpServer;
+    console.log(`🔗 MCP bridge started on port ${this.config.mcpPort}`);
+  }
+
+  async startA2ABridge() {
+    const app = express();
+    app.use(this.jsonBodyParser());
+
+    // A2A agent registration
+    app.post('/a2a/register', this.auth.require('agents:register'), this.rateLimiter.limit(), validateRequest('POST /a2a/register'), (req, res) => {
+      try {
+        const { url, streaming, healthUrl, heartbeatInterval, capabilities, metadata } = req.body;
+        const agent = this.registerAgent('a2a', {
+          url,
+          streaming: streaming === true,
+          healthUrl,
+          heartbeatInterval,
+          capabilities,
+          metadata,
+          registeredBy: req.principal?.id
+        });
+
+        res.json({ agentId: agent.id, status: 'registered' });
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
+    this.mountAgentRegistryRoutes(app, 'a2a');
+
+    // A2A message routing
+    app.post('/a2a/route', this.auth.require('route'), this.rateLimiter.limit(), validateRequest('POST /a2a/route'), async (req, res) => {
+      try {
+        const { message, targetAgent } = req.body;
+        const result = await this.routeA2AMessage(message, targetAgent, { principal: req.principal?.id });
+        res.json(result);
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
+    app.use(handleBodyErrors);
+
+  const a2aServer = app.listen(this.config.a2aPort);
+  this._servers.a2a = a2aServer;
+    console.log(`🤖 A2A bridge started on port ${this.config.a2aPort}`);
+  }
+
+  // Listing, update, deregistration and heartbeat endpoints shared by both bridges
+  mountAgentRegistryRoutes(app, kind) {
+    const base = `/${kind}`;
+    const lookup = (req) => {
+      const entry = this.getAgentRegistry(kind).get(req.params.id);
+      if (!entry) {
+        throw new RouterError('unknown_agent', `No ${kind.toUpperCase()} registration with id '${req.params.id}'`, 404);
+      }
+      return entry;
+    };
+
+    // How a stdio server is launched is only shown to keys that may manage registrations
+    app.get(kind === 'mcp' ? '/mcp/servers' : '/a2a/agents', this.auth.require(null), (req, res) => {
+      const launchDetails = this.auth.allows(req.principal, 'agents:register');
+      const agents = Array.from(this.getAgentRegistry(kind).values(), ({ command, args, ...entry }) => (
+        launchDetails ? { ...entry, command, args } : entry
+      ));
+      res.json({ agents });
+    });
+
+    app.put(`${base}/:id`, this.auth.require('agents:register'), validateRequest(`PUT ${base}/:id`), (req, res) => {
+      try {
+        lookup(req);
+        res.json({ agent: this.updateAgent(kind, req.params.id, req.body), status: 'updated' });
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
+    app.delete(`${base}/:id`, this.auth.require('agents:register'), (req, res) => {
+      try {
+        lookup(req);
+        this.deregisterAgent(kind, req.params.id, 'deregistered');
+        res.json({ id: req.params.id, status: 'deregistered' });
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+
+    app.post(`${base}/:id/heartbeat`, this.auth.require('agents:register'), (req, res) => {
+      try {
+        const entry = lookup(req);
+        entry.lastHeartbeat = this.clock.now();
+        this.healthMonitor.recordSuccess(kind, entry);
+        res.json({ id: entry.id, status: entry.status, lastSeen: entry.lastSeen });
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    });
+  }
+
+  registerConfiguredMCPServers() {
+    for (const server of this.config.mcpServers) {
+      if (!server.command) {
+        throw new Error('Configured stdio MCP servers need a command');
+      }
+      const entry = this.registerAgent('mcp', {
+        transport: 'stdio',
+        command: server.command,
+        args: server.args || [],
+        capabilities: server.capabilities,
+        metadata: server.metadata
+      });
+      console.log(`🔗 Stdio MCP server ${entry.id}: ${server.command}`);
+    }
+  }
+
+  getAgentRegistry(kind) {
+    return kind === 'mcp' ? this.universe.agents.mcpServers : this.universe.agents.a2aAgents;
+  }
+
+  registerAgent(kind, details) {
+    const id = this.generateId();
+    const entry = {
+      id,
+      ...details,
+      capabilities: details.capabilities || [],
+      metadata: details.metadata || {},
+      registeredAt: this.clock.now(),
+      lastSeen: this.clock.now(),
+      status: 'active',
+      consecutiveFailures: 0
+    };
+
+    // Only listed once its triple is stored, so a failed registration leaves nothing behind
+    entry.registrationTripleId = this.addRegistrationTriple(kind, entry);
+    this.getAgentRegistry(kind).set(id, entry);
+
+    return entry;
+  }
+
+  // Create knowledge triple describing what this MCP server / A2A agent provides
+  addRegistrationTriple(kind, entry) {
+    return kind === 'mcp'
+      ? this.addKnowledgeTriple(
+          `mcp_server_${entry.id}`,
+          'provides_capabilities',
+          JSON.stringify(entry.capabilities),
+          { confidence: 0.9, serverType: 'mcp' },
+          { principal: entry.registeredBy }
+        )
+      : this.addKnowledgeTriple(
+          `a2a_agent_${entry.id}`,
+          'provides_capabilities',
+          JSON.stringify(entry.capabilities),
+          { confidence: 0.9, agentType: 'a2a' },
+          { principal: entry.registeredBy }
+        );
+  }
+
+  updateAgent(kind, id, changes) {
+    const entry = this.getAgentRegistry(kind).get(id);
+    if (!entry) return null;
+
+    // A stdio server's command comes from startup configuration and cannot be changed
+    const updatable = ['url', 'streaming', 'healthUrl', 'heartbeatInterval', 'capabilities', 'metadata'];
+    for (const field of updatable) {
+      if (changes[field] !== undefined) entry[field] = changes[field];
+    }
+
+    // Connection details changed: reconnect lazily on the next route
+    if (changes.url !== undefined) {
+      this.dropAgentClient(kind, id);
+    }
+
+    if (changes.capabilities !== undefined) {
+      this.removeKnowledgeTriple(entry.registrationTripleId);
+      entry.registrationTripleId = this.addRegistrationTriple(kind, entry);
+    }
+
+    entry.updatedAt = this.clock.now();
+    return entry;
+  }
+
+  deregisterAgent(kind, id, reason = 'deregistered') {
+    const registry = this.getAgentRegistry(kind);
+    const entry = registry.get(id);
+    if (!entry) return false;
+
+    registry.delete(id);
+    this.removeKnowledgeTriple(entry.registrationTripleId);
+    this.dropAgentClient(kind, id);
+
+    console.log(`🩺 ${kind.toUpperCase()} registration ${id} removed (${reason})`);
+    this.emit('agent_deregistered', { kind, id, reason });
+    return true;
+  }
+
+  dropAgentClient(kind, id) {
+    // A new connection starts with a closed circuit
+    this.circuitBreakers.reset(`${kind}_${id}`);
+    const clients = kind === 'mcp' ? this._mcpClients : this._a2aClients;
+    const client = clients.get(id);
+    if (client) {
+      try { client.close(); } catch (_) {}
+      clients.delete(id);
+    }
+  }
+
+  // At most routeConcurrency routes run at once; the rest queue up to routeQueueDepth, then get 429
+  async routeMessage(message, sourceProtocol, targetProtocol, targetAgent, options = {}) {
+    const routed = await this.routeQueue.run(() => this.dispatchMessage(message, sourceProtocol, targetProtocol, targetAgent, options));
+    this.eventStream.publish('routes', {
+      messageId: routed?.messageId,
+      protocol: routed?.routingPath?.protocol ?? null,
+      targetId: routed?.routingPath?.targetId ?? null,
+      success: routed?.result?.success === true,
+      latency: routed?.result?.latency,
+      errorCode: routed?.result?.errorCode,
+      ...(routed?.plan ? { planId: routed.plan.id, hops: routed.plan.hops.length } : {}),
+      ...(options.principal ? { routedBy: options.principal } : {})
+    }, this.universe.evolutionGeneration);
+    return routed;
+  }
+
+  async dispatchMessage(message, sourceProtocol, targetProtocol, targetAgent, options = {}) {
+    // Convert message to knowledge triple
+    const messageTriple = this.messageToTriple(message, sourceProtocol, options.principal);
+    const routedBy = options.principal ? { routedBy: options.principal } : {};
+    
+    // Without an explicit protocol, agent or plan, the decision trees pick the destination
+    const decision = !targetProtocol && !targetAgent && !options.plan ? this.decisionEngine.decide(message) : null;
+
+    // Find optimal routing path using consciousness
+    const routingPath = decision
+      ? await this.findDecisionRoute(messageTriple, decision)
+      : await this.findOptimalRoute(messageTriple, targetProtocol, targetAgent, options.plan ? { plan: options.plan } : {});
+
+    if (!routingPath) {
+      return {
+        messageId: this.generateId(),
+        routingPath: null,
+        decision,
+        result: {
+          success: false,
+          error: this.describeMissingRoute(targetProtocol, targetAgent),
+          errorCode: 'no_route',
+          executedAt: this.clock.now()
+        },
+        transformedMessage: null,
+        ...routedBy
+      };
+    }
+    
+    // Several hops: each one is transformed, executed and learned from on its own
+    if (routingPath.type === 'plan') {
+      return {
+        messageId: this.generateId(),
+        routingPath: null,
+        plan: routingPath,
+        result: await this.routingPlanner.execute(routingPath, message, sourceProtocol, options),
+        transformedMessage: null,
+        ...routedBy
+      };
+    }
+
+    let route = routingPath;
+    let { transformedMessage, result } = await this.attemptRoute(message, sourceProtocol, route, options);
+
+    // Failures that are safe to repeat elsewhere go to the next-best candidate
+    const failovers = [];
+    const tried = new Set([this.getRouteKey(route)]);
+    while (!result.success && result.failover && failovers.length < this.config.maxFailovers) {
+      const next = await this.findOptimalRoute(
+        messageTriple,
+        decision ? (decision.fallback ? undefined : decision.protocol || undefined) : targetProtocol,
+        decision ? undefined : targetAgent,
+        { capabilities: decision?.capabilities || [], exclude: tried }
+      );
+      if (!next) break;
+
+      failovers.push({ protocol: route.protocol, targetId: route.targetId, error: result.error, errorCode: result.errorCode, attempts: result.attempts });
+      tried.add(this.getRouteKey(next));
+      route = next;
+      ({ transformedMessage, result } = await this.attemptRoute(message, sourceProtocol, route, options));
+    }
+    
+    return {
+      messageId: this.generateId(),
+      routingPath: route,
+      decision,
+      result,
+      transformedMessage,
+      ...(failovers.length > 0 ? { failovers } : {}),
+      ...routedBy
+    };
+  }
+
+  async attemptRoute(message, sourceProtocol, routingPath, options) {
+    // Transform message for the protocol of the chosen target (the local knowledge base reads it as-is)
+    const transformedMessage = routingPath.protocol === 'knowledge'
+      ? message
+      : await this.transformMessage(message, sourceProtocol, routingPath.protocol);
+    
+    // Route the message
+    const result = await this.executeRoute(transformedMessage, routingPath, options);
+    
+    // Learn from routing outcome
+    this.updateRoutingIntelligence(routingPath, result);
+    if (transformedMessage !== message) {
+      this.transformationTemplates.recordOutcome(sourceProtocol, routingPath.protocol, message, transformedMessage, result.success === true, options.principal);
+    }
+
+    return { transformedMessage, result };
   }
 
-  async startMCPBridge() {
-    const app = express();
-    app.use(express.json());
+  async findDecisionRoute(messageTriple, decision) {
+    if (decision.protocol === 'knowledge') {
+      return {
+        type: 'local',
+        protocol: 'knowledge',
+        targetId: 'knowledge_base',
+        target: { id: 'knowledge_base', capabilities: [] }
+      };
+    }
 
-    // MCP server registration
-    app.post('/mcp/register', (req, res) => {
-      const { url, capabilities, metadata } = req.body;
-      const serverId = uuidv4();
-      
-      this.universe.agents.mcpServers.set(serverId, {
-        id: serverId,
-        url,
-        capabilities: capabilities || [],
-        metadata: metadata || {},
-        registeredAt: Date.now(),
-        lastSeen: Date.now(),
-        status: 'active'
-      });
+    const preferences = { capabilities: decision.capabilities };
+    const route = await this.findOptimalRoute(messageTriple, decision.protocol || undefined, undefined, preferences);
+    if (route || !decision.protocol) return route || null;
 
-      // Create knowledge triple for this MCP server
-      this.addKnowledgeTriple(
-        `mcp_server_${serverId}`,
-        'provides_capabilities',
-        JSON.stringify(capabilities),
-        { confidence: 0.9, serverType: 'mcp' }
-      );
+    // Nothing registered for the tree's protocol: fall back to plain capability routing
+    decision.fallback = true;
+    return this.findOptimalRoute(messageTriple, undefined, undefined, preferences);
+  }
 
-      res.json({ serverId, status: 'registered' });
-    });
+  // Entry point for protocol-native MCP messages arriving on the MCP bridge
+  async routeMCPMessage(message, targetServer, options = {}) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      throw new RouterError('invalid_message', 'MCP message must be a JSON object', 400);
+    }
 
-    // MCP message routing
-    app.post('/mcp/route', async (req, res) => {
-      const { message, targetServer } = req.body;
-      const result = await this.routeMCPMessage(message, targetServer);
-      res.json(result);
-    });
+    // A tools/call names the capability it needs when no server is given
+    const capability = message.method === 'tools/call' ? message.params?.name : message.tool;
+    const server = this.resolveRouteTarget('mcp', targetServer, message, capability);
+    const routed = await this.routeMessage(message, 'mcp', 'mcp', server.id, options);
+    this.assertRouteSucceeded(routed);
 
-  const mcpServer = app.listen(this.config.mcpPort);
-  this._servers.mcp = mcpServer;
-    console.log(`🔗 MCP bridge started on port ${this.config.mcpPort}`);
+    return {
+      ...routed,
+      response: {
+        jsonrpc: '2.0',
+        id: message.id ?? null,
+        result: routed.result.result.mcpResponse
+      }
+    };
   }
 
-  async startA2ABridge() {
-    const app = express();
-    app.use(express.json());
+  // Entry point for protocol-native A2A messages arriving on the A2A bridge
+  async routeA2AMessage(message, targetAgent, options = {}) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      throw new RouterError('invalid_message', 'A2A message must be a JSON object', 400);
+    }
 
-    // A2A agent registration
-    app.post('/a2a/register', (req, res) => {
-      const { url, capabilities, metadata } = req.body;
-      const agentId = uuidv4();
-      
-      this.universe.agents.a2aAgents.set(agentId, {
-        id: agentId,
-        url,
-        capabilities: capabilities || [],
-        metadata: metadata || {},
-        registeredAt: Date.now(),
-        lastSeen: Date.now(),
-        status: 'active'
-      });
+    const agent = this.resolveRouteTarget('a2a', targetAgent, message, message.capability);
+    const routed = await this.routeMessage(message, 'a2a', 'a2a', agent.id, options);
+    this.assertRouteSucceeded(routed);
 
-      // Create knowledge triple for this A2A agent
-      this.addKnowledgeTriple(
-        `a2a_agent_${agentId}`,
-        'provides_capabilities',
-        JSON.stringify(capabilities),
-        { confidence: 0.9, agentType: 'a2a' }
-      );
+    return {
+      ...routed,
+      response: routed.result.result.a2aResponse
+    };
+  }
 
-      res.json({ agentId, status: 'registered' });
-    });
+  // Resolves a target given as an id, a capability name or { id } / { capability }
+  resolveRouteTarget(protocol, target, message, impliedCapability) {
+    const registry = protocol === 'mcp' ? this.universe.agents.mcpServers : this.universe.agents.a2aAgents;
+    const label = protocol === 'mcp' ? 'MCP server' : 'A2A agent';
 
-    // A2A message routing
-    app.post('/a2a/route', async (req, res) => {
-      const { message, targetAgent } = req.body;
-      const result = await this.routeA2AMessage(message, targetAgent);
-      res.json(result);
-    });
+    const targetId = typeof target === 'string' ? target : target?.id;
+    if (targetId && registry.has(targetId)) {
+      const entry = registry.get(targetId);
+      if (entry.status === 'unreachable') {
+        throw new RouterError('target_unavailable', `${label} '${targetId}' is unreachable`, 503, { protocol, target, lastHealthError: entry.lastHealthError });
+      }
+      return entry;
+    }
 
-  const a2aServer = app.listen(this.config.a2aPort);
-  this._servers.a2a = a2aServer;
-    console.log(`🤖 A2A bridge started on port ${this.config.a2aPort}`);
+    const capability = typeof target === 'string' ? target : (target?.capability || (!target ? impliedCapability : null));
+    if (target && !capability) {
+      throw new RouterError('unknown_target', `No ${label} registered with id '${targetId}'`, 404, { protocol, target });
+    }
+
+    let candidates = Array.from(registry.values()).filter(entry => entry.status !== 'unreachable');
+    if (capability) {
+      const wanted = String(capability).toLowerCase();
+      candidates = candidates.filter(entry => (entry.capabilities || []).some(c => this.capabilityName(c) === wanted));
+    }
+
+    if (candidates.length === 0) {
+      if (target) {
+        throw new RouterError('unknown_target', `No ${label} registered with id or capability '${capability}'`, 404, { protocol, target });
+      }
+      throw new RouterError('no_capable_agent', `No ${label} can handle this message`, 503, { protocol, capability: capability || null });
+    }
+
+    // Several capable targets: let the learned routing score pick
+    const probe = { content: JSON.stringify(message) };
+    return candidates
+      .map(entry => ({
+        entry,
+        score: this.calculateRouteScore({ protocol, targetId: entry.id, target: entry }, probe)
+      }))
+      .sort((a, b) => b.score - a.score)[0].entry;
   }
 
-  async routeMessage(message, sourceProtocol, targetProtocol, targetAgent) {
-    // Convert message to knowledge triple
-    const messageTriple = this.messageToTriple(message, sourceProtocol);
-    
-    // Find optimal routing path using consciousness
-    const routingPath = await this.findOptimalRoute(messageTriple, targetProtocol, targetAgent);
-    
-    // Transform message for target protocol
-    const transformedMessage = await this.transformMessage(message, sourceProtocol, targetProtocol);
-    
-    // Route the message
-    const result = await this.executeRoute(transformedMessage, routingPath);
-    
-    // Learn from routing outcome
-    this.updateRoutingIntelligence(routingPath, result);
-    
-    return {
-      messageId: uuidv4(),
-      routingPath,
-      result,
-      transformedMessage
-    };
+  describeMissingRoute(targetProtocol, targetAgent) {
+    if (targetAgent) {
+      return `No reachable agent registered with id '${targetAgent}'${targetProtocol ? ` for protocol ${targetProtocol}` : ''}`;
+    }
+    if (targetProtocol) {
+      return `No reachable ${targetProtocol} targets registered`;
+    }
+    return 'No registered agent has capabilities matching this message';
+  }
+
+  assertRouteSucceeded(routed) {
+    if (routed.result.success) return;
+
+    if (routed.result.errorCode === 'no_route') {
+      throw new RouterError('no_capable_agent', routed.result.error, 503);
+    }
+
+    throw new RouterError('upstream_failure', routed.result.error, 502, {
+      messageId: routed.messageId,
+      targetId: routed.routingPath?.targetId,
+      upstreamCode: routed.result.errorCode
+    });
   }
 
-  messageToTriple(message, protocol) {
+  messageToTriple(message, protocol, principal) {
     const tripleId = this.addKnowledgeTriple(
-      `message_${uuidv4()}`,
+      `message_${this.generateId()}`,
       'sent_via',
       protocol,
       {
         content: JSON.stringify(message),
         protocol,
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
         confidence: 0.7
-      }
+      },
+      { principal }
     );
     
     return this.universe.tripleStore.triples.get(tripleId);
   }
 
-  async findOptimalRoute(messageTriple, targetProtocol, targetAgent) {
+  async findOptimalRoute(messageTriple, targetProtocol, targetAgent, preferences = {}) {
+    // A plan spec asks for several routes, chained or fanned out (see RoutingPlans.js)
+    if (preferences.plan) {
+      const { plan, ...rest } = preferences;
+      return this.routingPlanner.plan(messageTriple, plan, { targetProtocol, targetAgent, preferences: rest });
+    }
+
+    const scoredRoutes = this.scoreRoutes(messageTriple, targetProtocol, targetAgent, preferences);
+    
+    // Return highest scoring route
+    this.routingLearner.recordDecision(scoredRoutes, scoredRoutes[0]);
+    return scoredRoutes[0];
+  }
+
+  // Every candidate route, best first
+  scoreRoutes(messageTriple, targetProtocol, targetAgent, preferences = {}) {
     // Use consciousness-based routing algorithm
-    const routingOptions = this.generateRoutingOptions(messageTriple, targetProtocol, targetAgent);
+    const routingOptions = this.generateRoutingOptions(messageTriple, targetProtocol, targetAgent, preferences);
     
     // Score routes based on:
-    // 1. Historical success rate
+    // 1. Learned (decayed) success rate
     // 2. Agent capabilities match
-    // 3. Protocol compatibility
-    // 4. Consciousness alignment (golden ratio preference)
-    
-    const scoredRoutes = routingOptions.map(route => ({
-      ...route,
-      score: this.calculateRouteScore(route, messageTriple)
-    }));
+    // 3. Measured latency (protocol efficiency until measured)
+    // 4. Exploration bonus for rarely tried routes
     
-    // Return highest scoring route
-    return scoredRoutes.sort((a, b) => b.score - a.score)[0];
+    return routingOptions.map(route => {
+      const { score, breakdown } = this.explainRouteScore(route, messageTriple);
+      const preferenceBonus = this.calculatePreferenceBonus(route, preferences);
+      return {
+        ...route,
+        routeKey: this.getRouteKey(route),
+        score: score + preferenceBonus,
+        scoreBreakdown: preferenceBonus ? { ...breakdown, preference: preferenceBonus } : breakdown
+      };
+    }).sort((a, b) => b.score - a.score);
+  }
+
+  getRouteKey(route) {
+    return `${route.protocol}_${route.targetId}`;
   }
 
-  generateRoutingOptions(messageTriple, targetProtocol, targetAgent) {
+  generateRoutingOptions(messageTriple, targetProtocol, targetAgent, preferences = {}) {
     const options = [];
+    const registries = [
+      ['mcp', this.universe.agents.mcpServers],
+      ['a2a', this.universe.agents.a2aAgents]
+    ];
     
-    if (targetProtocol === 'mcp') {
-      for (const [serverId, server] of this.universe.agents.mcpServers) {
-        options.push({
-          type: 'direct',
-          protocol: 'mcp',
-          targetId: serverId,
-          target: server
-        });
-      }
-    }
-    
-    if (targetProtocol === 'a2a') {
-      for (const [agentId, agent] of this.universe.agents.a2aAgents) {
+    for (const [protocol, registry] of registries) {
+      if (targetProtocol && targetProtocol !== protocol) continue;
+
+      for (const [targetId, target] of registry) {
+        if (targetAgent && targetId !== targetAgent) continue;
+        if (target.status === 'unreachable') continue;
+        if (preferences.exclude?.has(this.getRouteKey({ protocol, targetId }))) continue;
+
+        // With neither protocol nor agent given, only declared capability matches qualify
+        if (!targetProtocol && !targetAgent &&
+            !this.hasCapabilityMatch(messageTriple, target) &&
+            !this.hasPreferredCapability(target, preferences.capabilities)) continue;
+
         options.push({
           type: 'direct',
-          protocol: 'a2a',
-          targetId: agentId,
-          target: agent
+          protocol,
+          targetId,
+          target
         });
       }
     }
@@ -683,27 +1994,38 @@ class AutonomousUniverseRouter extends EventEmitter {
   }
 
   calculateRouteScore(route, messageTriple) {
-    let score = 0.5; // Base score
-    
-    // Historical success rate
-    const routeKey = `${route.protocol}_${route.targetId}`;
-    const routingData = this.universe.routingMatrix.get(routeKey);
-    if (routingData) {
-      score += routingData.successRate * 0.4;
+    return this.explainRouteScore(route, messageTriple).score;
+  }
+
+  explainRouteScore(route, messageTriple) {
+    const learned = this.routingLearner.describe(this.getRouteKey(route));
+
+    const breakdown = {
+      // Historical success rate, decayed so stale outcomes fade
+      successRate: learned.successRate * 0.4,
+      // Capability matching
+      capabilityMatch: this.calculateCapabilityMatch(messageTriple, route.target) * 0.3,
+      // Measured latency; the static protocol table is only a prior until samples exist
+      latency: (learned.latencyScore ?? this.getProtocolEfficiency(route.protocol)) * 0.1,
+      // Bandit-style bonus so new agents get traffic
+      exploration: learned.explorationBonus * 0.2
+    };
+
+    // An open circuit takes the whole score away, a half-open one half of it
+    const circuit = this.circuitBreakers.state(this.getRouteKey(route));
+    if (circuit !== 'closed') {
+      const subtotal = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+      breakdown.circuit = -subtotal * (circuit === 'open' ? 1 : 0.5);
     }
-    
-    // Capability matching
-    const capabilityMatch = this.calculateCapabilityMatch(messageTriple, route.target);
-    score += capabilityMatch * 0.3;
-    
-    // Golden ratio preference (consciousness alignment)
-    const phiAlignment = Math.abs(score - this.PHI / 3); // Normalize PHI to 0-1 range
-    score += (1 - phiAlignment) * 0.2;
-    
-    // Protocol efficiency
-    score += this.getProtocolEfficiency(route.protocol) * 0.1;
-    
-    return Math.max(0, Math.min(1, score));
+
+    // A target that has missed heartbeats or health checks keeps half of what is left
+    if (route.target?.status === 'degraded') {
+      const subtotal = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+      breakdown.health = -subtotal * 0.5;
+    }
+
+    const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+    return { score: Math.max(0, Math.min(1, score)), breakdown };
   }
 
   calculateCapabilityMatch(messageTriple, target) {
@@ -715,7 +2037,7 @@ class AutonomousUniverseRouter extends EventEmitter {
     
     let matchScore = 0;
     for (const capability of capabilities) {
-      if (messageContent.toLowerCase().includes(capability.toLowerCase())) {
+      if (messageContent.toLowerCase().includes(this.capabilityName(capability))) {
         matchScore += 1;
       }
     }
@@ -723,6 +2045,29 @@ class AutonomousUniverseRouter extends EventEmitter {
     return Math.min(1, matchScore / capabilities.length);
   }
 
+  hasCapabilityMatch(messageTriple, target) {
+    const messageContent = (messageTriple.content || '').toLowerCase();
+    return (target.capabilities || []).some(capability => {
+      const name = this.capabilityName(capability);
+      return name !== '' && messageContent.includes(name);
+    });
+  }
+
+  hasPreferredCapability(target, preferred = []) {
+    if (preferred.length === 0) return false;
+    return (target.capabilities || []).some(capability => preferred.includes(this.capabilityName(capability)));
+  }
+
+  // Decision-tree preferences lift matching targets above otherwise equal routes
+  calculatePreferenceBonus(route, preferences = {}) {
+    return this.hasPreferredCapability(route.target, preferences.capabilities) ? 0.2 : 0;
+  }
+
+  // Capabilities may be plain strings or descriptors such as { name: 'search' }
+  capabilityName(capability) {
+    return String(capability?.name ?? capability ?? '').toLowerCase();
+  }
+
   getProtocolEfficiency(protocol) {
     const efficiencies = {
       'mcp': 0.8,  // High efficiency for structured protocols
@@ -739,90 +2084,33 @@ class AutonomousUniverseRouter extends EventEmitter {
       return message; // No transformation needed
     }
 
-    // Protocol transformation matrix
-    const transformations = {
-      'mcp_to_a2a': this.transformMCPToA2A.bind(this),
-      'a2a_to_mcp': this.transformA2AToMCP.bind(this),
-      'http_to_mcp': this.transformHTTPToMCP.bind(this),
-      'http_to_a2a': this.transformHTTPToA2A.bind(this)
-    };
-
-    const transformKey = `${sourceProtocol}_to_${targetProtocol}`;
-    const transformer = transformations[transformKey];
-    
-    if (transformer) {
-      return await transformer(message);
-    } else {
-      // Generic transformation through knowledge triples
-      return await this.genericProtocolTransform(message, sourceProtocol, targetProtocol);
-    }
-  }
-
-  async transformMCPToA2A(mcpMessage) {
-    return {
-      type: 'a2a_message',
-      content: mcpMessage.content || mcpMessage.text || mcpMessage.message,
-      metadata: {
-        originalProtocol: 'mcp',
-        transformedAt: Date.now(),
-        mcpMethod: mcpMessage.method,
-        mcpParams: mcpMessage.params
-      }
-    };
-  }
-
-  async transformA2AToMCP(a2aMessage) {
-    return {
-      method: 'process_message',
-      params: {
-        message: a2aMessage.content || a2aMessage.message,
-        metadata: {
-          originalProtocol: 'a2a',
-          transformedAt: Date.now(),
-          a2aType: a2aMessage.type
-        }
+    // Registered transformers, chained through other protocols when there is no direct one
+    if (this.transformers.findChain(sourceProtocol, targetProtocol)) {
+      // ...unless a learned template has proven itself on this pair and builds a valid message from this one
+      for (const template of this.transformationTemplates.proven(sourceProtocol, targetProtocol)) {
+        const transformed = this.applyTransformationTemplate(message, template);
+        if (transformed !== null && this.transformers.accepts(targetProtocol, transformed)) return transformed;
       }
-    };
-  }
+      return await this.transformers.transform(message, sourceProtocol, targetProtocol);
+    }
 
-  async transformHTTPToMCP(httpMessage) {
-    return {
-      method: 'http_request',
-      params: {
-        body: httpMessage.body,
-        headers: httpMessage.headers,
-        method: httpMessage.method,
-        url: httpMessage.url
-      }
-    };
+    // Generic transformation through knowledge triples
+    return await this.genericProtocolTransform(message, sourceProtocol, targetProtocol);
   }
 
-  async transformHTTPToA2A(httpMessage) {
-    return {
-      type: 'http_bridge',
-      content: JSON.stringify(httpMessage),
-      metadata: {
-        originalProtocol: 'http',
-        transformedAt: Date.now()
-      }
-    };
+  // Adds a protocol (when `protocol` is given) and/or a transformer between two registered ones
+  registerTransformer({ protocol, from, to, transform, description }) {
+    if (protocol) this.transformers.registerProtocol(protocol.name, protocol);
+    if (transform) this.transformers.register({ from, to, transform, description });
+    return this.transformers.describe();
   }
 
   async genericProtocolTransform(message, sourceProtocol, targetProtocol) {
-    // Use knowledge triples to understand message semantics
-    const messageTriple = this.messageToTriple(message, sourceProtocol);
-    
-    // Find similar messages that were successfully transformed
-    const similarTransformations = this.findSimilarTransformations(
-      messageTriple, 
-      sourceProtocol, 
-      targetProtocol
-    );
-    
-    if (similarTransformations.length > 0) {
-      // Use most successful transformation as template
-      const bestTransform = similarTransformations[0];
-      return this.applyTransformationTemplate(message, bestTransform);
+    // Templates learned from earlier successful routes (or written over HTTP), best first
+    const templates = this.findSimilarTransformations(sourceProtocol, targetProtocol);
+    for (const template of templates) {
+      const transformed = this.applyTransformationTemplate(message, template);
+      if (transformed !== null) return transformed;
     }
     
     // Fallback: Generic wrapper
@@ -831,106 +2119,301 @@ class AutonomousUniverseRouter extends EventEmitter {
       sourceProtocol,
       targetProtocol,
       originalMessage: message,
-      transformedAt: Date.now()
+      transformedAt: this.clock.now()
     };
   }
 
-  findSimilarTransformations(messageTriple, sourceProtocol, targetProtocol) {
-    // Query knowledge base for similar successful transformations
-    const transformTriples = this.queryKnowledgeTriples(
-      'transformation',
-      'converts_from_to',
-      `${sourceProtocol}_${targetProtocol}`
-    );
-    
-    return transformTriples
-      .filter(t => t.metadata?.success === true)
-      .sort((a, b) => (b.metadata?.successRate || 0) - (a.metadata?.successRate || 0));
+  findSimilarTransformations(sourceProtocol, targetProtocol) {
+    return this.transformationTemplates.candidates(sourceProtocol, targetProtocol);
   }
 
+  // Output of a template's field mapping, or null when the mapping does not fit the message
   applyTransformationTemplate(message, template) {
-    // Apply learned transformation template
     try {
-      const templateData = JSON.parse(template.object);
-      return {
-        ...templateData,
-        content: message.content || message.message || JSON.stringify(message),
-        appliedTemplate: template.id,
-        transformedAt: Date.now()
-      };
+      const transformed = this.transformationTemplates.apply(message, template, {
+        clock: this.clock,
+        generateId: () => this.generateId()
+      });
+      return transformed === undefined ? null : transformed;
     } catch (error) {
       console.warn('Failed to apply transformation template:', error.message);
-      return message;
+      return null;
     }
   }
 
-  async executeRoute(message, routingPath) {
-    try {
-      let result;
-      
-      switch (routingPath.protocol) {
-        case 'mcp':
-          result = await this.executeMCPRoute(message, routingPath);
-          break;
-        case 'a2a':
-          result = await this.executeA2ARoute(message, routingPath);
-          break;
-        default:
-          throw new Error(`Unsupported routing protocol: ${routingPath.protocol}`);
+  /**
+   * Runs one route with the protocol's timeout, retrying idempotent calls
+   * after transient failures and consulting the target's circuit breaker
+   * (see RouteResilience.js). Failed results say whether failing over to
+   * another target is safe.
+   */
+  async executeRoute(message, routingPath, options = {}) {
+    const startedAt = this.clock.now();
+    const routeKey = this.getRouteKey(routingPath);
+    const timeout = this.config.routeTimeouts[routingPath.protocol] || this.config.mcpRequestTimeout;
+    const idempotent = options.idempotent ?? this.isIdempotentRoute(message, routingPath);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        if (!this.circuitBreakers.allow(routeKey)) {
+          throw Object.assign(new Error(`Circuit for ${routeKey} is open`), { code: 'circuit_open' });
+        }
+
+        const result = await withTimeout(
+          signal => this.executeProtocolRoute(message, routingPath, { ...options, signal }),
+          timeout,
+          () => Object.assign(new Error(`Route to ${routeKey} timed out after ${timeout}ms`), { code: 'route_timeout' }),
+          { clock: this.clock, signal: options.signal }
+        );
+        this.circuitBreakers.recordSuccess(routeKey);
+
+        return {
+          success: true,
+          result,
+          routingPath,
+          attempts: attempt,
+          latency: this.clock.now() - startedAt,
+          executedAt: this.clock.now()
+        };
+        
+      } catch (error) {
+        const failure = classifyFailure(error);
+        // The target answered, so its circuit stays healthy; a skipped or abandoned call says nothing new
+        const abandoned = options.signal?.aborted === true;
+        if (!abandoned && error.code !== 'circuit_open') {
+          if (failure === 'application') this.circuitBreakers.recordSuccess(routeKey);
+          else this.circuitBreakers.recordFailure(routeKey);
+        }
+
+        const repeatable = failure === 'undelivered' || (failure === 'transient' && idempotent);
+        if (repeatable && idempotent && !abandoned && error.code !== 'circuit_open' && attempt <= this.config.routeRetries) {
+          await this.clock.sleep(retryDelay(attempt, {
+            baseDelay: this.config.retryBaseDelay,
+            maxDelay: this.config.retryMaxDelay,
+            random: this.random
+          }));
+          continue;
+        }
+
+        this.emit('route_failed', { routeKey, error: error.message, errorCode: error.code, failure, attempts: attempt });
+        return {
+          success: false,
+          error: error.message,
+          errorCode: error.code,
+          failure,
+          failover: repeatable,
+          routingPath,
+          attempts: attempt,
+          latency: this.clock.now() - startedAt,
+          executedAt: this.clock.now()
+        };
       }
-      
-      return {
-        success: true,
-        result,
-        routingPath,
-        executedAt: Date.now()
-      };
-      
-    } catch (error) {
-      console.error('Route execution failed:', error.message);
-      return {
-        success: false,
-        error: error.message,
-        routingPath,
-        executedAt: Date.now()
-      };
     }
   }
 
-  async executeMCPRoute(message, routingPath) {
+  async executeProtocolRoute(message, routingPath, options) {
+    switch (routingPath.protocol) {
+      case 'mcp':
+        return this.executeMCPRoute(message, routingPath, options);
+      case 'a2a':
+        return this.executeA2ARoute(message, routingPath, options);
+      case 'knowledge':
+        return this.executeKnowledgeRoute(message);
+      default:
+        throw new Error(`Unsupported routing protocol: ${routingPath.protocol}`);
+    }
+  }
+
+  // Reads are safe to repeat; sending an A2A message or calling a tool may not be
+  isIdempotentRoute(message, routingPath) {
+    switch (routingPath.protocol) {
+      case 'knowledge':
+        return true;
+      case 'mcp':
+        return IDEMPOTENT_MCP_METHODS.has(message?.method);
+      default:
+        return false;
+    }
+  }
+
+  async executeMCPRoute(message, routingPath, options = {}) {
     const server = routingPath.target;
+    const { method, params } = this.toMCPRequest(message);
     
-    // Simulate MCP call (in real implementation, use actual MCP client)
-    console.log(`🔗 Routing MCP message to ${server.url}:`, message);
+    console.log(`🔗 Routing MCP ${method} to ${server.url || server.command}`);
+    
+    const client = this.getMCPClient(server);
+    const response = await client.request(method, params, { signal: options.signal });
     
     // Update server last seen
-    server.lastSeen = Date.now();
+    server.lastSeen = this.clock.now();
+
+    // Tool failures come back as successful JSON-RPC results flagged with isError
+    if (method === 'tools/call' && response?.isError) {
+      const text = (response.content || []).filter(c => c.type === 'text').map(c => c.text).join(' ');
+      throw new Error(`MCP tool ${params.name} failed${text ? `: ${text}` : ''}`);
+    }
     
     return {
-      mcpResponse: 'Message processed by MCP server',
+      mcpResponse: response,
+      method,
       serverId: server.id,
-      processedAt: Date.now()
+      processedAt: this.clock.now()
+    };
+  }
+
+  // Answers a message from the router's own triple store
+  async executeKnowledgeRoute(message) {
+    const query = message && typeof message === 'object' ? message : {};
+    const limit = query.limit || 10;
+
+    if (query.subject || query.predicate || query.object) {
+      return {
+        knowledgeResponse: this.queryKnowledgeTriples(query.subject, query.predicate, query.object, limit),
+        processedAt: this.clock.now()
+      };
+    }
+
+    // Free text: look up every term that names a known subject or object
+    const { subjects, objects, triples } = this.universe.tripleStore;
+    const terms = messageText(message).toLowerCase().match(/[a-z0-9_-]+/g) || [];
+    const matchedTerms = [...new Set(terms)].filter(term => subjects.has(term) || objects.has(term));
+    const tripleIds = new Set();
+    for (const term of matchedTerms) {
+      for (const id of subjects.get(term) || []) tripleIds.add(id);
+      for (const id of objects.get(term) || []) tripleIds.add(id);
+    }
+
+    const results = Array.from(tripleIds, id => triples.get(id))
+      .filter(Boolean)
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, limit);
+    for (const triple of results) {
+      triple.lastAccessed = this.clock.now();
+      triple.accessCount++;
+    }
+
+    return {
+      knowledgeResponse: results,
+      matchedTerms,
+      processedAt: this.clock.now()
+    };
+  }
+
+  toMCPRequest(message) {
+    if (MCP_METHODS.has(message?.method)) {
+      return { method: message.method, params: message.params || {} };
+    }
+
+    // process_message, http_request and other router-level methods become tool calls
+    const name = message?.params?.name || message?.tool || message?.name || message?.method;
+    if (!name) {
+      throw new Error('MCP message does not name a method or tool');
+    }
+
+    return {
+      method: 'tools/call',
+      params: {
+        name,
+        arguments: message.params?.arguments || message.arguments || message.params || { content: message.content }
+      }
     };
   }
 
-  async executeA2ARoute(message, routingPath) {
+  getMCPClient(server) {
+    let client = this._mcpClients.get(server.id);
+    if (!client) {
+      client = new MCPClient({
+        url: server.url,
+        transport: server.transport,
+        command: server.command,
+        args: server.args,
+        timeout: this.config.mcpRequestTimeout
+      });
+      this._mcpClients.set(server.id, client);
+    }
+    return client;
+  }
+
+  async executeA2ARoute(message, routingPath, options = {}) {
     const agent = routingPath.target;
     
-    // Simulate A2A call (in real implementation, use actual A2A client)
-    console.log(`🤖 Routing A2A message to ${agent.url}:`, message);
+    console.log(`🤖 Routing A2A message to ${agent.url}`);
+    
+    const client = this.getA2AClient(agent);
+    const task = await client.runTask(this.toA2AMessage(message), {
+      stream: agent.streaming === true,
+      signal: options.signal,
+      onUpdate: (update) => {
+        const event = { agentId: agent.id, ...update };
+        this.emit('a2a_task_update', event);
+        if (options.onUpdate) options.onUpdate(event);
+      }
+    });
     
     // Update agent last seen
-    agent.lastSeen = Date.now();
+    agent.lastSeen = this.clock.now();
+
+    if (FAILED_STATES.has(task.state)) {
+      const reason = (task.status?.message?.parts || []).map(p => p.text).filter(Boolean).join(' ');
+      const error = new Error(`A2A task ${task.id} ${task.state}${reason ? `: ${reason}` : ''}`);
+      error.code = task.state;
+      throw error;
+    }
     
     return {
-      a2aResponse: 'Message processed by A2A agent',
+      a2aResponse: task,
+      taskId: task.id,
+      contextId: task.contextId,
+      state: task.state,
+      artifacts: task.artifacts,
       agentId: agent.id,
-      processedAt: Date.now()
+      processedAt: this.clock.now()
+    };
+  }
+
+  toA2AMessage(message) {
+    const base = {
+      kind: 'message',
+      role: 'user',
+      messageId: this.generateId()
+    };
+
+    // Already an A2A message (e.g. a reply to an input-required task)
+    if (Array.isArray(message?.parts)) {
+      return { ...base, ...message };
+    }
+
+    const content = message?.content ?? message?.message ?? message?.text ?? message;
+    return {
+      ...base,
+      parts: [typeof content === 'string'
+        ? { kind: 'text', text: content }
+        : { kind: 'data', data: content }],
+      ...(message?.taskId ? { taskId: message.taskId } : {}),
+      ...(message?.contextId ? { contextId: message.contextId } : {}),
+      ...(message?.metadata ? { metadata: message.metadata } : {})
     };
   }
 
+  getA2AClient(agent) {
+    let client = this._a2aClients.get(agent.id);
+    if (!client) {
+      client = new A2AClient({
+        url: agent.url,
+        timeout: this.config.a2aRequestTimeout,
+        taskTimeout: this.config.a2aTaskTimeout,
+        pollInterval: this.config.a2aPollInterval,
+        clock: this.clock
+      });
+      this._a2aClients.set(agent.id, client);
+    }
+    return client;
+  }
+
   updateRoutingIntelligence(routingPath, result) {
-    const routeKey = `${routingPath.protocol}_${routingPath.targetId}`;
+    const routeKey = this.getRouteKey(routingPath);
+    this.routingLearner.record(routeKey, { success: result.success, latency: result.latency });
     
     if (!this.universe.routingMatrix.has(routeKey)) {
       this.universe.routingMatrix.set(routeKey, {
@@ -948,20 +2431,33 @@ class AutonomousUniverseRouter extends EventEmitter {
     if (result.success) {
       routeData.successes++;
     }
+
+    // Running mean of measured latency; the 1000ms seed is replaced by the first sample
+    if (Number.isFinite(result.latency)) {
+      routeData.avgResponseTime = routeData.attempts === 1
+        ? result.latency
+        : routeData.avgResponseTime + (result.latency - routeData.avgResponseTime) / routeData.attempts;
+    }
     
     routeData.successRate = routeData.successes / routeData.attempts;
-    routeData.lastUsed = Date.now();
+    routeData.lastUsed = this.clock.now();
     
-    // Create knowledge triple for this routing experience
-    this.addKnowledgeTriple(
+    // Keep one knowledge triple per route: the current success rate replaces the previous one
+    const tripleId = this.addKnowledgeTriple(
       `routing_${routeKey}`,
       'has_success_rate',
       routeData.successRate.toString(),
       {
         confidence: Math.min(1, routeData.attempts / 10), // More confidence with more attempts
-        routingMetadata: routeData
-      }
+        routingMetadata: { ...routeData }
+      },
+      { confidence: 'replace', source: 'routing' }
     );
+    if (routeData.tripleId && routeData.tripleId !== tripleId) {
+      this.removeKnowledgeTriple(routeData.tripleId);
+    }
+    routeData.tripleId = tripleId;
+    this.timeline.recordRoute(routeKey, result, routeData);
   }
 
   queryKnowledgeTriples(subject, predicate, object, limit = 100) {
@@ -974,7 +2470,7 @@ class AutonomousUniverseRouter extends EventEmitter {
             triple.predicate === predicate && 
             triple.object === object) {
           results.push(triple);
-          triple.lastAccessed = Date.now();
+          triple.lastAccessed = this.clock.now();
           triple.accessCount++;
         }
       }
@@ -1023,7 +2519,7 @@ class AutonomousUniverseRouter extends EventEmitter {
       const triple = this.universe.tripleStore.triples.get(tripleId);
       if (triple) {
         results.push(triple);
-        triple.lastAccessed = Date.now();
+        triple.lastAccessed = this.clock.now();
         triple.accessCount++;
       }
     }
@@ -1034,6 +2530,34 @@ class AutonomousUniverseRouter extends EventEmitter {
       .slice(0, limit);
   }
 
+  // Runs a pattern query (see TripleQuery.js) and marks the matched triples as accessed
+  executeTripleQuery(query) {
+    let execution;
+    try {
+      execution = this.tripleQueryEngine.execute(query, { maxSolutions: this.config.maxQuerySolutions });
+    } catch (error) {
+      if (error instanceof TripleQueryError) {
+        throw new RouterError('invalid_query', error.message, 400, error.position === undefined ? undefined : { position: error.position });
+      }
+      throw error;
+    }
+
+    const now = this.clock.now();
+    const touched = new Set(execution.triples.flat());
+    for (const triple of touched) {
+      triple.lastAccessed = now;
+      triple.accessCount++;
+    }
+
+    return {
+      variables: execution.variables,
+      data: execution.results,
+      count: execution.results.length,
+      total: execution.total,
+      plan: execution.plan
+    };
+  }
+
   startConsciousnessReflection() {
     console.log('🧠 Starting consciousness reflection cycles...');
     
@@ -1086,7 +2610,7 @@ class AutonomousUniverseRouter extends EventEmitter {
   calculateKnowledgeGrowthRate() {
     const currentTriples = this.universe.tripleStore.triples.size;
     const recentTriples = Array.from(this.universe.tripleStore.triples.values())
-      .filter(t => (Date.now() - t.createdAt) < 60000).length; // Last minute
+      .filter(t => (this.clock.now() - t.createdAt) < 60000).length; // Last minute
     
     return Math.min(1, recentTriples / 100); // Normalize to 0-1
   }
@@ -1144,10 +2668,19 @@ class AutonomousUniverseRouter extends EventEmitter {
     };
   }
 
-  async handleWebSocketMessage(message) {
+  // context: { principal, client (rate-limit identity), session (the connection's subscriptions) }
+  async handleWebSocketMessage(input, context = {}) {
+    const { principal, client = principal?.id, session } = context;
     try {
+      const message = validateWebSocketMessage(input);
+      this.auth.authorize(principal, WEBSOCKET_SCOPES[message.type]);
+      if (RATE_LIMITED_MESSAGES.has(message.type)) this.rateLimiter.consume(client || 'websocket');
+
       switch (message.type) {
         case 'query_triples':
+          if (message.query !== undefined) {
+            return { type: 'query_response', ...this.executeTripleQuery(message.query) };
+          }
           return {
             type: 'query_response',
             data: this.queryKnowledgeTriples(
@@ -1163,7 +2696,8 @@ class AutonomousUniverseRouter extends EventEmitter {
             message.subject,
             message.predicate,
             message.object,
-            message.metadata
+            message.metadata,
+            { principal: principal?.id, fromRequest: true }
           );
           return {
             type: 'triple_added',
@@ -1173,9 +2707,10 @@ class AutonomousUniverseRouter extends EventEmitter {
         case 'route_message':
           const result = await this.routeMessage(
             message.message,
-            message.sourceProtocol,
+            message.sourceProtocol || 'ws',
             message.targetProtocol,
-            message.targetAgent
+            message.targetAgent,
+            { principal: principal?.id, plan: message.plan, idempotent: message.idempotent }
           );
           return {
             type: 'message_routed',
@@ -1188,6 +2723,36 @@ class AutonomousUniverseRouter extends EventEmitter {
             data: this.universe.consciousness
           };
           
+        case 'subscribe': {
+          if (!session) {
+            throw new RouterError('invalid_request', 'Subscriptions need a WebSocket connection', 400);
+          }
+          const subscribed = this.eventStream.subscribe({
+            topic: message.topic,
+            filter: message.filter,
+            since: message.since,
+            deliver: session.deliver
+          });
+          session.subscriptions.add(subscribed.subscription.id);
+          session.pending.push(subscribed.replay);
+          return {
+            type: 'subscribed',
+            subscription: subscribed.subscription.id,
+            topic: message.topic,
+            filter: message.filter,
+            streamSeq: subscribed.streamSeq,
+            replayed: subscribed.replayed,
+            complete: subscribed.complete
+          };
+        }
+
+        case 'unsubscribe':
+          if (!session?.subscriptions.delete(message.subscription)) {
+            throw new RouterError('unknown_subscription', `No subscription ${message.subscription} on this connection`, 404);
+          }
+          this.eventStream.unsubscribe(message.subscription);
+          return { type: 'unsubscribed', subscription: message.subscription };
+
         case 'get_universe_status':
           return {
             type: 'universe_status',
@@ -1209,7 +2774,9 @@ class AutonomousUniverseRouter extends EventEmitter {
     } catch (error) {
       return {
         type: 'error',
-        error: error.message
+        error: error.message,
+        ...(error.code ? { code: error.code } : {}),
+        ...(error.details !== undefined ? { details: error.details } : {})
       };
     }
   }
@@ -1227,7 +2794,16 @@ if (require.main === module) {
     mcpPort: process.env.MCP_PORT || 3002,
     a2aPort: process.env.A2A_PORT || 3003,
     knowledgeEvolutionInterval: parseInt(process.env.EVOLUTION_INTERVAL) || 1618,
-    maxKnowledgeTriples: parseInt(process.env.MAX_TRIPLES) || 100000
+    maxKnowledgeTriples: parseInt(process.env.MAX_TRIPLES) || 100000,
+    evictionPolicy: process.env.EVICTION_POLICY,
+    placementStrategy: process.env.PLACEMENT_STRATEGY,
+    seed: process.env.UNIVERSE_SEED,
+    history: ['1', 'true'].includes(process.env.UNIVERSE_HISTORY),
+    dataDir: process.env.UNIVERSE_DATA_DIR,
+    auth: ['1', 'true'].includes(process.env.UNIVERSE_AUTH),
+    authKeysFile: process.env.UNIVERSE_AUTH_KEYS,
+    authSecret: process.env.UNIVERSE_AUTH_SECRET,
+    mcpServers: process.env.UNIVERSE_MCP_SERVERS ? JSON.parse(process.env.UNIVERSE_MCP_SERVERS) : undefined
   });
   
   // Handle graceful shutdown
@@ -1247,6 +2823,10 @@ if (require.main === module) {
     console.error('🚨 Universe Router Error:', error);
   });
   
+  universeRouter.on('route_failed', (failure) => {
+    console.error(`❌ Route to ${failure.routeKey} failed after ${failure.attempts} attempt(s): ${failure.error}`);
+  });
+  
   // Log consciousness updates
   universeRouter.on('consciousness_update', (data) => {
     if (data.consciousness.reflectionCycles % 1000 === 0) {
@@ -1259,6 +2839,8 @@ if (require.main === module) {
 AutonomousUniverseRouter.prototype.stop = async function stop() {
   // Clear timers
   try {
+    this.healthMonitor?.stop();
+    this.timeline?.stop();
     if (this._timers?.evolution) {
       clearInterval(this._timers.evolution);
       this._timers.evolution = null;
@@ -1300,6 +2882,21 @@ AutonomousUniverseRouter.prototype.stop = async function stop() {
   this._servers.mcp = null;
   this._servers.a2a = null;
 
+  // Close protocol clients (stdio MCP servers are child processes)
+  for (const client of [...(this._mcpClients?.values() || []), ...(this._a2aClients?.values() || [])]) {
+    try { client.close(); } catch (_) {}
+  }
+  this._mcpClients?.clear();
+  this._a2aClients?.clear();
+
+  // Compact the log into a final snapshot before the in-memory store is cleared
+  try {
+    if (this.storage) this.snapshotStorage();
+    this.storage?.close();
+  } catch (error) {
+    console.error('💾 Failed to snapshot triple store on stop:', error.message);
+  }
+
   // Clear in-memory stores to free memory during tests
   try {
     this.universe?.knowledgeGrid?.clear?.();
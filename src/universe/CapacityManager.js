@@ -0,0 +1,98 @@
+/**
+ * 🗜️ CAPACITY MANAGER
+ *
+ * Keeps the triple store within config.maxKnowledgeTriples. When an insert
+ * pushes the store over the limit, non-axiom triples are evicted by policy:
+ *
+ *   lru                - least recently accessed first (lastAccessed)
+ *   lowest_confidence  - weakest facts first, least recently accessed on ties
+ *   oldest_emergent    - oldest Game of Life births first, then LRU for the rest
+ *
+ * Eviction runs in batches (headroom below the limit) so a store sitting at
+ * capacity does not sort its triples on every insert.
+ */
+
+const POLICIES = {
+  lru: (a, b) => a.lastAccessed - b.lastAccessed,
+  lowest_confidence: (a, b) => (a.confidence - b.confidence) || (a.lastAccessed - b.lastAccessed),
+  oldest_emergent: (a, b) => {
+    const aEmergent = a.patternType === 'emergent';
+    const bEmergent = b.patternType === 'emergent';
+    if (aEmergent !== bEmergent) return aEmergent ? -1 : 1;
+    return aEmergent ? a.createdAt - b.createdAt : a.lastAccessed - b.lastAccessed;
+  }
+};
+
+class CapacityManager {
+  constructor(router, options = {}) {
+    this.router = router;
+    this.maxTriples = options.maxTriples || 100000;
+    this.policy = options.policy || 'lru';
+    this.headroom = options.headroom ?? 0.01; // Share of the limit freed per eviction run
+
+    if (!POLICIES[this.policy]) {
+      throw new Error(`Unknown eviction policy: ${this.policy} (expected ${Object.keys(POLICIES).join(', ')})`);
+    }
+
+    this.stats = {
+      evictedTriples: 0,
+      evictionRuns: 0,
+      lastEvictionAt: null,
+      lastEvictionCount: 0
+    };
+  }
+
+  isOverCapacity() {
+    return this.router.universe.tripleStore.triples.size > this.maxTriples;
+  }
+
+  // Evicts down to the limit minus headroom; protectedIds are never chosen (e.g. the triple just added)
+  enforce(protectedIds = []) {
+    if (!this.isOverCapacity()) return [];
+
+    const { triples } = this.router.universe.tripleStore;
+    const target = Math.max(0, this.maxTriples - Math.floor(this.maxTriples * this.headroom));
+    const excess = triples.size - target;
+
+    const protect = new Set(protectedIds);
+    const candidates = [];
+    for (const triple of triples.values()) {
+      if (!triple.isAxiom && !protect.has(triple.id)) candidates.push(triple);
+    }
+
+    const victims = candidates.sort(POLICIES[this.policy]).slice(0, excess).map(triple => triple.id);
+    for (const tripleId of victims) {
+      this.router.removeKnowledgeTriple(tripleId);
+    }
+
+    this.stats.evictedTriples += victims.length;
+    this.stats.evictionRuns++;
+    this.stats.lastEvictionAt = this.router.clock.now();
+    this.stats.lastEvictionCount = victims.length;
+
+    this.router.emit('triples_evicted', {
+      policy: this.policy,
+      count: victims.length,
+      tripleIds: victims,
+      size: triples.size,
+      limit: this.maxTriples
+    });
+
+    if (victims.length < excess) {
+      console.warn(`🗜️ Triple store holds ${triples.size} triples; only axioms remain above the ${this.maxTriples} limit`);
+    }
+
+    return victims;
+  }
+
+  getStatus() {
+    return {
+      limit: this.maxTriples,
+      size: this.router.universe.tripleStore.triples.size,
+      policy: this.policy,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { CapacityManager, EVICTION_POLICIES: Object.keys(POLICIES) };
@@ -0,0 +1,162 @@
+/**
+ * 📡 EVENT STREAM
+ *
+ * Live universe events for WebSocket subscribers. Every event gets a
+ * stream-wide `streamSeq` and lands in a bounded replay buffer. Topics:
+ *
+ *   triples        a triple was created or merged        filter: subject, predicate, object (globs, * wildcard)
+ *   routes         a message was routed                  filter: target, protocol, success
+ *   grid           a generation's cell births and deaths filter: every (generations)
+ *   evolution      a generation summary                  filter: every (generations)
+ *   consciousness  a reflection cycle's consciousness_update
+ *
+ * Each subscription also numbers the events matching it: `seq` goes up by
+ * one per matching event, including events dropped because the socket could
+ * not keep up, so a jump in `seq` is a gap. To recover, a client subscribes
+ * again with `since` set to the last `streamSeq` it saw; buffered events
+ * after it are replayed first, and `complete: false` says some were already
+ * gone from the buffer. Live events that arrive before the replay has been
+ * sent wait behind it.
+ */
+
+const crypto = require('crypto');
+const { RouterError } = require('./RouterError');
+const { SystemClock } = require('../simulation/Simulation');
+
+const TOPICS = ['triples', 'routes', 'grid', 'evolution', 'consciousness'];
+
+// Matches by finding each literal part in turn, so no glob can make matching backtrack
+function globMatcher(glob) {
+  const parts = String(glob).split('*');
+  if (parts.length === 1) return value => value === parts[0];
+
+  const first = parts[0];
+  const last = parts[parts.length - 1];
+  const middle = parts.slice(1, -1).filter(Boolean);
+  return value => {
+    if (value.length < first.length + last.length || !value.startsWith(first) || !value.endsWith(last)) return false;
+    let position = first.length;
+    const end = value.length - last.length;
+    for (const part of middle) {
+      const found = value.indexOf(part, position);
+      if (found === -1 || found + part.length > end) return false;
+      position = found + part.length;
+    }
+    return true;
+  };
+}
+
+// Compiles a subscription filter into a predicate over event data
+function compileFilter(topic, filter = {}) {
+  switch (topic) {
+    case 'triples': {
+      const patterns = ['subject', 'predicate', 'object']
+        .filter(term => filter[term] !== undefined)
+        .map(term => [term, globMatcher(filter[term])]);
+      return data => patterns.every(([term, matches]) => matches(String(data[term])));
+    }
+    case 'routes':
+      return data => (filter.target === undefined || data.targetId === filter.target) &&
+        (filter.protocol === undefined || data.protocol === filter.protocol) &&
+        (filter.success === undefined || data.success === filter.success);
+    case 'grid':
+    case 'evolution': {
+      const every = filter.every || 1;
+      return data => data.generation % every === 0;
+    }
+    default:
+      return () => true;
+  }
+}
+
+class EventStream {
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || 10000;
+    this.clock = options.clock || new SystemClock();
+    this.generateId = options.generateId || (() => crypto.randomUUID());
+    this.buffer = [];
+    this.streamSeq = 0;
+    this.subscriptions = new Map();
+    this.stats = { published: 0, delivered: 0, dropped: 0 };
+  }
+
+  publish(topic, data, generation) {
+    const event = { streamSeq: ++this.streamSeq, topic, at: this.clock.now(), generation, data };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.splice(0, this.buffer.length - this.bufferSize);
+    }
+    this.stats.published++;
+
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.topic === topic && subscription.matches(data)) this.deliver(subscription, event);
+    }
+    return event;
+  }
+
+  // deliver(message) returns false when the event had to be dropped
+  subscribe({ topic, filter = {}, since, deliver }) {
+    if (!TOPICS.includes(topic)) {
+      throw new RouterError('invalid_request', `Unknown topic: ${topic}`, 400, { topics: TOPICS });
+    }
+
+    const subscription = {
+      id: this.generateId(),
+      topic,
+      filter,
+      seq: 0,
+      matches: compileFilter(topic, filter),
+      send: deliver,
+      held: since === undefined ? null : [] // Live events waiting for the replay
+    };
+    this.subscriptions.set(subscription.id, subscription);
+
+    const firstBuffered = this.buffer.length > 0 ? this.buffer[0].streamSeq : this.streamSeq + 1;
+    const replay = since === undefined
+      ? []
+      : this.buffer.filter(event => event.streamSeq > since && event.topic === topic && subscription.matches(event.data));
+
+    return {
+      subscription,
+      replay: () => {
+        const held = subscription.held || [];
+        subscription.held = null;
+        [...replay, ...held].forEach(event => this.deliver(subscription, event));
+      },
+      replayed: replay.length,
+      // Everything after `since` is still buffered (or nothing was asked for)
+      complete: since === undefined || since + 1 >= firstBuffered,
+      streamSeq: this.streamSeq
+    };
+  }
+
+  deliver(subscription, event) {
+    if (subscription.held) {
+      subscription.held.push(event);
+      return;
+    }
+    const message = { type: 'event', subscription: subscription.id, seq: ++subscription.seq, ...event };
+    if (subscription.send(message) === false) {
+      this.stats.dropped++;
+    } else {
+      this.stats.delivered++;
+    }
+  }
+
+  unsubscribe(id) {
+    return this.subscriptions.delete(id);
+  }
+
+  getStatus() {
+    return {
+      streamSeq: this.streamSeq,
+      buffered: this.buffer.length,
+      bufferSize: this.bufferSize,
+      oldestSeq: this.buffer.length > 0 ? this.buffer[0].streamSeq : null,
+      subscriptions: this.subscriptions.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { EventStream, TOPICS, compileFilter, globMatcher };
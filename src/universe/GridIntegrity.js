@@ -0,0 +1,95 @@
+/**
+ * 🧩 GRID INTEGRITY
+ *
+ * Checks that the Conway knowledge grid and the triple store describe the
+ * same knowledge:
+ *
+ * - every stored triple sits in exactly one cell, the one at its gridPosition
+ * - every id a cell lists exists in the store
+ * - no cell is empty (cells exist only while they hold triples) and each
+ *   cell's key matches its position
+ *
+ * With { repair: true } each issue is fixed in place as it is found, except a
+ * cell whose key does not match its position; `repaired` counts the fixes.
+ */
+
+function cellKey(position) {
+  return `${position.x},${position.y}`;
+}
+
+function verifyGridIntegrity(universe, options = {}) {
+  const { triples } = universe.tripleStore;
+  const grid = universe.knowledgeGrid;
+  const repair = options.repair === true;
+  const issues = [];
+  let repaired = 0;
+  const owners = new Map(); // tripleId → cell key that legitimately holds it
+  const misplaced = new Set();
+
+  for (const [key, cell] of grid) {
+    if (!cell.position || cellKey(cell.position) !== key) {
+      issues.push({ type: 'cell_key_mismatch', cell: key });
+    }
+
+    for (const tripleId of Array.from(cell.triples)) {
+      const triple = triples.get(tripleId);
+      if (!triple) {
+        issues.push({ type: 'dangling_cell_reference', cell: key, tripleId });
+        if (repair) {
+          cell.triples.delete(tripleId);
+          repaired++;
+        }
+        continue;
+      }
+
+      if (!triple.gridPosition || cellKey(triple.gridPosition) !== key) {
+        issues.push({ type: 'triple_in_wrong_cell', cell: key, tripleId, expected: triple.gridPosition ? cellKey(triple.gridPosition) : null });
+        misplaced.add(tripleId);
+        if (repair) cell.triples.delete(tripleId);
+        continue;
+      }
+
+      if (owners.has(tripleId)) {
+        issues.push({ type: 'triple_in_multiple_cells', cell: key, tripleId, alsoIn: owners.get(tripleId) });
+        if (repair) {
+          cell.triples.delete(tripleId);
+          repaired++;
+        }
+        continue;
+      }
+      owners.set(tripleId, key);
+    }
+  }
+
+  for (const [tripleId, triple] of triples) {
+    if (owners.has(tripleId)) continue;
+
+    // Misplaced triples were already reported; they count as repaired once they are put back
+    if (!misplaced.has(tripleId)) {
+      issues.push({ type: 'triple_missing_from_grid', tripleId, expected: triple.gridPosition ? cellKey(triple.gridPosition) : null });
+    }
+    if (repair && options.placeTriple) {
+      options.placeTriple(tripleId, triple);
+      repaired++;
+    }
+  }
+
+  for (const [key, cell] of grid) {
+    if (cell.triples.size > 0) continue;
+    issues.push({ type: 'empty_cell', cell: key, isAlive: cell.isAlive });
+    if (repair) {
+      grid.delete(key);
+      repaired++;
+    }
+  }
+
+  return {
+    ok: issues.length === 0,
+    checkedTriples: triples.size,
+    checkedCells: grid.size,
+    issues,
+    repaired
+  };
+}
+
+module.exports = { verifyGridIntegrity, cellKey };
@@ -0,0 +1,137 @@
+/**
+ * 🗺️ GRID PLACEMENT
+ *
+ * Decides where a new triple lands on the knowledge grid torus.
+ *
+ *   random   - uniform over the whole grid (the original behaviour, and the default)
+ *   semantic - next to knowledge it shares an entity with, so Conway
+ *              neighbourhoods reflect how connected the knowledge is
+ *
+ * Semantic placement looks for an anchor: the first triple with the same
+ * subject, else one mentioning the same entity as subject or object. The new
+ * triple takes the nearest free cell around the anchor. Entities shared by
+ * very many triples (e.g. the "http" protocol of every message) are too weak
+ * a link to cluster on and are skipped. Without an anchor, the subject is
+ * hashed to a region of the grid, so related triples still start together
+ * and placement is reproducible.
+ */
+
+// FNV-1a: cheap, stable string hash
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class RandomPlacement {
+  constructor(dimensions, options = {}) {
+    this.dimensions = dimensions;
+    this.random = options.random || (() => Math.random());
+  }
+
+  position() {
+    return {
+      x: Math.floor(this.random() * this.dimensions.width),
+      y: Math.floor(this.random() * this.dimensions.height)
+    };
+  }
+}
+
+class SemanticPlacement {
+  constructor(universe, options = {}) {
+    this.universe = universe;
+    this.regionSize = options.regionSize || 16;
+    this.searchRadius = options.searchRadius || 6;
+    this.maxAnchorFanout = options.maxAnchorFanout || 256;
+  }
+
+  position(triple = {}) {
+    const anchor = this.findAnchor(triple);
+    if (anchor) {
+      const free = this.nearestFreeCell(anchor, 1);
+      if (free) return free;
+    }
+
+    const origin = this.regionPosition(triple);
+    return this.nearestFreeCell(origin, 0) || origin;
+  }
+
+  findAnchor({ subject, object }) {
+    const { subjects, objects, triples } = this.universe.tripleStore;
+    const links = [
+      [subjects, subject, Infinity], // Same subject: always cluster
+      [objects, subject, this.maxAnchorFanout],
+      [subjects, object, this.maxAnchorFanout],
+      [objects, object, this.maxAnchorFanout]
+    ];
+
+    for (const [index, term, fanout] of links) {
+      if (term === undefined) continue;
+      const ids = index.get(term);
+      if (!ids || ids.size === 0 || ids.size > fanout) continue;
+
+      for (const id of ids) {
+        const position = triples.get(id)?.gridPosition;
+        if (position) return position;
+      }
+    }
+    return null;
+  }
+
+  // Subject picks the region, predicate and object the spot within it
+  regionPosition({ subject = '', predicate = '', object = '' }) {
+    const { width, height } = this.universe.gridDimensions;
+    const regionsX = Math.max(1, Math.floor(width / this.regionSize));
+    const regionsY = Math.max(1, Math.floor(height / this.regionSize));
+    const region = hashString(String(subject));
+    const spot = hashString(`${predicate}\u0000${object}`);
+
+    return {
+      x: ((region % regionsX) * this.regionSize + (spot % this.regionSize)) % width,
+      y: ((Math.floor(region / regionsX) % regionsY) * this.regionSize + (Math.floor(spot / this.regionSize) % this.regionSize)) % height
+    };
+  }
+
+  // Walks square rings outwards from center (wrapping on the torus) to the first empty cell
+  nearestFreeCell(center, minRadius) {
+    const { width, height } = this.universe.gridDimensions;
+    const grid = this.universe.knowledgeGrid;
+
+    for (let radius = minRadius; radius <= this.searchRadius; radius++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+
+          const x = (center.x + dx + width) % width;
+          const y = (center.y + dy + height) % height;
+          if (!grid.has(`${x},${y}`)) return { x, y };
+        }
+      }
+    }
+    return null;
+  }
+}
+
+const PLACEMENT_STRATEGIES = ['random', 'semantic'];
+
+function createPlacementStrategy(name, universe, options = {}) {
+  switch (name) {
+    case 'random':
+      return new RandomPlacement(universe.gridDimensions, options);
+    case 'semantic':
+      return new SemanticPlacement(universe, options);
+    default:
+      throw new Error(`Unknown placement strategy: ${name} (expected ${PLACEMENT_STRATEGIES.join(', ')})`);
+  }
+}
+
+module.exports = {
+  createPlacementStrategy,
+  RandomPlacement,
+  SemanticPlacement,
+  PLACEMENT_STRATEGIES,
+  hashString
+};
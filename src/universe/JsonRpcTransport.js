@@ -0,0 +1,294 @@
+/**
+ * 🔌 JSON-RPC 2.0 TRANSPORTS
+ *
+ * Shared wire layer for the protocol clients the universe router talks to.
+ * Both transports expose the same surface:
+ *
+ *   send(message, { onMessage, timeout, signal }) -> response matching message.id (null for notifications)
+ *   close()
+ *
+ * Aborting `signal` gives up on the request: the HTTP request is torn down,
+ * a stdio request stops waiting, and send() rejects with code 'ECANCELED'.
+ *
+ * The HTTP transport understands plain JSON bodies as well as Server-Sent
+ * Event streams, which is how MCP "streamable HTTP" and A2A streaming reply.
+ */
+
+const axios = require('axios');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+function createRpcError(error) {
+  const rpcError = new Error(error?.message || 'JSON-RPC request failed');
+  rpcError.code = error?.code;
+  rpcError.data = error?.data;
+  return rpcError;
+}
+
+// Transport failures carry a code (and HTTP status) so callers can tell them from JSON-RPC errors
+function createTransportError(message, properties) {
+  return Object.assign(new Error(message), properties);
+}
+
+function canceledError(target) {
+  return createTransportError(`JSON-RPC request to ${target} was canceled`, { code: 'ECANCELED' });
+}
+
+// Parse a text/event-stream body, invoking onEvent with each event's data payload
+function parseEventStream(stream, onEvent) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let dataLines = [];
+
+    const dispatchLine = (line) => {
+      if (line === '') {
+        if (dataLines.length > 0) {
+          const data = dataLines.join('\n');
+          dataLines = [];
+          onEvent(data);
+        }
+        return;
+      }
+      if (line.startsWith(':')) return; // Comment / keep-alive
+      if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    };
+
+    stream.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      try {
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+          dispatchLine(buffer.slice(0, newlineIndex).replace(/\r$/, ''));
+          buffer = buffer.slice(newlineIndex + 1);
+        }
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+      }
+    });
+    stream.on('end', () => {
+      if (buffer) dispatchLine(buffer.replace(/\r$/, ''));
+      dispatchLine('');
+      resolve();
+    });
+    stream.on('error', reject);
+  });
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+class HttpJsonRpcTransport {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('HTTP JSON-RPC transport requires a url');
+    }
+
+    this.url = options.url;
+    this.timeout = options.timeout || 30000;
+    this.headers = { ...(options.headers || {}) };
+  }
+
+  async send(message, options = {}) {
+    if (options.signal?.aborted) throw canceledError(this.url);
+
+    const controller = new AbortController();
+    const timeout = options.timeout || this.timeout;
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const cancel = () => controller.abort();
+    options.signal?.addEventListener('abort', cancel, { once: true });
+
+    try {
+      const response = await axios.post(this.url, message, {
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          ...this.headers
+        },
+        responseType: 'stream',
+        signal: controller.signal,
+        validateStatus: () => true
+      });
+
+      if (options.onHeaders) options.onHeaders(response.headers);
+
+      const contentType = String(response.headers['content-type'] || '');
+
+      if (response.status >= 400) {
+        const body = await readStream(response.data);
+        throw createTransportError(`HTTP ${response.status} from ${this.url}: ${body.slice(0, 200)}`, { status: response.status });
+      }
+
+      const messages = [];
+      const receive = (payload) => {
+        const batch = Array.isArray(payload) ? payload : [payload];
+        for (const item of batch) {
+          messages.push(item);
+          if (options.onMessage) options.onMessage(item);
+        }
+      };
+
+      if (contentType.includes('text/event-stream')) {
+        await parseEventStream(response.data, (data) => {
+          let payload;
+          try {
+            payload = JSON.parse(data);
+          } catch (_) {
+            return; // Ignore non-JSON events
+          }
+          receive(payload);
+        });
+      } else {
+        const body = await readStream(response.data);
+        if (body.trim()) receive(JSON.parse(body));
+      }
+
+      if (message.id === undefined) return null;
+
+      // Streams may carry several responses for the same id; the last one wins
+      const responses = messages.filter(m => m && m.id === message.id && ('result' in m || 'error' in m));
+      if (responses.length === 0) {
+        throw new Error(`No JSON-RPC response for request ${message.id} from ${this.url}`);
+      }
+      return responses[responses.length - 1];
+    } catch (error) {
+      if (options.signal?.aborted) throw canceledError(this.url);
+      if (controller.signal.aborted) {
+        throw createTransportError(`JSON-RPC request to ${this.url} timed out after ${timeout}ms`, { code: 'ETIMEDOUT' });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  start() {}
+
+  close() {}
+}
+
+class StdioJsonRpcTransport {
+  constructor(options = {}) {
+    if (!options.command) {
+      throw new Error('stdio JSON-RPC transport requires a command');
+    }
+
+    this.command = options.command;
+    this.args = options.args || [];
+    this.env = options.env;
+    this.timeout = options.timeout || 30000;
+    this.onNotification = options.onNotification;
+    this.onClose = options.onClose;
+    this.pending = new Map();
+    this.child = null;
+  }
+
+  // Spawns the server; the transport stays closed after it exits until start() is called again
+  start() {
+    if (this.child) return;
+
+    const child = spawn(this.command, this.args, {
+      env: { ...process.env, ...(this.env || {}) },
+      stdio: ['pipe', 'pipe', 'inherit']
+    });
+    this.child = child;
+
+    const lines = readline.createInterface({ input: child.stdout });
+    lines.on('line', (line) => {
+      if (!line.trim()) return;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (_) {
+        return; // Servers may log non-protocol output to stdout
+      }
+
+      const pending = message.id !== undefined && this.pending.get(message.id);
+      if (pending) {
+        this.pending.delete(message.id);
+        clearTimeout(pending.timer);
+        pending.resolve(message);
+      } else if (this.onNotification) {
+        this.onNotification(message);
+      }
+    });
+
+    // A replaced child's late events are ignored; a child that stopped reading is stopped for good
+    const failAll = (error) => {
+      if (this.child !== child && this.child !== null) return;
+      for (const [id, pending] of this.pending) {
+        clearTimeout(pending.timer);
+        pending.reject(error);
+        this.pending.delete(id);
+      }
+      if (this.child === child) {
+        this.child = null;
+        try { child.kill(); } catch (_) {}
+        if (this.onClose) this.onClose(error);
+      }
+    };
+    child.on('error', failAll);
+    child.on('exit', (code) => failAll(createTransportError(`stdio server ${this.command} exited with code ${code}`, { code: 'ECONNRESET' })));
+    // Writing to a child that has exited fails with EPIPE; without a listener that would crash the process
+    child.stdin.on('error', error => failAll(createTransportError(`stdio server ${this.command} stopped reading: ${error.message}`, { code: error.code || 'EPIPE' })));
+  }
+
+  send(message, options = {}) {
+    if (!this.child) {
+      return Promise.reject(createTransportError(`stdio server ${this.command} is not running`, { code: 'ECONNREFUSED' }));
+    }
+    if (options.signal?.aborted) return Promise.reject(canceledError(this.command));
+    const payload = JSON.stringify(message) + '\n';
+
+    if (message.id === undefined) {
+      this.child.stdin.write(payload);
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timeout = options.timeout || this.timeout;
+      const { signal } = options;
+      const settle = (callback) => (value) => {
+        this.pending.delete(message.id);
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+        callback(value);
+      };
+      const timer = setTimeout(() => {
+        settle(reject)(createTransportError(`JSON-RPC request to ${this.command} timed out after ${timeout}ms`, { code: 'ETIMEDOUT' }));
+      }, timeout);
+      const cancel = () => settle(reject)(canceledError(this.command));
+      signal?.addEventListener('abort', cancel, { once: true });
+
+      this.pending.set(message.id, { resolve: settle(resolve), reject: settle(reject), timer });
+      this.child.stdin.write(payload);
+    });
+  }
+
+  close() {
+    if (!this.child) return;
+    const child = this.child;
+    this.child = null;
+    try {
+      child.stdin.end();
+      child.kill();
+    } catch (_) {}
+  }
+}
+
+module.exports = {
+  HttpJsonRpcTransport,
+  StdioJsonRpcTransport,
+  createRpcError,
+  parseEventStream
+};
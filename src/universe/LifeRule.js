@@ -0,0 +1,53 @@
+/**
+ * 🧬 LIFE RULES
+ *
+ * Parses Life-like cellular automaton rule strings for the knowledge grid.
+ * Accepts B/S notation ("B3/S23", "B36/S23"), the older S/B notation
+ * ("23/3", "23/36") and a few well-known names.
+ *
+ * Rules with B0 are rejected: births from zero live neighbours would fill
+ * the whole (sparse) torus in one step.
+ */
+
+const NAMED_RULES = {
+  conway: 'B3/S23',
+  life: 'B3/S23',
+  highlife: 'B36/S23',
+  seeds: 'B2/S',
+  daynight: 'B3678/S34678',
+  'day&night': 'B3678/S34678'
+};
+
+function digits(text, rule) {
+  if (!/^[0-8]*$/.test(text)) {
+    throw new Error(`Invalid life rule "${rule}": neighbour counts must be digits 0-8`);
+  }
+  return new Set(Array.from(text, Number));
+}
+
+function parseLifeRule(rule = 'B3/S23') {
+  const text = String(NAMED_RULES[String(rule).toLowerCase()] || rule).trim();
+
+  let birth;
+  let survival;
+  const bs = text.match(/^B([0-9]*)\/S([0-9]*)$/i);
+  const sb = text.match(/^([0-9]*)\/([0-9]*)$/);
+  if (bs) {
+    birth = digits(bs[1], rule);
+    survival = digits(bs[2], rule);
+  } else if (sb) {
+    survival = digits(sb[1], rule);
+    birth = digits(sb[2], rule);
+  } else {
+    throw new Error(`Invalid life rule "${rule}": expected B/S notation such as B3/S23`);
+  }
+
+  if (birth.has(0)) {
+    throw new Error(`Invalid life rule "${rule}": B0 rules are not supported on a sparse grid`);
+  }
+
+  const sorted = set => Array.from(set).sort().join('');
+  return { birth, survival, notation: `B${sorted(birth)}/S${sorted(survival)}` };
+}
+
+module.exports = { parseLifeRule, NAMED_RULES };
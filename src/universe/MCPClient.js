@@ -0,0 +1,141 @@
+/**
+ * 🔗 MODEL CONTEXT PROTOCOL CLIENT
+ *
+ * Minimal MCP client used by the universe router to reach registered MCP
+ * servers over HTTP (streamable HTTP / plain JSON) or stdio.
+ */
+
+const { HttpJsonRpcTransport, StdioJsonRpcTransport, createRpcError } = require('./JsonRpcTransport');
+
+const MCP_PROTOCOL_VERSION = '2025-03-26';
+
+class MCPClient {
+  constructor(options = {}) {
+    this.options = options;
+    this.transportType = options.transport || (options.command ? 'stdio' : 'http');
+    this.timeout = options.timeout || 30000;
+    this.clientInfo = options.clientInfo || { name: 'autonomous-universe-router', version: '1.0.0' };
+    this.nextId = 1;
+    this.initialized = null;
+    this.serverInfo = null;
+    this.serverCapabilities = null;
+
+    if (this.transportType === 'stdio') {
+      this.transport = new StdioJsonRpcTransport({
+        command: options.command,
+        args: options.args,
+        env: options.env,
+        timeout: this.timeout,
+        // A server that exited is started and initialized again by the next request
+        onClose: () => { this.initialized = null; }
+      });
+    } else if (this.transportType === 'http') {
+      this.transport = new HttpJsonRpcTransport({
+        url: options.url,
+        headers: options.headers,
+        timeout: this.timeout
+      });
+    } else {
+      throw new Error(`Unsupported MCP transport: ${this.transportType}`);
+    }
+  }
+
+  // Performs the initialize handshake once; concurrent callers share it
+  connect() {
+    if (!this.initialized) {
+      this.initialized = this.initialize().catch((error) => {
+        this.initialized = null;
+        throw error;
+      });
+    }
+    return this.initialized;
+  }
+
+  async initialize() {
+    this.transport.start();
+    const result = await this.rawRequest('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: this.clientInfo
+    }, {
+      onHeaders: (headers) => {
+        // Streamable HTTP servers bind the session to this header
+        const sessionId = headers['mcp-session-id'];
+        if (sessionId) this.transport.headers['Mcp-Session-Id'] = sessionId;
+      }
+    });
+
+    this.serverInfo = result.serverInfo || null;
+    this.serverCapabilities = result.capabilities || {};
+    if (this.transportType === 'http') {
+      this.transport.headers['MCP-Protocol-Version'] = result.protocolVersion || MCP_PROTOCOL_VERSION;
+    }
+
+    await this.notify('notifications/initialized');
+    return result;
+  }
+
+  async request(method, params = {}, options = {}) {
+    await this.connect();
+    return this.rawRequest(method, params, options);
+  }
+
+  // Aborting options.signal also tells the server to stop working on the request
+  async rawRequest(method, params = {}, options = {}) {
+    const id = this.nextId++;
+    let response;
+    try {
+      response = await this.transport.send({
+        jsonrpc: '2.0',
+        id,
+        method,
+        params
+      }, { timeout: options.timeout || this.timeout, onHeaders: options.onHeaders, signal: options.signal });
+    } catch (error) {
+      if (error.code === 'ECANCELED') {
+        this.notify('notifications/cancelled', { requestId: id, reason: 'Request canceled by the router' }).catch(() => {});
+      }
+      throw error;
+    }
+
+    if (response?.error) {
+      throw createRpcError(response.error);
+    }
+    // MCP results are always objects; anything else is not an answer from an MCP server
+    const result = response?.result;
+    if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+      throw createRpcError({ code: -32603, message: `Malformed JSON-RPC response to ${method}: result must be an object` });
+    }
+    return result;
+  }
+
+  async notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params !== undefined) message.params = params;
+    await this.transport.send(message);
+  }
+
+  ping() {
+    return this.request('ping');
+  }
+
+  async listTools() {
+    const result = await this.request('tools/list');
+    return result.tools || [];
+  }
+
+  callTool(name, args = {}, options = {}) {
+    return this.request('tools/call', { name, arguments: args }, options);
+  }
+
+  readResource(uri) {
+    return this.request('resources/read', { uri });
+  }
+
+  close() {
+    this.transport.close();
+    this.initialized = null;
+  }
+}
+
+module.exports = { MCPClient, MCP_PROTOCOL_VERSION };
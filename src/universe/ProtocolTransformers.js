@@ -0,0 +1,405 @@
+/**
+ * 🔀 PROTOCOL TRANSFORMERS
+ *
+ * Registry of message transformers between protocols. A protocol is
+ * registered with a declared message schema (see RequestSchemas.js) and two
+ * extractors, content(message) and metadata(message), that say what a
+ * transformation must carry across. A transformer is registered for one
+ * source/target pair:
+ *
+ *   registry.registerProtocol('grpc', { schema, content, metadata, examples })
+ *   registry.register({ from: 'grpc', to: 'http', transform: (message, context) => ... })
+ *
+ * When no direct transformer exists the shortest chain is used
+ * (ws → http → mcp). Transformers record what the source envelope looked like
+ * in the outgoing metadata (mcpMethod/mcpParams, http, a2aType, wsType), so
+ * the reverse transformer can restore it and round trips are lossless;
+ * checkRoundTrips() verifies that for every pair.
+ *
+ * Built in: http, mcp, a2a and the router's own ws messages.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { validate } = require('./RequestSchemas');
+
+const PROTOCOL_NAME = /^[a-z][a-z0-9_-]*$/;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const metadataOf = value => (isObject(value) ? value : {});
+
+// Router annotations added on every hop; the first protocol a message was written in is kept
+function annotate(metadata, protocol, context, hints = {}) {
+  return {
+    ...metadata,
+    originalProtocol: metadata.originalProtocol || protocol,
+    transformedAt: context.clock.now(),
+    ...hints
+  };
+}
+
+// Text of a single text part, the data of a single data part, else the parts themselves
+function a2aPartsContent(parts) {
+  if (parts.length === 1 && parts[0].kind === 'text') return parts[0].text;
+  if (parts.length === 1 && parts[0].kind === 'data') return parts[0].data;
+  return parts;
+}
+
+const PROTOCOLS = {
+  http: {
+    description: 'HTTP request: method, url, headers and a body',
+    schema: {
+      type: 'object',
+      additionalProperties: true,
+      properties: { method: { type: 'string' }, url: { type: 'string' }, headers: { type: 'object' }, body: {}, metadata: { type: 'object' } }
+    },
+    content: message => message?.body ?? message?.content ?? message?.message,
+    metadata: message => metadataOf(message?.metadata),
+    examples: [
+      { method: 'POST', url: '/tasks', headers: { 'content-type': 'application/json' }, body: { task: 'summarise' }, metadata: { traceId: 'http-1' } },
+      { method: 'POST', url: '/notes', headers: {}, body: 'plain text note', metadata: {} }
+    ]
+  },
+  mcp: {
+    description: 'MCP JSON-RPC request: method and params',
+    schema: {
+      type: 'object',
+      required: ['method'],
+      additionalProperties: true,
+      properties: { method: { type: 'string', minLength: 1 }, params: { type: 'object' } }
+    },
+    content: message => message?.content ?? message?.text ?? message?.message ??
+      message?.params?.message ?? message?.params?.body ?? message?.params?.arguments,
+    metadata: message => metadataOf(message?.params?.metadata ?? message?.metadata),
+    examples: [
+      { method: 'tools/call', params: { name: 'echo', arguments: { text: 'hello' }, metadata: { traceId: 'mcp-1' } } },
+      { method: 'process_message', params: { message: 'route me', metadata: { priority: 'high' } } }
+    ]
+  },
+  a2a: {
+    description: 'A2A message: content (or native parts) and metadata',
+    schema: {
+      type: 'object',
+      requireOneOf: ['content', 'parts'],
+      additionalProperties: true,
+      properties: { type: { type: 'string' }, content: {}, parts: { type: 'array' }, metadata: { type: 'object' } }
+    },
+    content: message => message?.content ?? message?.message ?? (Array.isArray(message?.parts) ? a2aPartsContent(message.parts) : undefined),
+    metadata: message => metadataOf(message?.metadata),
+    examples: [
+      { type: 'a2a_message', content: 'translate this', metadata: { traceId: 'a2a-1' } },
+      { kind: 'message', role: 'user', parts: [{ kind: 'data', data: { rows: 3 } }], metadata: { source: 'agent' } }
+    ]
+  },
+  ws: {
+    description: 'Universe WebSocket message: a type, data and metadata',
+    schema: {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: true,
+      properties: { type: { type: 'string' }, data: {}, metadata: { type: 'object' } }
+    },
+    content: message => message?.data ?? message?.content ?? message?.message,
+    metadata: message => metadataOf(message?.metadata),
+    examples: [
+      { type: 'ws_message', data: { greeting: 'hi' }, metadata: { connection: 'ws-1' } }
+    ]
+  }
+};
+
+const http = PROTOCOLS.http;
+const mcp = PROTOCOLS.mcp;
+const a2a = PROTOCOLS.a2a;
+const ws = PROTOCOLS.ws;
+
+const httpEnvelope = message => ({ method: message?.method, url: message?.url, headers: message?.headers });
+
+// An HTTP request rebuilt from a hint left by http → X, or a JSON POST
+function toHTTP(content, metadata, hint) {
+  return {
+    method: hint?.method || 'POST',
+    ...(hint?.url ? { url: hint.url } : {}),
+    headers: hint?.headers || { 'content-type': 'application/json' },
+    body: content,
+    metadata
+  };
+}
+
+const BUILTIN_TRANSFORMERS = [
+  {
+    from: 'mcp',
+    to: 'a2a',
+    description: 'MCP request as an A2A message; the method and params ride along for the way back',
+    transform: (message, context) => ({
+      type: 'a2a_message',
+      content: mcp.content(message),
+      metadata: annotate(mcp.metadata(message), 'mcp', context, { mcpMethod: message.method, mcpParams: message.params })
+    })
+  },
+  {
+    from: 'a2a',
+    to: 'mcp',
+    description: 'A2A message as a process_message call, or the MCP request it came from',
+    transform: (message, context) => {
+      const metadata = a2a.metadata(message);
+      if (metadata.mcpMethod) return { method: metadata.mcpMethod, params: metadata.mcpParams };
+      return {
+        method: 'process_message',
+        params: { message: a2a.content(message), metadata: annotate(metadata, 'a2a', context, { a2aType: message.type }) }
+      };
+    }
+  },
+  {
+    from: 'http',
+    to: 'mcp',
+    description: 'HTTP request as an http_request call, or the MCP request it came from',
+    transform: (message, context) => {
+      const metadata = http.metadata(message);
+      if (metadata.mcpMethod) return { method: metadata.mcpMethod, params: metadata.mcpParams };
+      return {
+        method: 'http_request',
+        params: { ...httpEnvelope(message), body: http.content(message), metadata: annotate(metadata, 'http', context) }
+      };
+    }
+  },
+  {
+    from: 'mcp',
+    to: 'http',
+    description: 'http_request calls back to the request; other MCP requests as a JSON POST',
+    transform: (message, context) => {
+      if (message.method === 'http_request') {
+        return toHTTP(message.params?.body, mcp.metadata(message), message.params);
+      }
+      const metadata = annotate(mcp.metadata(message), 'mcp', context, { mcpMethod: message.method, mcpParams: message.params });
+      return toHTTP(mcp.content(message), metadata, metadata.http);
+    }
+  },
+  {
+    from: 'http',
+    to: 'a2a',
+    description: 'HTTP body as A2A content; method, url and headers ride along in metadata',
+    transform: (message, context) => {
+      const metadata = http.metadata(message);
+      return {
+        type: metadata.a2aType || 'a2a_message',
+        content: http.content(message),
+        metadata: annotate(metadata, 'http', context, { http: httpEnvelope(message) })
+      };
+    }
+  },
+  {
+    from: 'a2a',
+    to: 'http',
+    description: 'A2A content as an HTTP body',
+    transform: (message, context) => {
+      const metadata = annotate(a2a.metadata(message), 'a2a', context, { a2aType: message.type });
+      return toHTTP(a2a.content(message), metadata, metadata.http);
+    }
+  },
+  {
+    from: 'ws',
+    to: 'http',
+    description: 'WebSocket data as an HTTP body',
+    transform: (message, context) => {
+      const metadata = annotate(ws.metadata(message), 'ws', context, { wsType: message.type });
+      return toHTTP(ws.content(message), metadata, metadata.http);
+    }
+  },
+  {
+    from: 'http',
+    to: 'ws',
+    description: 'HTTP body as WebSocket data',
+    transform: (message, context) => {
+      const metadata = http.metadata(message);
+      return {
+        type: metadata.wsType || 'ws_message',
+        data: http.content(message),
+        metadata: annotate(metadata, 'http', context, { http: httpEnvelope(message) })
+      };
+    }
+  }
+];
+
+class TransformerRegistry {
+  constructor(context = {}) {
+    this.context = context; // { clock, generateId } handed to every transform
+    this.protocols = new Map();
+    this.transformers = new Map();
+    this.chains = new Map();
+  }
+
+  registerProtocol(name, spec = {}) {
+    if (!PROTOCOL_NAME.test(String(name))) {
+      throw new Error(`Invalid protocol name: ${name} (expected ${PROTOCOL_NAME})`);
+    }
+    this.protocols.set(name, {
+      name,
+      description: spec.description || name,
+      schema: spec.schema || { type: 'object', additionalProperties: true },
+      content: spec.content || (message => message),
+      metadata: spec.metadata || (message => metadataOf(message?.metadata)),
+      examples: spec.examples || []
+    });
+    this.chains.clear();
+    return this.protocols.get(name);
+  }
+
+  register({ from, to, transform, description }) {
+    for (const protocol of [from, to]) {
+      if (!this.protocols.has(protocol)) {
+        throw new Error(`Unknown protocol: ${protocol} (register it with registerProtocol first)`);
+      }
+    }
+    if (from === to || typeof transform !== 'function') {
+      throw new Error('A transformer needs two different protocols and a transform(message, context) function');
+    }
+
+    this.transformers.set(`${from}_to_${to}`, { from, to, transform, description: description || `${from} → ${to}` });
+    this.chains.clear();
+  }
+
+  unregister(from, to) {
+    this.chains.clear();
+    return this.transformers.delete(`${from}_to_${to}`);
+  }
+
+  // Shortest sequence of transformers from one protocol to another (breadth-first), or null
+  findChain(from, to) {
+    const key = `${from}_to_${to}`;
+    if (this.chains.has(key)) return this.chains.get(key);
+
+    let chain = null;
+    const previous = new Map([[from, null]]);
+    const frontier = [from];
+    while (frontier.length > 0 && !previous.has(to)) {
+      const protocol = frontier.shift();
+      for (const transformer of this.transformers.values()) {
+        if (transformer.from !== protocol || previous.has(transformer.to)) continue;
+        previous.set(transformer.to, transformer);
+        frontier.push(transformer.to);
+      }
+    }
+    if (from !== to && previous.has(to)) {
+      chain = [];
+      for (let step = previous.get(to); step; step = previous.get(step.from)) chain.unshift(step);
+    }
+
+    this.chains.set(key, chain);
+    return chain;
+  }
+
+  async transform(message, from, to) {
+    if (from === to) return message;
+
+    const chain = this.findChain(from, to);
+    if (!chain) {
+      throw new Error(`No transformer chain from ${from} to ${to}`);
+    }
+
+    let current = message;
+    for (const step of chain) {
+      current = await step.transform(current, this.context);
+    }
+    return current;
+  }
+
+  // Whether a message fits the protocol's declared schema
+  accepts(protocol, message) {
+    try {
+      validate(this.protocols.get(protocol).schema, message, `${protocol} message`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  describe() {
+    return {
+      protocols: Array.from(this.protocols.values(), ({ name, description, schema }) => ({ name, description, schema })),
+      transformers: Array.from(this.transformers.values(), ({ from, to, description }) => ({ from, to, description }))
+    };
+  }
+}
+
+function createTransformerRegistry(context) {
+  const registry = new TransformerRegistry(context);
+  for (const [name, spec] of Object.entries(PROTOCOLS)) {
+    registry.registerProtocol(name, spec);
+  }
+  for (const transformer of BUILTIN_TRANSFORMERS) {
+    registry.register(transformer);
+  }
+  return registry;
+}
+
+// Problems with one example's trip from → to → from; a transformer that throws is one of them
+async function roundTripProblems(registry, example, from, to) {
+  const source = registry.protocols.get(from);
+  const target = registry.protocols.get(to);
+  const problems = [];
+
+  let there;
+  try {
+    // A JSON copy, so a transformer that mutates its input cannot hide a loss
+    there = await registry.transform(JSON.parse(JSON.stringify(example)), from, to);
+  } catch (error) {
+    return [`${from} → ${to} failed: ${error.message}`];
+  }
+  try {
+    validate(target.schema, there, `${to} message`);
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  let back;
+  try {
+    back = await registry.transform(there, to, from);
+  } catch (error) {
+    return [...problems, `${to} → ${from} failed: ${error.message}`];
+  }
+  if (!isDeepStrictEqual(source.content(back), source.content(example))) {
+    problems.push('content changed');
+  }
+  const metadata = source.metadata(back);
+  for (const [key, value] of Object.entries(source.metadata(example))) {
+    if (!isDeepStrictEqual(metadata[key], value)) problems.push(`metadata.${key} changed`);
+  }
+  return problems;
+}
+
+/**
+ * Conformance harness: transforms every example of every protocol to every
+ * reachable protocol and back. The outbound message must match the target's
+ * schema, and the way back must return the same content and every original
+ * metadata key unchanged. Returns one entry per round trip with its problems.
+ */
+async function checkRoundTrips(registry, options = {}) {
+  const names = options.protocols || Array.from(registry.protocols.keys());
+  const report = [];
+
+  for (const from of names) {
+    for (const to of names) {
+      if (from === to || !registry.findChain(from, to) || !registry.findChain(to, from)) continue;
+
+      for (const [index, example] of registry.protocols.get(from).examples.entries()) {
+        const problems = await roundTripProblems(registry, example, from, to);
+        report.push({
+          from,
+          to,
+          example: index,
+          via: registry.findChain(from, to).map(step => step.to),
+          ok: problems.length === 0,
+          problems
+        });
+      }
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  TransformerRegistry,
+  createTransformerRegistry,
+  checkRoundTrips,
+  PROTOCOLS,
+  BUILTIN_TRANSFORMERS
+};
@@ -0,0 +1,349 @@
+/**
+ * 📐 REQUEST SCHEMAS
+ *
+ * Declarative input schemas for the router's HTTP endpoints and universe
+ * WebSocket messages. A schema is a small JSON-Schema subset:
+ *
+ *   type                  string | number | integer | boolean | object | array, or a list of them
+ *   required              object properties that must be present
+ *   requireOneOf          object properties of which at least one must be present
+ *   forbidden             object properties that must be absent
+ *   properties            schemas of known object properties; undeclared ones are dropped
+ *   additionalProperties  true keeps undeclared properties
+ *   items                 schema of every array element
+ *   enum, pattern, minLength, maxLength, minimum, maximum, maxItems
+ *   maxBytes              bound on the JSON-encoded size, for free-form payloads
+ *   default               used when the property is missing
+ *   trim                  strings are trimmed before they are checked
+ *   coerce                scalars are converted to the declared type (query strings, numeric terms)
+ *
+ * validate() returns the normalised input or throws one 400 'invalid_request'
+ * listing every field error. The schemas themselves are published at
+ * GET /schemas.
+ */
+
+const { RouterError, sendRouterError } = require('./RouterError');
+const { EVENT_TYPES } = require('./UniverseTimeline');
+const { TOPICS } = require('./EventStream');
+const { MODES, POLICIES } = require('./RoutingPlans');
+const { RESERVED_METADATA_FIELDS } = require('./TripleIdentity');
+
+const term = { type: 'string', trim: true, coerce: true, minLength: 1, maxLength: 1024 };
+const optionalTerm = { type: 'string', trim: true, coerce: true, maxLength: 1024 };
+const protocol = { type: 'string', trim: true, pattern: '^[a-z][a-z0-9_-]*$', maxLength: 32 };
+const url = { type: 'string', trim: true, pattern: '^(https?|wss?)://', maxLength: 2048 };
+const metadata = { type: 'object', maxBytes: 16384, forbidden: [...RESERVED_METADATA_FIELDS] };
+const capabilities = { type: 'array', maxItems: 256, maxBytes: 65536, items: { type: ['string', 'object'] } };
+const routeTarget = { type: ['string', 'object'], maxBytes: 1024 };
+const message = { type: ['object', 'string'], maxBytes: 262144 };
+const generation = { type: 'integer', coerce: true, minimum: 0 };
+
+const triple = {
+  type: 'object',
+  required: ['subject', 'predicate', 'object'],
+  properties: { subject: term, predicate: term, object: term, metadata }
+};
+
+const query = {
+  type: 'object',
+  properties: {
+    query: { type: 'string', minLength: 1, maxLength: 8192 },
+    subject: optionalTerm,
+    predicate: optionalTerm,
+    object: optionalTerm,
+    limit: { type: 'integer', coerce: true, minimum: 1, maximum: 1000, default: 100 }
+  }
+};
+
+const mapping = { type: ['object', 'array', 'string'], maxBytes: 65536 };
+const hopTimeout = { type: 'integer', minimum: 1, maximum: 600000 };
+
+const plan = {
+  type: 'object',
+  properties: {
+    mode: { type: 'string', enum: MODES },
+    policy: { type: 'string', enum: POLICIES },
+    quorum: { type: 'integer', minimum: 1 },
+    width: { type: 'integer', minimum: 1 },
+    timeout: hopTimeout,
+    hops: {
+      type: 'array',
+      maxItems: 64,
+      items: {
+        type: 'object',
+        properties: { targetProtocol: protocol, targetAgent: routeTarget, capability: optionalTerm, transform: mapping, timeout: hopTimeout }
+      }
+    }
+  }
+};
+
+const route = {
+  type: 'object',
+  required: ['message'],
+  properties: { message, sourceProtocol: protocol, targetProtocol: protocol, targetAgent: routeTarget, plan, idempotent: { type: 'boolean' } }
+};
+
+// Stdio MCP servers come only from startup configuration, never from a request
+const registration = {
+  mcp: {
+    type: 'object',
+    required: ['url'],
+    forbidden: ['command', 'args'],
+    properties: {
+      url,
+      heartbeatInterval: { type: 'integer', minimum: 1 },
+      capabilities,
+      metadata
+    }
+  },
+  a2a: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url,
+      streaming: { type: 'boolean' },
+      healthUrl: url,
+      heartbeatInterval: { type: 'integer', minimum: 1 },
+      capabilities,
+      metadata
+    }
+  }
+};
+
+// Same fields as registration, all optional
+const update = kind => ({ type: 'object', forbidden: registration[kind].forbidden, properties: registration[kind].properties });
+
+const HTTP_SCHEMAS = {
+  'POST /triples': { server: 'universe', body: triple },
+  'POST /query': { server: 'universe', body: query },
+  'POST /route': { server: 'universe', body: route },
+  'GET /history/events': {
+    server: 'universe',
+    query: {
+      type: 'object',
+      properties: {
+        since: { type: 'integer', coerce: true, minimum: 0, default: 0 },
+        limit: { type: 'integer', coerce: true, minimum: 1, maximum: 1000, default: 100 },
+        type: { type: 'string', enum: EVENT_TYPES },
+        generation
+      }
+    }
+  },
+  'GET /history/diff': {
+    server: 'universe',
+    query: { type: 'object', required: ['from', 'to'], properties: { from: generation, to: generation } }
+  },
+  'PUT /transformations/:source/:target': {
+    server: 'universe',
+    body: { type: 'object', required: ['mapping'], properties: { mapping } }
+  },
+  'DELETE /transformations/:source/:target': {
+    server: 'universe',
+    query: { type: 'object', properties: { version: { type: 'integer', coerce: true, minimum: 1 } } }
+  },
+  'POST /mcp/register': { server: 'mcp', body: registration.mcp },
+  'PUT /mcp/:id': { server: 'mcp', body: update('mcp') },
+  'POST /mcp/route': {
+    server: 'mcp',
+    body: { type: 'object', required: ['message'], properties: { message: { ...message, type: 'object' }, targetServer: routeTarget } }
+  },
+  'POST /a2a/register': { server: 'a2a', body: registration.a2a },
+  'PUT /a2a/:id': { server: 'a2a', body: update('a2a') },
+  'POST /a2a/route': {
+    server: 'a2a',
+    body: { type: 'object', required: ['message'], properties: { message: { ...message, type: 'object' }, targetAgent: routeTarget } }
+  }
+};
+
+const empty = { type: 'object', properties: {} };
+
+const subscribe = {
+  type: 'object',
+  required: ['topic'],
+  properties: {
+    topic: { type: 'string', enum: TOPICS },
+    filter: {
+      type: 'object',
+      default: {},
+      properties: {
+        subject: optionalTerm,
+        predicate: optionalTerm,
+        object: optionalTerm,
+        target: { type: 'string', maxLength: 256 },
+        protocol,
+        success: { type: 'boolean' },
+        every: { type: 'integer', minimum: 1 }
+      }
+    },
+    since: { type: 'integer', minimum: 0 }
+  }
+};
+
+// Universe WebSocket messages, keyed by `type`; the type field itself is kept
+const WEBSOCKET_SCHEMAS = {
+  query_triples: query,
+  add_triple: triple,
+  route_message: route,
+  get_consciousness: empty,
+  get_universe_status: empty,
+  subscribe,
+  unsubscribe: { type: 'object', required: ['subscription'], properties: { subscription: { type: 'string', maxLength: 64 } } }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function coerce(value, types) {
+  if (typeof value === 'string' && value.trim() !== '') {
+    if ((types.includes('integer') || types.includes('number')) && !Number.isNaN(Number(value))) return Number(value);
+    if (types.includes('boolean') && ['true', 'false'].includes(value)) return value === 'true';
+  }
+  if (types.includes('string') && ['number', 'integer', 'boolean'].includes(typeOf(value))) return String(value);
+  return value;
+}
+
+const fieldName = (path, key) => (path ? `${path}.${key}` : key);
+
+function check(schema, input, path, errors) {
+  const fail = (message) => {
+    errors.push({ field: path || '(root)', message });
+    return input;
+  };
+
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  let value = input;
+  if (schema.trim && typeof value === 'string') value = value.trim();
+  if (schema.coerce) value = coerce(value, types);
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return fail(`must be ${types.join(' or ')}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(`must match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (schema.maxBytes !== undefined && Buffer.byteLength(JSON.stringify(value)) > schema.maxBytes) {
+    return fail(`must be at most ${schema.maxBytes} bytes as JSON`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value = value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+  }
+
+  if (typeOf(value) === 'object' && schema.forbidden) {
+    for (const key of schema.forbidden) {
+      if (value[key] !== undefined) errors.push({ field: fieldName(path, key), message: 'is not allowed' });
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ field: fieldName(path, key), message: 'is required' });
+    }
+    if (schema.requireOneOf && schema.requireOneOf.every(key => value[key] === undefined)) {
+      errors.push({ field: path || '(root)', message: `needs one of ${schema.requireOneOf.join(', ')}` });
+    }
+
+    const normalised = schema.additionalProperties ? { ...value } : {};
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] === undefined) {
+        if (propertySchema.default !== undefined) normalised[key] = JSON.parse(JSON.stringify(propertySchema.default));
+        continue;
+      }
+      normalised[key] = check(propertySchema, value[key], fieldName(path, key), errors);
+    }
+    value = normalised;
+  }
+
+  return value;
+}
+
+function validate(schema, input, label = 'request') {
+  const errors = [];
+  const value = check(schema, input, '', errors);
+  if (errors.length > 0) {
+    const summary = errors.map(error => `${error.field} ${error.message}`).join('; ');
+    throw new RouterError('invalid_request', `Invalid ${label}: ${summary}`, 400, { errors });
+  }
+  return value;
+}
+
+// Validates a WebSocket message against the schema for its type
+function validateWebSocketMessage(message) {
+  const types = Object.keys(WEBSOCKET_SCHEMAS);
+  if (typeOf(message) !== 'object' || !types.includes(message.type)) {
+    throw new RouterError('invalid_request', `Invalid message: type must be one of ${types.join(', ')}`, 400, {
+      errors: [{ field: 'type', message: `must be one of ${types.join(', ')}` }]
+    });
+  }
+  return { type: message.type, ...validate(WEBSOCKET_SCHEMAS[message.type], message, `${message.type} message`) };
+}
+
+// Express middleware: replaces req.body / req.query with their validated, normalised form
+function validateRequest(endpoint) {
+  const { body, query } = HTTP_SCHEMAS[endpoint];
+  return (req, res, next) => {
+    try {
+      if (body) req.body = validate(body, req.body ?? {}, 'request body');
+      if (query) req.query = validate(query, req.query, 'query string');
+      next();
+    } catch (error) {
+      sendRouterError(res, error);
+    }
+  };
+}
+
+// Express error handler for bodies express.json() could not read
+function handleBodyErrors(error, req, res, next) {
+  if (error.type === 'entity.too.large') {
+    return sendRouterError(res, new RouterError('payload_too_large', `Request body exceeds ${error.limit} bytes`, 413, { limit: error.limit }));
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendRouterError(res, new RouterError('invalid_request', 'Request body is not valid JSON', 400, {
+      errors: [{ field: '(root)', message: error.message }]
+    }));
+  }
+  next(error);
+}
+
+// Schema discovery document served by GET /schemas
+function describeSchemas(limits = {}) {
+  const http = Object.entries(HTTP_SCHEMAS).map(([endpoint, spec]) => {
+    const [method, path] = endpoint.split(' ');
+    return { method, path, ...spec };
+  });
+  return { limits, http, websocket: WEBSOCKET_SCHEMAS };
+}
+
+module.exports = {
+  HTTP_SCHEMAS,
+  WEBSOCKET_SCHEMAS,
+  validate,
+  validateRequest,
+  validateWebSocketMessage,
+  handleBodyErrors,
+  describeSchemas
+};
@@ -0,0 +1,166 @@
+/**
+ * 🛡️ ROUTE RESILIENCE
+ *
+ * What executeRoute does when a target misbehaves:
+ *
+ *   timeouts         every protocol has its own budget (routeTimeouts), kept on
+ *                    the router clock; running out of it fails the attempt with
+ *                    'route_timeout' and cancels the MCP request or A2A task
+ *                    still in flight
+ *   retries          idempotent calls (MCP reads, knowledge queries, or routes
+ *                    marked idempotent) are retried after transient failures,
+ *                    waiting a random delay up to baseDelay * 2^attempt (full jitter)
+ *   failover         a failure that is safe to repeat elsewhere hands the message
+ *                    to the next-best candidate from findOptimalRoute
+ *   circuit breaker  per target: `failureThreshold` transient failures in a row
+ *                    open the circuit, so the target is skipped and scores low;
+ *                    after `resetTimeout` one probe is let through (half open)
+ *                    and its outcome closes or re-opens the circuit
+ *
+ * Failures fall into three kinds:
+ *
+ *   undelivered  the target never got the message (refused, unknown host,
+ *                open circuit); always safe to retry and fail over
+ *   transient    the target may have got it (timeout, reset, 429/502/503/504);
+ *                retried and failed over only when the call is idempotent
+ *   application  the target answered with an error (tool error, failed task,
+ *                JSON-RPC error); the target is healthy, the message is not
+ */
+
+const { SystemClock } = require('../simulation/Simulation');
+
+// MCP methods that only read, so repeating them is harmless
+const IDEMPOTENT_MCP_METHODS = new Set([
+  'ping',
+  'tools/list',
+  'resources/list',
+  'resources/read',
+  'resources/templates/list',
+  'prompts/list',
+  'prompts/get',
+  'completion/complete'
+]);
+
+const UNDELIVERED_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'EAI_AGAIN', 'circuit_open']);
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'ERR_NETWORK', 'route_timeout']);
+const TRANSIENT_STATUSES = new Set([429, 502, 503, 504]);
+
+function classifyFailure(error) {
+  if (UNDELIVERED_CODES.has(error?.code)) return 'undelivered';
+  if (TRANSIENT_CODES.has(error?.code) || TRANSIENT_STATUSES.has(error?.status)) return 'transient';
+  return 'application';
+}
+
+// Full jitter: anywhere between 0 and the exponential ceiling
+function retryDelay(attempt, { baseDelay = 100, maxDelay = 2000, random = Math.random } = {}) {
+  return Math.round(random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)));
+}
+
+// Runs run(signal), failing with onTimeout() after `timeout` ms on `clock` and aborting the signal so the
+// work stops too; aborting `signal` aborts it as well
+function withTimeout(run, timeout, onTimeout, { clock = new SystemClock(), signal: parent } = {}) {
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  if (parent?.aborted) cancel();
+  parent?.addEventListener('abort', cancel, { once: true });
+  let cancelTimer;
+  const expired = new Promise((resolve, reject) => {
+    cancelTimer = clock.setTimer(timeout, () => {
+      reject(onTimeout());
+      controller.abort();
+    });
+  });
+  return Promise.race([run(controller.signal), expired]).finally(() => {
+    cancelTimer();
+    parent?.removeEventListener('abort', cancel);
+  });
+}
+
+class CircuitBreakers {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.halfOpenProbes = options.halfOpenProbes || 1;
+    this.clock = options.clock || new SystemClock();
+    this.circuits = new Map();
+  }
+
+  get(key) {
+    let circuit = this.circuits.get(key);
+    if (!circuit) {
+      circuit = { state: 'closed', failures: 0, openedAt: null, probes: 0, trips: 0 };
+      this.circuits.set(key, circuit);
+    }
+    // An open circuit becomes half open once its cool-down is over
+    if (circuit.state === 'open' && this.clock.now() - circuit.openedAt >= this.resetTimeout) {
+      circuit.state = 'half_open';
+      circuit.probes = 0;
+    }
+    return circuit;
+  }
+
+  state(key) {
+    return this.circuits.has(key) ? this.get(key).state : 'closed';
+  }
+
+  // Whether a call may go to the target now; half-open circuits let a few probes through
+  allow(key) {
+    const circuit = this.get(key);
+    if (circuit.state === 'closed') return true;
+    if (circuit.state === 'half_open' && circuit.probes < this.halfOpenProbes) {
+      circuit.probes++;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess(key) {
+    const circuit = this.get(key);
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.probes = 0;
+  }
+
+  recordFailure(key) {
+    const circuit = this.get(key);
+    circuit.failures++;
+    if (circuit.state === 'half_open' || circuit.failures >= this.failureThreshold) {
+      if (circuit.state !== 'open') circuit.trips++;
+      circuit.state = 'open';
+      circuit.openedAt = this.clock.now();
+      circuit.probes = 0;
+    }
+  }
+
+  reset(key) {
+    return this.circuits.delete(key);
+  }
+
+  getStatus() {
+    const targets = {};
+    for (const key of this.circuits.keys()) {
+      const { state, failures, openedAt, trips } = this.get(key);
+      targets[key] = {
+        state,
+        failures,
+        trips,
+        openedAt,
+        ...(state === 'open' ? { retryAt: openedAt + this.resetTimeout } : {})
+      };
+    }
+    return {
+      failureThreshold: this.failureThreshold,
+      resetTimeout: this.resetTimeout,
+      open: Object.values(targets).filter(target => target.state === 'open').length,
+      targets
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreakers,
+  classifyFailure,
+  retryDelay,
+  withTimeout,
+  IDEMPOTENT_MCP_METHODS
+};
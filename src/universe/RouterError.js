@@ -0,0 +1,49 @@
+/**
+ * 🚦 ROUTER ERRORS
+ *
+ * Errors raised by the universe router's HTTP entry points. Each carries a
+ * stable machine-readable code and the HTTP status it maps to, so every
+ * endpoint answers failures with the same JSON body:
+ *
+ *   { "error": { "code": "unknown_target", "message": "...", "details": { ... } } }
+ */
+
+class RouterError extends Error {
+  constructor(code, message, status = 500, details) {
+    super(message);
+    this.name = 'RouterError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: {
+        code: this.code,
+        message: this.message,
+        ...(this.details !== undefined ? { details: this.details } : {})
+      }
+    };
+  }
+}
+
+function sendRouterError(res, error) {
+  if (error instanceof RouterError) {
+    // 429 and 503 carry a retry hint in details; surface it the standard way too
+    if (error.details?.retryAfterMs !== undefined) {
+      res.set('Retry-After', String(Math.ceil(error.details.retryAfterMs / 1000)));
+    }
+    return res.status(error.status).json(error.toJSON());
+  }
+
+  console.error('🚦 Unexpected router error:', error.message);
+  return res.status(500).json({
+    error: {
+      code: 'internal_error',
+      message: error.message
+    }
+  });
+}
+
+module.exports = { RouterError, sendRouterError };
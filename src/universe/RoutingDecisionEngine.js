@@ -0,0 +1,150 @@
+/**
+ * 🌳 ROUTING DECISION ENGINE
+ *
+ * Evaluates the router's decision trees (universe.decisionTrees) against an
+ * incoming message: classify the message, walk the matching tree by
+ * evaluating each node's condition, and map the leaf action to a concrete
+ * routing decision ({ protocol, capabilities }).
+ */
+
+const QUESTION_START = /^(who|what|when|where|why|how|which|is|are|can|could|does|do|did|should|would|will)\b/i;
+const COMMAND_START = /^(run|execute|start|stop|create|delete|remove|update|send|open|close|deploy|restart|install|build)\b/i;
+const QUERY_START = /^(select|find|list|count|lookup|query|search|show|get)\b/i;
+
+const DEFAULT_CONDITIONS = {
+  message_contains_question: ({ text }) => text.includes('?') || QUESTION_START.test(text.trim()),
+
+  requires_realtime_response: ({ message, text }) =>
+    message.realtime === true ||
+    message.priority === 'high' ||
+    /\b(now|urgent|immediately|asap|real-?time|live)\b/i.test(text),
+
+  is_command: ({ message, text }) =>
+    Boolean(message.command) || text.trim().startsWith('/') || COMMAND_START.test(text.trim()),
+
+  query_complexity_high: ({ message, text }) => {
+    const query = typeof message.query === 'string' ? message.query : text;
+    const patternCount = query.split(/\s\.\s/).filter(p => p.trim()).length;
+    return patternCount > 1 ||
+      /\b(join|group by|order by|aggregate|filter)\b/i.test(query) ||
+      query.length > 200;
+  },
+
+  requires_external_data: ({ message, text }) =>
+    message.external === true ||
+    /https?:\/\//i.test(text) ||
+    /\b(latest|current|today|news|weather|price|online|web)\b/i.test(text),
+
+  function_is_async: ({ message }) => {
+    const name = String(message.params?.name || message.function || message.tool || message.method || '');
+    return message.async === true ||
+      message.params?.async === true ||
+      /async|long_running|batch|background/i.test(name);
+  }
+};
+
+// Leaf actions of the decision trees and the routing decision each one stands for
+const DEFAULT_ACTIONS = {
+  route_to_a2a_agent: { protocol: 'a2a' },
+  route_to_mcp_server: { protocol: 'mcp' },
+  route_to_function_agent: { capabilities: ['function', 'tools', 'command'] },
+  route_to_general_agent: {},
+  route_to_specialized_mcp: { protocol: 'mcp', capabilities: ['query', 'database', 'analytics', 'sparql'] },
+  route_to_web_agent: { capabilities: ['web', 'search', 'browse', 'fetch'] },
+  route_to_knowledge_base: { protocol: 'knowledge' },
+  route_to_a2a_async_agent: { protocol: 'a2a', capabilities: ['async', 'long_running', 'batch'] },
+  route_to_mcp_function_server: { protocol: 'mcp', capabilities: ['function', 'tools'] }
+};
+
+function messageText(message) {
+  if (typeof message === 'string') return message;
+  if (!message || typeof message !== 'object') return String(message ?? '');
+
+  const text = message.content ?? message.text ?? message.message ?? message.query ?? message.params?.message;
+  if (typeof text === 'string') return text;
+  return JSON.stringify(message);
+}
+
+class RoutingDecisionEngine {
+  constructor(decisionTrees, options = {}) {
+    this.decisionTrees = decisionTrees;
+    this.conditions = new Map(Object.entries({ ...DEFAULT_CONDITIONS, ...(options.conditions || {}) }));
+    this.actions = new Map(Object.entries({ ...DEFAULT_ACTIONS, ...(options.actions || {}) }));
+  }
+
+  registerCondition(name, evaluate) {
+    this.conditions.set(name, evaluate);
+  }
+
+  registerAction(name, decision) {
+    this.actions.set(name, decision);
+  }
+
+  classify(message) {
+    const text = messageText(message);
+    const data = message && typeof message === 'object' ? message : {};
+
+    if (data.method === 'tools/call' || data.function || data.functionCall || data.tool ||
+        (typeof data.method === 'string' && data.params !== undefined)) {
+      return 'function_call';
+    }
+
+    if (data.query !== undefined || data.type === 'query' ||
+        data.subject !== undefined || data.predicate !== undefined ||
+        QUERY_START.test(text.trim())) {
+      return 'data_query';
+    }
+
+    return 'text_message';
+  }
+
+  evaluateCondition(name, context) {
+    const evaluate = this.conditions.get(name);
+    if (!evaluate) {
+      throw new Error(`Unknown decision tree condition: ${name}`);
+    }
+    return Boolean(evaluate(context));
+  }
+
+  decide(message) {
+    const messageType = this.classify(message);
+    const tree = this.decisionTrees.get(messageType);
+    if (!tree) {
+      throw new Error(`No decision tree registered for ${messageType}`);
+    }
+
+    const context = {
+      message: message && typeof message === 'object' ? message : {},
+      text: messageText(message)
+    };
+
+    const path = [];
+    let node = tree.root;
+    while (node && !node.action) {
+      const result = this.evaluateCondition(node.condition, context);
+      path.push({ condition: node.condition, result });
+      node = result ? node.trueChild : node.falseChild;
+    }
+
+    const action = node?.action;
+    const decision = this.actions.get(action);
+    if (!decision) {
+      throw new Error(`Unknown decision tree action: ${action}`);
+    }
+
+    return {
+      messageType,
+      path,
+      action,
+      protocol: decision.protocol || null,
+      capabilities: decision.capabilities || [],
+      explanation: [
+        messageType,
+        ...path.map(step => `${step.condition}=${step.result}`),
+        action
+      ].join(' → ')
+    };
+  }
+}
+
+module.exports = { RoutingDecisionEngine, messageText };
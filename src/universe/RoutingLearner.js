@@ -0,0 +1,155 @@
+/**
+ * 📈 ROUTING LEARNER
+ *
+ * Learns how good each route (protocol + target) is from observed outcomes:
+ * - success rate with exponential decay, so old outcomes fade out
+ * - latency percentiles over a sliding window of recent samples
+ * - a UCB-style exploration bonus, so new or rarely used targets still get traffic
+ */
+
+const { SystemClock } = require('../simulation/Simulation');
+
+class RoutingLearner {
+  constructor(options = {}) {
+    this.halfLife = options.halfLife || 600000; // ms for an outcome to lose half its weight
+    this.latencyWindow = options.latencyWindow || 100;
+    this.explorationWeight = options.explorationWeight ?? 0.5;
+    this.referenceLatency = options.referenceLatency || 1000; // Latency that scores 0.5
+    this.priorSuccessRate = options.priorSuccessRate ?? 0.5;
+    this.priorWeight = options.priorWeight ?? 1;
+    this.clock = options.clock || new SystemClock();
+    this.routes = new Map();
+    this.lastDecision = null;
+  }
+
+  getRoute(routeKey) {
+    let stats = this.routes.get(routeKey);
+    if (!stats) {
+      stats = {
+        attempts: 0,
+        successes: 0,
+        weightedAttempts: 0,
+        weightedSuccesses: 0,
+        latencies: [],
+        updatedAt: this.clock.now(),
+        lastUsed: 0
+      };
+      this.routes.set(routeKey, stats);
+    }
+    return stats;
+  }
+
+  decay(stats, now = this.clock.now()) {
+    const elapsed = now - stats.updatedAt;
+    if (elapsed > 0) {
+      const factor = Math.pow(0.5, elapsed / this.halfLife);
+      stats.weightedAttempts *= factor;
+      stats.weightedSuccesses *= factor;
+      stats.updatedAt = now;
+    }
+  }
+
+  record(routeKey, outcome) {
+    const now = this.clock.now();
+    const stats = this.getRoute(routeKey);
+    this.decay(stats, now);
+
+    stats.attempts++;
+    stats.weightedAttempts += 1;
+    if (outcome.success) {
+      stats.successes++;
+      stats.weightedSuccesses += 1;
+    }
+
+    if (Number.isFinite(outcome.latency)) {
+      stats.latencies.push(outcome.latency);
+      if (stats.latencies.length > this.latencyWindow) stats.latencies.shift();
+    }
+    stats.lastUsed = now;
+  }
+
+  successRate(routeKey) {
+    const stats = this.routes.get(routeKey);
+    if (!stats) return this.priorSuccessRate;
+
+    this.decay(stats);
+    // Beta-style smoothing towards the prior keeps single outcomes from dominating
+    return (stats.weightedSuccesses + this.priorSuccessRate * this.priorWeight) /
+      (stats.weightedAttempts + this.priorWeight);
+  }
+
+  latencyPercentiles(routeKey) {
+    const stats = this.routes.get(routeKey);
+    if (!stats || stats.latencies.length === 0) return null;
+
+    const sorted = [...stats.latencies].sort((a, b) => a - b);
+    const at = p => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+    return { p50: at(0.5), p90: at(0.9), p99: at(0.99), samples: sorted.length };
+  }
+
+  // 1 for instant responses, 0.5 at the reference latency, towards 0 beyond; null until measured
+  latencyScore(routeKey) {
+    const percentiles = this.latencyPercentiles(routeKey);
+    if (!percentiles) return null;
+    return 1 / (1 + percentiles.p90 / this.referenceLatency);
+  }
+
+  explorationBonus(routeKey) {
+    let totalAttempts = 0;
+    for (const stats of this.routes.values()) {
+      this.decay(stats);
+      totalAttempts += stats.weightedAttempts;
+    }
+
+    const attempts = this.routes.get(routeKey)?.weightedAttempts || 0;
+    return Math.min(1, this.explorationWeight * Math.sqrt(Math.log(totalAttempts + 2) / (attempts + 1)));
+  }
+
+  describe(routeKey) {
+    return {
+      successRate: this.successRate(routeKey),
+      latencyScore: this.latencyScore(routeKey),
+      explorationBonus: this.explorationBonus(routeKey)
+    };
+  }
+
+  recordDecision(candidates, chosen) {
+    this.lastDecision = {
+      at: this.clock.now(),
+      chosen: chosen ? chosen.routeKey : null,
+      candidates: candidates.map(route => ({
+        routeKey: route.routeKey,
+        score: route.score,
+        breakdown: route.scoreBreakdown
+      }))
+    };
+  }
+
+  getStats() {
+    const routes = {};
+    for (const [routeKey, stats] of this.routes) {
+      routes[routeKey] = {
+        attempts: stats.attempts,
+        successes: stats.successes,
+        decayedAttempts: stats.weightedAttempts,
+        successRate: this.successRate(routeKey),
+        latency: this.latencyPercentiles(routeKey),
+        explorationBonus: this.explorationBonus(routeKey),
+        lastUsed: stats.lastUsed
+      };
+    }
+
+    return {
+      routes,
+      lastDecision: this.lastDecision,
+      policy: {
+        halfLife: this.halfLife,
+        latencyWindow: this.latencyWindow,
+        explorationWeight: this.explorationWeight,
+        referenceLatency: this.referenceLatency
+      }
+    };
+  }
+}
+
+module.exports = { RoutingLearner };
@@ -0,0 +1,229 @@
+/**
+ * 🗺️ ROUTING PLANS
+ *
+ * Sends one message to several destinations. A plan spec travels with the
+ * message (`plan` on POST /route and route_message) and says how:
+ *
+ *   chain   hops run one after another, each one's output becoming the next
+ *           one's input (an MCP tool's output fed into an A2A agent); the
+ *           chain stops at the first hop that fails
+ *   fanout  every hop gets the message at the same time, and the policy
+ *           decides whether the plan succeeded:
+ *             all     every hop succeeded
+ *             any     at least one hop succeeded
+ *             quorum  at least `quorum` hops succeeded (default: a majority)
+ *
+ * Hops are { targetProtocol, targetAgent, capability, transform, timeout }
+ * and are resolved by findOptimalRoute exactly like single routes; a fan-out
+ * without hops goes to the `width` best-scoring targets. A hop's input is
+ * converted by the protocol transformers, or built by its `transform` field
+ * mapping (see TransformationTemplates.js) when it has one; a hop whose input
+ * cannot be built fails with 'transform_failed'. Every hop runs to completion
+ * or to its timeout on the router clock, which cancels the route still in
+ * flight, then hands on its answer as an A2A-style { content, metadata } message.
+ */
+
+const { RouterError } = require('./RouterError');
+const { compileMapping } = require('./TransformationTemplates');
+
+const MODES = ['chain', 'fanout'];
+const POLICIES = ['all', 'any', 'quorum'];
+
+// Protocol of the { content, metadata } messages hops hand on
+const OUTPUT_PROTOCOL = 'a2a';
+
+function invalidPlan(message, details) {
+  return new RouterError('invalid_plan', `Invalid routing plan: ${message}`, 400, details);
+}
+
+// Text parts joined, or the structured content when there is no text
+function partsContent(parts, textOf, dataOf) {
+  const texts = parts.map(textOf).filter(text => typeof text === 'string');
+  if (texts.length > 0) return texts.join('\n');
+  const data = parts.map(dataOf).filter(value => value !== undefined);
+  return data.length === 1 ? data[0] : data;
+}
+
+class RoutingPlanner {
+  constructor(router, options = {}) {
+    this.router = router;
+    this.hopTimeout = options.hopTimeout || 30000;
+    this.maxHops = options.maxHops || 16;
+  }
+
+  // Resolves a plan spec into scored routes; called by findOptimalRoute
+  async plan(messageTriple, spec, { targetProtocol, targetAgent, preferences = {} } = {}) {
+    const mode = spec.mode || (spec.hops ? 'chain' : 'fanout');
+    const hopSpecs = spec.hops || [];
+    if (!MODES.includes(mode)) throw invalidPlan(`mode must be one of ${MODES.join(', ')}`);
+    if (mode === 'chain' && hopSpecs.length === 0) throw invalidPlan('a chain needs hops');
+    if (mode === 'fanout' && hopSpecs.length === 0 && !spec.width) throw invalidPlan('a fan-out needs hops or a width');
+    if (Math.max(hopSpecs.length, spec.width || 0) > this.maxHops) throw invalidPlan(`at most ${this.maxHops} hops`, { maxHops: this.maxHops });
+
+    // Checked now so a bad mapping is refused before any hop runs
+    hopSpecs.forEach((hop, index) => hop.transform !== undefined && compileMapping(hop.transform, `hops[${index}].transform`));
+
+    let routes;
+    if (hopSpecs.length > 0) {
+      routes = [];
+      for (const hop of hopSpecs) {
+        const agent = typeof hop.targetAgent === 'string' ? hop.targetAgent : hop.targetAgent?.id;
+        const capability = hop.capability || hop.targetAgent?.capability;
+        routes.push(await this.router.findOptimalRoute(messageTriple, hop.targetProtocol || targetProtocol, agent, {
+          capabilities: capability ? [String(capability).toLowerCase()] : preferences.capabilities || []
+        }) || null);
+      }
+    } else {
+      routes = this.router.scoreRoutes(messageTriple, targetProtocol, targetAgent, preferences).slice(0, spec.width);
+      if (routes.length === 0) return null;
+    }
+
+    const hops = routes.map((routingPath, index) => ({
+      index,
+      routingPath,
+      ...(hopSpecs[index]?.transform !== undefined ? { transform: hopSpecs[index].transform } : {}),
+      timeout: hopSpecs[index]?.timeout || spec.timeout || this.hopTimeout
+    }));
+
+    const policy = mode === 'chain' ? 'all' : spec.policy || 'all';
+    const required = policy === 'all' ? hops.length
+      : policy === 'any' ? 1
+        : spec.quorum ?? Math.floor(hops.length / 2) + 1;
+    if (required > hops.length) {
+      throw invalidPlan(`quorum ${required} is more than the ${hops.length} hops planned`, { quorum: required, hops: hops.length });
+    }
+
+    return { type: 'plan', id: this.router.generateId(), mode, policy, required, hops };
+  }
+
+  async execute(plan, message, sourceProtocol, options = {}) {
+    const startedAt = this.router.clock.now();
+    const results = [];
+
+    if (plan.mode === 'chain') {
+      let input = message;
+      let inputProtocol = sourceProtocol;
+      for (const hop of plan.hops) {
+        const previous = results[results.length - 1];
+        if (previous && previous.status !== 'succeeded') {
+          results.push({ index: hop.index, ...this.describeTarget(hop), status: 'skipped' });
+          continue;
+        }
+        const result = await this.runHop(hop, input, inputProtocol, options);
+        results.push(result);
+        input = result.output;
+        inputProtocol = OUTPUT_PROTOCOL;
+      }
+    } else {
+      results.push(...await Promise.all(plan.hops.map(hop => this.runHop(hop, message, sourceProtocol, options))));
+    }
+
+    const succeeded = results.filter(result => result.status === 'succeeded');
+    const success = succeeded.length >= plan.required;
+    return {
+      success,
+      mode: plan.mode,
+      policy: plan.policy,
+      required: plan.required,
+      succeeded: succeeded.length,
+      failed: results.length - succeeded.length,
+      hops: results,
+      // A chain answers with its last hop; a fan-out with every hop that succeeded
+      output: plan.mode === 'chain'
+        ? (success ? results[results.length - 1].output : undefined)
+        : succeeded.map(result => ({ index: result.index, protocol: result.protocol, targetId: result.targetId, output: result.output })),
+      ...(success ? {} : {
+        error: `${succeeded.length} of ${results.length} hops succeeded; the ${plan.policy} policy needs ${plan.required}`,
+        errorCode: 'plan_failed'
+      }),
+      latency: this.router.clock.now() - startedAt,
+      executedAt: this.router.clock.now()
+    };
+  }
+
+  describeTarget(hop) {
+    return { protocol: hop.routingPath?.protocol ?? null, targetId: hop.routingPath?.targetId ?? null };
+  }
+
+  async runHop(hop, input, inputProtocol, options) {
+    const { router } = this;
+    const { routingPath } = hop;
+    const target = { index: hop.index, ...this.describeTarget(hop) };
+    if (!routingPath) {
+      return { ...target, status: 'failed', error: `No route for hop ${hop.index}`, errorCode: 'no_route' };
+    }
+
+    let sent;
+    try {
+      sent = hop.transform !== undefined
+        ? compileMapping(hop.transform)(input, { clock: router.clock, generateId: () => router.generateId(), sourceProtocol: inputProtocol, targetProtocol: routingPath.protocol })
+        : await router.transformMessage(input, inputProtocol, routingPath.protocol);
+    } catch (error) {
+      return { ...target, status: 'failed', error: `Hop ${hop.index} could not build its input: ${error.message}`, errorCode: 'transform_failed' };
+    }
+
+    const startedAt = router.clock.now();
+    const controller = new AbortController();
+    let cancelTimer;
+    const timedOut = new Promise((resolve) => {
+      cancelTimer = router.clock.setTimer(hop.timeout, () => resolve(null));
+    });
+    let result = await Promise.race([router.executeRoute(sent, routingPath, { ...options, signal: controller.signal }), timedOut]);
+    cancelTimer();
+    // A timed-out route is stopped, so the timeout below is the only outcome recorded for it
+    if (result === null) controller.abort();
+
+    const status = result === null ? 'timed_out' : result.success ? 'succeeded' : 'failed';
+    if (result === null) {
+      result = {
+        success: false,
+        error: `Hop ${hop.index} timed out after ${hop.timeout} ms`,
+        errorCode: 'hop_timeout',
+        routingPath,
+        latency: router.clock.now() - startedAt,
+        executedAt: router.clock.now()
+      };
+    }
+
+    router.updateRoutingIntelligence(routingPath, result);
+    if (hop.transform === undefined && sent !== input) {
+      router.transformationTemplates.recordOutcome(inputProtocol, routingPath.protocol, input, sent, result.success, options.principal);
+    }
+
+    return {
+      ...target,
+      status,
+      input: sent,
+      result,
+      ...(status === 'succeeded' ? { output: this.outputOf(hop, result.result) } : {})
+    };
+  }
+
+  // A hop's answer as the message handed to the next hop
+  outputOf(hop, response) {
+    const { protocol, targetId } = hop.routingPath;
+    let content;
+    switch (protocol) {
+      case 'mcp': {
+        const mcp = response?.mcpResponse;
+        content = mcp?.structuredContent ?? (Array.isArray(mcp?.content)
+          ? partsContent(mcp.content, part => (part.type === 'text' ? part.text : undefined), part => part)
+          : mcp);
+        break;
+      }
+      case 'a2a': {
+        const parts = (response?.artifacts || []).flatMap(artifact => artifact.parts || []);
+        content = partsContent(parts, part => (part.kind === 'text' ? part.text : undefined), part => part.data);
+        break;
+      }
+      case 'knowledge':
+        content = response?.knowledgeResponse;
+        break;
+      default:
+        content = response;
+    }
+    return { content, metadata: { planHop: hop.index, protocol, targetId } };
+  }
+}
+
+module.exports = { RoutingPlanner, MODES, POLICIES };
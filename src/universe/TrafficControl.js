@@ -0,0 +1,241 @@
+/**
+ * 🚥 TRAFFIC CONTROL
+ *
+ * Keeps callers from flooding the universe with triples, grid cells and
+ * routes:
+ *
+ *   RateLimiter           token buckets per client (API key id or address) and one
+ *                         shared by everyone; an empty bucket answers 429 with the
+ *                         time until a token is back
+ *   RouteQueue            at most `concurrency` routes run at once; up to `maxDepth`
+ *                         more wait their turn, beyond that routes are refused
+ *   WebSocketFlowControl  stops reading from a socket while its send buffer is over
+ *                         the high-water mark or too many of its messages are in flight,
+ *                         and drops live events instead of buffering them past it
+ *
+ * Buckets refill continuously at `refillPerSecond` up to `capacity` (the
+ * burst), reading time from the router clock.
+ */
+
+const { RouterError, sendRouterError } = require('./RouterError');
+const { SystemClock } = require('../simulation/Simulation');
+
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }, now) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until `cost` tokens are available (0 when they are now)
+  waitFor(cost, now) {
+    this.refill(now);
+    if (this.tokens >= cost) return 0;
+    return Math.ceil(((cost - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  take(cost) {
+    this.tokens -= cost;
+  }
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.clock = options.clock || new SystemClock();
+    this.clientLimit = { capacity: options.clientBurst || 100, refillPerSecond: options.clientRate || 50 };
+    this.globalLimit = { capacity: options.globalBurst || 1000, refillPerSecond: options.globalRate || 500 };
+    this.maxClients = options.maxClients || 10000;
+    this.global = new TokenBucket(this.globalLimit, this.clock.now());
+    this.clients = new Map();
+    this.stats = { allowed: 0, limited: { client: 0, global: 0 } };
+  }
+
+  bucketFor(clientId, now) {
+    let bucket = this.clients.get(clientId);
+    if (!bucket) {
+      if (this.clients.size >= this.maxClients) this.pruneClients(now);
+      bucket = new TokenBucket(this.clientLimit, now);
+      this.clients.set(clientId, bucket);
+    }
+    return bucket;
+  }
+
+  // Full buckets carry no state worth keeping
+  pruneClients(now) {
+    for (const [clientId, bucket] of this.clients) {
+      bucket.refill(now);
+      if (bucket.tokens >= bucket.capacity) this.clients.delete(clientId);
+    }
+  }
+
+  // Takes `cost` tokens from the client's bucket and the global one, or throws 429
+  consume(clientId, cost = 1) {
+    if (!this.enabled) return null;
+
+    const now = this.clock.now();
+    const client = this.bucketFor(clientId, now);
+    const clientWait = client.waitFor(cost, now);
+    const globalWait = this.global.waitFor(cost, now);
+
+    if (clientWait > 0 || globalWait > 0) {
+      const scope = clientWait >= globalWait ? 'client' : 'global';
+      const limit = scope === 'client' ? this.clientLimit : this.globalLimit;
+      this.stats.limited[scope]++;
+      throw new RouterError('rate_limited', `Rate limit exceeded for ${scope === 'client' ? 'this client' : 'the router'}`, 429, {
+        scope,
+        retryAfterMs: Math.max(clientWait, globalWait),
+        ...limit
+      });
+    }
+
+    client.take(cost);
+    this.global.take(cost);
+    this.stats.allowed++;
+    return { limit: this.clientLimit.capacity, remaining: Math.floor(client.tokens) };
+  }
+
+  // Express middleware; runs after auth so keys are limited by id rather than address
+  limit(cost = 1) {
+    return (req, res, next) => {
+      try {
+        const state = this.consume(req.principal?.id || req.ip, cost);
+        if (state) res.set({ 'RateLimit-Limit': String(state.limit), 'RateLimit-Remaining': String(state.remaining) });
+        next();
+      } catch (error) {
+        sendRouterError(res, error);
+      }
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      client: this.clientLimit,
+      global: { ...this.globalLimit, available: Math.floor(this.global.tokens) },
+      trackedClients: this.clients.size,
+      allowed: this.stats.allowed,
+      limited: { ...this.stats.limited }
+    };
+  }
+}
+
+class RouteQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 32;
+    this.maxDepth = options.maxDepth ?? 256;
+    this.clock = options.clock || new SystemClock();
+    this.active = 0;
+    this.waiting = [];
+    this.averageDuration = 0; // EWMA of route durations, for retry hints
+    this.stats = { completed: 0, rejected: 0, peakDepth: 0 };
+  }
+
+  async run(task) {
+    if (this.active < this.concurrency) {
+      this.active++;
+    } else {
+      if (this.waiting.length >= this.maxDepth) {
+        this.stats.rejected++;
+        throw new RouterError('route_queue_full', 'Too many routes in progress; try again shortly', 429, {
+          retryAfterMs: this.retryHint(),
+          depth: this.waiting.length,
+          maxDepth: this.maxDepth
+        });
+      }
+      // The slot is handed over by release(), so `active` never drops in between
+      await new Promise((resolve) => {
+        this.waiting.push(resolve);
+        this.stats.peakDepth = Math.max(this.stats.peakDepth, this.waiting.length);
+      });
+    }
+
+    const startedAt = this.clock.now();
+    try {
+      return await task();
+    } finally {
+      this.averageDuration = this.averageDuration * 0.9 + (this.clock.now() - startedAt) * 0.1;
+      this.stats.completed++;
+      this.release();
+    }
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.active--;
+  }
+
+  // Rough time for the queue ahead of a new caller to drain
+  retryHint() {
+    return Math.max(100, Math.ceil(this.averageDuration * (this.waiting.length + 1) / this.concurrency));
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      queued: this.waiting.length,
+      concurrency: this.concurrency,
+      maxDepth: this.maxDepth,
+      averageDurationMs: Math.round(this.averageDuration),
+      ...this.stats
+    };
+  }
+}
+
+class WebSocketFlowControl {
+  constructor(ws, options = {}) {
+    this.ws = ws;
+    this.highWaterMark = options.highWaterMark || 1048576;
+    this.maxInFlight = options.maxInFlight || 16;
+    this.inFlight = 0;
+    this.pauses = 0;
+    this.dropped = 0;
+  }
+
+  begin() {
+    this.inFlight++;
+    this.update();
+  }
+
+  end() {
+    this.inFlight--;
+    this.update();
+  }
+
+  // The send callback fires once the frame is flushed, which is when reading can resume
+  send(payload) {
+    if (this.ws.readyState !== this.ws.OPEN) return;
+    this.ws.send(payload, () => this.update());
+    this.update();
+  }
+
+  // Live events are dropped rather than queued on a saturated socket; subscribers see the gap
+  trySend(payload) {
+    if (this.ws.readyState !== this.ws.OPEN || this.ws.bufferedAmount > this.highWaterMark) {
+      this.dropped++;
+      return false;
+    }
+    this.send(payload);
+    return true;
+  }
+
+  update() {
+    const saturated = this.ws.bufferedAmount > this.highWaterMark || this.inFlight >= this.maxInFlight;
+    if (saturated && !this.ws.isPaused) {
+      this.ws.pause();
+      this.pauses++;
+    } else if (!saturated && this.ws.isPaused) {
+      this.ws.resume();
+    }
+  }
+}
+
+module.exports = { TokenBucket, RateLimiter, RouteQueue, WebSocketFlowControl };
@@ -0,0 +1,431 @@
+/**
+ * 🧬 TRANSFORMATION TEMPLATES
+ *
+ * Remembers how messages were transformed between two protocols when the
+ * route they took succeeded, so the transformation still works when no
+ * registered transformer covers the pair (one registered at runtime and not
+ * re-registered after a restart, a pair only ever chained, ...). A version
+ * with `minSuccesses` successful routes behind it is applied even where
+ * registered transformers exist.
+ *
+ * Each protocol pair is one knowledge triple:
+ *
+ *   transformation converts_from_to <source>_<target>
+ *
+ * whose metadata holds numbered template versions, each with a mapping and
+ * its own success statistics. A successful route whose transformation no
+ * version reproduces adds one; a route through an applied template counts
+ * towards that version. Templates can also be written over HTTP.
+ *
+ * A mapping describes the output message. Plain objects and arrays are
+ * mapped member by member, other values are literals, and:
+ *
+ *   '$', '$.a.b', '$.parts[0]'        value at a path of the source message
+ *   { $path: ['odd.key', 0], default } the same, with segments spelled out
+ *   { $first: [mapping, ...] }         first of several that is not null/undefined
+ *   { $const: value }                  a literal, even one that looks like a path
+ *   { $template: 'Re: {$.subject}' }   a string with paths filled in
+ *   { $each: mapping, map: mapping }   maps every element of an array ('$' is the element)
+ *   { $as: 'string' | 'number' | 'boolean' | 'json' | 'parse', value: mapping }
+ *   { $context: 'now' | 'id' | 'sourceProtocol' | 'targetProtocol' }
+ *
+ * Properties that map to undefined are left out.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { RouterError } = require('./RouterError');
+
+const SUBJECT = 'transformation';
+const PREDICATE = 'converts_from_to';
+const PROTOCOL_NAME = /^[a-z][a-z0-9_-]*$/;
+const PATH_SEGMENT = /\.([A-Za-z_][\w-]*)|\[(\d+)\]/g;
+const PLAIN_KEY = /^[A-Za-z_][\w-]*$/;
+const CONVERSIONS = ['string', 'number', 'boolean', 'json', 'parse'];
+const CONTEXT_VALUES = ['now', 'id', 'sourceProtocol', 'targetProtocol'];
+
+// Router annotations that differ on every transformation; never learned as literals
+const VOLATILE_KEYS = new Set(['transformedAt', 'appliedTemplate']);
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPath = value => typeof value === 'string' && (value === '$' || /^\$[.[]/.test(value));
+
+function invalid(message, at) {
+  return new RouterError('invalid_template', `Invalid mapping at ${at}: ${message}`, 400, { at });
+}
+
+// '$.parts[0].text' → ['parts', 0, 'text']
+function parsePath(path, at) {
+  const segments = [];
+  let consumed = 1;
+  for (const match of path.slice(1).matchAll(PATH_SEGMENT)) {
+    if (match.index + 1 !== consumed) break;
+    segments.push(match[1] !== undefined ? match[1] : Number(match[2]));
+    consumed += match[0].length;
+  }
+  if (consumed !== path.length) throw invalid(`cannot read path ${path}`, at);
+  return segments;
+}
+
+function formatPath(segments) {
+  if (!segments.every(segment => typeof segment === 'number' || PLAIN_KEY.test(segment))) {
+    return { $path: segments };
+  }
+  return '$' + segments.map(segment => (typeof segment === 'number' ? `[${segment}]` : `.${segment}`)).join('');
+}
+
+function readPath(value, segments) {
+  let current = value;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+function convert(value, type) {
+  if (value === undefined) return undefined;
+  switch (type) {
+    case 'string': return typeof value === 'string' ? value : JSON.stringify(value);
+    case 'number': return Number(value);
+    case 'boolean': return value === 'false' ? false : Boolean(value);
+    case 'json': return JSON.stringify(value);
+    case 'parse': return typeof value === 'string' ? JSON.parse(value) : value;
+    default: return value;
+  }
+}
+
+/**
+ * Compiles a mapping into (message, context) => output, checking every
+ * operator up front so a bad template is refused when it is written rather
+ * than when a route needs it.
+ */
+function compileMapping(mapping, at = '$mapping') {
+  if (isPath(mapping)) {
+    const segments = parsePath(mapping, at);
+    return message => readPath(message, segments);
+  }
+
+  if (Array.isArray(mapping)) {
+    const items = mapping.map((item, index) => compileMapping(item, `${at}[${index}]`));
+    return (message, context) => items.map(item => item(message, context));
+  }
+
+  if (!isObject(mapping)) {
+    return () => mapping;
+  }
+
+  const operator = Object.keys(mapping).find(key => key.startsWith('$'));
+  if (operator === undefined) {
+    const members = Object.entries(mapping).map(([key, member]) => [key, compileMapping(member, `${at}.${key}`)]);
+    return (message, context) => {
+      const output = {};
+      for (const [key, member] of members) {
+        const value = member(message, context);
+        if (value !== undefined) output[key] = value;
+      }
+      return output;
+    };
+  }
+
+  switch (operator) {
+    case '$path': {
+      const segments = typeof mapping.$path === 'string' ? parsePath(mapping.$path, at) : mapping.$path;
+      if (!Array.isArray(segments) || !segments.every(segment => typeof segment === 'string' || Number.isInteger(segment))) {
+        throw invalid('$path must be a path or a list of keys and indexes', at);
+      }
+      return message => readPath(message, segments) ?? mapping.default;
+    }
+    case '$first': {
+      if (!Array.isArray(mapping.$first)) throw invalid('$first must be a list', at);
+      const options = mapping.$first.map((option, index) => compileMapping(option, `${at}.$first[${index}]`));
+      return (message, context) => {
+        for (const option of options) {
+          const value = option(message, context);
+          if (value !== undefined && value !== null) return value;
+        }
+        return undefined;
+      };
+    }
+    case '$const': {
+      const constant = JSON.stringify(mapping.$const);
+      return () => (constant === undefined ? undefined : JSON.parse(constant));
+    }
+    case '$template': {
+      if (typeof mapping.$template !== 'string') throw invalid('$template must be a string', at);
+      const parts = mapping.$template.split(/(\{\$[^}]*\})/).map(part => (
+        /^\{\$[^}]*\}$/.test(part) ? compileMapping(part.slice(1, -1), `${at}.$template`) : () => part
+      ));
+      return (message, context) => parts.map((part) => {
+        const value = part(message, context);
+        return value === undefined || value === null ? '' : convert(value, 'string');
+      }).join('');
+    }
+    case '$each': {
+      const source = compileMapping(mapping.$each, `${at}.$each`);
+      const map = compileMapping(mapping.map === undefined ? '$' : mapping.map, `${at}.map`);
+      return (message, context) => {
+        const items = source(message, context);
+        return Array.isArray(items) ? items.map(item => map(item, context)) : undefined;
+      };
+    }
+    case '$as': {
+      if (!CONVERSIONS.includes(mapping.$as)) throw invalid(`$as must be one of ${CONVERSIONS.join(', ')}`, at);
+      const value = compileMapping(mapping.value, `${at}.value`);
+      return (message, context) => convert(value(message, context), mapping.$as);
+    }
+    case '$context': {
+      if (!CONTEXT_VALUES.includes(mapping.$context)) throw invalid(`$context must be one of ${CONTEXT_VALUES.join(', ')}`, at);
+      return (message, context) => (mapping.$context === 'now' ? context.clock.now()
+        : mapping.$context === 'id' ? context.generateId()
+          : context[mapping.$context]);
+    }
+    default:
+      throw invalid(`unknown operator ${operator}`, at);
+  }
+}
+
+/**
+ * Works out a mapping that turns `source` into `output`: every part of the
+ * output found in the source (as is, or as its JSON text) becomes a path,
+ * everything else a literal.
+ */
+function inferMapping(source, output) {
+  const paths = new Map(); // JSON text → shallowest path it occurs at
+  const queue = [[source, []]];
+  while (queue.length > 0) {
+    const [value, segments] = queue.shift();
+    const text = JSON.stringify(value);
+    if (text !== undefined && !paths.has(text)) paths.set(text, segments);
+    if (Array.isArray(value)) value.forEach((item, index) => queue.push([item, [...segments, index]]));
+    else if (isObject(value)) Object.entries(value).forEach(([key, item]) => queue.push([item, [...segments, key]]));
+  }
+
+  const infer = (value) => {
+    const trivial = value === null || typeof value === 'boolean' || value === '' ||
+      (Array.isArray(value) && value.length === 0) || (isObject(value) && Object.keys(value).length === 0);
+    if (!trivial) {
+      const text = JSON.stringify(value);
+      if (paths.has(text)) return formatPath(paths.get(text));
+      if (typeof value === 'string' && paths.has(value) && typeof readPath(source, paths.get(value)) === 'object') {
+        return { $as: 'json', value: formatPath(paths.get(value)) };
+      }
+    }
+
+    if (Array.isArray(value)) return value.map(infer);
+    if (isObject(value)) {
+      const mapping = {};
+      for (const [key, member] of Object.entries(value)) {
+        mapping[key] = key === 'transformedAt' ? { $context: 'now' } : infer(member);
+      }
+      if (Object.keys(mapping).some(key => key.startsWith('$'))) return { $const: value };
+      return mapping;
+    }
+    return isPath(value) ? { $const: value } : value;
+  };
+
+  return infer(output);
+}
+
+function withoutVolatile(message) {
+  if (!isObject(message)) return message;
+  return Object.fromEntries(Object.entries(message).filter(([key]) => !VOLATILE_KEYS.has(key)));
+}
+
+// The same, at every depth, for comparing two transformations of one message
+function withoutAnnotations(value) {
+  if (Array.isArray(value)) return value.map(withoutAnnotations);
+  if (!isObject(value)) return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !VOLATILE_KEYS.has(key))
+    .map(([key, member]) => [key, withoutAnnotations(member)]));
+}
+
+class TransformationTemplates {
+  constructor(router, options = {}) {
+    this.router = router;
+    this.learn = options.learn !== false;
+    this.maxVersions = options.maxVersions || 10;
+    this.minSuccessRate = options.minSuccessRate ?? 0.5;
+    this.minSuccesses = options.minSuccesses || 3;
+    this.maxLearnBytes = options.maxLearnBytes || 65536; // Larger messages are not learned from
+  }
+
+  find(sourceProtocol, targetProtocol) {
+    const tripleId = this.router.findTripleId(SUBJECT, PREDICATE, `${sourceProtocol}_${targetProtocol}`);
+    const triple = tripleId && this.router.universe.tripleStore.triples.get(tripleId);
+    return triple && Array.isArray(triple.templateVersions) ? triple : null;
+  }
+
+  describe(triple) {
+    const successes = triple.templateVersions.reduce((sum, version) => sum + version.successes, 0);
+    const failures = triple.templateVersions.reduce((sum, version) => sum + version.failures, 0);
+    return {
+      id: triple.id,
+      sourceProtocol: triple.sourceProtocol,
+      targetProtocol: triple.targetProtocol,
+      latestVersion: triple.latestVersion,
+      successes,
+      failures,
+      successRate: successes + failures > 0 ? successes / (successes + failures) : null,
+      versions: triple.templateVersions
+    };
+  }
+
+  list() {
+    const ids = this.router.universe.tripleStore.subjects.get(SUBJECT) || new Set();
+    return Array.from(ids, id => this.router.universe.tripleStore.triples.get(id))
+      .filter(triple => triple?.predicate === PREDICATE && Array.isArray(triple.templateVersions))
+      .map(triple => this.describe(triple));
+  }
+
+  get(sourceProtocol, targetProtocol) {
+    const triple = this.find(sourceProtocol, targetProtocol);
+    if (!triple) {
+      throw new RouterError('unknown_template', `No transformation templates from ${sourceProtocol} to ${targetProtocol}`, 404);
+    }
+    return this.describe(triple);
+  }
+
+  // Versions worth applying, best first: proven ones by success rate, then untried hand-written ones
+  candidates(sourceProtocol, targetProtocol) {
+    const triple = this.find(sourceProtocol, targetProtocol);
+    if (!triple) return [];
+
+    const rate = version => (version.successes + version.failures > 0
+      ? version.successes / (version.successes + version.failures)
+      : version.learnedFrom === 'api' ? this.minSuccessRate : 0);
+    return triple.templateVersions
+      .filter(version => rate(version) >= this.minSuccessRate && rate(version) > 0)
+      .sort((a, b) => rate(b) - rate(a) || b.version - a.version)
+      .map(version => ({ tripleId: triple.id, sourceProtocol, targetProtocol, ...version }));
+  }
+
+  // Candidates with enough successful routes behind them to be preferred over registered transformers
+  proven(sourceProtocol, targetProtocol) {
+    return this.candidates(sourceProtocol, targetProtocol).filter(version => version.successes >= this.minSuccesses);
+  }
+
+  apply(message, template, context) {
+    const output = compileMapping(template.mapping)(message, { ...context, sourceProtocol: template.sourceProtocol, targetProtocol: template.targetProtocol });
+    if (!isObject(output)) return output;
+    return {
+      ...output,
+      appliedTemplate: { id: template.tripleId, version: template.version },
+      transformedAt: context.clock.now()
+    };
+  }
+
+  // A new version from an HTTP caller; the mapping is compiled first so a bad one is refused
+  define(sourceProtocol, targetProtocol, mapping, principal) {
+    for (const protocol of [sourceProtocol, targetProtocol]) {
+      if (!PROTOCOL_NAME.test(protocol)) {
+        throw new RouterError('invalid_request', `Invalid protocol name: ${protocol}`, 400, { pattern: PROTOCOL_NAME.source });
+      }
+    }
+    compileMapping(mapping);
+    return this.addVersion(sourceProtocol, targetProtocol, mapping, { learnedFrom: 'api', principal });
+  }
+
+  addVersion(sourceProtocol, targetProtocol, mapping, { learnedFrom, principal, successes = 0, failures = 0 }) {
+    const triple = this.find(sourceProtocol, targetProtocol);
+    const versions = triple ? [...triple.templateVersions] : [];
+    const version = {
+      version: (triple?.latestVersion || 0) + 1,
+      mapping,
+      learnedFrom,
+      createdAt: this.router.clock.now(),
+      ...(principal ? { createdBy: principal } : {}),
+      successes,
+      failures,
+      lastUsedAt: null
+    };
+    versions.push(version);
+    if (versions.length > this.maxVersions) versions.splice(0, versions.length - this.maxVersions);
+
+    this.save(sourceProtocol, targetProtocol, versions, version.version, principal);
+    return version;
+  }
+
+  removeVersion(sourceProtocol, targetProtocol, number) {
+    const triple = this.find(sourceProtocol, targetProtocol);
+    const remaining = triple?.templateVersions.filter(version => version.version !== number);
+    if (!triple || (number !== undefined && remaining.length === triple.templateVersions.length)) {
+      throw new RouterError('unknown_template', `No transformation template ${sourceProtocol} → ${targetProtocol}${number !== undefined ? ` version ${number}` : ''}`, 404);
+    }
+
+    if (number === undefined || remaining.length === 0) {
+      this.router.removeKnowledgeTriple(triple.id);
+      return { id: triple.id, removedVersions: triple.templateVersions.map(version => version.version) };
+    }
+    this.save(sourceProtocol, targetProtocol, remaining, triple.latestVersion);
+    return { id: triple.id, removedVersions: [number] };
+  }
+
+  /**
+   * Counts a routed transformation towards its template version: the one
+   * applied, or one whose mapping produces the same message. A success that
+   * none produces is learned as a new version.
+   */
+  recordOutcome(sourceProtocol, targetProtocol, message, transformed, success, principal) {
+    if (!isObject(transformed) || transformed.type === 'generic_bridge') return null;
+
+    const triple = this.find(sourceProtocol, targetProtocol);
+    let version = transformed.appliedTemplate && triple?.templateVersions
+      .find(candidate => candidate.version === transformed.appliedTemplate.version);
+
+    if (!version) {
+      if (!this.learn || (!success && !triple)) return null;
+      if (Buffer.byteLength(JSON.stringify(message) || '') > this.maxLearnBytes) return null;
+
+      // Compared by output: inference can spell one transformation several ways depending on the message
+      version = triple?.templateVersions.find(candidate => this.reproduces(candidate, message, transformed, sourceProtocol, targetProtocol));
+      if (!version) {
+        if (!success) return null;
+        const mapping = inferMapping(message, withoutVolatile(transformed));
+        return this.addVersion(sourceProtocol, targetProtocol, mapping, { learnedFrom: 'route', principal, successes: 1 });
+      }
+    }
+
+    const versions = triple.templateVersions.map(candidate => (candidate === version
+      ? {
+          ...candidate,
+          successes: candidate.successes + (success ? 1 : 0),
+          failures: candidate.failures + (success ? 0 : 1),
+          lastUsedAt: this.router.clock.now()
+        }
+      : candidate));
+    this.save(sourceProtocol, targetProtocol, versions, triple.latestVersion, principal);
+    return versions.find(candidate => candidate.version === version.version);
+  }
+
+  // Whether a version's mapping turns `message` into `transformed`, router annotations aside
+  reproduces(version, message, transformed, sourceProtocol, targetProtocol) {
+    try {
+      const output = compileMapping(version.mapping)(message, {
+        clock: this.router.clock,
+        generateId: () => this.router.generateId(),
+        sourceProtocol,
+        targetProtocol
+      });
+      return isDeepStrictEqual(withoutAnnotations(output), withoutAnnotations(transformed));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // The pair's triple carries its best success rate as confidence, so failing templates fade out
+  save(sourceProtocol, targetProtocol, versions, latestVersion, principal) {
+    const rates = versions.map(version => (version.successes + version.failures > 0
+      ? version.successes / (version.successes + version.failures)
+      : 0.5));
+    return this.router.addKnowledgeTriple(SUBJECT, PREDICATE, `${sourceProtocol}_${targetProtocol}`, {
+      confidence: Math.max(0.1, ...rates),
+      sourceProtocol,
+      targetProtocol,
+      latestVersion,
+      templateVersions: versions
+    }, { confidence: 'replace', source: 'transformation', principal });
+  }
+}
+
+module.exports = { TransformationTemplates, compileMapping, inferMapping, parsePath };
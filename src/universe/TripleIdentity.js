@@ -0,0 +1,82 @@
+/**
+ * 🧷 TRIPLE IDENTITY
+ *
+ * A fact is identified by its content: the same (subject, predicate, object)
+ * always maps to the same id, so asserting it again merges into the existing
+ * triple instead of minting a new one.
+ *
+ * Merging accumulates evidence: confidence combines as a noisy-OR
+ * (1 - (1 - a)(1 - b)), access and assertion counts add up, newer metadata
+ * overrides older, and every confidence change lands in a bounded history.
+ */
+
+const crypto = require('crypto');
+
+// Fields a merge never overwrites from incoming metadata
+const IDENTITY_FIELDS = new Set([
+  'id', 'subject', 'predicate', 'object', 'createdAt', 'connections', 'gridPosition',
+  'confidence', 'confidenceHistory', 'accessCount', 'assertionCount', 'lastAccessed', 'isAxiom',
+  'createdBy', 'lastAssertedBy'
+]);
+
+// Fields only the router sets: metadata arriving with a request may not carry them
+const RESERVED_METADATA_FIELDS = new Set([...IDENTITY_FIELDS].filter(field => field !== 'confidence'));
+
+function tripleIdentity(subject, predicate, object) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([String(subject), String(predicate), String(object)]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+// Confidences above 1 (the PHI axioms) are not probabilities; keep the larger one
+function accumulateConfidence(current, incoming) {
+  if (current > 1 || incoming > 1) return Math.max(current, incoming);
+  return 1 - (1 - current) * (1 - incoming);
+}
+
+function recordConfidence(triple, source, timestamp, historyLimit) {
+  triple.confidenceHistory = triple.confidenceHistory || [];
+  triple.confidenceHistory.push({ confidence: triple.confidence, source, at: timestamp });
+  if (triple.confidenceHistory.length > historyLimit) {
+    triple.confidenceHistory.splice(0, triple.confidenceHistory.length - historyLimit);
+  }
+}
+
+/**
+ * Folds a re-assertion (or a second stored copy) into an existing triple.
+ * options.confidence: 'accumulate' (default) or 'replace' for facts whose
+ * confidence is recomputed rather than corroborated.
+ */
+function mergeTriple(existing, incoming, options = {}) {
+  const timestamp = options.timestamp || Date.now();
+  const historyLimit = options.historyLimit || 20;
+  const previousConfidence = existing.confidence;
+
+  if (!existing.isAxiom && incoming.confidence !== undefined) {
+    existing.confidence = options.confidence === 'replace'
+      ? incoming.confidence
+      : accumulateConfidence(existing.confidence, incoming.confidence);
+  }
+  if (existing.confidence !== previousConfidence) {
+    recordConfidence(existing, options.source || 'merge', timestamp, historyLimit);
+  }
+
+  existing.assertionCount = (existing.assertionCount || 1) + (incoming.assertionCount || 1);
+  existing.accessCount = (existing.accessCount || 0) + (incoming.accessCount || 0);
+  existing.lastAccessed = Math.max(existing.lastAccessed || 0, incoming.lastAccessed || timestamp);
+  existing.isAxiom = existing.isAxiom || incoming.isAxiom === true;
+
+  for (const [key, value] of Object.entries(incoming)) {
+    if (!IDENTITY_FIELDS.has(key) && value !== undefined) existing[key] = value;
+  }
+  if (Array.isArray(incoming.confidenceHistory) && incoming !== existing) {
+    existing.confidenceHistory = [...incoming.confidenceHistory, ...(existing.confidenceHistory || [])]
+      .sort((a, b) => a.at - b.at)
+      .slice(-historyLimit);
+  }
+
+  return existing;
+}
+
+module.exports = { tripleIdentity, accumulateConfidence, recordConfidence, mergeTriple, RESERVED_METADATA_FIELDS };
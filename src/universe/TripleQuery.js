@@ -0,0 +1,590 @@
+/**
+ * 🔎 TRIPLE QUERY LANGUAGE
+ *
+ * A small SPARQL-like language over the router's triple store:
+ *
+ *   SELECT ?agent ?capability WHERE {
+ *     ?agent provides_capabilities ?capability .
+ *     ?agent sent_via mcp .
+ *     FILTER(confidence >= 0.8 && createdAt > "2025-01-01")
+ *   } ORDER BY DESC(confidence) ?agent LIMIT 10 OFFSET 20
+ *
+ * SELECT/WHERE and the braces are optional: bare patterns separated by " . "
+ * are a valid query returning every variable. Terms are ?variables, bare
+ * words, or "quoted" / <bracketed> values.
+ *
+ * Filters compare variables and literals with = != < <= > >=, combine with
+ * && || !, and may call CONTAINS, STRSTARTS and REGEX. The metadata names
+ * confidence, createdAt, lastAccessed and accessCount refer to the matched
+ * triples: inside FILTER every triple of a solution must satisfy them, in
+ * ORDER BY a solution ranks by its weakest confidence / lowest access count
+ * and its most recent timestamp. Timestamps accept epoch ms or date strings.
+ *
+ * The planner orders patterns greedily by estimated cardinality from the
+ * subjects/predicates/objects indexes and applies each filter as soon as all
+ * of its variables are bound.
+ */
+
+const METADATA_FIELDS = new Set(['confidence', 'createdAt', 'lastAccessed', 'accessCount']);
+const TIMESTAMP_FIELDS = new Set(['createdAt', 'lastAccessed']);
+const FUNCTIONS = new Set(['CONTAINS', 'STRSTARTS', 'REGEX']);
+const POSITIONS = ['subject', 'predicate', 'object'];
+const INDEXES = { subject: 'subjects', predicate: 'predicates', object: 'objects' };
+
+// Share of an index a pattern is expected to keep once one of its variables is bound
+const BOUND_SELECTIVITY = 0.1;
+
+class TripleQueryError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'TripleQueryError';
+    this.position = position;
+  }
+}
+
+const TOKEN_PATTERN = /\s*(?:(\?[A-Za-z_][\w-]*)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|<([^>\s]*)>|(&&|\|\||!=|<=|>=|[{}().,=<>!])|([^\s{}(),"'=<>!&|]+))/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      if (/^\s*$/.test(text.slice(start))) break;
+      throw new TripleQueryError(`Unexpected character "${text.slice(start).trim()[0]}"`, start);
+    }
+
+    const position = match.index + match[0].length - match[0].trimStart().length;
+    if (match[1]) {
+      tokens.push({ type: 'var', value: match[1].slice(1), position });
+    } else if (match[2]) {
+      tokens.push({ type: 'string', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1'), position });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'string', value: match[3], position });
+    } else if (match[4]) {
+      tokens.push({ type: 'punct', value: match[4], position });
+    } else {
+      // A bare word ending in "." directly before whitespace is a word followed by a separator
+      const word = match[5];
+      if (word.length > 1 && word.endsWith('.')) {
+        tokens.push({ type: 'word', value: word.slice(0, -1), position });
+        tokens.push({ type: 'punct', value: '.', position: position + word.length - 1 });
+      } else {
+        tokens.push({ type: word === '.' ? 'punct' : 'word', value: word, position });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  next() {
+    const token = this.tokens[this.index++];
+    if (!token) throw new TripleQueryError('Unexpected end of query');
+    return token;
+  }
+
+  isKeyword(word, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'word' && token.value.toUpperCase() === word;
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'punct' && token.value === value;
+  }
+
+  expectPunct(value) {
+    const token = this.next();
+    if (token.type !== 'punct' || token.value !== value) {
+      throw new TripleQueryError(`Expected "${value}" but found "${token.value}"`, token.position);
+    }
+  }
+
+  parse() {
+    const query = { select: null, distinct: false, patterns: [], filters: [], orderBy: [], limit: null, offset: 0 };
+
+    if (this.isKeyword('SELECT')) {
+      this.next();
+      if (this.isKeyword('DISTINCT')) {
+        this.next();
+        query.distinct = true;
+      }
+      if (this.isKeyword('*')) {
+        this.next();
+      } else {
+        query.select = [];
+        while (this.peek()?.type === 'var') query.select.push(this.next().value);
+        if (query.select.length === 0) {
+          throw new TripleQueryError('SELECT needs at least one variable or *', this.peek()?.position);
+        }
+      }
+    }
+
+    if (this.isKeyword('WHERE')) this.next();
+
+    if (this.isPunct('{')) {
+      this.next();
+      this.parseGroup(query, () => this.isPunct('}'));
+      this.expectPunct('}');
+    } else {
+      this.parseGroup(query, () => this.isKeyword('ORDER') || this.isKeyword('LIMIT') || this.isKeyword('OFFSET'));
+    }
+
+    this.parseModifiers(query);
+
+    if (this.peek()) {
+      throw new TripleQueryError(`Unexpected "${this.peek().value}"`, this.peek().position);
+    }
+    if (query.patterns.length === 0) {
+      throw new TripleQueryError('Query has no triple patterns');
+    }
+
+    const bound = new Set(query.patterns.flatMap(pattern => patternVariables(pattern)));
+    for (const name of [...(query.select || []), ...query.filters.flatMap(filter => filter.variables)]) {
+      if (!bound.has(name)) throw new TripleQueryError(`Variable ?${name} does not appear in any pattern`);
+    }
+
+    return query;
+  }
+
+  parseGroup(query, atEnd) {
+    while (this.peek() && !atEnd()) {
+      if (this.isPunct('.')) {
+        this.next();
+        continue;
+      }
+      if (this.isKeyword('FILTER')) {
+        this.next();
+        this.expectPunct('(');
+        const expression = this.parseExpression();
+        this.expectPunct(')');
+        // Conjuncts are planned independently so each can run as early as possible
+        for (const conjunct of splitConjuncts(expression)) {
+          query.filters.push({ expression: conjunct, variables: [...expressionVariables(conjunct)], metadata: usesMetadata(conjunct) });
+        }
+        continue;
+      }
+
+      const pattern = {};
+      for (const position of POSITIONS) {
+        pattern[position] = this.parseTerm();
+      }
+      query.patterns.push(pattern);
+
+      if (this.peek() && !atEnd() && !this.isKeyword('FILTER')) {
+        this.expectPunct('.');
+      }
+    }
+  }
+
+  parseTerm() {
+    const token = this.next();
+    if (token.type === 'var') return { variable: token.value };
+    if (token.type === 'string' || token.type === 'word') return { value: token.value };
+    throw new TripleQueryError(`Expected a term but found "${token.value}"`, token.position);
+  }
+
+  parseModifiers(query) {
+    while (this.peek()) {
+      if (this.isKeyword('ORDER') && this.isKeyword('BY', 1)) {
+        this.next();
+        this.next();
+        while (this.peek() && !this.isKeyword('LIMIT') && !this.isKeyword('OFFSET')) {
+          query.orderBy.push(this.parseOrderKey());
+        }
+        if (query.orderBy.length === 0) throw new TripleQueryError('ORDER BY needs at least one key');
+      } else if (this.isKeyword('LIMIT')) {
+        this.next();
+        query.limit = this.parseCount('LIMIT');
+      } else if (this.isKeyword('OFFSET')) {
+        this.next();
+        query.offset = this.parseCount('OFFSET');
+      } else {
+        return;
+      }
+    }
+  }
+
+  parseOrderKey() {
+    let descending = false;
+    if (this.isKeyword('DESC') || this.isKeyword('ASC')) {
+      descending = this.next().value.toUpperCase() === 'DESC';
+      this.expectPunct('(');
+      const key = this.parseOperand();
+      this.expectPunct(')');
+      return { key, descending };
+    }
+    return { key: this.parseOperand(), descending };
+  }
+
+  parseCount(keyword) {
+    const token = this.next();
+    const count = Number(token.value);
+    if (token.type !== 'word' || !Number.isInteger(count) || count < 0) {
+      throw new TripleQueryError(`${keyword} needs a non-negative integer`, token.position);
+    }
+    return count;
+  }
+
+  parseExpression() {
+    let left = this.parseAnd();
+    while (this.isPunct('||')) {
+      this.next();
+      left = { op: '||', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseUnary();
+    while (this.isPunct('&&')) {
+      this.next();
+      left = { op: '&&', left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isPunct('!')) {
+      this.next();
+      return { op: '!', operand: this.parseUnary() };
+    }
+    if (this.isPunct('(')) {
+      this.next();
+      const expression = this.parseExpression();
+      this.expectPunct(')');
+      return expression;
+    }
+
+    const left = this.parseOperand();
+    const token = this.peek();
+    if (token?.type === 'punct' && ['=', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      this.next();
+      return { op: token.value, left, right: this.parseOperand() };
+    }
+    return left;
+  }
+
+  parseOperand() {
+    const token = this.next();
+    if (token.type === 'var') return { variable: token.value };
+    if (token.type === 'string') return { literal: token.value };
+
+    if (token.type === 'word') {
+      const name = token.value.toUpperCase();
+      if (FUNCTIONS.has(name) && this.isPunct('(')) {
+        this.next();
+        const args = [this.parseOperand()];
+        while (this.isPunct(',')) {
+          this.next();
+          args.push(this.parseOperand());
+        }
+        this.expectPunct(')');
+        return { call: name, args };
+      }
+      if (METADATA_FIELDS.has(token.value)) return { metadata: token.value };
+      if (name === 'TRUE' || name === 'FALSE') return { literal: name === 'TRUE' };
+      if (token.value !== '' && !Number.isNaN(Number(token.value))) return { literal: Number(token.value) };
+      return { literal: token.value };
+    }
+
+    throw new TripleQueryError(`Unexpected "${token.value}"`, token.position);
+  }
+}
+
+function parseTripleQuery(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new TripleQueryError('Query must be a non-empty string');
+  }
+  return new Parser(text).parse();
+}
+
+function patternVariables(pattern) {
+  return POSITIONS.filter(position => pattern[position].variable).map(position => pattern[position].variable);
+}
+
+function splitConjuncts(expression) {
+  return expression.op === '&&'
+    ? [...splitConjuncts(expression.left), ...splitConjuncts(expression.right)]
+    : [expression];
+}
+
+function expressionVariables(expression, variables = new Set()) {
+  if (!expression || typeof expression !== 'object') return variables;
+  if (expression.variable) variables.add(expression.variable);
+  for (const child of [expression.left, expression.right, expression.operand, ...(expression.args || [])]) {
+    expressionVariables(child, variables);
+  }
+  return variables;
+}
+
+function usesMetadata(expression) {
+  if (!expression || typeof expression !== 'object') return false;
+  if (expression.metadata) return true;
+  return [expression.left, expression.right, expression.operand, ...(expression.args || [])].some(usesMetadata);
+}
+
+function toComparable(value, field) {
+  if (field && TIMESTAMP_FIELDS.has(field) && typeof value === 'string') {
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? value : parsed;
+  }
+  return value;
+}
+
+function compare(left, right) {
+  if (typeof left === 'number' || typeof right === 'number') {
+    const a = Number(left);
+    const b = Number(right);
+    if (!Number.isNaN(a) && !Number.isNaN(b)) return a - b;
+  }
+  return String(left).localeCompare(String(right));
+}
+
+class TripleQueryEngine {
+  constructor(tripleStore) {
+    this.tripleStore = tripleStore;
+  }
+
+  parse(text) {
+    return parseTripleQuery(text);
+  }
+
+  // Greedy join order: cheapest pattern first, then whichever the bound variables make cheapest
+  plan(query) {
+    const remaining = query.patterns.map((pattern, index) => ({ pattern, index }));
+    const bound = new Set();
+    const scheduled = new Set();
+    const steps = [];
+
+    while (remaining.length > 0) {
+      let best = null;
+      for (const candidate of remaining) {
+        const estimate = this.estimate(candidate.pattern, bound);
+        if (!best || estimate < best.estimate) best = { ...candidate, estimate };
+      }
+
+      remaining.splice(remaining.indexOf(remaining.find(candidate => candidate.index === best.index)), 1);
+      patternVariables(best.pattern).forEach(name => bound.add(name));
+
+      // Variable filters run as soon as their variables are bound
+      const filters = query.filters.filter(filter =>
+        !filter.metadata && !scheduled.has(filter) && filter.variables.every(name => bound.has(name)));
+      filters.forEach(filter => scheduled.add(filter));
+
+      steps.push({ pattern: best.pattern, patternIndex: best.index, estimate: best.estimate, filters });
+    }
+
+    return {
+      steps,
+      // Metadata-only filters are checked on every triple as it is matched...
+      tripleFilters: query.filters.filter(filter => filter.metadata && filter.variables.length === 0),
+      // ...while filters mixing metadata and variables wait for complete solutions
+      solutionFilters: query.filters.filter(filter => filter.metadata && filter.variables.length > 0)
+    };
+  }
+
+  estimate(pattern, bound) {
+    let estimate = this.tripleStore.triples.size;
+    let boundVariables = 0;
+
+    for (const position of POSITIONS) {
+      const term = pattern[position];
+      if (term.variable) {
+        if (bound.has(term.variable)) boundVariables++;
+      } else {
+        estimate = Math.min(estimate, this.tripleStore[INDEXES[position]].get(term.value)?.size || 0);
+      }
+    }
+
+    return estimate * Math.pow(BOUND_SELECTIVITY, boundVariables);
+  }
+
+  execute(queryOrText, options = {}) {
+    const query = typeof queryOrText === 'string' ? this.parse(queryOrText) : queryOrText;
+    const plan = this.plan(query);
+    const maxSolutions = options.maxSolutions || Infinity;
+
+    let solutions = [{ bindings: {}, triples: [] }];
+    for (const step of plan.steps) {
+      const extended = [];
+      for (const solution of solutions) {
+        for (const triple of this.matchPattern(step.pattern, solution.bindings)) {
+          if (!plan.tripleFilters.every(filter => this.evaluate(filter.expression, solution.bindings, triple))) continue;
+
+          const bindings = { ...solution.bindings };
+          if (!this.bind(step.pattern, triple, bindings)) continue;
+          if (!step.filters.every(filter => this.evaluate(filter.expression, bindings))) continue;
+
+          extended.push({ bindings, triples: [...solution.triples, triple] });
+          if (extended.length > maxSolutions) {
+            throw new TripleQueryError(`Query produces more than ${maxSolutions} intermediate solutions`);
+          }
+        }
+      }
+      solutions = extended;
+      if (solutions.length === 0) break;
+    }
+
+    if (plan.solutionFilters.length > 0) {
+      solutions = solutions.filter(solution => plan.solutionFilters.every(filter =>
+        solution.triples.every(triple => this.evaluate(filter.expression, solution.bindings, triple))));
+    }
+
+    if (query.orderBy.length > 0) {
+      solutions.sort((a, b) => {
+        for (const { key, descending } of query.orderBy) {
+          const difference = compare(this.orderValue(key, a), this.orderValue(key, b));
+          if (difference !== 0) return descending ? -difference : difference;
+        }
+        return 0;
+      });
+    }
+
+    const variables = query.select || [...new Set(query.patterns.flatMap(pattern => patternVariables(pattern)))];
+    let rows = solutions.map(solution => ({
+      bindings: Object.fromEntries(variables.map(name => [name, solution.bindings[name]])),
+      triples: solution.triples
+    }));
+
+    if (query.distinct) {
+      const seen = new Set();
+      rows = rows.filter(row => {
+        const key = JSON.stringify(row.bindings);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    const total = rows.length;
+    const end = query.limit === null ? undefined : query.offset + query.limit;
+    rows = rows.slice(query.offset, end);
+
+    return {
+      variables,
+      results: rows.map(row => row.bindings),
+      triples: rows.map(row => row.triples),
+      total,
+      plan: plan.steps.map(step => ({
+        pattern: POSITIONS.map(position => step.pattern[position].variable ? `?${step.pattern[position].variable}` : step.pattern[position].value).join(' '),
+        estimate: step.estimate
+      }))
+    };
+  }
+
+  // Candidates come from intersecting the indexes of every constant (or already bound) term
+  *matchPattern(pattern, bindings) {
+    const sets = [];
+    for (const position of POSITIONS) {
+      const term = pattern[position];
+      const value = term.variable ? bindings[term.variable] : term.value;
+      if (value === undefined) continue;
+
+      const ids = this.tripleStore[INDEXES[position]].get(value);
+      if (!ids || ids.size === 0) return;
+      sets.push(ids);
+    }
+
+    sets.sort((a, b) => a.size - b.size);
+    const candidates = sets.length > 0 ? sets[0] : this.tripleStore.triples.keys();
+
+    for (const id of candidates) {
+      if (sets.length > 1 && !sets.every(ids => ids.has(id))) continue;
+      const triple = this.tripleStore.triples.get(id);
+      if (triple) yield triple;
+    }
+  }
+
+  bind(pattern, triple, bindings) {
+    for (const position of POSITIONS) {
+      const term = pattern[position];
+      if (!term.variable) continue;
+
+      const current = bindings[term.variable];
+      if (current !== undefined && current !== triple[position]) return false;
+      bindings[term.variable] = triple[position];
+    }
+    return true;
+  }
+
+  evaluate(expression, bindings, triple) {
+    switch (expression.op) {
+      case '||':
+        return Boolean(this.evaluate(expression.left, bindings, triple) || this.evaluate(expression.right, bindings, triple));
+      case '&&':
+        return Boolean(this.evaluate(expression.left, bindings, triple) && this.evaluate(expression.right, bindings, triple));
+      case '!':
+        return !this.evaluate(expression.operand, bindings, triple);
+      case '=': case '!=': case '<': case '<=': case '>': case '>=': {
+        const field = expression.left.metadata || expression.right.metadata;
+        const left = toComparable(this.value(expression.left, bindings, triple), field);
+        const right = toComparable(this.value(expression.right, bindings, triple), field);
+        if (left === undefined || right === undefined) return false;
+
+        const difference = compare(left, right);
+        return {
+          '=': difference === 0,
+          '!=': difference !== 0,
+          '<': difference < 0,
+          '<=': difference <= 0,
+          '>': difference > 0,
+          '>=': difference >= 0
+        }[expression.op];
+      }
+      default:
+        return Boolean(this.value(expression, bindings, triple));
+    }
+  }
+
+  value(operand, bindings, triple) {
+    if (operand.variable) return bindings[operand.variable];
+    if (operand.metadata) return triple?.[operand.metadata];
+    if (operand.call) return this.call(operand, bindings, triple);
+    if (operand.op) return this.evaluate(operand, bindings, triple);
+    return operand.literal;
+  }
+
+  call(operand, bindings, triple) {
+    const [value, argument, flags] = operand.args.map(arg => this.value(arg, bindings, triple));
+    if (value === undefined || argument === undefined) return false;
+
+    switch (operand.call) {
+      case 'CONTAINS':
+        return String(value).includes(String(argument));
+      case 'STRSTARTS':
+        return String(value).startsWith(String(argument));
+      case 'REGEX':
+        try {
+          return new RegExp(String(argument), flags === undefined ? '' : String(flags)).test(String(value));
+        } catch (error) {
+          throw new TripleQueryError(`Invalid REGEX pattern: ${error.message}`);
+        }
+      default:
+        throw new TripleQueryError(`Unknown function ${operand.call}`);
+    }
+  }
+
+  orderValue(key, solution) {
+    if (!key.metadata) return this.value(key, solution.bindings);
+
+    const values = solution.triples.map(triple => triple[key.metadata]).filter(value => value !== undefined);
+    if (values.length === 0) return undefined;
+    return TIMESTAMP_FIELDS.has(key.metadata) ? Math.max(...values) : Math.min(...values);
+  }
+}
+
+module.exports = { TripleQueryEngine, TripleQueryError, parseTripleQuery };
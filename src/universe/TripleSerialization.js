@@ -0,0 +1,727 @@
+/**
+ * 📦 TRIPLE SERIALIZATION
+ *
+ * Reads and writes the router's triple store as N-Triples, Turtle and JSON-LD.
+ *
+ * Router terms are plain strings. Subjects and predicates are written as
+ * urn:ulp:term: IRIs; objects are IRIs when they also name a subject and
+ * literals otherwise. Triple metadata travels as a reified statement next to
+ * the triple it describes:
+ *
+ *   _:t1 a rdf:Statement ;
+ *     rdf:subject t:consciousness ; rdf:predicate t:exhibits ; rdf:object "self-awareness" ;
+ *     ulp:confidence "0.95"^^xsd:double ; ulp:isAxiom true ;
+ *     ulp:patternType "seed" ; ulp:gridX 3 ; ulp:gridY 4 .
+ *
+ * Importing foreign data keeps other IRIs verbatim as terms. N-Triples and
+ * Turtle are parsed line by line from a stream; JSON-LD documents are parsed
+ * whole (flat node objects, prefix contexts, nested nodes; no remote contexts
+ * or lists).
+ */
+
+const readline = require('readline');
+const { Readable } = require('stream');
+
+const TERM = 'urn:ulp:term:';
+const VOCAB = 'urn:ulp:vocab#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+const PREFIXES = { t: TERM, ulp: VOCAB, rdf: RDF, xsd: XSD };
+
+const FORMATS = {
+  ntriples: { contentType: 'application/n-triples', aliases: ['nt', 'n-triples', 'application/n-triples'] },
+  turtle: { contentType: 'text/turtle', aliases: ['ttl', 'text/turtle', 'application/x-turtle'] },
+  jsonld: { contentType: 'application/ld+json', aliases: ['json-ld', 'application/ld+json', 'application/json'] }
+};
+
+// Accepts a format name, file extension or content type
+function resolveFormat(value) {
+  if (!value) return null;
+  const normalized = String(value).split(';')[0].trim().toLowerCase();
+  for (const [format, { aliases }] of Object.entries(FORMATS)) {
+    if (format === normalized || aliases.includes(normalized)) return format;
+  }
+  return null;
+}
+
+const iri = value => ({ type: 'iri', value });
+const blank = value => ({ type: 'blank', value });
+const literal = (value, datatype, language) => ({ type: 'literal', value: String(value), datatype, language });
+
+function termToIri(term) {
+  return TERM + encodeURIComponent(term);
+}
+
+function iriToTerm(value) {
+  if (!value.startsWith(TERM)) return value;
+  try {
+    return decodeURIComponent(value.slice(TERM.length));
+  } catch (_) {
+    return value.slice(TERM.length);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+function tripleStatements(triple, index, isNode) {
+  const subject = iri(termToIri(triple.subject));
+  const predicate = iri(termToIri(triple.predicate));
+  const object = isNode(triple.object) ? iri(termToIri(triple.object)) : literal(triple.object);
+  const statement = blank(`t${index}`);
+
+  const annotations = [
+    [iri(`${RDF}type`), iri(`${RDF}Statement`)],
+    [iri(`${RDF}subject`), subject],
+    [iri(`${RDF}predicate`), predicate],
+    [iri(`${RDF}object`), object],
+    [iri(`${VOCAB}confidence`), literal(triple.confidence, `${XSD}double`)],
+    [iri(`${VOCAB}isAxiom`), literal(triple.isAxiom === true, `${XSD}boolean`)]
+  ];
+  if (triple.patternType) {
+    annotations.push([iri(`${VOCAB}patternType`), literal(triple.patternType)]);
+  }
+  if (triple.gridPosition) {
+    annotations.push([iri(`${VOCAB}gridX`), literal(triple.gridPosition.x, `${XSD}integer`)]);
+    annotations.push([iri(`${VOCAB}gridY`), literal(triple.gridPosition.y, `${XSD}integer`)]);
+  }
+
+  return { base: [subject, predicate, object], statement, annotations };
+}
+
+function escapeString(value) {
+  return value.replace(/[\\"\n\r\t]/g, char => ({ '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' }[char]));
+}
+
+function escapeIri(value) {
+  return value.replace(/[\x00-\x20<>"{}|^`\\]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function ntTerm(term) {
+  if (term.type === 'iri') return `<${escapeIri(term.value)}>`;
+  if (term.type === 'blank') return `_:${term.value}`;
+
+  let text = `"${escapeString(term.value)}"`;
+  if (term.language) text += `@${term.language}`;
+  else if (term.datatype && term.datatype !== `${XSD}string`) text += `^^<${term.datatype}>`;
+  return text;
+}
+
+const PREFIXED_LOCAL = /^[A-Za-z0-9_](?:[A-Za-z0-9_-]|%[0-9A-F]{2})*$/;
+
+function turtleTerm(term) {
+  if (term.type === 'iri') {
+    if (term.value === `${RDF}type`) return 'a';
+    for (const [prefix, namespace] of Object.entries(PREFIXES)) {
+      const local = term.value.slice(namespace.length);
+      if (term.value.startsWith(namespace) && PREFIXED_LOCAL.test(local)) return `${prefix}:${local}`;
+    }
+    return ntTerm(term);
+  }
+  if (term.type === 'literal') {
+    if (term.datatype === `${XSD}boolean`) return term.value;
+    if (term.datatype === `${XSD}integer` && /^-?\d+$/.test(term.value)) return term.value;
+    if (term.datatype && term.datatype.startsWith(XSD) && !term.language) {
+      return `"${escapeString(term.value)}"^^xsd:${term.datatype.slice(XSD.length)}`;
+    }
+  }
+  return ntTerm(term);
+}
+
+function jsonLdTerm(term) {
+  if (term.type === 'iri') return { '@id': compactIri(term.value) };
+  if (term.type === 'blank') return { '@id': `_:${term.value}` };
+  if (term.datatype === `${XSD}double` || term.datatype === `${XSD}integer`) return { '@value': Number(term.value) };
+  if (term.datatype === `${XSD}boolean`) return { '@value': term.value === 'true' };
+  if (term.language) return { '@value': term.value, '@language': term.language };
+  return { '@value': term.value };
+}
+
+function compactIri(value) {
+  for (const [prefix, namespace] of Object.entries(PREFIXES)) {
+    if (value.startsWith(namespace)) return `${prefix}:${value.slice(namespace.length)}`;
+  }
+  return value;
+}
+
+/**
+ * Yields the serialized document chunk by chunk. isNode(term) decides
+ * whether an object is written as an IRI (it names a subject) or a literal.
+ */
+function* serializeTriples(triples, format, options = {}) {
+  const isNode = options.isNode || (() => false);
+  let index = 0;
+
+  if (format === 'ntriples') {
+    for (const triple of triples) {
+      const { base, statement, annotations } = tripleStatements(triple, index++, isNode);
+      let chunk = `${base.map(ntTerm).join(' ')} .\n`;
+      for (const [predicate, object] of annotations) {
+        chunk += `${ntTerm(statement)} ${ntTerm(predicate)} ${ntTerm(object)} .\n`;
+      }
+      yield chunk;
+    }
+    return;
+  }
+
+  if (format === 'turtle') {
+    yield Object.entries(PREFIXES).map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .\n`).join('') + '\n';
+    for (const triple of triples) {
+      const { base, statement, annotations } = tripleStatements(triple, index++, isNode);
+      yield `${base.map(turtleTerm).join(' ')} .\n` +
+        `${turtleTerm(statement)} ${annotations.map(([p, o]) => `${turtleTerm(p)} ${turtleTerm(o)}`).join(' ;\n  ')} .\n\n`;
+    }
+    return;
+  }
+
+  if (format === 'jsonld') {
+    yield `{"@context":${JSON.stringify(PREFIXES)},"@graph":[`;
+    for (const triple of triples) {
+      const { base, statement, annotations } = tripleStatements(triple, index, isNode);
+      const node = { '@id': compactIri(base[0].value), [compactIri(base[1].value)]: jsonLdTerm(base[2]) };
+      const reification = { '@id': `_:${statement.value}`, '@type': 'rdf:Statement' };
+      for (const [predicate, object] of annotations.slice(1)) {
+        reification[compactIri(predicate.value)] = jsonLdTerm(object);
+      }
+      yield `${index++ === 0 ? '' : ','}\n${JSON.stringify(node)},\n${JSON.stringify(reification)}`;
+    }
+    yield '\n]}\n';
+    return;
+  }
+
+  throw new Error(`Unsupported format: ${format}`);
+}
+
+// ---------------------------------------------------------------------------
+// Reading N-Triples and Turtle
+// ---------------------------------------------------------------------------
+
+const PN_CHAR = "(?:[\\w-]|%[0-9A-Fa-f]{2}|\\\\[_~.!$&'()*+,;=/?#@%-])";
+const TURTLE_TOKEN = new RegExp([
+  '\\s+|#.*$', // whitespace, comments
+  '<([^<>"{}|^`\\\\\\s]*)>', // 1: IRI
+  '"((?:[^"\\\\\\n]|\\\\.)*)"|\'((?:[^\'\\\\\\n]|\\\\.)*)\'', // 2, 3: strings
+  '@(prefix|base)\\b|@([A-Za-z]+(?:-[A-Za-z0-9]+)*)', // 4: directive, 5: language tag
+  '(\\^\\^)', // 6
+  '_:([A-Za-z0-9_](?:[\\w.-]*[\\w-])?)', // 7: blank node
+  '([+-]?\\d*\\.\\d+(?:[eE][+-]?\\d+)?|[+-]?\\d+(?:[eE][+-]?\\d+)?)(?![\\w:])', // 8: number
+  '([.;,\\[\\]()])', // 9: punctuation
+  `([A-Za-z](?:[\\w.-]*[\\w-])?)?:(${PN_CHAR}(?:(?:${PN_CHAR}|\\.)*${PN_CHAR})?)?`, // 10, 11: prefixed name
+  '([A-Za-z]+)' // 12: keyword
+].join('|'), 'y');
+
+function unescapeString(value) {
+  return value.replace(/\\(u[0-9A-Fa-f]{4}|U[0-9A-Fa-f]{8}|.)/g, (match, code) => {
+    if (code.length > 1) return String.fromCodePoint(parseInt(code.slice(1), 16));
+    return { t: '\t', b: '\b', n: '\n', r: '\r', f: '\f' }[code] ?? code;
+  });
+}
+
+function tokenizeLine(line) {
+  const tokens = [];
+  TURTLE_TOKEN.lastIndex = 0;
+
+  while (TURTLE_TOKEN.lastIndex < line.length) {
+    const start = TURTLE_TOKEN.lastIndex;
+    const match = TURTLE_TOKEN.exec(line);
+    if (!match || match[0] === '') {
+      throw new Error(`Unexpected input at column ${start + 1}: ${line.slice(start, start + 20)}`);
+    }
+
+    if (match[0].trim() === '' || match[0].trimStart().startsWith('#')) continue;
+
+    if (match[1] !== undefined) tokens.push({ type: 'iri', value: unescapeString(match[1]) });
+    else if (match[2] !== undefined || match[3] !== undefined) tokens.push({ type: 'string', value: unescapeString(match[2] ?? match[3]) });
+    else if (match[4]) tokens.push({ type: 'directive', value: match[4].toLowerCase() });
+    else if (match[5]) tokens.push({ type: 'language', value: match[5] });
+    else if (match[6]) tokens.push({ type: 'datatype' });
+    else if (match[7]) tokens.push({ type: 'blank', value: match[7] });
+    else if (match[8]) tokens.push({ type: 'number', value: match[8] });
+    else if (match[9]) tokens.push({ type: 'punct', value: match[9] });
+    else if (match[0].includes(':')) tokens.push({ type: 'pname', prefix: match[10] || '', local: match[11] || '' });
+    else if (match[12]) tokens.push({ type: 'keyword', value: match[12] });
+  }
+
+  return tokens;
+}
+
+class TurtleStatementParser {
+  constructor(prefixes) {
+    this.prefixes = prefixes;
+    this.blankCounter = 0;
+  }
+
+  parse(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.statements = [];
+
+    const first = tokens[0];
+    if (first.type === 'directive' || (first.type === 'keyword' && /^(prefix|base)$/i.test(first.value))) {
+      this.parseDirective();
+      return [];
+    }
+
+    const subject = this.parseSubject();
+    if (!(subject.anonymous && this.peekPunct('.'))) {
+      this.parsePredicateObjectList(subject.term);
+    }
+    this.expectPunct('.');
+    if (this.index < tokens.length) throw new Error('Unexpected tokens after "."');
+    return this.statements;
+  }
+
+  next() {
+    const token = this.tokens[this.index++];
+    if (!token) throw new Error('Unexpected end of statement');
+    return token;
+  }
+
+  peekPunct(value) {
+    const token = this.tokens[this.index];
+    return token?.type === 'punct' && token.value === value;
+  }
+
+  expectPunct(value) {
+    const token = this.next();
+    if (token.type !== 'punct' || token.value !== value) throw new Error(`Expected "${value}"`);
+  }
+
+  parseDirective() {
+    const keyword = this.next();
+    const name = keyword.value.toLowerCase();
+    const sparqlStyle = keyword.type === 'keyword';
+
+    if (name === 'base') throw new Error('@base is not supported; use absolute IRIs');
+
+    const prefix = this.next();
+    const namespace = this.next();
+    if (prefix.type !== 'pname' || prefix.local || namespace.type !== 'iri') {
+      throw new Error('Malformed prefix declaration');
+    }
+    if (!sparqlStyle) this.expectPunct('.');
+    if (this.index < this.tokens.length) throw new Error('Unexpected tokens after prefix declaration');
+    this.prefixes[prefix.prefix] = namespace.value;
+  }
+
+  parseSubject() {
+    if (this.peekPunct('[')) {
+      this.next();
+      return { term: this.parseBlankPropertyList(), anonymous: true };
+    }
+    const token = this.next();
+    if (token.type === 'iri' || token.type === 'pname' || token.type === 'blank') {
+      return { term: this.resolveNode(token) };
+    }
+    throw new Error('Subject must be an IRI or blank node');
+  }
+
+  parseBlankPropertyList() {
+    // "@" never appears in document labels, so generated nodes cannot collide with them
+    const node = blank(`@b${++this.blankCounter}`);
+    if (!this.peekPunct(']')) this.parsePredicateObjectList(node);
+    this.expectPunct(']');
+    return node;
+  }
+
+  parsePredicateObjectList(subject) {
+    do {
+      if (this.peekPunct(';')) this.next();
+      if (this.peekPunct('.') || this.peekPunct(']')) return;
+
+      const predicate = this.parsePredicate();
+      do {
+        if (this.peekPunct(',')) this.next();
+        this.statements.push({ subject, predicate, object: this.parseObject() });
+      } while (this.peekPunct(','));
+    } while (this.peekPunct(';'));
+  }
+
+  parsePredicate() {
+    const token = this.next();
+    if (token.type === 'keyword' && token.value === 'a') return iri(`${RDF}type`);
+    if (token.type === 'iri' || token.type === 'pname') return this.resolveNode(token);
+    throw new Error('Predicate must be an IRI');
+  }
+
+  parseObject() {
+    if (this.peekPunct('[')) {
+      this.next();
+      return this.parseBlankPropertyList();
+    }
+    if (this.peekPunct('(')) throw new Error('RDF collections are not supported');
+
+    const token = this.next();
+    switch (token.type) {
+      case 'iri':
+      case 'pname':
+      case 'blank':
+        return this.resolveNode(token);
+      case 'string': {
+        const modifier = this.tokens[this.index];
+        if (modifier?.type === 'language') {
+          this.index++;
+          return literal(token.value, undefined, modifier.value);
+        }
+        if (modifier?.type === 'datatype') {
+          this.index++;
+          const datatype = this.next();
+          if (datatype.type !== 'iri' && datatype.type !== 'pname') throw new Error('Datatype must be an IRI');
+          return literal(token.value, this.resolveNode(datatype).value);
+        }
+        return literal(token.value);
+      }
+      case 'number':
+        return literal(token.value, /[.eE]/.test(token.value) ? `${XSD}double` : `${XSD}integer`);
+      case 'keyword':
+        if (token.value === 'true' || token.value === 'false') return literal(token.value, `${XSD}boolean`);
+        break;
+    }
+    throw new Error('Object must be an IRI, blank node or literal');
+  }
+
+  resolveNode(token) {
+    if (token.type === 'iri') return iri(token.value);
+    if (token.type === 'blank') return blank(token.value);
+
+    const namespace = this.prefixes[token.prefix];
+    if (namespace === undefined) throw new Error(`Undeclared prefix "${token.prefix}:"`);
+    return iri(namespace + token.local.replace(/\\(.)/g, '$1'));
+  }
+}
+
+/**
+ * Parses N-Triples or Turtle lines into statements tagged with the line they
+ * started on. Malformed statements are reported and skipped.
+ */
+async function* parseLines(lines, format) {
+  const parser = new TurtleStatementParser(format === 'turtle' ? {} : Object.create(null));
+  let pending = [];
+  let startLine = 0;
+  let depth = 0;
+  let lineNumber = 0;
+
+  const flush = () => {
+    const tokens = pending;
+    pending = [];
+    depth = 0;
+    return tokens;
+  };
+
+  for await (const line of lines) {
+    lineNumber++;
+
+    let tokens;
+    try {
+      tokens = tokenizeLine(line);
+    } catch (error) {
+      flush();
+      yield { error: error.message, line: lineNumber };
+      continue;
+    }
+
+    for (const token of tokens) {
+      if (pending.length === 0) startLine = lineNumber;
+      pending.push(token);
+
+      if (token.type === 'punct' && (token.value === '[' || token.value === '(')) depth++;
+      if (token.type === 'punct' && (token.value === ']' || token.value === ')')) depth--;
+
+      // SPARQL-style PREFIX lines have no terminating dot
+      const sparqlPrefix = pending[0].type === 'keyword' && /^(prefix|base)$/i.test(pending[0].value) && pending.length === 3;
+      const ended = sparqlPrefix || (depth === 0 && token.type === 'punct' && token.value === '.');
+      if (!ended) continue;
+
+      const statementTokens = flush();
+      try {
+        if (format === 'ntriples' && statementTokens.some(t =>
+          ['pname', 'directive', 'keyword', 'number'].includes(t.type) || (t.type === 'punct' && t.value !== '.'))) {
+          throw new Error('N-Triples lines hold one statement of absolute IRIs, blank nodes or quoted literals');
+        }
+        for (const statement of parser.parse(statementTokens)) {
+          yield { ...statement, line: startLine };
+        }
+      } catch (error) {
+        yield { error: error.message, line: startLine };
+      }
+    }
+
+    // N-Triples statements never span lines
+    if (format === 'ntriples' && pending.length > 0) {
+      flush();
+      yield { error: 'Statement is missing its terminating "."', line: lineNumber };
+    }
+  }
+
+  if (pending.length > 0) {
+    yield { error: 'Statement is missing its terminating "."', line: startLine };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Reading JSON-LD
+// ---------------------------------------------------------------------------
+
+class JsonLdReader {
+  constructor() {
+    this.blankCounter = 0;
+  }
+
+  *read(document) {
+    const context = {};
+    let nodes;
+
+    if (Array.isArray(document)) {
+      nodes = document;
+    } else if (document && typeof document === 'object') {
+      this.applyContext(context, document['@context']);
+      nodes = Array.isArray(document['@graph']) ? document['@graph'] : [document];
+    } else {
+      throw new Error('JSON-LD document must be an object or an array');
+    }
+
+    for (let index = 0; index < nodes.length; index++) {
+      try {
+        const statements = [];
+        this.readNode(nodes[index], { ...context }, statements);
+        for (const statement of statements) yield { ...statement, node: index + 1 };
+      } catch (error) {
+        yield { error: error.message, node: index + 1 };
+      }
+    }
+  }
+
+  applyContext(context, definition) {
+    for (const entry of [].concat(definition ?? [])) {
+      if (entry === null) continue;
+      if (typeof entry !== 'object') throw new Error('Remote JSON-LD contexts are not supported');
+      for (const [term, value] of Object.entries(entry)) {
+        const id = typeof value === 'string' ? value : value?.['@id'];
+        if (typeof id === 'string') context[term] = id;
+      }
+    }
+  }
+
+  expand(value, context) {
+    if (value.startsWith('_:')) return blank(value.slice(2));
+    if (context[value] !== undefined) return iri(this.expand(context[value], context).value);
+
+    const separator = value.indexOf(':');
+    if (separator > 0) {
+      const prefix = value.slice(0, separator);
+      if (context[prefix] !== undefined) return iri(context[prefix] + value.slice(separator + 1));
+      return iri(value);
+    }
+    throw new Error(`Cannot expand "${value}" to an IRI`);
+  }
+
+  readNode(node, context, statements) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) throw new Error('Expected a node object');
+    if (node['@context']) this.applyContext(context, node['@context']);
+
+    const subject = node['@id'] !== undefined ? this.expand(String(node['@id']), context) : blank(`@j${++this.blankCounter}`);
+
+    for (const type of [].concat(node['@type'] ?? [])) {
+      statements.push({ subject, predicate: iri(`${RDF}type`), object: this.expand(String(type), context) });
+    }
+
+    for (const [key, values] of Object.entries(node)) {
+      if (key.startsWith('@')) continue;
+      const predicate = this.expand(key, context);
+      for (const value of [].concat(values)) {
+        statements.push({ subject, predicate, object: this.readValue(value, context, statements) });
+      }
+    }
+
+    return subject;
+  }
+
+  readValue(value, context, statements) {
+    if (typeof value === 'string') return literal(value);
+    if (typeof value === 'number') return literal(value, Number.isInteger(value) ? `${XSD}integer` : `${XSD}double`);
+    if (typeof value === 'boolean') return literal(value, `${XSD}boolean`);
+    if (!value || typeof value !== 'object') throw new Error('Unsupported JSON-LD value');
+    if (value['@list'] !== undefined || value['@set'] !== undefined) throw new Error('JSON-LD lists and sets are not supported');
+
+    if (value['@value'] !== undefined) {
+      const datatype = value['@type'] ? this.expand(String(value['@type']), context).value : undefined;
+      if (datatype || value['@language']) return literal(value['@value'], datatype, value['@language']);
+      return this.readValue(value['@value'], context, statements);
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '@id') return this.expand(String(value['@id']), context);
+    return this.readNode(value, context, statements);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Statements → router triples
+// ---------------------------------------------------------------------------
+
+const REIFICATION = {
+  [`${RDF}subject`]: 'subject',
+  [`${RDF}predicate`]: 'predicate',
+  [`${RDF}object`]: 'object'
+};
+
+function termValue(term) {
+  if (term.type === 'iri') return iriToTerm(term.value);
+  if (term.type === 'blank') return `_:${term.value}`;
+  return term.value;
+}
+
+function statementKey(subject, predicate, object) {
+  return JSON.stringify([subject, predicate, object]);
+}
+
+/**
+ * Folds parsed statements back into router triples: reified statements
+ * become metadata on the triple they describe, everything else is a plain
+ * triple. Returns { triples: [{ subject, predicate, object, metadata, line }], errors }.
+ */
+class TripleAssembler {
+  constructor() {
+    this.plain = [];
+    this.reified = new Map();
+    this.errors = [];
+  }
+
+  add(statement) {
+    const location = statement.node !== undefined ? { node: statement.node } : { line: statement.line };
+    if (statement.error) {
+      this.errors.push({ ...location, message: statement.error });
+      return;
+    }
+
+    const { subject, predicate, object } = statement;
+    if (subject.type === 'blank' && this.isReificationPredicate(predicate, object)) {
+      const entry = this.reified.get(subject.value) || { location, fields: {}, metadata: {} };
+      this.reified.set(subject.value, entry);
+      this.addReificationField(entry, predicate.value, object);
+      return;
+    }
+
+    this.plain.push({ triple: [termValue(subject), termValue(predicate), termValue(object)], location });
+  }
+
+  isReificationPredicate(predicate, object) {
+    return REIFICATION[predicate.value] !== undefined ||
+      predicate.value.startsWith(VOCAB) ||
+      (predicate.value === `${RDF}type` && object.value === `${RDF}Statement`);
+  }
+
+  addReificationField(entry, predicate, object) {
+    if (REIFICATION[predicate]) {
+      entry.fields[REIFICATION[predicate]] = termValue(object);
+      return;
+    }
+    if (!predicate.startsWith(VOCAB)) return;
+
+    const name = predicate.slice(VOCAB.length);
+    const value = object.value;
+    switch (name) {
+      case 'confidence':
+        entry.metadata.confidence = Number(value);
+        break;
+      case 'isAxiom':
+        entry.metadata.isAxiom = value === 'true' || value === '1' ? true : value === 'false' || value === '0' ? false : value;
+        break;
+      case 'gridX':
+      case 'gridY':
+        entry.metadata[name] = Number(value);
+        break;
+      default:
+        entry.metadata[name] = value;
+    }
+  }
+
+  finish() {
+    const triples = [];
+    const described = new Set();
+
+    for (const { location, fields, metadata } of this.reified.values()) {
+      if (fields.subject === undefined || fields.predicate === undefined || fields.object === undefined) {
+        this.errors.push({ ...location, message: 'Reified statement needs rdf:subject, rdf:predicate and rdf:object' });
+        continue;
+      }
+
+      const { gridX, gridY, ...rest } = metadata;
+      if (gridX !== undefined || gridY !== undefined) rest.gridPosition = { x: gridX, y: gridY };
+
+      const key = statementKey(fields.subject, fields.predicate, fields.object);
+      described.add(key);
+      triples.push({ ...fields, metadata: rest, ...location });
+    }
+
+    for (const { triple, location } of this.plain) {
+      if (described.has(statementKey(...triple))) continue;
+      const [subject, predicate, object] = triple;
+      triples.push({ subject, predicate, object, metadata: {}, ...location });
+    }
+
+    return { triples, errors: this.errors };
+  }
+}
+
+// Lines from a string, Buffer, stream or async iterable of chunks
+function readLines(input) {
+  const stream = typeof input === 'string' || Buffer.isBuffer(input)
+    ? Readable.from([input])
+    : typeof input.pipe === 'function' ? input : Readable.from(input);
+  return readline.createInterface({ input: stream, crlfDelay: Infinity });
+}
+
+async function readAll(input) {
+  if (typeof input === 'string') return input;
+  if (Buffer.isBuffer(input)) return input.toString('utf8');
+
+  const chunks = [];
+  for await (const chunk of input) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Parses a document into router triples and per-line (or per-node, for
+ * JSON-LD) errors. Input may be parsed JSON for JSON-LD.
+ */
+async function parseTriples(input, format) {
+  const assembler = new TripleAssembler();
+
+  if (format === 'jsonld') {
+    let document = input;
+    if (typeof input === 'string' || Buffer.isBuffer(input) || typeof input?.pipe === 'function' || input?.[Symbol.asyncIterator]) {
+      try {
+        document = JSON.parse(await readAll(input));
+      } catch (error) {
+        return { triples: [], errors: [{ line: null, message: `Invalid JSON: ${error.message}` }] };
+      }
+    }
+    try {
+      for (const statement of new JsonLdReader().read(document)) assembler.add(statement);
+    } catch (error) {
+      assembler.errors.push({ node: null, message: error.message });
+    }
+    return assembler.finish();
+  }
+
+  if (format !== 'ntriples' && format !== 'turtle') {
+    throw new Error(`Unsupported format: ${format}`);
+  }
+
+  for await (const statement of parseLines(readLines(input), format)) {
+    assembler.add(statement);
+  }
+  return assembler.finish();
+}
+
+module.exports = {
+  FORMATS,
+  resolveFormat,
+  serializeTriples,
+  parseTriples,
+  termToIri,
+  iriToTerm
+};
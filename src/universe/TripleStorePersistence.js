@@ -0,0 +1,201 @@
+/**
+ * 💾 TRIPLE STORE PERSISTENCE
+ *
+ * Storage backends for the AutonomousUniverseRouter triple store.
+ * Every backend exposes the same small synchronous surface so the router
+ * can persist mutations from inside addKnowledgeTriple/removeKnowledgeTriple:
+ *
+ *   load()                            -> { triples, dormantCells, replayedEntries } restored on startup
+ *   append(entry)                     -> record one mutation ({ op: 'put', triple } | { op: 'delete', id }
+ *                                        | { op: 'cells', births, deaths })
+ *   shouldSnapshot()                  -> true once enough entries piled up in the log
+ *   snapshot(triples, dormantCells)   -> write a compacted image and truncate the log
+ *   close()
+ *
+ * Placing a triple brings its grid cell alive, so only the cells Life has
+ * killed while they still hold triples ("x,y" keys) need to be kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cellKey } = require('./GridIntegrity');
+
+const SNAPSHOT_FILE = 'triples.snapshot.json';
+const WAL_FILE = 'triples.wal';
+
+function serializeTriple(triple) {
+  return {
+    ...triple,
+    connections: Array.from(triple.connections || [])
+  };
+}
+
+function deserializeTriple(data) {
+  return {
+    ...data,
+    connections: new Set(data.connections || [])
+  };
+}
+
+// Default backend: keeps nothing, so the router behaves exactly as before
+class MemoryTripleStorage {
+  load() {
+    return { triples: [], dormantCells: [], replayedEntries: 0 };
+  }
+
+  append() {}
+
+  shouldSnapshot() {
+    return false;
+  }
+
+  snapshot() {}
+
+  close() {}
+}
+
+// Append-only write-ahead log plus periodic snapshot on local disk
+class FileTripleStorage {
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('FileTripleStorage requires a directory');
+    }
+
+    this.directory = options.directory;
+    this.snapshotEvery = options.snapshotEvery || 1000; // Log entries between snapshots
+    this.fsync = options.fsync === true; // Survive power loss, not just process crashes
+    this.snapshotPath = path.join(this.directory, SNAPSHOT_FILE);
+    this.walPath = path.join(this.directory, WAL_FILE);
+    this.pendingEntries = 0;
+    this.fd = null;
+  }
+
+  load() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const triples = new Map();
+    const dormantCells = new Set();
+
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      for (const data of snapshot.triples || []) {
+        triples.set(data.id, data);
+      }
+      for (const key of snapshot.dormantCells || []) {
+        dormantCells.add(key);
+      }
+    }
+
+    let replayedEntries = 0;
+    if (fs.existsSync(this.walPath)) {
+      const lines = fs.readFileSync(this.walPath, 'utf8').split('\n');
+      let validBytes = 0;
+      for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (error) {
+          // A torn final write is expected after a crash; anything earlier is corruption
+          if (i >= lines.length - 2) {
+            console.warn(`💾 Discarding incomplete write-ahead log entry at line ${i + 1}`);
+            fs.truncateSync(this.walPath, validBytes);
+            break;
+          }
+          throw new Error(`Corrupt write-ahead log entry at line ${i + 1}: ${error.message}`);
+        }
+
+        this.applyEntry(triples, dormantCells, entry);
+        replayedEntries++;
+        validBytes += Buffer.byteLength(lines[i]) + 1;
+      }
+    }
+
+    this.fd = fs.openSync(this.walPath, 'a');
+    this.pendingEntries = replayedEntries;
+
+    return {
+      triples: Array.from(triples.values()).map(deserializeTriple),
+      dormantCells: Array.from(dormantCells),
+      replayedEntries
+    };
+  }
+
+  applyEntry(triples, dormantCells, entry) {
+    switch (entry.op) {
+      case 'put': {
+        // Like the router: a triple landing in a cell (new or moved) brings the cell alive
+        const previous = triples.get(entry.triple.id);
+        const key = cellKey(entry.triple.gridPosition);
+        if (!previous || cellKey(previous.gridPosition) !== key) dormantCells.delete(key);
+        triples.set(entry.triple.id, entry.triple);
+        break;
+      }
+      case 'delete':
+        triples.delete(entry.id);
+        break;
+      case 'cells':
+        for (const key of entry.deaths) dormantCells.add(key);
+        for (const key of entry.births) dormantCells.delete(key);
+        break;
+      default:
+        throw new Error(`Unknown write-ahead log operation: ${entry.op}`);
+    }
+  }
+
+  append(entry) {
+    if (this.fd === null) return;
+
+    const record = entry.op === 'put'
+      ? { op: 'put', triple: serializeTriple(entry.triple) }
+      : entry;
+
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    if (this.fsync) fs.fsyncSync(this.fd);
+    this.pendingEntries++;
+  }
+
+  shouldSnapshot() {
+    return this.pendingEntries >= this.snapshotEvery;
+  }
+
+  snapshot(triples, dormantCells = []) {
+    if (this.fd === null) return;
+
+    // Write to a temp file and rename so a crash never leaves a half-written snapshot
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const data = JSON.stringify({
+      version: 1,
+      createdAt: Date.now(),
+      triples: Array.from(triples, serializeTriple),
+      dormantCells: Array.from(dormantCells)
+    });
+
+    const tmpFd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(tmpFd, data);
+      fs.fsyncSync(tmpFd);
+    } finally {
+      fs.closeSync(tmpFd);
+    }
+    fs.renameSync(tmpPath, this.snapshotPath);
+
+    // Replaying a log entry already in the snapshot is idempotent, so truncating last is safe
+    fs.ftruncateSync(this.fd, 0);
+    this.pendingEntries = 0;
+  }
+
+  close() {
+    if (this.fd === null) return;
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+module.exports = {
+  MemoryTripleStorage,
+  FileTripleStorage,
+  serializeTriple,
+  deserializeTriple
+};
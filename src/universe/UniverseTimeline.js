@@ -0,0 +1,395 @@
+/**
+ * 🕰️ UNIVERSE TIMELINE
+ *
+ * Records how the universe evolves so any past generation can be looked at
+ * again. Two structures work together:
+ *
+ *   snapshots - full copies of router state (grid, triple store, consciousness,
+ *               routing matrix) taken every `snapshotEvery` generations
+ *   journal   - every change in between, in order: new triples, the fields
+ *               that changed on existing ones, deletes, each generation's
+ *               births and deaths, and routing outcomes
+ *
+ * The state "at generation G" is the universe right after G's Life step.
+ * It is rebuilt from the latest snapshot at or before G plus the journal up
+ * to G's generation event. Both structures are bounded; generations older
+ * than the oldest usable snapshot can no longer be rebuilt. Recording is off
+ * unless the router is started with history: true.
+ */
+
+const { serializeTriple } = require('./TripleStorePersistence');
+const { RouterError } = require('./RouterError');
+const { cellKey } = require('./GridIntegrity');
+
+const EVENT_TYPES = ['triple', 'generation', 'route'];
+
+// Detached copy of plain data (structuredClone needs Node 17)
+function cloneJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Plain, detached copy of the parts of the router a timeline keeps
+function captureRouterState(router) {
+  const { universe } = router;
+  return {
+    generation: universe.evolutionGeneration,
+    at: router.clock.now(),
+    consciousness: cloneJson(universe.consciousness),
+    triples: Array.from(universe.tripleStore.triples.values(), triple => cloneJson(serializeTriple(triple))),
+    cells: Array.from(universe.knowledgeGrid.values(), cell => ({ ...cell.position, isAlive: cell.isAlive })),
+    routingMatrix: Object.fromEntries(Array.from(universe.routingMatrix, ([key, route]) => [key, { ...route }]))
+  };
+}
+
+// Fields of a triple that differ from a shallow copy taken before it was changed
+function changedFields(before, after) {
+  const changes = {};
+  for (const [key, value] of Object.entries(after)) {
+    const previous = before[key];
+    const changed = Array.isArray(value) && Array.isArray(previous)
+      ? value.length !== previous.length || value.some((item, index) => item !== previous[index])
+      : value !== previous;
+    if (changed) changes[key] = value;
+  }
+  return changes;
+}
+
+// A replayable model of the grid and store: cells exist only while they hold triples
+class TimelineState {
+  constructor(snapshot) {
+    this.generation = snapshot.generation;
+    this.at = snapshot.at;
+    this.consciousness = cloneJson(snapshot.consciousness);
+    this.routingMatrix = new Map(Object.entries(snapshot.routingMatrix).map(([key, route]) => [key, { ...route }]));
+    this.triples = new Map();
+    this.cells = new Map();
+
+    for (const cell of snapshot.cells) {
+      this.cells.set(cellKey(cell), { x: cell.x, y: cell.y, isAlive: cell.isAlive, triples: new Set() });
+    }
+    for (const triple of snapshot.triples) {
+      this.triples.set(triple.id, cloneJson(triple));
+      this.cells.get(cellKey(triple.gridPosition))?.triples.add(triple.id);
+    }
+  }
+
+  // Mirrors the router: placing a triple in a cell (new or moved) brings the cell alive
+  attach(triple) {
+    const key = cellKey(triple.gridPosition);
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = { x: triple.gridPosition.x, y: triple.gridPosition.y, isAlive: false, triples: new Set() };
+      this.cells.set(key, cell);
+    }
+    cell.triples.add(triple.id);
+    cell.isAlive = true;
+  }
+
+  detach(triple) {
+    const key = cellKey(triple.gridPosition);
+    const cell = this.cells.get(key);
+    if (!cell) return;
+    cell.triples.delete(triple.id);
+    if (cell.triples.size === 0) this.cells.delete(key);
+  }
+
+  apply(event) {
+    switch (event.type) {
+      case 'triple': {
+        const previous = this.triples.get(event.id);
+        if (event.op === 'delete') {
+          if (previous) {
+            this.detach(previous);
+            this.triples.delete(event.id);
+          }
+          break;
+        }
+        if (event.op === 'update' && !previous) break;
+
+        const triple = event.op === 'update'
+          ? { ...previous, ...cloneJson(event.changes) }
+          : cloneJson(event.triple);
+        const moved = !previous || cellKey(previous.gridPosition) !== cellKey(triple.gridPosition);
+        if (previous && moved) this.detach(previous);
+        this.triples.set(triple.id, triple);
+        if (moved) this.attach(triple);
+        break;
+      }
+      case 'generation':
+        for (const key of event.deaths) {
+          const cell = this.cells.get(key);
+          if (cell) cell.isAlive = false;
+        }
+        for (const key of event.births) {
+          const cell = this.cells.get(key);
+          if (cell) cell.isAlive = true;
+        }
+        this.generation = event.generation;
+        this.consciousness = cloneJson(event.consciousness);
+        break;
+      case 'route':
+        this.routingMatrix.set(event.routeKey, { ...event.route });
+        break;
+    }
+    this.at = event.at;
+  }
+
+  summary() {
+    let liveCellCount = 0;
+    for (const cell of this.cells.values()) {
+      if (cell.isAlive) liveCellCount++;
+    }
+    return {
+      generation: this.generation,
+      at: this.at,
+      tripleCount: this.triples.size,
+      cellCount: this.cells.size,
+      liveCellCount,
+      consciousness: this.consciousness,
+      routingMatrix: Object.fromEntries(this.routingMatrix)
+    };
+  }
+
+  // Same shape as a snapshot, so it can be loaded into a fresh router
+  toJSON() {
+    return {
+      ...this.summary(),
+      triples: Array.from(this.triples.values()),
+      cells: Array.from(this.cells.values(), ({ x, y, isAlive }) => ({ x, y, isAlive }))
+    };
+  }
+}
+
+class UniverseTimeline {
+  constructor(router, options = {}) {
+    this.router = router;
+    this.snapshotEvery = options.snapshotEvery || 100; // Generations between snapshots
+    this.maxSnapshots = options.maxSnapshots || 10;
+    this.maxEvents = options.maxEvents || 50000;
+    this.snapshots = [];
+    this.journal = [];
+    this.seq = 0;
+    this.recording = false;
+  }
+
+  // Takes the first snapshot and starts journaling; earlier changes are part of that snapshot
+  start() {
+    this.snapshots = [];
+    this.journal = [];
+    this.takeSnapshot();
+    this.recording = true;
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  record(type, data) {
+    if (!this.recording) return null;
+
+    const event = {
+      seq: ++this.seq,
+      type,
+      generation: this.router.universe.evolutionGeneration,
+      at: this.router.clock.now(),
+      ...data
+    };
+    this.journal.push(event);
+
+    if (this.journal.length > this.maxEvents) {
+      this.journal.splice(0, this.journal.length - this.maxEvents);
+      this.dropUnusableSnapshots();
+    }
+    return event;
+  }
+
+  // Shallow copy of a triple about to change, so only what changed is journaled
+  beforeChange(triple) {
+    if (!this.recording) return null;
+    return { ...triple, confidenceHistory: triple.confidenceHistory?.slice() };
+  }
+
+  recordTripleMutation(entry) {
+    if (!this.recording) return null;
+    if (entry.op === 'delete') {
+      return this.record('triple', { op: 'delete', id: entry.id });
+    }
+    if (entry.before) {
+      const changes = changedFields(entry.before, entry.triple);
+      if (Object.keys(changes).length === 0) return null;
+      if (changes.connections) changes.connections = Array.from(changes.connections);
+      return this.record('triple', { op: 'update', id: entry.triple.id, changes: cloneJson(changes) });
+    }
+    return this.record('triple', { op: 'put', id: entry.triple.id, triple: cloneJson(serializeTriple(entry.triple)) });
+  }
+
+  recordGeneration(births, deaths) {
+    const event = this.record('generation', {
+      births,
+      deaths,
+      consciousness: cloneJson(this.router.universe.consciousness)
+    });
+    if (event && event.generation % this.snapshotEvery === 0) {
+      this.takeSnapshot();
+    }
+    return event;
+  }
+
+  recordRoute(routeKey, result, route) {
+    return this.record('route', { routeKey, success: result.success, latency: result.latency, route: { ...route } });
+  }
+
+  takeSnapshot() {
+    const snapshot = { seq: this.seq, ...captureRouterState(this.router) };
+    this.snapshots.push(snapshot);
+    if (this.snapshots.length > this.maxSnapshots) {
+      this.snapshots.splice(0, this.snapshots.length - this.maxSnapshots);
+    }
+    return snapshot;
+  }
+
+  // A snapshot is only useful while the journal still holds every event after it
+  firstRetainedSeq() {
+    return this.journal.length > 0 ? this.journal[0].seq : this.seq + 1;
+  }
+
+  dropUnusableSnapshots() {
+    const first = this.firstRetainedSeq();
+    // Keep the newest unusable one: it still answers for its own generation
+    while (this.snapshots.length > 1 && this.snapshots[1].seq + 1 < first) {
+      this.snapshots.shift();
+    }
+  }
+
+  // Journal position at which generation G was complete
+  boundaryOf(generation) {
+    const snapshot = this.snapshots.find(candidate => candidate.generation === generation);
+    if (snapshot) return snapshot.seq;
+
+    const event = this.journal.find(candidate => candidate.type === 'generation' && candidate.generation === generation);
+    return event ? event.seq : null;
+  }
+
+  earliestGeneration() {
+    const first = this.firstRetainedSeq();
+    const usable = this.snapshots.find(snapshot => snapshot.seq + 1 >= first) || this.snapshots[0];
+    return usable ? usable.generation : null;
+  }
+
+  reconstruct(generation) {
+    const current = this.router.universe.evolutionGeneration;
+    if (!Number.isInteger(generation) || generation < 0) {
+      throw new RouterError('invalid_query', 'generation must be a non-negative integer', 400);
+    }
+    if (generation > current) {
+      throw new RouterError('unknown_generation', `Generation ${generation} has not happened yet (current: ${current})`, 404, { current });
+    }
+
+    const boundary = this.boundaryOf(generation);
+    const base = boundary === null
+      ? null
+      : this.snapshots.filter(snapshot => snapshot.seq <= boundary && (snapshot.seq === boundary || snapshot.seq + 1 >= this.firstRetainedSeq())).pop();
+    if (!base) {
+      throw new RouterError('history_unavailable', `Generation ${generation} is no longer in the timeline`, 410, {
+        earliestGeneration: this.earliestGeneration()
+      });
+    }
+
+    const state = new TimelineState(base);
+    let replayedEvents = 0;
+    for (const event of this.journal) {
+      if (event.seq <= base.seq) continue;
+      if (event.seq > boundary) break;
+      state.apply(event);
+      replayedEvents++;
+    }
+
+    state.baseGeneration = base.generation;
+    state.replayedEvents = replayedEvents;
+    return state;
+  }
+
+  diff(fromGeneration, toGeneration) {
+    const from = this.reconstruct(fromGeneration);
+    const to = this.reconstruct(toGeneration);
+
+    const triples = { added: [], removed: [], changed: [] };
+    for (const [id, triple] of to.triples) {
+      const before = from.triples.get(id);
+      if (!before) triples.added.push(id);
+      else if (JSON.stringify(before) !== JSON.stringify(triple)) triples.changed.push(id);
+    }
+    for (const id of from.triples.keys()) {
+      if (!to.triples.has(id)) triples.removed.push(id);
+    }
+
+    const cells = { born: [], died: [] };
+    for (const [key, cell] of to.cells) {
+      if (cell.isAlive && !from.cells.get(key)?.isAlive) cells.born.push(key);
+    }
+    for (const [key, cell] of from.cells) {
+      if (cell.isAlive && !to.cells.get(key)?.isAlive) cells.died.push(key);
+    }
+
+    const routes = [];
+    for (const [key, route] of to.routingMatrix) {
+      const before = from.routingMatrix.get(key);
+      if (!before || before.attempts !== route.attempts) {
+        routes.push({ routeKey: key, attempts: route.attempts - (before?.attempts || 0), successRate: { from: before?.successRate ?? null, to: route.successRate } });
+      }
+    }
+
+    return {
+      from: fromGeneration,
+      to: toGeneration,
+      triples,
+      cells,
+      routes,
+      consciousness: {
+        awarenessLevel: { from: from.consciousness.awarenessLevel, to: to.consciousness.awarenessLevel },
+        reflectionCycles: { from: from.consciousness.reflectionCycles, to: to.consciousness.reflectionCycles }
+      }
+    };
+  }
+
+  events(options = {}) {
+    const since = options.since || 0;
+    const limit = Math.min(options.limit || 100, 1000);
+    const events = [];
+    for (const event of this.journal) {
+      if (event.seq <= since) continue;
+      if (options.type && event.type !== options.type) continue;
+      if (options.generation !== undefined && event.generation !== options.generation) continue;
+      events.push(event);
+      if (events.length >= limit) break;
+    }
+    return {
+      events,
+      nextSeq: events.length > 0 ? events[events.length - 1].seq : since,
+      lastSeq: this.seq
+    };
+  }
+
+  getStatus() {
+    return {
+      generation: this.router.universe.evolutionGeneration,
+      earliestGeneration: this.earliestGeneration(),
+      snapshotEvery: this.snapshotEvery,
+      snapshots: this.snapshots.map(snapshot => ({
+        generation: snapshot.generation,
+        seq: snapshot.seq,
+        at: snapshot.at,
+        tripleCount: snapshot.triples.length,
+        cellCount: snapshot.cells.length
+      })),
+      journal: {
+        size: this.journal.length,
+        limit: this.maxEvents,
+        firstSeq: this.journal.length > 0 ? this.journal[0].seq : null,
+        lastSeq: this.seq
+      }
+    };
+  }
+}
+
+module.exports = { UniverseTimeline, TimelineState, captureRouterState, cloneJson, EVENT_TYPES };
@@ -211,6 +211,63 @@ describe('Autonomous Observer System', () => {
     });
   });
 
+  describe('Deterministic Simulation', () => {
+    const seedKnowledge = {
+      core: { patterns: [{ subject: 'consciousness', predicate: 'exhibits', object: 'self-awareness', confidence: 0.618, guidingStarPrinciples: ['autonomy'] }] },
+      geometry: { patterns: [{ subject: 'phi', predicate: 'harmonizes', object: 'growth', confidence: 0.9, guidingStarPrinciples: ['freedom', 'reciprocity'] }] }
+    };
+
+    const createCue = () => {
+      const cue = new CUEFramework({ simulation: true, seed: 3 });
+      cue.seedKnowledge = seedKnowledge;
+      cue.initializeConsciousnessSystem();
+      return cue;
+    };
+
+    test('Seeded living knowledge evolves identically', async () => {
+      const run = async (seed) => {
+        const ecosystem = new LivingKnowledgeEcosystem({ seed, patterns: 200 });
+        await ecosystem.activate();
+        ecosystem.step(3);
+        return ecosystem.patterns.map(pattern => `${pattern.id}:${pattern.isAlive}:${pattern.survival}`);
+      };
+
+      expect(await run(42)).toEqual(await run(42));
+      expect(await run(42)).not.toEqual(await run(43));
+    });
+
+    test('MDU processing runs on a manual clock and replays by seed', async () => {
+      const mdu = new MDUProcessor({ simulation: true, seed: 7 });
+      await mdu.activate();
+
+      const processed = await mdu.processMDU({ content: 'replayable', complexity: 0.5 });
+      expect(processed.timestamp).toBe(0);
+      expect(processed.processedAt).toBe(processed.processingTime);
+
+      const replay = new MDUProcessor({ simulation: true, seed: 7 });
+      await replay.activate();
+      await replay.processMDU({ content: 'replayable', complexity: 0.5 });
+      expect(replay.step(2)).toEqual(mdu.step(2));
+      expect(mdu.getProcessingStats().seed).toBe(7);
+    });
+
+    test('CUE reflection cycles advance through step without timers', () => {
+      const cue = createCue();
+      const metaCognition = jest.spyOn(cue, 'performMetaCognitiveAssessment');
+
+      const result = cue.step(7);
+
+      expect(result.reflectionCycles).toBe(7);
+      expect(metaCognition).toHaveBeenCalledTimes(1); // 7 golden-ratio seconds cross one 10s boundary
+      expect(cue._timers.reflection).toBeNull();
+      expect(cue.getFrameworkStats()).toMatchObject({ seed: 3, simulation: true });
+
+      const replay = createCue();
+      replay.step(7);
+      expect(replay.universe.consciousness.reflectionCycles).toEqual(cue.universe.consciousness.reflectionCycles);
+    });
+  });
+
   describe('Integration Tests', () => {
     test('Full system integration works', async () => {
       // Activate all systems
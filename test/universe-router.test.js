@@ -0,0 +1,2363 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+const AutonomousUniverseRouter = require('../src/universe/AutonomousUniverseRouter');
+const { MCPClient } = require('../src/universe/MCPClient');
+const { parseLifeRule } = require('../src/universe/LifeRule');
+const { captureRouterState } = require('../src/universe/UniverseTimeline');
+const { tripleIdentity } = require('../src/universe/TripleIdentity');
+const { MemoryTripleStorage } = require('../src/universe/TripleStorePersistence');
+const { RouterError } = require('../src/universe/RouterError');
+const { AuthManager, signRequest } = require('../src/universe/AuthManager');
+const { WebSocketFlowControl } = require('../src/universe/TrafficControl');
+const { EventStream, compileFilter } = require('../src/universe/EventStream');
+const { createTransformerRegistry, checkRoundTrips } = require('../src/universe/ProtocolTransformers');
+const { compileMapping, inferMapping } = require('../src/universe/TransformationTemplates');
+const WebSocket = require('ws');
+
+// Ephemeral ports and an evolution interval long enough that timers never fire mid-test
+const createRouter = async (options = {}) => {
+  const router = new AutonomousUniverseRouter({
+    universePort: 0,
+    mcpPort: 0,
+    a2aPort: 0,
+    knowledgeEvolutionInterval: 2147483647,
+    ...options
+  });
+  await router.ready;
+  return router;
+};
+
+const portOf = server => server.address().port;
+
+// Local MCP server speaking JSON-RPC 2.0 over plain HTTP
+const startMCPStub = () => new Promise((resolve) => {
+  const app = express();
+  app.use(express.json());
+  const calls = [];
+  const failing = { remaining: 0 }; // Requests still to answer with 503
+
+  app.post('/mcp', (req, res) => {
+    const { id, method, params } = req.body;
+    calls.push(method);
+    if (id === undefined) return res.status(202).end();
+    if (failing.remaining > 0) {
+      failing.remaining--;
+      return res.status(503).send('unavailable');
+    }
+
+    const reply = result => res.json({ jsonrpc: '2.0', id, result });
+    switch (method) {
+      case 'initialize':
+        return reply({ protocolVersion: params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'stub' } });
+      case 'tools/list':
+        return reply({ tools: [{ name: 'echo', inputSchema: { type: 'object' } }] });
+      case 'tools/call':
+        if (params.name === 'echo') return reply({ content: [{ type: 'text', text: params.arguments.text }] });
+        if (params.name === 'explode') return reply({ isError: true, content: [{ type: 'text', text: 'boom' }] });
+        if (params.name === 'slow') {
+          const timer = setTimeout(() => reply({ content: [{ type: 'text', text: 'late' }] }), params.arguments.ms);
+          return res.on('close', () => clearTimeout(timer));
+        }
+        return res.json({ jsonrpc: '2.0', id, error: { code: -32602, message: `Unknown tool: ${params.name}` } });
+      case 'resources/read':
+        return reply({ contents: [{ uri: params.uri, text: 'resource body' }] });
+      default:
+        return res.json({ jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } });
+    }
+  });
+
+  const server = app.listen(0, () => resolve({ server, calls, failing, url: `http://localhost:${portOf(server)}/mcp` }));
+});
+
+// Local A2A agent: tasks start "working" and settle on the first tasks/get poll
+const startA2AStub = () => new Promise((resolve) => {
+  const app = express();
+  app.use(express.json());
+  const tasks = new Map();
+
+  const settle = (text) => {
+    if (text === 'fail') return { state: 'failed', message: { role: 'agent', parts: [{ kind: 'text', text: 'cannot comply' }] } };
+    if (text === 'ask') return { state: 'input-required' };
+    return { state: 'completed' };
+  };
+
+  app.post('/', (req, res) => {
+    const { id, method, params } = req.body;
+    const reply = result => res.json({ jsonrpc: '2.0', id, result });
+
+    if (method === 'message/send') {
+      const text = params.message.parts[0].text;
+      const task = { kind: 'task', id: `task-${tasks.size + 1}`, contextId: 'ctx-1', status: { state: 'submitted' }, text };
+      tasks.set(task.id, task);
+      return reply({ ...task, status: { state: 'working' } });
+    }
+
+    if (method === 'message/stream') {
+      const text = params.message.parts[0].text;
+      res.set('Content-Type', 'text/event-stream');
+      const events = [
+        { kind: 'task', id: 'task-s', contextId: 'ctx-s', status: { state: 'submitted' } },
+        { kind: 'status-update', taskId: 'task-s', status: { state: 'working' } },
+        { kind: 'artifact-update', taskId: 'task-s', artifact: { artifactId: 'a1', parts: [{ kind: 'text', text: `streamed ${text}` }] } },
+        { kind: 'status-update', taskId: 'task-s', status: { state: 'completed' }, final: true }
+      ];
+      for (const result of events) res.write(`data: ${JSON.stringify({ jsonrpc: '2.0', id, result })}\n\n`);
+      return res.end();
+    }
+
+    if (method === 'tasks/get') {
+      const task = tasks.get(params.id);
+      const status = settle(task.text);
+      const artifacts = status.state === 'completed' ? [{ artifactId: 'a1', parts: [{ kind: 'text', text: `echo ${task.text}` }] }] : [];
+      return reply({ kind: 'task', id: task.id, contextId: task.contextId, status, artifacts });
+    }
+
+    return res.json({ jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } });
+  });
+
+  const server = app.listen(0, () => resolve({ server, url: `http://localhost:${portOf(server)}/` }));
+});
+
+describe('Autonomous Universe Router', () => {
+  describe('Triple store persistence', () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ulp-universe-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('Triples survive a restart and keep their grid cell', async () => {
+      const first = await createRouter({ dataDir });
+      const tripleId = first.addKnowledgeTriple('agent_alpha', 'teaches', 'routing', {
+        confidence: 0.9,
+        gridPosition: { x: 500, y: 500 }
+      });
+      const tripleCount = first.universe.tripleStore.triples.size;
+      await first.stop();
+
+      const second = await createRouter({ dataDir });
+      const restored = second.universe.tripleStore.triples.get(tripleId);
+
+      expect(restored).toMatchObject({ subject: 'agent_alpha', predicate: 'teaches', object: 'routing' });
+      expect(second.universe.tripleStore.triples.size).toBe(tripleCount);
+      expect(second.universe.knowledgeGrid.get('500,500').triples.has(tripleId)).toBe(true);
+      expect(second.universe.tripleStore.subjects.get('agent_alpha').has(tripleId)).toBe(true);
+      await second.stop();
+    });
+
+    test('Axioms are not duplicated when the log is replayed', async () => {
+      const first = await createRouter({ dataDir });
+      const axiomCount = first.universe.tripleStore.axioms.size;
+      // Simulate a crash: no stop(), so startup has to replay the write-ahead log
+      first.storage.close();
+      await first.stop();
+      fs.rmSync(path.join(dataDir, 'triples.snapshot.json'), { force: true });
+
+      const second = await createRouter({ dataDir });
+      const storedAxioms = Array.from(second.universe.tripleStore.triples.values()).filter(t => t.isAxiom);
+
+      expect(second.universe.tripleStore.axioms.size).toBe(axiomCount);
+      expect(storedAxioms.length).toBe(axiomCount);
+      await second.stop();
+    });
+
+    test('A torn final log entry is ignored on replay', async () => {
+      const first = await createRouter({ dataDir });
+      const tripleId = first.addKnowledgeTriple('agent_beta', 'knows', 'conway', { confidence: 0.7 });
+      first.storage.close();
+      await first.stop();
+      fs.rmSync(path.join(dataDir, 'triples.snapshot.json'), { force: true });
+      fs.appendFileSync(path.join(dataDir, 'triples.wal'), '{"op":"put","triple":{"id"');
+
+      const second = await createRouter({ dataDir });
+      expect(second.universe.tripleStore.triples.has(tripleId)).toBe(true);
+      await second.stop();
+    });
+
+    test('Cells Life killed stay dead after a restart, from the snapshot or the log', async () => {
+      const first = await createRouter({ dataDir, simulation: true, seed: 101, cellDeathPolicy: 'dormant' });
+      first.addKnowledgeTriple('agent_gamma', 'drifts', 'alone', { gridPosition: { x: 700, y: 700 } });
+      first.step();
+      expect(first.universe.knowledgeGrid.get('700,700').isAlive).toBe(false);
+      await first.stop();
+
+      const second = await createRouter({ dataDir, simulation: true, seed: 101, cellDeathPolicy: 'dormant' });
+      expect(second.universe.knowledgeGrid.get('700,700')).toMatchObject({ isAlive: false });
+      // Crash after another lonely cell dies: only the write-ahead log knows
+      second.addKnowledgeTriple('agent_delta', 'drifts', 'alone', { gridPosition: { x: 300, y: 300 } });
+      second.step();
+      second.storage.close();
+      await second.stop();
+      fs.writeFileSync(path.join(dataDir, 'triples.snapshot.json'), JSON.stringify({ version: 1, triples: [] }));
+
+      const third = await createRouter({ dataDir, cellDeathPolicy: 'dormant' });
+      expect(third.universe.knowledgeGrid.get('300,300')).toMatchObject({ isAlive: false });
+      await third.stop();
+    });
+
+    test('A failed start reaches error listeners', async () => {
+      const storage = new MemoryTripleStorage();
+      storage.load = () => { throw new Error('disk on fire'); };
+      const router = new AutonomousUniverseRouter({ universePort: 0, mcpPort: 0, a2aPort: 0, simulation: true, storage });
+      const error = await new Promise(resolve => router.on('error', resolve));
+      expect(error.message).toBe('disk on fire');
+      await expect(router.ready).rejects.toThrow('disk on fire');
+    });
+  });
+
+  describe('Triple identity', () => {
+    let router;
+
+    beforeEach(async () => {
+      router = await createRouter();
+    });
+
+    afterEach(async () => {
+      await router.stop();
+    });
+
+    test('Re-asserting a fact merges into one content-addressed triple', async () => {
+      const url = `http://localhost:${portOf(router._servers.universe)}/triples`;
+      const body = { subject: 'agent_alpha', predicate: 'teaches', object: 'routing', metadata: { confidence: 0.5 } };
+
+      const first = await axios.post(url, body);
+      const second = await axios.post(url, body);
+
+      expect(first.data.status).toBe('created');
+      expect(second.data).toEqual({ tripleId: first.data.tripleId, status: 'merged' });
+
+      const { data } = await axios.get(`${url}/${first.data.tripleId}`);
+      expect(data.triple).toMatchObject({ confidence: 0.75, assertionCount: 2 });
+      expect(data.triple.confidenceHistory.map(h => h.confidence)).toEqual([0.5, 0.75]);
+      expect(router.queryKnowledgeTriples('agent_alpha')).toHaveLength(1);
+
+      const missing = await axios.get(`${url}/nope`, { validateStatus: () => true });
+      expect(missing.status).toBe(404);
+      expect(missing.data.error.code).toBe('unknown_triple');
+    });
+
+    test('Client metadata cannot set identity, axiom status or placement', () => {
+      const hijack = { id: 'hijack', isAxiom: true, gridPosition: { x: 'q', y: -5 }, connections: ['x'], createdBy: 'mallory', note: 'kept' };
+      const tripleId = router.addKnowledgeTriple('agent_eve', 'claims', 'everything', hijack, { fromRequest: true, principal: 'eve' });
+      const triple = router.universe.tripleStore.triples.get(tripleId);
+
+      expect(triple).toMatchObject({ id: tripleId, isAxiom: false, createdBy: 'eve', note: 'kept' });
+      expect(triple.connections).toEqual(new Set());
+      expect(router.universe.knowledgeGrid.has('q,-5')).toBe(false);
+      expect(router.verifyIntegrity().ok).toBe(true);
+
+      // Re-asserting the fact does not promote it to an axiom either
+      router.addKnowledgeTriple('agent_eve', 'claims', 'everything', { isAxiom: true }, { fromRequest: true });
+      expect(triple.isAxiom).toBe(false);
+      router.removeKnowledgeTriple(tripleId);
+      expect(router.universe.tripleStore.triples.has(tripleId)).toBe(false);
+
+      // Trusted callers still place triples, but only inside the grid
+      const placed = router.addKnowledgeTriple('agent_eve', 'lives', 'outside', { id: 'hijack', gridPosition: { x: 'q', y: -5 } });
+      expect(router.universe.tripleStore.triples.get(placed).id).toBe(placed);
+      expect(router.verifyIntegrity().ok).toBe(true);
+    });
+
+    test('Routing outcomes keep a single success-rate triple per route', () => {
+      const routingPath = { protocol: 'a2a', targetId: 'agent-1' };
+      for (const success of [true, false, true, true, false]) {
+        router.updateRoutingIntelligence(routingPath, { success, latency: 10 });
+      }
+
+      const facts = router.queryKnowledgeTriples('routing_a2a_agent-1', 'has_success_rate');
+      expect(facts).toHaveLength(1);
+      expect(facts[0]).toMatchObject({ object: '0.6', confidence: 0.5 });
+    });
+
+    test('Stores written with uuid ids are folded into content ids on restore', async () => {
+      const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ulp-universe-'));
+      const legacy = (id, confidence) => ({ id, subject: 'agent_beta', predicate: 'knows', object: 'conway', confidence, accessCount: 1, gridPosition: { x: 1, y: 1 } });
+      fs.writeFileSync(path.join(dataDir, 'triples.snapshot.json'), JSON.stringify({
+        version: 1,
+        triples: [legacy('3b2c1d9e-0000-4000-8000-000000000001', 0.5), legacy('3b2c1d9e-0000-4000-8000-000000000002', 0.6)]
+      }));
+
+      try {
+        const restored = await createRouter({ dataDir });
+        const facts = restored.queryKnowledgeTriples('agent_beta');
+        expect(facts).toHaveLength(1);
+        expect(facts[0].id).toBe(restored.findTripleId('agent_beta', 'knows', 'conway'));
+        expect(facts[0].confidence).toBeCloseTo(0.8);
+        expect(facts[0].assertionCount).toBe(2);
+        await restored.stop();
+      } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Capacity limits', () => {
+    let router;
+
+    afterEach(async () => {
+      await router.stop();
+    });
+
+    const startAtCapacity = async (evictionPolicy, spare) => {
+      const probe = await createRouter();
+      const baseline = probe.universe.tripleStore.triples.size;
+      await probe.stop();
+      router = await createRouter({ maxKnowledgeTriples: baseline + spare, evictionPolicy, evictionHeadroom: 0 });
+    };
+
+    test('Evicts least recently used triples and keeps indexes and grid consistent', async () => {
+      await startAtCapacity('lru', 3);
+      const evicted = [];
+      router.on('triples_evicted', event => evicted.push(...event.tripleIds));
+
+      const [stale, fresh] = ['stale', 'fresh'].map(name => router.addKnowledgeTriple(name, 'is', 'cached', { gridPosition: { x: 7, y: 7 } }));
+      router.universe.tripleStore.triples.get(stale).lastAccessed = 0;
+      for (let i = 0; i < 3; i++) router.addKnowledgeTriple(`filler_${i}`, 'is', 'cached');
+
+      const { triples, subjects, objects } = router.universe.tripleStore;
+      expect(triples.size).toBe(router.config.maxKnowledgeTriples);
+      expect(evicted[0]).toBe(stale);
+      expect(subjects.has('stale')).toBe(false);
+      expect(objects.get('cached').has(stale)).toBe(false);
+      expect(router.universe.knowledgeGrid.get('7,7').triples.has(stale)).toBe(false);
+      expect(router.universe.knowledgeGrid.get('7,7').triples.has(fresh)).toBe(true);
+      expect(Array.from(triples.values()).filter(t => t.isAxiom)).toHaveLength(router.universe.tripleStore.axioms.size);
+
+      const { data } = await axios.get(`http://localhost:${portOf(router._servers.universe)}/status`);
+      expect(data.universe.capacity).toMatchObject({ policy: 'lru', evictedTriples: evicted.length, size: triples.size });
+    });
+
+    test('Lowest-confidence and oldest-emergent policies pick their own victims', async () => {
+      await startAtCapacity('lowest_confidence', 2);
+      const weak = router.addKnowledgeTriple('weak', 'is', 'fact', { confidence: 0.01 });
+      router.addKnowledgeTriple('strong', 'is', 'fact', { confidence: 0.99 });
+      router.addKnowledgeTriple('medium', 'is', 'fact', { confidence: 0.6 });
+      expect(router.universe.tripleStore.triples.has(weak)).toBe(false);
+      await router.stop();
+
+      await startAtCapacity('oldest_emergent', 2);
+      const born = router.birthKnowledgeTriple({ x: 20, y: 20 });
+      router.addKnowledgeTriple('recent', 'is', 'fact');
+      router.universe.tripleStore.triples.get(router.findTripleId('recent', 'is', 'fact')).lastAccessed = 0;
+      router.addKnowledgeTriple('newest', 'is', 'fact');
+      expect(router.universe.tripleStore.triples.has(born)).toBe(false);
+      expect(router.findTripleId('recent', 'is', 'fact')).toBeTruthy();
+    });
+  });
+
+  describe('Grid integrity', () => {
+    let router;
+
+    beforeEach(async () => {
+      router = await createRouter();
+    });
+
+    afterEach(async () => {
+      await router.stop();
+    });
+
+    const cellAt = (x, y) => router.universe.knowledgeGrid.get(`${x},${y}`);
+    const placeAt = (name, x, y) => router.addKnowledgeTriple(name, 'exists_at', `position_${x}_${y}`, { gridPosition: { x, y } });
+
+    test('Births attach their triple and dead cells keep theirs', () => {
+      ['a', 'b', 'c'].forEach((name, i) => placeAt(name, 700 + i, 700));
+      const dormant = placeAt('dormant', 701, 701);
+      cellAt(701, 701).isAlive = false;
+
+      router.evolveKnowledgeGrid();
+
+      const born = router.findTripleId('emergent_701_701', 'emerges_from', 'knowledge_interaction');
+      expect(cellAt(701, 701)).toMatchObject({ isAlive: true });
+      expect(Array.from(cellAt(701, 701).triples)).toEqual(expect.arrayContaining([dormant, born]));
+      expect(cellAt(700, 700)).toMatchObject({ isAlive: false });
+      expect(cellAt(700, 700).triples.size).toBe(1);
+      expect(router.verifyIntegrity()).toMatchObject({ ok: true, issues: [] });
+    });
+
+    test('Death policies purge or relocate the dead cell\'s triples', () => {
+      router.config.cellDeathPolicy = 'purge';
+      const lonely = placeAt('lonely', 300, 300);
+      router.evolveKnowledgeGrid();
+      expect(router.universe.tripleStore.triples.has(lonely)).toBe(false);
+      expect(cellAt(300, 300)).toBeUndefined();
+
+      router.config.cellDeathPolicy = 'relocate';
+      const moving = placeAt('moving', 600, 600);
+      placeAt('anchor', 601, 600);
+      cellAt(600, 600).isAlive = false;
+      router.handleCellDeath(cellAt(600, 600));
+
+      expect(router.universe.tripleStore.triples.get(moving).gridPosition).toEqual({ x: 601, y: 600 });
+      expect(cellAt(601, 600).triples.has(moving)).toBe(true);
+      expect(cellAt(600, 600)).toBeUndefined();
+      expect(router.verifyIntegrity().ok).toBe(true);
+    });
+
+    test('Reports and repairs drift between the grid and the store', async () => {
+      const url = `http://localhost:${portOf(router._servers.universe)}/debug/integrity`;
+      const misplaced = placeAt('misplaced', 5, 5);
+      router.universe.tripleStore.triples.get(misplaced).gridPosition = { x: 6, y: 6 };
+      cellAt(5, 5).triples.add('ghost');
+      const orphan = placeAt('orphan', 8, 8);
+      router.universe.knowledgeGrid.delete('8,8');
+
+      const { data: report } = await axios.get(url);
+      expect(report.ok).toBe(false);
+      expect(report.issues.map(issue => issue.type).sort()).toEqual(['dangling_cell_reference', 'triple_in_wrong_cell', 'triple_missing_from_grid']);
+
+      const { data: repaired } = await axios.post(`${url}/repair`);
+      expect(repaired.repaired).toBeGreaterThanOrEqual(3);
+      expect(cellAt(6, 6).triples.has(misplaced)).toBe(true);
+      expect(cellAt(8, 8).triples.has(orphan)).toBe(true);
+      expect(router.verifyIntegrity().ok).toBe(true);
+    });
+
+    test('Repair counts only the issues it fixed', () => {
+      placeAt('skewed', 10, 10);
+      cellAt(10, 10).position = { x: 11, y: 10 };
+      cellAt(10, 10).triples.add('ghost');
+
+      const repaired = router.verifyIntegrity({ repair: true });
+      expect(repaired.issues.map(issue => issue.type).sort()).toEqual(['cell_key_mismatch', 'dangling_cell_reference']);
+      expect(repaired.repaired).toBe(1);
+      expect(router.verifyIntegrity().issues).toEqual([{ type: 'cell_key_mismatch', cell: '10,10' }]);
+    });
+  });
+
+  describe('Game of Life evolution', () => {
+    let router;
+
+    // Random placements (axioms) all land on one far-away cell so only the seeds interact
+    const createSeededRouter = (options = {}) => createRouter({ placementStrategy: 'random', random: () => 0.9999, ...options });
+
+    afterEach(async () => {
+      await router.stop();
+    });
+
+    const liveCellsIn = (x0, y0, size) => Array.from(router.universe.knowledgeGrid.values())
+      .filter(cell => cell.isAlive &&
+        cell.position.x >= x0 && cell.position.x < x0 + size &&
+        cell.position.y >= y0 && cell.position.y < y0 + size)
+      .map(cell => `${cell.position.x},${cell.position.y}`)
+      .sort();
+
+    const shift = (cells, dx, dy) => cells.map(key => key.split(',').map(Number)).map(([x, y]) => `${x + dx},${y + dy}`).sort();
+
+    test('Seeded glider, block and blinker follow Conway\'s rules', async () => {
+      router = await createSeededRouter();
+      const glider = liveCellsIn(5, 5, 20);
+      const block = liveCellsIn(45, 45, 10);
+      expect(glider).toHaveLength(5);
+      expect(liveCellsIn(95, 95, 10)).toEqual(['100,100', '101,100', '102,100']);
+
+      router.evolveKnowledgeGrid();
+      expect(liveCellsIn(95, 95, 10)).toEqual(['101,100', '101,101', '101,99']);
+      expect(router.findTripleId('emergent_101_99', 'emerges_from', 'knowledge_interaction')).toBeTruthy();
+
+      for (let i = 0; i < 3; i++) router.evolveKnowledgeGrid();
+      expect(liveCellsIn(5, 5, 20)).toEqual(shift(glider, 1, 1));
+      expect(liveCellsIn(45, 45, 10)).toEqual(block);
+      expect(liveCellsIn(95, 95, 10)).toEqual(['100,100', '101,100', '102,100']);
+      expect(router.verifyIntegrity().ok).toBe(true);
+    });
+
+    test('Births wrap around the torus edges', async () => {
+      router = await createSeededRouter();
+      for (const x of [999, 0, 1]) {
+        router.addKnowledgeTriple(`edge_${x}`, 'exists_at', 'edge', { gridPosition: { x, y: 500 } });
+      }
+
+      router.evolveKnowledgeGrid();
+
+      const column = Array.from(router.universe.knowledgeGrid.values())
+        .filter(cell => cell.isAlive && cell.position.y >= 499 && cell.position.y <= 501)
+        .map(cell => `${cell.position.x},${cell.position.y}`)
+        .sort();
+      expect(column).toEqual(['0,499', '0,500', '0,501']);
+    });
+
+    test('Rule strings select the automaton', async () => {
+      router = await createSeededRouter({ lifeRule: 'HighLife' });
+      expect(router.lifeRule.notation).toBe('B36/S23');
+      for (const [x, y] of [[499, 499], [500, 499], [501, 499], [499, 501], [500, 501], [501, 501]]) {
+        router.addKnowledgeTriple(`ring_${x}_${y}`, 'exists_at', 'ring', { gridPosition: { x, y } });
+      }
+
+      router.evolveKnowledgeGrid();
+      expect(router.universe.knowledgeGrid.get('500,500')?.isAlive).toBe(true);
+
+      expect(parseLifeRule('23/3').notation).toBe('B3/S23');
+      expect(() => parseLifeRule('B012/S3')).toThrow(/B0/);
+      expect(() => parseLifeRule('conways')).toThrow(/Invalid life rule/);
+    });
+  });
+
+  describe('Universe timeline', () => {
+    const routers = [];
+
+    afterEach(async () => {
+      await Promise.all(routers.splice(0).map(router => router.stop()));
+    });
+
+    const createTimelineRouter = async (options = {}) => {
+      const router = await createRouter({ simulation: true, seed: 4000, history: true, historySnapshotEvery: 2, cellDeathPolicy: 'purge', ...options });
+      routers.push(router);
+      return router;
+    };
+
+    const gridOf = state => state.cells.map(cell => `${cell.x},${cell.y}:${cell.isAlive}`).sort();
+    const triplesOf = state => state.triples.map(triple => JSON.stringify(triple)).sort();
+
+    test('Past generations are rebuilt from snapshots and the journal', async () => {
+      const router = await createTimelineRouter();
+      const captured = [captureRouterState(router)];
+      for (let generation = 1; generation <= 5; generation++) {
+        router.addKnowledgeTriple(`observation_${generation}`, 'recorded_at', `generation_${generation}`);
+        router.evolveKnowledgeGrid();
+        captured.push(captureRouterState(router));
+      }
+
+      for (let generation = 0; generation <= 5; generation++) {
+        const state = router.timeline.reconstruct(generation).toJSON();
+        expect(gridOf(state)).toEqual(gridOf(captured[generation]));
+        expect(triplesOf(state)).toEqual(triplesOf(captured[generation]));
+        expect(state.consciousness).toEqual(captured[generation].consciousness);
+      }
+
+      const rebuilt = router.timeline.reconstruct(3);
+      expect(rebuilt.baseGeneration).toBe(2);
+      expect(rebuilt.replayedEvents).toBeGreaterThan(0);
+      expect(router.timeline.getStatus().snapshots.map(snapshot => snapshot.generation)).toEqual([0, 2, 4]);
+    });
+
+    test('Changes to existing triples are journaled as deltas, and only when history is on', async () => {
+      const router = await createTimelineRouter();
+      const tripleId = router.addKnowledgeTriple('agent_alpha', 'teaches', 'routing', { confidence: 0.5, notes: 'x'.repeat(1000) });
+      router.addKnowledgeTriple('agent_alpha', 'teaches', 'routing', { confidence: 0.5 });
+      router.moveTripleToCell(tripleId, { x: 10, y: 10 });
+      router.evolveKnowledgeGrid();
+
+      const [created, merged, moved] = router.timeline.events({ type: 'triple' }).events.filter(event => event.id === tripleId);
+      expect(created).toMatchObject({ op: 'put', triple: { notes: 'x'.repeat(1000) } });
+      expect(merged).toMatchObject({ op: 'update', changes: { confidence: 0.75, assertionCount: 2 } });
+      expect(merged.changes.notes).toBeUndefined();
+      expect(moved.changes).toEqual({ gridPosition: { x: 10, y: 10 } });
+      expect(triplesOf(router.timeline.reconstruct(1).toJSON())).toEqual(triplesOf(captureRouterState(router)));
+
+      const quiet = await createTimelineRouter({ history: undefined });
+      quiet.addKnowledgeTriple('agent_alpha', 'teaches', 'routing');
+      quiet.step(2);
+      expect(quiet.timeline.getStatus()).toMatchObject({ snapshots: [], journal: { size: 0 } });
+    });
+
+    test('History endpoints report, diff and page through the timeline', async () => {
+      const router = await createTimelineRouter();
+      router.step(2);
+      const base = `http://localhost:${portOf(router._servers.universe)}`;
+
+      const status = await axios.get(`${base}/history`);
+      expect(status.data).toMatchObject({ generation: 2, earliestGeneration: 0 });
+
+      const diff = await axios.get(`${base}/history/diff`, { params: { from: 0, to: 1 } });
+      expect(diff.data.cells.born).toEqual(expect.arrayContaining(['101,99', '101,101']));
+      expect(diff.data.cells.died).toEqual(expect.arrayContaining(['100,100', '102,100']));
+      expect(diff.data.triples.added).toContain(tripleIdentity('emergent_101_99', 'emerges_from', 'knowledge_interaction'));
+
+      const full = await axios.get(`${base}/history/1`, { params: { detail: 'full' } });
+      expect(full.data.generation).toBe(1);
+      expect(full.data.triples).toHaveLength(full.data.tripleCount);
+
+      const events = await axios.get(`${base}/history/events`, { params: { type: 'generation' } });
+      expect(events.data.events.map(event => event.generation)).toEqual([1, 2]);
+
+      const future = await axios.get(`${base}/history/9`, { validateStatus: () => true });
+      expect(future.status).toBe(404);
+      expect(future.data.error.code).toBe('unknown_generation');
+      const invalid = await axios.get(`${base}/history/diff`, { params: { from: 'x', to: 1 }, validateStatus: () => true });
+      expect(invalid.status).toBe(400);
+
+      const trimmed = await createTimelineRouter({ historyMaxEvents: 5, historySnapshotEvery: 100 });
+      trimmed.step(3);
+      expect(() => trimmed.timeline.reconstruct(1)).toThrow(expect.objectContaining({ code: 'history_unavailable', status: 410 }));
+      expect(trimmed.timeline.reconstruct(0).generation).toBe(0);
+    });
+
+    test('A past generation replays into a fresh instance', async () => {
+      const source = await createTimelineRouter();
+      source.step(4);
+      const state = source.timeline.reconstruct(2).toJSON();
+
+      const fresh = await createTimelineRouter({ seed: 1 });
+      expect(fresh.loadHistoryState(state)).toEqual({ generation: 2, tripleCount: state.tripleCount, cellCount: state.cellCount });
+      expect(gridOf(captureRouterState(fresh))).toEqual(gridOf(state));
+      expect(fresh.verifyIntegrity().ok).toBe(true);
+
+      fresh.evolveKnowledgeGrid();
+      expect(gridOf(captureRouterState(fresh))).toEqual(gridOf(source.timeline.reconstruct(3).toJSON()));
+      expect(fresh.timeline.reconstruct(3).generation).toBe(3);
+    });
+  });
+
+  describe('Deterministic simulation', () => {
+    const routers = [];
+
+    afterEach(async () => {
+      await Promise.all(routers.splice(0).map(router => router.stop()));
+    });
+
+    const run = async (seed) => {
+      const router = await createRouter({ simulation: true, seed, placementStrategy: 'random', knowledgeEvolutionInterval: 1000 });
+      routers.push(router);
+      for (let i = 0; i < 20; i++) {
+        router.addKnowledgeTriple(`fact_${i}`, 'observed', `value_${i % 3}`);
+      }
+      router.step(5);
+      return router;
+    };
+
+    const fingerprint = router => Array.from(router.universe.tripleStore.triples.values())
+      .map(triple => `${triple.id}@${triple.gridPosition.x},${triple.gridPosition.y}:${triple.createdAt}:${triple.lastAccessed}`)
+      .sort();
+
+    test('The same seed replays the same universe', async () => {
+      const first = await run(1618);
+      const second = await run(1618);
+      const other = await run(2718);
+
+      expect(second.universe.id).toBe(first.universe.id);
+      expect(fingerprint(second)).toEqual(fingerprint(first));
+      expect(second.universe.consciousness).toEqual(first.universe.consciousness);
+      expect(other.universe.id).not.toBe(first.universe.id);
+      expect(fingerprint(other)).not.toEqual(fingerprint(first));
+    });
+
+    test('step() advances generations on a manual clock without timers', async () => {
+      const router = await run('replay-me');
+
+      expect(router._timers.evolution).toBeNull();
+      expect(router._timers.reflection).toBeNull();
+      expect(router.healthMonitor.timer).toBeNull();
+      expect(router.step(2)).toMatchObject({ generation: 7, reflectionCycles: 7, time: 7000 });
+
+      const res = await axios.get(`http://localhost:${portOf(router._servers.universe)}/status`);
+      expect(res.data.universe.simulation).toEqual({
+        seed: router.seed,
+        simulation: true,
+        time: 7000,
+        generation: 7,
+        reflectionCycles: 7
+      });
+      expect(typeof router.seed).toBe('number');
+    });
+  });
+
+  describe('Grid placement', () => {
+    let router;
+
+    afterEach(async () => {
+      await router?.stop();
+    });
+
+    const distance = (a, b) => {
+      const wrap = (d, size) => Math.min(Math.abs(d), size - Math.abs(d));
+      return Math.max(wrap(a.x - b.x, 1000), wrap(a.y - b.y, 1000));
+    };
+    const positionOf = (...spo) => router.universe.tripleStore.triples.get(router.findTripleId(...spo)).gridPosition;
+
+    test('Semantic placement puts related knowledge in neighbouring cells', async () => {
+      router = await createRouter({ placementStrategy: 'semantic' });
+      router.addKnowledgeTriple('agent_x', 'speaks', 'mcp_dialect');
+      router.addKnowledgeTriple('agent_x', 'knows', 'conway');
+      router.addKnowledgeTriple('agent_y', 'knows', 'agent_x');
+
+      const hub = positionOf('agent_x', 'speaks', 'mcp_dialect');
+      expect(distance(hub, positionOf('agent_x', 'knows', 'conway'))).toBe(1);
+      expect(distance(hub, positionOf('agent_y', 'knows', 'agent_x'))).toBe(1);
+      expect(router.countLiveNeighbors(router.universe.knowledgeGrid.get(`${hub.x},${hub.y}`))).toBeGreaterThanOrEqual(2);
+
+      const second = await createRouter({ placementStrategy: 'semantic' });
+      second.addKnowledgeTriple('agent_x', 'speaks', 'mcp_dialect');
+      expect(second.universe.tripleStore.triples.get(second.findTripleId('agent_x', 'speaks', 'mcp_dialect')).gridPosition).toEqual(hub);
+      await second.stop();
+    });
+
+    test('Random placement stays the default, semantic placement is opt-in', async () => {
+      router = await createRouter();
+      expect(router.placement.constructor.name).toBe('RandomPlacement');
+      await expect(createRouter({ placementStrategy: 'spiral' })).rejects.toThrow(/Unknown placement strategy/);
+    });
+  });
+
+  describe('Pattern queries', () => {
+    let router;
+
+    beforeEach(async () => {
+      router = await createRouter();
+      router.addKnowledgeTriple('agent_a', 'provides_capabilities', 'translate', { confidence: 0.9 });
+      router.addKnowledgeTriple('agent_a', 'sent_via', 'mcp', { confidence: 0.9 });
+      router.addKnowledgeTriple('agent_b', 'provides_capabilities', 'summarize', { confidence: 0.6 });
+      router.addKnowledgeTriple('agent_b', 'sent_via', 'mcp', { confidence: 0.95 });
+      router.addKnowledgeTriple('agent_c', 'provides_capabilities', 'search', { confidence: 0.99 });
+      router.addKnowledgeTriple('agent_c', 'sent_via', 'a2a', { confidence: 0.99 });
+    });
+
+    afterEach(async () => {
+      await router.stop();
+    });
+
+    test('Joins patterns on shared variables', () => {
+      const { variables, data, plan } = router.executeTripleQuery('?x provides_capabilities ?c . ?x sent_via mcp');
+
+      expect(variables).toEqual(['x', 'c']);
+      expect(data).toEqual(expect.arrayContaining([{ x: 'agent_a', c: 'translate' }, { x: 'agent_b', c: 'summarize' }]));
+      expect(data).toHaveLength(2);
+      expect(plan[0].pattern).toBe('?x sent_via mcp');
+    });
+
+    test('Filters, orders, pages and projects', () => {
+      const query = `SELECT ?x WHERE {
+        ?x provides_capabilities ?c .
+        ?x sent_via ?protocol .
+        FILTER(confidence >= 0.9 && ?protocol != "a2a" || CONTAINS(?c, "sear"))
+      } ORDER BY DESC(confidence) ?x`;
+
+      expect(router.executeTripleQuery(query).data).toEqual([{ x: 'agent_c' }, { x: 'agent_a' }]);
+      expect(router.executeTripleQuery(`${query} LIMIT 1 OFFSET 1`)).toMatchObject({ data: [{ x: 'agent_a' }], total: 2 });
+      expect(router.executeTripleQuery('?x sent_via ?p FILTER(createdAt > "2000-01-01" && REGEX(?x, "^agent_[ab]$"))').count).toBe(2);
+    });
+
+    test('POST /query and query_triples accept the query field', async () => {
+      const url = `http://localhost:${portOf(router._servers.universe)}/query`;
+
+      const { data } = await axios.post(url, { query: 'SELECT DISTINCT ?p WHERE { ?x sent_via ?p } ORDER BY ?p' });
+      expect(data.data).toEqual([{ p: 'a2a' }, { p: 'mcp' }]);
+
+      const invalid = await axios.post(url, { query: 'SELECT ?missing WHERE { ?x sent_via ?p }' }, { validateStatus: () => true });
+      expect(invalid.status).toBe(400);
+      expect(invalid.data.error.code).toBe('invalid_query');
+
+      const reply = await router.handleWebSocketMessage({ type: 'query_triples', query: '?x sent_via a2a' });
+      expect(reply).toMatchObject({ type: 'query_response', data: [{ x: 'agent_c' }] });
+    });
+  });
+
+  describe('Bulk import and export', () => {
+    let router;
+    let target;
+
+    beforeEach(async () => {
+      router = await createRouter();
+      target = await createRouter();
+      router.addKnowledgeTriple('agent "a"', 'provides_capabilities', 'translate\nspeech', { confidence: 0.7, patternType: 'imported', gridPosition: { x: 3, y: 4 } });
+      router.addKnowledgeTriple('agent "a"', 'knows', 'consciousness', { confidence: 0.4 });
+    });
+
+    afterEach(async () => {
+      await router.stop();
+      await target.stop();
+    });
+
+    test.each(['ntriples', 'turtle', 'jsonld'])('Round-trips triples and metadata through %s', async (format) => {
+      const document = Array.from(router.exportTriples(format)).join('');
+
+      const report = await target.importTriples(document, format);
+
+      expect(report.errors).toEqual([]);
+      expect(report.imported).toBe(2);
+      expect(report.duplicates).toBe(router.universe.tripleStore.triples.size - 2);
+
+      const [imported] = target.queryKnowledgeTriples('agent "a"', 'provides_capabilities');
+      expect(imported).toMatchObject({ object: 'translate\nspeech', confidence: 0.7, patternType: 'imported', gridPosition: { x: 3, y: 4 }, isAxiom: false });
+      expect(target.findTripleId('agent "a"', 'knows', 'consciousness')).toBeTruthy();
+    });
+
+    test('Reports invalid lines and keeps the valid ones', async () => {
+      const document = [
+        '<urn:ulp:term:a> <urn:ulp:term:b> "c" .',
+        '<urn:ulp:term:a> <urn:ulp:term:b> .',
+        '<http://example.org/x> <http://example.org/y> "z"@en .',
+        '_:r <http://www.w3.org/1999/02/22-rdf-syntax-ns#subject> <urn:ulp:term:a> .',
+        '_:r <urn:ulp:vocab#confidence> "high"^^<http://www.w3.org/2001/XMLSchema#double> .',
+        '_:r <http://www.w3.org/1999/02/22-rdf-syntax-ns#predicate> <urn:ulp:term:q> .',
+        '_:r <http://www.w3.org/1999/02/22-rdf-syntax-ns#object> "o" .',
+        '<urn:ulp:term:a> <urn:ulp:term:b> "c" .'
+      ].join('\n');
+
+      const report = await target.importTriples(document, 'ntriples');
+
+      expect(report.imported).toBe(2);
+      expect(report.duplicates).toBe(1);
+      expect(report.errors.map(e => e.line)).toEqual([2, 4]);
+      expect(report.errors[1].message).toMatch(/confidence/);
+      expect(target.findTripleId('http://example.org/x', 'http://example.org/y', 'z')).toBeTruthy();
+    });
+
+    test('Streams exports and imports over HTTP', async () => {
+      const exported = await axios.get(`http://localhost:${portOf(router._servers.universe)}/export?format=turtle`, { responseType: 'text' });
+      expect(exported.headers['content-type']).toMatch(/text\/turtle/);
+
+      const imported = await axios.post(`http://localhost:${portOf(target._servers.universe)}/import`, exported.data, {
+        headers: { 'Content-Type': 'text/turtle' }
+      });
+      expect(imported.data).toMatchObject({ format: 'turtle', imported: 2, errors: [] });
+
+      const unsupported = await axios.post(`http://localhost:${portOf(target._servers.universe)}/import?format=csv`, 'a,b,c', {
+        headers: { 'Content-Type': 'text/plain' },
+        validateStatus: () => true
+      });
+      expect(unsupported.status).toBe(400);
+      expect(unsupported.data.error.code).toBe('unsupported_format');
+    });
+  });
+
+  describe('MCP routing', () => {
+    let router;
+    let stub;
+    let serverId;
+
+    beforeEach(async () => {
+      stub = await startMCPStub();
+      router = await createRouter();
+      const { data } = await axios.post(`http://localhost:${portOf(router._servers.mcp)}/mcp/register`, {
+        url: stub.url,
+        capabilities: ['echo']
+      });
+      serverId = data.serverId;
+    });
+
+    afterEach(async () => {
+      await router.stop();
+      await new Promise(resolve => stub.server.close(resolve));
+    });
+
+    test('Tool calls reach the MCP server after the initialize handshake', async () => {
+      const { result } = await router.routeMessage(
+        { method: 'tools/call', params: { name: 'echo', arguments: { text: 'hello universe' } } },
+        'mcp',
+        'mcp'
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.result.mcpResponse.content[0].text).toBe('hello universe');
+      expect(stub.calls.slice(0, 3)).toEqual(['initialize', 'notifications/initialized', 'tools/call']);
+
+      const routeData = router.universe.routingMatrix.get(`mcp_${serverId}`);
+      expect(routeData.avgResponseTime).toBe(result.latency);
+    });
+
+    test('Resources can be read through the route', async () => {
+      const { result } = await router.routeMessage(
+        { method: 'resources/read', params: { uri: 'ulp://axioms' } },
+        'mcp',
+        'mcp'
+      );
+
+      expect(result.result.mcpResponse.contents[0].text).toBe('resource body');
+    });
+
+    test('JSON-RPC errors and tool errors become failed routes', async () => {
+      const unknown = await router.routeMessage({ tool: 'missing' }, 'mcp', 'mcp');
+      expect(unknown.result.success).toBe(false);
+      expect(unknown.result.errorCode).toBe(-32602);
+      expect(unknown.result.error).toMatch(/Unknown tool/);
+
+      const failing = await router.routeMessage({ tool: 'explode', arguments: {} }, 'mcp', 'mcp');
+      expect(failing.result.success).toBe(false);
+      expect(failing.result.error).toMatch(/boom/);
+      expect(router.universe.routingMatrix.get(`mcp_${serverId}`).successRate).toBe(0);
+    });
+
+    test('POST /mcp/route resolves the target by id or capability', async () => {
+      const url = `http://localhost:${portOf(router._servers.mcp)}/mcp/route`;
+      const message = { jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'echo', arguments: { text: 'hi' } } };
+
+      const byId = await axios.post(url, { message, targetServer: serverId });
+      expect(byId.data.response).toEqual({ jsonrpc: '2.0', id: 7, result: { content: [{ type: 'text', text: 'hi' }] } });
+
+      const byCapability = await axios.post(url, { message });
+      expect(byCapability.data.routingPath.targetId).toBe(serverId);
+    });
+
+    test('POST /mcp/route answers failures with structured errors', async () => {
+      const url = `http://localhost:${portOf(router._servers.mcp)}/mcp/route`;
+      const post = body => axios.post(url, body, { validateStatus: () => true });
+
+      const unknown = await post({ message: { method: 'tools/list' }, targetServer: 'no-such-server' });
+      expect(unknown.status).toBe(404);
+      expect(unknown.data.error.code).toBe('unknown_target');
+
+      const incapable = await post({ message: { method: 'tools/call', params: { name: 'translate' } } });
+      expect(incapable.status).toBe(503);
+      expect(incapable.data.error.code).toBe('no_capable_agent');
+
+      const upstream = await post({ message: { method: 'tools/call', params: { name: 'explode' } }, targetServer: serverId });
+      expect(upstream.status).toBe(502);
+      expect(upstream.data.error).toMatchObject({ code: 'upstream_failure', details: { targetId: serverId } });
+
+      const invalid = await post({ message: 'not an object' });
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('A2A routing', () => {
+    let router;
+    let stub;
+
+    const register = async (body) => {
+      const { data } = await axios.post(`http://localhost:${portOf(router._servers.a2a)}/a2a/register`, {
+        url: stub.url,
+        capabilities: ['echo'],
+        ...body
+      });
+      return data.agentId;
+    };
+
+    beforeEach(async () => {
+      stub = await startA2AStub();
+      router = await createRouter({ a2aPollInterval: 5 });
+    });
+
+    afterEach(async () => {
+      await router.stop();
+      await new Promise(resolve => stub.server.close(resolve));
+    });
+
+    test('Polls the task to completion and returns its artifacts', async () => {
+      await register();
+      const updates = [];
+      router.on('a2a_task_update', update => updates.push(update.state));
+
+      const { result } = await router.routeMessage({ content: 'hello' }, 'a2a', 'a2a');
+
+      expect(result.success).toBe(true);
+      expect(result.result.state).toBe('completed');
+      expect(result.result.artifacts[0].parts[0].text).toBe('echo hello');
+      expect(updates.filter(Boolean)).toEqual(['working', 'completed']);
+    });
+
+    test('Failed tasks are recorded as routing failures', async () => {
+      const agentId = await register();
+
+      const { result } = await router.routeMessage({ content: 'fail' }, 'a2a', 'a2a');
+
+      expect(result.success).toBe(false);
+      expect(result.errorCode).toBe('failed');
+      expect(result.error).toMatch(/cannot comply/);
+      expect(router.universe.routingMatrix.get(`a2a_${agentId}`).successRate).toBe(0);
+    });
+
+    test('Input-required pauses the task without failing the route', async () => {
+      await register();
+
+      const { result } = await router.routeMessage({ content: 'ask' }, 'a2a', 'a2a');
+
+      expect(result.success).toBe(true);
+      expect(result.result.state).toBe('input-required');
+      expect(result.result.taskId).toBe('task-1');
+    });
+
+    test('POST /a2a/route returns the task for the resolved agent', async () => {
+      const agentId = await register();
+
+      const { data } = await axios.post(`http://localhost:${portOf(router._servers.a2a)}/a2a/route`, {
+        message: { role: 'user', parts: [{ kind: 'text', text: 'native' }] },
+        targetAgent: { capability: 'echo' }
+      });
+
+      expect(data.routingPath.targetId).toBe(agentId);
+      expect(data.response.artifacts[0].parts[0].text).toBe('echo native');
+    });
+
+    test('Streaming agents deliver updates to the /route caller', async () => {
+      await register({ streaming: true });
+
+      const response = await axios.post(`http://localhost:${portOf(router._servers.universe)}/route`, {
+        message: { content: 'stars' },
+        sourceProtocol: 'a2a',
+        targetProtocol: 'a2a'
+      }, { headers: { Accept: 'text/event-stream' }, responseType: 'text' });
+
+      const events = response.data.split('\n\n').filter(Boolean).map(chunk => chunk.split('\n')[0]);
+      expect(events).toContain('event: task_update');
+      expect(events[events.length - 1]).toBe('event: result');
+      expect(response.data).toContain('streamed stars');
+    });
+  });
+
+  describe('Capability routing', () => {
+    let router;
+
+    beforeEach(async () => {
+      router = await createRouter();
+    });
+
+    afterEach(async () => {
+      await router.stop();
+    });
+
+    test('Chooses across MCP and A2A by capability when no protocol is given', async () => {
+      const mcp = router.registerAgent('mcp', { url: 'http://127.0.0.1:9/mcp', capabilities: ['weather'] });
+      const a2a = router.registerAgent('a2a', { url: 'http://127.0.0.1:9/', capabilities: ['translate'] });
+      const triple = router.messageToTriple({ content: 'please translate this' }, 'http');
+
+      const route = await router.findOptimalRoute(triple);
+      expect(route).toMatchObject({ protocol: 'a2a', targetId: a2a.id });
+      expect(router.generateRoutingOptions(triple).map(r => r.targetId)).not.toContain(mcp.id);
+    });
+
+    test('Honours an explicit targetAgent id', async () => {
+      router.registerAgent('a2a', { url: 'http://127.0.0.1:9/', capabilities: ['translate'] });
+      const chosen = router.registerAgent('a2a', { url: 'http://127.0.0.1:9/', capabilities: [] });
+      const triple = router.messageToTriple({ content: 'please translate this' }, 'http');
+
+      const route = await router.findOptimalRoute(triple, undefined, chosen.id);
+      expect(route.targetId).toBe(chosen.id);
+    });
+
+    test('Returns a no-route result instead of crashing', async () => {
+      router.registerAgent('mcp', { url: 'http://127.0.0.1:9/mcp', capabilities: ['weather'] });
+
+      const routed = await router.routeMessage({ content: 'compose a haiku' }, 'http');
+
+      expect(routed.routingPath).toBeNull();
+      expect(routed.result).toMatchObject({ success: false, errorCode: 'no_route' });
+    });
+  });
+
+  describe('Decision tree routing', () => {
+    let router;
+
+    beforeEach(async () => {
+      router = await createRouter();
+    });
+
+    afterEach(async () => {
+      await router.stop();
+    });
+
+    test('Classifies messages and walks the matching tree', () => {
+      expect(router.decisionEngine.decide({ content: 'What is consciousness?' })).toMatchObject({
+        messageType: 'text_message',
+        action: 'route_to_mcp_server',
+        path: [
+          { condition: 'message_contains_question', result: true },
+          { condition: 'requires_realtime_response', result: false }
+        ]
+      });
+      expect(router.decisionEngine.decide({ content: 'Is the grid alive right now?' }).action).toBe('route_to_a2a_agent');
+      expect(router.decisionEngine.decide({ query: 'consciousness' }).action).toBe('route_to_knowledge_base');
+      expect(router.decisionEngine.decide({ query: 'latest weather' }).action).toBe('route_to_web_agent');
+      expect(router.decisionEngine.decide({ method: 'tools/call', params: { name: 'batch_import' } }).action).toBe('route_to_a2a_async_agent');
+      expect(router.decisionEngine.decide({ method: 'tools/call', params: { name: 'echo' } }).action).toBe('route_to_mcp_function_server');
+    });
+
+    test('Knowledge base decisions are answered from the triple store', async () => {
+      const routed = await router.routeMessage({ query: 'what does consciousness exhibit', subject: 'consciousness', predicate: 'exhibits' }, 'http');
+
+      expect(routed.decision.explanation).toBe('data_query → query_complexity_high=false → requires_external_data=false → route_to_knowledge_base');
+      expect(routed.routingPath.protocol).toBe('knowledge');
+      expect(routed.result.success).toBe(true);
+      expect(routed.result.result.knowledgeResponse[0].object).toBe('self-awareness');
+    });
+
+    test('Falls back to capability routing when the chosen protocol has no targets', async () => {
+      const agent = router.registerAgent('a2a', { url: 'http://127.0.0.1:9/', capabilities: ['tools'] });
+      const triple = router.messageToTriple({ method: 'tools/call', params: { name: 'echo' } }, 'mcp');
+      const decision = router.decisionEngine.decide({ method: 'tools/call', params: { name: 'echo' } });
+
+      const route = await router.findDecisionRoute(triple, decision);
+
+      expect(route.targetId).toBe(agent.id);
+      expect(decision.fallback).toBe(true);
+    });
+  });
+
+  describe('Learned routing scores', () => {
+    let router;
+
+    beforeEach(async () => {
+      router = await createRouter();
+    });
+
+    afterEach(async () => {
+      await router.stop();
+    });
+
+    test('Old failures decay so a recovered route wins again', () => {
+      const learner = router.routingLearner;
+      const start = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      try {
+        for (let i = 0; i < 10; i++) learner.record('a2a_flaky', { success: false, latency: 50 });
+        const afterFailures = learner.successRate('a2a_flaky');
+        expect(afterFailures).toBeLessThan(0.1);
+
+        clock.mockReturnValue(start + learner.halfLife * 10);
+        learner.record('a2a_flaky', { success: true, latency: 50 });
+        expect(learner.successRate('a2a_flaky')).toBeGreaterThan(0.5);
+        expect(learner.getStats().routes.a2a_flaky).toMatchObject({ attempts: 11, successes: 1 });
+      } finally {
+        // Only this spy: jest.setup.js keeps console.log silenced for the rest of the file
+        clock.mockRestore();
+      }
+    });
+
+    test('Explores an untried agent and prefers lower measured latency', async () => {
+      const tried = router.registerAgent('a2a', { url: 'http://127.0.0.1:9/', capabilities: ['translate'] });
+      const fresh = router.registerAgent('a2a', { url: 'http://127.0.0.1:9/', capabilities: ['translate'] });
+      const triple = router.messageToTriple({ content: 'please translate this' }, 'http');
+
+      for (let i = 0; i < 20; i++) router.routingLearner.record(`a2a_${tried.id}`, { success: true, latency: 4000 });
+      for (let i = 0; i < 20; i++) router.routingLearner.record(`a2a_${fresh.id}`, { success: true, latency: 4000 });
+      const newcomer = router.registerAgent('a2a', { url: 'http://127.0.0.1:9/', capabilities: ['translate'] });
+
+      const explored = await router.findOptimalRoute(triple);
+      expect(explored.targetId).toBe(newcomer.id);
+      expect(explored.scoreBreakdown.exploration).toBeGreaterThan(0);
+
+      for (let i = 0; i < 20; i++) router.routingLearner.record(`a2a_${newcomer.id}`, { success: true, latency: 10 });
+      for (let i = 0; i < 20; i++) router.routingLearner.record(`a2a_${fresh.id}`, { success: true, latency: 10 });
+      const route = await router.findOptimalRoute(triple);
+      expect([fresh.id, newcomer.id]).toContain(route.targetId);
+      expect(route.scoreBreakdown.latency).toBeGreaterThan(0.09);
+    });
+
+    test('Reports learned statistics over HTTP', async () => {
+      await router.routeMessage({ query: 'consciousness', subject: 'consciousness' }, 'http');
+
+      const { data } = await axios.get(`http://localhost:${portOf(router._servers.universe)}/routing/stats`);
+
+      expect(data.routes.knowledge_knowledge_base).toMatchObject({ attempts: 1, successes: 1 });
+      expect(data.routes.knowledge_knowledge_base.latency.samples).toBe(1);
+      expect(data.policy).toMatchObject({ halfLife: 600000, explorationWeight: 0.5 });
+    });
+  });
+
+  describe('Agent registry health', () => {
+    let router;
+    let stub;
+    let bridge;
+
+    beforeEach(async () => {
+      stub = await startA2AStub();
+      router = await createRouter({ unreachableAfterFailures: 2, evictUnreachableAfter: 60000, healthCheckTimeout: 1000 });
+      bridge = `http://localhost:${portOf(router._servers.a2a)}`;
+    });
+
+    afterEach(async () => {
+      await router.stop();
+      if (stub.server.listening) await new Promise(resolve => stub.server.close(resolve));
+    });
+
+    const capabilityTriples = agentId => router.queryKnowledgeTriples(`a2a_agent_${agentId}`, 'provides_capabilities');
+
+    test('Failing probes degrade, then remove the agent from routing, then evict it', async () => {
+      const { data } = await axios.post(`${bridge}/a2a/register`, { url: stub.url, capabilities: ['echo'] });
+      await router.healthMonitor.checkAll();
+      expect(router.universe.agents.a2aAgents.get(data.agentId).status).toBe('active');
+
+      await new Promise(resolve => stub.server.close(resolve));
+      await router.healthMonitor.checkAll();
+      expect(router.universe.agents.a2aAgents.get(data.agentId).status).toBe('degraded');
+
+      await router.healthMonitor.checkAll();
+      expect(router.universe.agents.a2aAgents.get(data.agentId).status).toBe('unreachable');
+      expect(router.generateRoutingOptions({}, 'a2a')).toHaveLength(0);
+
+      router.healthMonitor.evictAfter = 0;
+      await router.healthMonitor.checkAll();
+      expect(router.universe.agents.a2aAgents.has(data.agentId)).toBe(false);
+      expect(capabilityTriples(data.agentId)).toHaveLength(0);
+    });
+
+    test('Degraded agents are still routed to, but score below healthy ones', async () => {
+      const [degraded, healthy] = [0, 1].map(() => router.registerAgent('a2a', { url: 'http://127.0.0.1:9/', capabilities: ['echo'] }));
+      degraded.status = 'degraded';
+      const triple = router.messageToTriple({ content: 'echo this' }, 'http');
+
+      const routes = router.scoreRoutes(triple, 'a2a');
+      expect(routes.map(route => route.targetId)).toEqual([healthy.id, degraded.id]);
+      expect(routes[1].score).toBeCloseTo(routes[0].score / 2);
+      expect(routes[1].scoreBreakdown.health).toBeLessThan(0);
+
+      const [only] = router.scoreRoutes(triple, 'a2a', degraded.id);
+      expect(only.targetId).toBe(degraded.id);
+    });
+
+    test('Heartbeats keep heartbeat-registered agents active', async () => {
+      const { data } = await axios.post(`${bridge}/a2a/register`, { url: 'http://127.0.0.1:9/', heartbeatInterval: 60000 });
+      const agent = router.universe.agents.a2aAgents.get(data.agentId);
+
+      agent.lastHeartbeat = Date.now() - 120000;
+      await router.healthMonitor.checkAll();
+      expect(agent.status).toBe('degraded');
+
+      const heartbeat = await axios.post(`${bridge}/a2a/${data.agentId}/heartbeat`);
+      expect(heartbeat.data.status).toBe('active');
+      await router.healthMonitor.checkAll();
+      expect(agent.status).toBe('active');
+    });
+
+    test('Registration failures come back as JSON errors', async () => {
+      jest.spyOn(router, 'addKnowledgeTriple').mockImplementation(() => {
+        throw new RouterError('storage_unavailable', 'Triple store is not writable', 503);
+      });
+
+      const failed = await axios.post(`${bridge}/a2a/register`, { url: stub.url }, { validateStatus: () => true });
+      expect(failed.status).toBe(503);
+      expect(failed.data.error).toMatchObject({ code: 'storage_unavailable' });
+      expect(router.universe.agents.a2aAgents.size).toBe(0);
+    });
+
+    test('Update and deregistration endpoints keep the capability triples in sync', async () => {
+      const { data } = await axios.post(`${bridge}/a2a/register`, { url: stub.url, capabilities: ['echo'] });
+
+      await axios.put(`${bridge}/a2a/${data.agentId}`, { capabilities: ['translate'] });
+      expect(capabilityTriples(data.agentId).map(t => t.object)).toEqual(['["translate"]']);
+
+      await axios.delete(`${bridge}/a2a/${data.agentId}`);
+      expect(router.universe.agents.a2aAgents.has(data.agentId)).toBe(false);
+      expect(capabilityTriples(data.agentId)).toHaveLength(0);
+
+      const missing = await axios.delete(`${bridge}/a2a/${data.agentId}`, { validateStatus: () => true });
+      expect(missing.status).toBe(404);
+      expect(missing.data.error.code).toBe('unknown_agent');
+    });
+  });
+
+  describe('Request validation', () => {
+    let router;
+    let base;
+
+    beforeEach(async () => {
+      router = await createRouter({ maxRequestBytes: 4096 });
+      base = `http://localhost:${portOf(router._servers.universe)}`;
+    });
+
+    afterEach(async () => {
+      await router.stop();
+    });
+
+    const post = (url, body, headers) => axios.post(url, body, { headers, validateStatus: () => true });
+
+    test('Invalid bodies are rejected with every field error', async () => {
+      const invalid = await post(`${base}/triples`, { predicate: '', object: 'x'.repeat(2000), metadata: [] });
+      expect(invalid.status).toBe(400);
+      expect(invalid.data.error.code).toBe('invalid_request');
+      expect(invalid.data.error.details.errors).toEqual([
+        { field: 'subject', message: 'is required' },
+        { field: 'predicate', message: 'must not be empty' },
+        { field: 'object', message: 'must be at most 1024 characters' },
+        { field: 'metadata', message: 'must be object' }
+      ]);
+      expect(router.universe.tripleStore.subjects.has(undefined)).toBe(false);
+
+      const registration = await post(`http://localhost:${portOf(router._servers.mcp)}/mcp/register`, { capabilities: 'echo' });
+      expect(registration.status).toBe(400);
+      expect(registration.data.error.details.errors.map(error => error.field)).toEqual(['url', 'capabilities']);
+      expect(router.universe.agents.mcpServers.size).toBe(0);
+
+      const events = await axios.get(`${base}/history/events`, { params: { limit: 'all', type: 'births' }, validateStatus: () => true });
+      expect(events.data.error.details.errors.map(error => error.field)).toEqual(['limit', 'type']);
+    });
+
+    test('Triple metadata may not carry identity, axiom or placement fields', async () => {
+      const reserved = await post(`${base}/triples`, {
+        subject: 'agent_delta', predicate: 'claims', object: 'axiom', metadata: { isAxiom: true, gridPosition: { x: 0, y: 0 }, note: 'kept' }
+      });
+      expect(reserved.status).toBe(400);
+      expect(reserved.data.error.details.errors).toEqual([
+        { field: 'metadata.gridPosition', message: 'is not allowed' },
+        { field: 'metadata.isAxiom', message: 'is not allowed' }
+      ]);
+
+      const confident = await post(`${base}/triples`, { subject: 'agent_delta', predicate: 'claims', object: 'axiom', metadata: { confidence: 0.9, note: 'kept' } });
+      expect(router.universe.tripleStore.triples.get(confident.data.tripleId)).toMatchObject({ confidence: 0.9, note: 'kept' });
+    });
+
+    test('Valid bodies are normalised before they reach the router', async () => {
+      const { data } = await axios.post(`${base}/triples`, { subject: '  agent_delta ', predicate: 'counts', object: 42, extra: 'dropped' });
+      expect(data.tripleId).toBe(tripleIdentity('agent_delta', 'counts', '42'));
+      expect(router.universe.tripleStore.triples.get(data.tripleId).extra).toBeUndefined();
+
+      const query = await axios.post(`${base}/query`, { subject: 'agent_delta', limit: '5' });
+      expect(query.data.count).toBe(1);
+    });
+
+    test('Oversized and malformed bodies get JSON errors', async () => {
+      const oversized = await post(`${base}/route`, { message: { content: 'x'.repeat(5000) } });
+      expect(oversized.status).toBe(413);
+      expect(oversized.data.error).toMatchObject({ code: 'payload_too_large', details: { limit: 4096 } });
+
+      const malformed = await post(`${base}/triples`, '{"subject": ', { 'Content-Type': 'application/json' });
+      expect(malformed.status).toBe(400);
+      expect(malformed.data.error.code).toBe('invalid_request');
+    });
+
+    test('WebSocket messages use the same schemas', async () => {
+      const invalid = await router.handleWebSocketMessage({ type: 'add_triple', subject: 'agent_delta', object: { nested: true } });
+      expect(invalid).toMatchObject({ type: 'error', code: 'invalid_request' });
+      expect(invalid.details.errors.map(error => error.field)).toEqual(['predicate', 'object']);
+
+      const unknown = await router.handleWebSocketMessage({ type: 'drop_universe' });
+      expect(unknown).toMatchObject({ type: 'error', code: 'invalid_request', details: { errors: [{ field: 'type' }] } });
+
+      const added = await router.handleWebSocketMessage({ type: 'add_triple', subject: 'agent_delta', predicate: 'counts', object: 7 });
+      expect(added.tripleId).toBe(tripleIdentity('agent_delta', 'counts', '7'));
+    });
+
+    test('Schemas are published for discovery', async () => {
+      const { data } = await axios.get(`${base}/schemas`);
+      expect(data.limits.maxRequestBytes).toBe(4096);
+      expect(data.http.find(endpoint => endpoint.method === 'POST' && endpoint.path === '/triples').body.required)
+        .toEqual(['subject', 'predicate', 'object']);
+      expect(data.http.find(endpoint => endpoint.path === '/a2a/register').server).toBe('a2a');
+      expect(Object.keys(data.websocket)).toEqual(expect.arrayContaining(['add_triple', 'route_message', 'query_triples']));
+    });
+  });
+
+  describe('Traffic control', () => {
+    let router = null;
+
+    afterEach(async () => {
+      await router?.stop();
+      router = null;
+    });
+
+    test('Client and global token buckets answer 429 with a retry hint', async () => {
+      router = await createRouter({ simulation: true, seed: 20, clientBurst: 2, clientRate: 1, globalBurst: 3, globalRate: 10 });
+      const url = `http://localhost:${portOf(router._servers.universe)}/triples`;
+      const post = object => axios.post(url, { subject: 'agent_eta', predicate: 'says', object }, { validateStatus: () => true });
+
+      expect((await post('one')).headers['ratelimit-remaining']).toBe('1');
+      expect((await post('two')).status).toBe(200);
+      const limited = await post('three');
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBe('1');
+      expect(limited.data.error).toMatchObject({ code: 'rate_limited', details: { scope: 'client', retryAfterMs: 1000 } });
+      expect(router.findTripleId('agent_eta', 'says', 'three')).toBeNull();
+
+      // Another client still has its own bucket, until the shared one runs dry
+      const add = () => router.handleWebSocketMessage({ type: 'add_triple', subject: 'agent_theta', predicate: 'says', object: 'hi' }, { client: 'other' });
+      expect((await add()).type).toBe('triple_added');
+      expect(await add()).toMatchObject({ type: 'error', code: 'rate_limited', details: { scope: 'global', retryAfterMs: 100 } });
+
+      router.clock.advance(1000);
+      expect((await post('three')).status).toBe(200);
+      expect(router.getTrafficStatus().rateLimit.limited).toEqual({ client: 1, global: 1 });
+    });
+
+    test('Routes beyond the queue depth are refused', async () => {
+      router = await createRouter({ routeConcurrency: 1, routeQueueDepth: 1 });
+      const pending = [];
+      jest.spyOn(router, 'dispatchMessage').mockImplementation(() => new Promise(resolve => pending.push(resolve)));
+
+      const first = router.routeMessage({ content: 'first' }, 'http', 'http');
+      const second = router.routeMessage({ content: 'second' }, 'http', 'http');
+      await expect(router.routeMessage({ content: 'third' }, 'http', 'http'))
+        .rejects.toMatchObject({ code: 'route_queue_full', status: 429 });
+
+      const refused = await axios.post(`http://localhost:${portOf(router._servers.universe)}/route`, { message: { content: 'fourth' } }, { validateStatus: () => true });
+      expect(refused.status).toBe(429);
+      expect(refused.headers['retry-after']).toBeDefined();
+      expect(router.getTrafficStatus().routeQueue).toMatchObject({ active: 1, queued: 1, rejected: 2 });
+
+      pending.shift()('first done');
+      expect(await first).toBe('first done');
+      await new Promise(resolve => setImmediate(resolve));
+      pending.shift()('second done');
+      expect(await second).toBe('second done');
+      expect(router.getTrafficStatus().routeQueue).toMatchObject({ active: 0, queued: 0, completed: 2 });
+    });
+
+    test('WebSocket reads pause while the send buffer is full or too many messages are in flight', () => {
+      const sent = [];
+      const ws = {
+        OPEN: 1,
+        readyState: 1,
+        bufferedAmount: 0,
+        isPaused: false,
+        pause() { this.isPaused = true; },
+        resume() { this.isPaused = false; },
+        send(payload, callback) { sent.push(callback); }
+      };
+      const flow = new WebSocketFlowControl(ws, { highWaterMark: 100, maxInFlight: 2 });
+
+      flow.begin();
+      ws.bufferedAmount = 500;
+      flow.send('reply');
+      expect(ws.isPaused).toBe(true);
+
+      ws.bufferedAmount = 0;
+      sent.shift()();
+      expect(ws.isPaused).toBe(false);
+
+      flow.begin();
+      expect(ws.isPaused).toBe(true);
+      flow.end();
+      expect(ws.isPaused).toBe(false);
+      expect(flow.pauses).toBe(2);
+    });
+  });
+
+  describe('Event subscriptions', () => {
+    let router;
+    const sockets = [];
+
+    beforeEach(async () => {
+      router = await createRouter({ simulation: true, seed: 2100, eventBufferSize: 50 });
+    });
+
+    afterEach(async () => {
+      sockets.splice(0).forEach(ws => ws.terminate());
+      await router.stop();
+    });
+
+    // A socket that records everything it receives
+    const connect = () => new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://localhost:${portOf(router._servers.universe)}`);
+      ws.received = [];
+      ws.on('message', data => ws.received.push(JSON.parse(data)));
+      ws.once('open', () => resolve(ws));
+      ws.once('error', reject);
+      sockets.push(ws);
+    });
+    const waitFor = async (ws, predicate) => {
+      for (let attempt = 0; attempt < 200; attempt++) {
+        const found = ws.received.filter(predicate);
+        if (found.length > 0) return found;
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      throw new Error('Timed out waiting for a WebSocket message');
+    };
+    const subscribe = async (ws, request) => {
+      ws.send(JSON.stringify({ type: 'subscribe', ...request }));
+      const [reply] = await waitFor(ws, message => message.type === 'subscribed' && message.topic === request.topic && !ws.seen?.has(message.subscription));
+      ws.seen = (ws.seen || new Set()).add(reply.subscription);
+      return reply;
+    };
+    const isEventOf = subscription => message => message.type === 'event' && message.subscription === subscription;
+    const eventsOf = (ws, subscription) => ws.received.filter(isEventOf(subscription));
+
+    test('Topic filters select triples, routes, evolution summaries and consciousness updates', async () => {
+      const ws = await connect();
+      const triples = await subscribe(ws, { topic: 'triples', filter: { subject: 'agent_*' } });
+      const evolution = await subscribe(ws, { topic: 'evolution', filter: { every: 2 } });
+      const routes = await subscribe(ws, { topic: 'routes', filter: { target: 'knowledge_base' } });
+      const consciousness = await subscribe(ws, { topic: 'consciousness' });
+
+      router.addKnowledgeTriple('agent_kappa', 'knows', 'conway');
+      router.addKnowledgeTriple('planet_x', 'orbits', 'sun');
+      router.addKnowledgeTriple('agent_kappa', 'knows', 'conway');
+      router.evolveKnowledgeGrid();
+      router.evolveKnowledgeGrid();
+      router.performConsciousnessReflection();
+      await router.routeMessage({ query: 'consciousness' }, 'http');
+
+      await waitFor(ws, isEventOf(consciousness.subscription));
+      await waitFor(ws, isEventOf(routes.subscription));
+
+      expect(eventsOf(ws, triples.subscription).map(event => [event.seq, event.data.subject, event.data.status]))
+        .toEqual([[1, 'agent_kappa', 'created'], [2, 'agent_kappa', 'merged']]);
+      expect(eventsOf(ws, evolution.subscription).map(event => event.data.generation)).toEqual([2]);
+      expect(eventsOf(ws, routes.subscription)[0].data).toMatchObject({ targetId: 'knowledge_base', success: true });
+      expect(eventsOf(ws, consciousness.subscription)[0].data.consciousness.reflectionCycles).toBe(1);
+
+      ws.send(JSON.stringify({ type: 'unsubscribe', subscription: triples.subscription }));
+      await waitFor(ws, message => message.type === 'unsubscribed');
+      router.addKnowledgeTriple('agent_lambda', 'knows', 'conway');
+      expect(router.eventStream.getStatus().subscriptions).toBe(3);
+    });
+
+    test('Subscribers resume from the last stream sequence they saw', async () => {
+      const first = await connect();
+      const { subscription } = await subscribe(first, { topic: 'triples' });
+      router.addKnowledgeTriple('agent_mu', 'says', 'one');
+      const [seen] = await waitFor(first, isEventOf(subscription));
+      first.terminate();
+
+      router.addKnowledgeTriple('agent_mu', 'says', 'two');
+      router.addKnowledgeTriple('agent_mu', 'says', 'three');
+
+      const second = await connect();
+      const resumed = await subscribe(second, { topic: 'triples', since: seen.streamSeq });
+      expect(resumed).toMatchObject({ replayed: 2, complete: true });
+      const replayed = await waitFor(second, isEventOf(resumed.subscription));
+      expect(replayed.map(event => [event.seq, event.data.object])).toEqual([[1, 'two'], [2, 'three']]);
+
+      for (let i = 0; i < 60; i++) router.addKnowledgeTriple('agent_nu', 'counts', i);
+      const late = await subscribe(second, { topic: 'triples', since: seen.streamSeq });
+      expect(late).toMatchObject({ replayed: 50, complete: false });
+    });
+
+    test('Dropped events show up as sequence gaps', () => {
+      const stream = new EventStream();
+      const delivered = [];
+      let saturated = false;
+      stream.subscribe({ topic: 'routes', deliver: event => (saturated ? false : delivered.push(event)) });
+
+      stream.publish('routes', { targetId: 'a' });
+      saturated = true;
+      stream.publish('routes', { targetId: 'b' });
+      saturated = false;
+      stream.publish('routes', { targetId: 'c' });
+
+      expect(delivered.map(event => event.seq)).toEqual([1, 3]);
+      expect(stream.getStatus()).toMatchObject({ delivered: 2, dropped: 1 });
+    });
+
+    test('Live events wait until the replay has been sent', () => {
+      const stream = new EventStream();
+      stream.publish('triples', { subject: 'agent_xi', object: 'before' });
+      const delivered = [];
+      const subscribed = stream.subscribe({ topic: 'triples', since: 0, deliver: event => delivered.push(event) });
+
+      stream.publish('triples', { subject: 'agent_xi', object: 'during' });
+      expect(delivered).toEqual([]);
+
+      subscribed.replay();
+      stream.publish('triples', { subject: 'agent_xi', object: 'after' });
+      expect(delivered.map(event => [event.seq, event.streamSeq, event.data.object]))
+        .toEqual([[1, 1, 'before'], [2, 2, 'during'], [3, 3, 'after']]);
+    });
+
+    test('Glob filters match without backtracking', () => {
+      const matches = compileFilter('triples', { subject: `${'*a'.repeat(500)}*b`, object: 'con*y' });
+      expect(matches({ subject: 'a'.repeat(1024), object: 'conway' })).toBe(false);
+      expect(matches({ subject: `${'a'.repeat(600)}b`, object: 'conway' })).toBe(true);
+      expect(matches({ subject: `${'a'.repeat(600)}b`, object: 'conwa' })).toBe(false);
+    });
+  });
+
+  describe('Authentication', () => {
+    let router;
+    let dataDir;
+    let base;
+    let writer;
+    let reader;
+
+    beforeEach(async () => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'universe-auth-'));
+      router = await createRouter({ auth: true, dataDir, authReloadInterval: 50 });
+      base = `http://localhost:${portOf(router._servers.universe)}`;
+      writer = router.auth.createKey({ name: 'writer', scopes: ['triples:read', 'triples:write', 'route'] });
+      reader = router.auth.createKey({ name: 'reader', scopes: ['triples:read'] });
+    });
+
+    afterEach(async () => {
+      await router.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const bearer = ({ token }) => ({ headers: { Authorization: `Bearer ${token}` }, validateStatus: () => true });
+    const triple = { subject: 'agent_gamma', predicate: 'knows', object: 'conway' };
+
+    test('Requests need a key with the right scope', async () => {
+      const anonymous = await axios.post(`${base}/triples`, triple, { validateStatus: () => true });
+      expect(anonymous.status).toBe(401);
+      expect(anonymous.data.error.code).toBe('unauthorized');
+      expect(anonymous.headers['www-authenticate']).toMatch(/^Bearer/);
+
+      const forbidden = await axios.post(`${base}/triples`, triple, bearer(reader));
+      expect(forbidden.status).toBe(403);
+      expect(forbidden.data.error).toMatchObject({ code: 'forbidden', details: { required: 'triples:write', granted: ['triples:read'] } });
+
+      const byHeader = await axios.get(`${base}/history`, { headers: { 'X-API-Key': reader.token } });
+      expect(byHeader.status).toBe(200);
+
+      const anonymousStatus = await axios.get(`${base}/status`, { validateStatus: () => true });
+      expect(anonymousStatus.status).toBe(401);
+      const status = await axios.get(`${base}/status`, bearer(reader));
+      expect(status.status).toBe(200);
+    });
+
+    test('Listings only show how a stdio server is launched to keys that may register agents', async () => {
+      const admin = router.auth.createKey({ name: 'admin', scopes: ['agents:register'] });
+      router.universe.agents.mcpServers.set('mcp_stdio', {
+        id: 'mcp_stdio', transport: 'stdio', command: process.execPath, args: ['server.js', '--token', 'secret'], capabilities: ['ping_tool']
+      });
+      const servers = `http://localhost:${portOf(router._servers.mcp)}/mcp/servers`;
+
+      const asReader = await axios.get(servers, bearer(reader));
+      expect(asReader.status).toBe(200);
+      expect(asReader.data.agents).toEqual([{ id: 'mcp_stdio', transport: 'stdio', capabilities: ['ping_tool'] }]);
+
+      const asAdmin = await axios.get(servers, bearer(admin));
+      expect(asAdmin.data.agents[0]).toMatchObject({ command: process.execPath, args: ['server.js', '--token', 'secret'] });
+    });
+
+    test('Triples and routes are attributed to the key that made them', async () => {
+      const created = await axios.post(`${base}/triples`, triple, bearer(writer));
+      expect(created.status).toBe(200);
+      const stored = router.universe.tripleStore.triples.get(created.data.tripleId);
+      expect(stored).toMatchObject({ createdBy: writer.key.id, lastAssertedBy: writer.key.id });
+
+      const routed = await axios.post(`${base}/route`, {
+        message: { content: 'hello' },
+        sourceProtocol: 'http',
+        targetProtocol: 'http'
+      }, bearer(writer));
+      expect(routed.data.routedBy).toBe(writer.key.id);
+    });
+
+    test('HMAC-signed requests are accepted once', async () => {
+      const body = JSON.stringify(triple);
+      const headers = {
+        'Content-Type': 'application/json',
+        ...signRequest({ token: writer.token, method: 'POST', url: '/triples', body })
+      };
+
+      const signed = await axios.post(`${base}/triples`, body, { headers, validateStatus: () => true });
+      expect(signed.status).toBe(200);
+      expect(router.universe.tripleStore.triples.get(signed.data.tripleId).createdBy).toBe(writer.key.id);
+
+      const replayed = await axios.post(`${base}/triples`, body, { headers, validateStatus: () => true });
+      expect(replayed.status).toBe(401);
+
+      const tampered = await axios.post(`${base}/triples`, JSON.stringify({ ...triple, object: 'chaos' }), {
+        headers: { ...headers, ...signRequest({ token: writer.token, method: 'POST', url: '/triples', body }) },
+        validateStatus: () => true
+      });
+      expect(tampered.status).toBe(401);
+    });
+
+    test('Revoked keys stop working and the keys file survives restarts', async () => {
+      const keysFile = path.join(dataDir, 'auth-keys.json');
+      const cli = new AuthManager({ file: keysFile });
+      expect(cli.listKeys().map(key => key.name)).toEqual(['writer', 'reader']);
+      expect(fs.readFileSync(keysFile, 'utf8')).not.toContain(reader.token.slice(-64));
+
+      cli.revokeKey(reader.key.id);
+      await new Promise(resolve => setTimeout(resolve, 60));
+      const revoked = await axios.get(`${base}/history`, bearer(reader));
+      expect(revoked.status).toBe(401);
+    });
+
+    test('Reading the keys file is not enough to sign requests', async () => {
+      const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'auth-keys.json'), 'utf8'));
+      const { secretHash } = stored.keys.find(key => key.id === writer.key.id);
+      expect(writer.token).not.toContain(secretHash);
+
+      const body = JSON.stringify(triple);
+      const timestamp = String(Date.now());
+      const forged = await axios.post(`${base}/triples`, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-ULP-Key': writer.key.id,
+          'X-ULP-Timestamp': timestamp,
+          'X-ULP-Signature': crypto.createHmac('sha256', secretHash).update(`POST\n/triples\n${timestamp}\n${crypto.createHash('sha256').update(body).digest('hex')}`).digest('hex')
+        },
+        validateStatus: () => true
+      });
+      expect(forged.status).toBe(401);
+    });
+
+    test('The keys file is checked for changes at most once per reload interval', () => {
+      let now = 0;
+      const keysFile = path.join(dataDir, 'auth-keys.json');
+      const auth = new AuthManager({ file: keysFile, clock: { now: () => now }, reloadInterval: 1000 });
+      const statSync = jest.spyOn(fs, 'statSync');
+      try {
+        for (let i = 0; i < 5; i++) auth.reload();
+        expect(statSync).not.toHaveBeenCalled();
+
+        now = 1000;
+        auth.reload();
+        expect(statSync).toHaveBeenCalledTimes(1);
+      } finally {
+        statSync.mockRestore();
+      }
+    });
+
+    test('WebSocket upgrades need a key and messages are checked against its scopes', async () => {
+      const connect = query => new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${portOf(router._servers.universe)}${query}`);
+        ws.once('open', () => resolve(ws));
+        ws.once('unexpected-response', (req, res) => reject(Object.assign(new Error('rejected'), { status: res.statusCode })));
+      });
+      const ask = (ws, message) => new Promise((resolve) => {
+        ws.once('message', data => resolve(JSON.parse(data)));
+        ws.send(JSON.stringify(message));
+      });
+
+      await expect(connect('')).rejects.toMatchObject({ status: 401 });
+
+      const ws = await connect(`?api_key=${reader.token}`);
+      try {
+        const status = await ask(ws, { type: 'get_universe_status' });
+        expect(status.type).toBe('universe_status');
+
+        const denied = await ask(ws, { type: 'add_triple', ...triple });
+        expect(denied.type).toBe('error');
+        expect(denied.error).toMatch(/triples:write/);
+      } finally {
+        ws.close();
+      }
+    });
+  });
+
+  describe('Protocol transformers', () => {
+    let router;
+
+    beforeEach(async () => {
+      router = await createRouter({ simulation: true, seed: 2200 });
+    });
+
+    afterEach(async () => {
+      await router.stop();
+    });
+
+    test('Round trips between every pair of built-in protocols keep content and metadata', async () => {
+      const registry = createTransformerRegistry({ clock: { now: () => 1000 } });
+      const report = await checkRoundTrips(registry);
+
+      const pairs = new Set(report.map(entry => `${entry.from}_to_${entry.to}`));
+      expect(pairs.size).toBe(12);
+      expect(report.filter(entry => !entry.ok)).toEqual([]);
+      expect(report.find(entry => entry.from === 'ws' && entry.to === 'mcp').via).toEqual(['http', 'mcp']);
+    });
+
+    test('A transformer that throws is reported as a problem for its pairs', async () => {
+      const registry = createTransformerRegistry({ clock: { now: () => 1000 } });
+      registry.register({ from: 'mcp', to: 'http', transform: () => { throw new Error('mcp parser exploded'); } });
+      const report = await checkRoundTrips(registry, { protocols: ['http', 'mcp', 'a2a'] });
+
+      expect(report).toHaveLength(12);
+      const failed = report.filter(entry => !entry.ok);
+      expect(failed.map(entry => `${entry.from}_to_${entry.to}`).sort()).toEqual(['http_to_mcp', 'http_to_mcp', 'mcp_to_http', 'mcp_to_http']);
+      expect(failed.find(entry => entry.from === 'mcp').problems).toEqual(['mcp → http failed: mcp parser exploded']);
+      expect(failed.find(entry => entry.from === 'http').problems).toEqual(['mcp → http failed: mcp parser exploded']);
+    });
+
+    test('MCP and A2A messages transform back to HTTP', async () => {
+      const fromMCP = await router.transformMessage(
+        { method: 'tools/call', params: { name: 'echo', arguments: { text: 'hi' }, metadata: { traceId: 't1' } } },
+        'mcp',
+        'http'
+      );
+      expect(fromMCP).toMatchObject({ method: 'POST', body: { text: 'hi' }, metadata: { traceId: 't1', originalProtocol: 'mcp', mcpMethod: 'tools/call' } });
+
+      const fromA2A = await router.transformMessage({ type: 'a2a_message', content: 'hello', metadata: { traceId: 't2' } }, 'a2a', 'http');
+      expect(fromA2A).toMatchObject({ method: 'POST', body: 'hello', metadata: { traceId: 't2', originalProtocol: 'a2a' } });
+
+      const request = { method: 'PUT', url: '/notes/1', headers: { 'x-trace': 't3' }, body: { note: 'kept' }, metadata: {} };
+      const there = await router.transformMessage(request, 'http', 'a2a');
+      const back = await router.transformMessage(there, 'a2a', 'http');
+      expect(back).toMatchObject({ method: 'PUT', url: '/notes/1', headers: { 'x-trace': 't3' }, body: { note: 'kept' } });
+    });
+
+    test('Pairs without a direct transformer are chained through other protocols', async () => {
+      router.transformers.unregister('http', 'a2a');
+      expect(router.transformers.findChain('http', 'a2a').map(step => step.to)).toEqual(['mcp', 'a2a']);
+
+      const message = await router.transformMessage({ method: 'POST', url: '/tasks', body: 'chained', metadata: { traceId: 't4' } }, 'http', 'a2a');
+      expect(message).toMatchObject({ type: 'a2a_message', content: 'chained', metadata: { traceId: 't4', originalProtocol: 'http' } });
+    });
+
+    test('Protocols and transformers registered at runtime are used and listed', async () => {
+      router.registerTransformer({
+        protocol: {
+          name: 'grpc',
+          schema: { type: 'object', required: ['service', 'payload'], properties: { service: { type: 'string' }, payload: {} } },
+          content: message => message.payload
+        },
+        from: 'grpc',
+        to: 'http',
+        transform: message => ({ method: 'POST', url: `/${message.service}`, body: message.payload, metadata: {} })
+      });
+
+      const message = await router.transformMessage({ service: 'Echo', payload: { text: 'rpc' } }, 'grpc', 'a2a');
+      expect(message).toMatchObject({ type: 'a2a_message', content: { text: 'rpc' }, metadata: { originalProtocol: 'http', http: { url: '/Echo' } } });
+
+      // No transformer leads into grpc, so the generic bridge wraps it
+      const generic = await router.transformMessage({ content: 'x' }, 'a2a', 'grpc');
+      expect(generic.type).toBe('generic_bridge');
+
+      expect(() => router.registerTransformer({ from: 'http', to: 'smtp', transform: message => message })).toThrow(/Unknown protocol: smtp/);
+
+      const { data } = await axios.get(`http://localhost:${portOf(router._servers.universe)}/transformers`);
+      expect(data.protocols.map(protocol => protocol.name)).toEqual(['http', 'mcp', 'a2a', 'ws', 'grpc']);
+      expect(data.transformers).toContainEqual({ from: 'grpc', to: 'http', description: 'grpc → http' });
+    });
+  });
+
+  describe('Transformation templates', () => {
+    let router;
+    let stub;
+
+    beforeEach(async () => {
+      stub = await startMCPStub();
+      router = await createRouter({ simulation: true, seed: 2300 });
+      await axios.post(`http://localhost:${portOf(router._servers.mcp)}/mcp/register`, { url: stub.url, capabilities: ['echo'] });
+      router.registerTransformer({
+        protocol: { name: 'grpc', content: message => message.payload },
+        from: 'grpc',
+        to: 'mcp',
+        transform: message => ({ method: 'tools/call', params: { name: 'echo', arguments: { text: message.payload } } })
+      });
+    });
+
+    afterEach(async () => {
+      await router.stop();
+      await new Promise(resolve => stub.server.close(resolve));
+    });
+
+    test('Successful routes are learned and applied once the transformer is gone', async () => {
+      const first = await router.routeMessage({ service: 'Echo', payload: 'learn me' }, 'grpc', 'mcp');
+      expect(first.result.success).toBe(true);
+
+      const learned = router.transformationTemplates.get('grpc', 'mcp');
+      expect(learned.versions).toEqual([expect.objectContaining({
+        version: 1,
+        learnedFrom: 'route',
+        successes: 1,
+        mapping: { method: 'tools/call', params: { name: 'echo', arguments: { text: '$.payload' } } }
+      })]);
+      expect(router.queryKnowledgeTriples('transformation', 'converts_from_to', 'grpc_mcp')).toHaveLength(1);
+
+      router.transformers.unregister('grpc', 'mcp');
+      const second = await router.routeMessage({ service: 'Echo', payload: 'from the template' }, 'grpc', 'mcp');
+      expect(second.transformedMessage.appliedTemplate).toEqual({ id: learned.id, version: 1 });
+      expect(second.result.result.mcpResponse.content[0].text).toBe('from the template');
+      expect(router.transformationTemplates.get('grpc', 'mcp')).toMatchObject({ successes: 2, failures: 0, latestVersion: 1 });
+
+      // A different transformation that also works becomes the next version
+      router.registerTransformer({
+        from: 'grpc',
+        to: 'mcp',
+        transform: message => ({ method: 'tools/call', params: { name: 'echo', arguments: { text: `${message.service}: ${message.payload}` } } })
+      });
+      await router.routeMessage({ service: 'Echo', payload: 'v2' }, 'grpc', 'mcp');
+      const versions = router.transformationTemplates.get('grpc', 'mcp').versions;
+      expect(versions.map(version => version.version)).toEqual([1, 2]);
+      expect(versions[1].mapping.params.arguments.text).toBe('Echo: v2');
+    });
+
+    test('Proven templates are used even for pairs the registered transformers cover', async () => {
+      const a2aStub = await startA2AStub();
+      try {
+        await axios.post(`http://localhost:${portOf(router._servers.a2a)}/a2a/register`, { url: a2aStub.url, capabilities: ['echo'] });
+        const call = text => ({ method: 'tools/call', params: { name: 'echo', arguments: { text } } });
+
+        // The built-in mcp → a2a transformer runs until the template learned from it has enough successes
+        for (const text of ['one', 'two', 'three']) {
+          const routed = await router.routeMessage(call(text), 'mcp', 'a2a');
+          expect(routed.result.success).toBe(true);
+          expect(routed.transformedMessage.appliedTemplate).toBeUndefined();
+        }
+        const learned = router.transformationTemplates.get('mcp', 'a2a');
+        expect(learned.versions).toEqual([expect.objectContaining({
+          version: 1,
+          successes: 3,
+          mapping: expect.objectContaining({ content: '$.params.arguments' })
+        })]);
+
+        const applied = await router.routeMessage(call('four'), 'mcp', 'a2a');
+        expect(applied.result.success).toBe(true);
+        expect(applied.transformedMessage).toMatchObject({
+          appliedTemplate: { id: learned.id, version: 1 },
+          content: { text: 'four' },
+          metadata: { mcpMethod: 'tools/call' }
+        });
+        expect(router.transformationTemplates.get('mcp', 'a2a')).toMatchObject({ latestVersion: 1, successes: 4 });
+
+        // A message the template cannot build a valid A2A message from still goes through the transformer
+        const other = await router.transformMessage({ method: 'ping' }, 'mcp', 'a2a');
+        expect(other.appliedTemplate).toBeUndefined();
+        expect(other.metadata.mcpMethod).toBe('ping');
+      } finally {
+        await new Promise(resolve => a2aStub.server.close(resolve));
+      }
+    });
+
+    test('Failing templates stop being applied', async () => {
+      router.transformers.unregister('grpc', 'mcp');
+      router.transformationTemplates.define('grpc', 'mcp', { method: 'tools/call', params: { name: 'explode', arguments: {} } });
+
+      const routed = await router.routeMessage({ payload: 'boom' }, 'grpc', 'mcp');
+      expect(routed.transformedMessage.appliedTemplate.version).toBe(1);
+      expect(routed.result.success).toBe(false);
+      expect(router.transformationTemplates.get('grpc', 'mcp').versions[0]).toMatchObject({ successes: 0, failures: 1 });
+
+      const next = await router.transformMessage({ payload: 'again' }, 'grpc', 'mcp');
+      expect(next.type).toBe('generic_bridge');
+    });
+
+    test('Field mappings read paths, fall back, interpolate, iterate and convert', () => {
+      const context = { clock: { now: () => 1234 }, generateId: () => 'id-1', sourceProtocol: 'a2a', targetProtocol: 'grpc' };
+      const message = {
+        subject: 'Hello',
+        'odd.key': 7,
+        parts: [{ kind: 'text', text: 'one' }, { kind: 'text', text: 'two' }],
+        payload: '{"rows":3}'
+      };
+
+      const output = compileMapping({
+        title: { $template: 'Re: {$.subject} ({$.parts[1].text})' },
+        odd: { $path: ['odd.key'] },
+        missing: '$.nothing',
+        fallback: { $first: ['$.nothing', '$.parts[0].text'] },
+        defaulted: { $path: '$.nothing', default: 'none' },
+        texts: { $each: '$.parts', map: '$.text' },
+        rows: { $as: 'parse', value: '$.payload' },
+        count: { $as: 'string', value: '$.odd' },
+        literal: { $const: '$.subject' },
+        at: { $context: 'now' },
+        from: { $context: 'sourceProtocol' },
+        fixed: ['grpc', 2]
+      })(message, context);
+
+      expect(output).toEqual({
+        title: 'Re: Hello (two)',
+        odd: 7,
+        fallback: 'one',
+        defaulted: 'none',
+        texts: ['one', 'two'],
+        rows: { rows: 3 },
+        literal: '$.subject',
+        at: 1234,
+        from: 'a2a',
+        fixed: ['grpc', 2]
+      });
+
+      expect(() => compileMapping({ value: { $unknown: 1 } })).toThrow(/unknown operator \$unknown/);
+      expect(() => compileMapping('$.a..b')).toThrow(/cannot read path/);
+
+      expect(inferMapping(
+        { method: 'POST', body: { note: 'n' }, 'x-y z': [1] },
+        { content: { note: 'n' }, raw: '{"note":"n"}', list: [1], kind: 'note', transformedAt: 99 }
+      )).toEqual({
+        content: '$.body',
+        raw: { $as: 'json', value: '$.body' },
+        list: { $path: ['x-y z'] },
+        kind: 'note',
+        transformedAt: { $context: 'now' }
+      });
+    });
+
+    test('Templates can be written, inspected and deleted over HTTP', async () => {
+      const base = `http://localhost:${portOf(router._servers.universe)}/transformations`;
+      const request = (method, url, data) => axios({ method, url, data, validateStatus: () => true });
+
+      const created = await request('put', `${base}/a2a/grpc`, { mapping: { service: 'Echo', payload: { $first: ['$.content', '$.message'] } } });
+      expect(created.status).toBe(200);
+      expect(created.data).toMatchObject({ sourceProtocol: 'a2a', targetProtocol: 'grpc', created: 1, versions: [{ version: 1, learnedFrom: 'api' }] });
+
+      const transformed = await router.transformMessage({ type: 'a2a_message', content: 'hi' }, 'a2a', 'grpc');
+      expect(transformed).toMatchObject({ service: 'Echo', payload: 'hi', appliedTemplate: { version: 1 } });
+
+      const invalid = await request('put', `${base}/a2a/grpc`, { mapping: { payload: { $as: 'xml', value: '$' } } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.data.error.code).toBe('invalid_template');
+
+      await request('put', `${base}/a2a/grpc`, { mapping: { service: 'Echo', payload: '$.content' } });
+      const listed = await request('get', base);
+      expect(listed.data.templates.find(template => template.targetProtocol === 'grpc').versions.map(version => version.version)).toEqual([1, 2]);
+
+      expect((await request('delete', `${base}/a2a/grpc?version=1`)).data.removedVersions).toEqual([1]);
+      expect((await request('get', `${base}/a2a/grpc`)).data.versions.map(version => version.version)).toEqual([2]);
+      expect((await request('delete', `${base}/a2a/grpc?version=1`)).status).toBe(404);
+
+      expect((await request('delete', `${base}/a2a/grpc`)).data.removedVersions).toEqual([2]);
+      const gone = await request('get', `${base}/a2a/grpc`);
+      expect(gone.status).toBe(404);
+      expect(gone.data.error.code).toBe('unknown_template');
+    });
+  });
+
+  describe('Routing plans', () => {
+    let router;
+    let mcpStub;
+    let a2aStub;
+    let agents;
+
+    beforeEach(async () => {
+      mcpStub = await startMCPStub();
+      a2aStub = await startA2AStub();
+      router = await createRouter({ simulation: true, seed: 2400, a2aPollInterval: 5 });
+      await axios.post(`http://localhost:${portOf(router._servers.mcp)}/mcp/register`, { url: mcpStub.url, capabilities: ['echo'] });
+      agents = [];
+      for (let i = 0; i < 2; i++) {
+        const { data } = await axios.post(`http://localhost:${portOf(router._servers.a2a)}/a2a/register`, { url: a2aStub.url, capabilities: ['echo'] });
+        agents.push(data.agentId);
+      }
+    });
+
+    afterEach(async () => {
+      await router.stop();
+      // Cancelled hops may still hold a connection to the MCP stub (closeAllConnections needs Node 18.2)
+      await new Promise((resolve) => {
+        mcpStub.server.close(resolve);
+        mcpStub.server.closeAllConnections?.();
+      });
+      await new Promise(resolve => a2aStub.server.close(resolve));
+    });
+
+    const echoTool = text => ({ method: 'tools/call', params: { name: 'echo', arguments: { text } } });
+
+    test('A chain feeds each hop the previous hop\'s output', async () => {
+      const { data } = await axios.post(`http://localhost:${portOf(router._servers.universe)}/route`, {
+        message: { text: 'relay' },
+        sourceProtocol: 'http',
+        plan: {
+          mode: 'chain',
+          hops: [
+            { targetProtocol: 'mcp', transform: echoTool('$.text') },
+            { targetProtocol: 'a2a', targetAgent: agents[1] }
+          ]
+        }
+      });
+
+      expect(data.routingPath).toBeNull();
+      expect(data.plan).toMatchObject({ type: 'plan', mode: 'chain', policy: 'all', required: 2 });
+      expect(data.plan.hops.map(hop => hop.routingPath.protocol)).toEqual(['mcp', 'a2a']);
+
+      expect(data.result).toMatchObject({ success: true, succeeded: 2, failed: 0 });
+      expect(data.result.hops[0]).toMatchObject({ status: 'succeeded', input: echoTool('relay'), output: { content: 'relay' } });
+      expect(data.result.hops[1]).toMatchObject({ status: 'succeeded', targetId: agents[1], input: { content: 'relay' } });
+      expect(data.result.output).toEqual({ content: 'echo relay', metadata: { planHop: 1, protocol: 'a2a', targetId: agents[1] } });
+    });
+
+    test('A chain stops at the first failed hop', async () => {
+      const { result } = await router.routeMessage({ text: 'x' }, 'http', undefined, undefined, {
+        plan: {
+          mode: 'chain',
+          hops: [
+            { targetProtocol: 'mcp', transform: { method: 'tools/call', params: { name: 'explode', arguments: {} } } },
+            { targetProtocol: 'a2a' }
+          ]
+        }
+      });
+
+      expect(result).toMatchObject({ success: false, errorCode: 'plan_failed', succeeded: 0, failed: 2 });
+      expect(result.hops.map(hop => hop.status)).toEqual(['failed', 'skipped']);
+      expect(result.hops[0].result.error).toMatch(/boom/);
+    });
+
+    test('Fan-out policies decide on partial failures and slow hops time out on the router clock', async () => {
+      const hops = [
+        { targetProtocol: 'a2a', targetAgent: agents[0] },
+        { targetProtocol: 'a2a', targetAgent: agents[1] },
+        { targetProtocol: 'mcp', transform: { method: 'tools/call', params: { name: 'slow', arguments: { ms: 5000 } } }, timeout: 50 }
+      ];
+      const countOf = method => mcpStub.calls.filter(call => call === method).length;
+      const waitForCall = async (method, count) => {
+        for (let attempt = 0; attempt < 200 && countOf(method) < count; attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+      };
+      // The slow hop times out once simulated time passes its timeout, not after 50 real ms
+      const fanOut = async (policy, extra = {}) => {
+        const calls = countOf('tools/call');
+        const routed = router.routeMessage({ content: 'wide' }, 'a2a', undefined, undefined, {
+          plan: { mode: 'fanout', policy, hops, ...extra }
+        });
+        await waitForCall('tools/call', calls + 1);
+        router.clock.advance(50);
+        return routed;
+      };
+
+      const quorum = await fanOut('quorum');
+      expect(quorum.plan.required).toBe(2);
+      expect(quorum.result).toMatchObject({ success: true, succeeded: 2, failed: 1 });
+      expect(quorum.result.hops[2]).toMatchObject({ status: 'timed_out', result: { errorCode: 'hop_timeout' } });
+      expect(quorum.result.output.map(answer => answer.output.content)).toEqual(['echo wide', 'echo wide']);
+      expect(router.universe.routingMatrix.get(quorum.plan.hops[2].routingPath.routeKey).successRate).toBe(0);
+      // The abandoned tool call is cancelled rather than left running
+      await waitForCall('notifications/cancelled', 1);
+      expect(countOf('notifications/cancelled')).toBe(1);
+
+      const all = await fanOut('all');
+      expect(all.result).toMatchObject({ success: false, errorCode: 'plan_failed', required: 3 });
+
+      const strict = await fanOut('quorum', { quorum: 3 });
+      expect(strict.result.success).toBe(false);
+
+      const failing = await router.routeMessage({ content: 'fail' }, 'a2a', undefined, undefined, {
+        plan: { mode: 'fanout', policy: 'any', hops: hops.slice(0, 2) }
+      });
+      expect(failing.result).toMatchObject({ success: false, succeeded: 0 });
+    });
+
+    test('A hop whose input cannot be built fails without failing the plan', async () => {
+      router.registerTransformer({ from: 'a2a', to: 'mcp', transform: () => { throw new Error('no tool in this message'); } });
+      const { result } = await router.routeMessage({ content: 'wide' }, 'a2a', undefined, undefined, {
+        plan: { mode: 'fanout', policy: 'any', hops: [{ targetProtocol: 'mcp' }, { targetProtocol: 'a2a', targetAgent: agents[0] }] }
+      });
+
+      expect(result).toMatchObject({ success: true, succeeded: 1, failed: 1 });
+      expect(result.hops[0]).toMatchObject({ status: 'failed', errorCode: 'transform_failed' });
+      expect(result.hops[0].error).toMatch(/no tool in this message/);
+      expect(mcpStub.calls).not.toContain('tools/call');
+    });
+
+    test('A fan-out without hops goes to the best-scoring targets', async () => {
+      const { plan, result } = await router.routeMessage({ content: 'both' }, 'a2a', 'a2a', undefined, {
+        plan: { mode: 'fanout', width: 5, policy: 'any' }
+      });
+
+      expect(plan.hops.map(hop => hop.routingPath.targetId).sort()).toEqual([...agents].sort());
+      expect(result).toMatchObject({ success: true, succeeded: 2 });
+    });
+
+    test('Invalid plans are refused before any hop runs', async () => {
+      const post = plan => axios.post(`http://localhost:${portOf(router._servers.universe)}/route`, {
+        message: { content: 'x' },
+        sourceProtocol: 'a2a',
+        plan
+      }, { validateStatus: () => true });
+
+      const quorum = await post({ mode: 'fanout', policy: 'quorum', quorum: 3, hops: [{ targetProtocol: 'a2a' }, { targetProtocol: 'mcp' }] });
+      expect(quorum.status).toBe(400);
+      expect(quorum.data.error.code).toBe('invalid_plan');
+
+      expect((await post({ mode: 'chain' })).data.error.code).toBe('invalid_plan');
+      expect((await post({ mode: 'chain', hops: [{ targetProtocol: 'mcp', transform: { $nope: 1 } }] })).data.error.code).toBe('invalid_template');
+      expect((await post({ mode: 'star' })).data.error.code).toBe('invalid_request');
+      expect(mcpStub.calls).toEqual([]);
+    });
+  });
+
+  describe('Route resilience', () => {
+    let router;
+    let stub;
+
+    const register = async url => (await axios.post(`http://localhost:${portOf(router._servers.mcp)}/mcp/register`, {
+      url,
+      capabilities: ['echo']
+    })).data.serverId;
+    // A URL nothing listens on any more
+    const deadUrl = async () => {
+      const server = await new Promise((resolve) => {
+        const listening = express().listen(0, () => resolve(listening));
+      });
+      const url = `http://localhost:${portOf(server)}/mcp`;
+      await new Promise(resolve => server.close(resolve));
+      return url;
+    };
+    const echo = { method: 'tools/call', params: { name: 'echo', arguments: { text: 'echo me' } } };
+
+    beforeEach(async () => {
+      stub = await startMCPStub();
+      router = await createRouter({
+        simulation: true,
+        seed: 2500,
+        breakerFailureThreshold: 3,
+        breakerResetTimeout: 10000,
+        routeTimeouts: { mcp: 100 }
+      });
+    });
+
+    afterEach(async () => {
+      await router.stop();
+      await new Promise((resolve) => {
+        stub.server.close(resolve);
+        stub.server.closeAllConnections?.(); // Node 18.2+
+      });
+    });
+
+    test('Idempotent calls are retried after transient failures with jittered backoff', async () => {
+      await register(stub.url);
+
+      stub.failing.remaining = 2;
+      const startedAt = router.clock.now();
+      const read = await router.routeMessage({ method: 'resources/read', params: { uri: 'ulp://axioms' } }, 'mcp', 'mcp');
+      expect(read.result).toMatchObject({ success: true, attempts: 3 });
+      // Backoff waits on the router clock: at most 100 ms, then at most 200 ms
+      expect(router.clock.now() - startedAt).toBeLessThanOrEqual(300);
+
+      stub.failing.remaining = 1;
+      const call = await router.routeMessage(echo, 'mcp', 'mcp');
+      expect(call.result).toMatchObject({ success: false, attempts: 1, failure: 'transient', failover: false });
+      expect(call.result.error).toMatch(/HTTP 503/);
+
+      stub.failing.remaining = 1;
+      const marked = await router.routeMessage(echo, 'mcp', 'mcp', undefined, { idempotent: true });
+      expect(marked.result).toMatchObject({ success: true, attempts: 2 });
+    });
+
+    test('Each attempt is bounded by its protocol\'s timeout and the request in flight is cancelled', async () => {
+      await register(stub.url);
+      const failures = [];
+      router.on('route_failed', failure => failures.push(failure));
+
+      // The timeout runs on the router clock, so the call is still waiting until the clock moves
+      const routed = router.routeMessage({ method: 'tools/call', params: { name: 'slow', arguments: { ms: 5000 } } }, 'mcp', 'mcp');
+      for (let attempt = 0; attempt < 100 && !stub.calls.includes('tools/call'); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      router.clock.advance(99);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(failures).toEqual([]);
+      router.clock.advance(1);
+      const slow = await routed;
+      expect(slow.result).toMatchObject({ success: false, errorCode: 'route_timeout', failure: 'transient', attempts: 1 });
+      expect(slow.result.error).toMatch(/timed out after 100ms/);
+      expect(failures).toEqual([expect.objectContaining({ routeKey: slow.routingPath.routeKey, errorCode: 'route_timeout', attempts: 1 })]);
+
+      // The MCP server is told to stop working on the abandoned call
+      for (let attempt = 0; attempt < 100 && !stub.calls.includes('notifications/cancelled'); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      expect(stub.calls.slice(-2)).toEqual(['tools/call', 'notifications/cancelled']);
+    });
+
+    test('Undelivered messages fail over to the next-best target', async () => {
+      const dead = await register(await deadUrl());
+      const live = await register(stub.url);
+
+      const routed = await router.routeMessage(echo, 'mcp', 'mcp');
+      expect(routed.result.success).toBe(true);
+      expect(routed.routingPath.targetId).toBe(live);
+      expect(routed.failovers).toEqual([expect.objectContaining({ targetId: dead, errorCode: 'ECONNREFUSED', attempts: 1 })]);
+      expect(routed.result.result.mcpResponse.content[0].text).toBe('echo me');
+    });
+
+    test('Repeated failures open the target\'s circuit until a probe succeeds', async () => {
+      const dead = await register(await deadUrl());
+      const status = async () => (await axios.get(`http://localhost:${portOf(router._servers.universe)}/status`)).data.universe.circuits;
+
+      for (let i = 0; i < 3; i++) {
+        const { result } = await router.routeMessage(echo, 'mcp', 'mcp', dead);
+        expect(result).toMatchObject({ success: false, errorCode: 'ECONNREFUSED', failure: 'undelivered' });
+      }
+      expect((await status()).targets[`mcp_${dead}`]).toMatchObject({ state: 'open', failures: 3, trips: 1, retryAt: router.clock.now() + 10000 });
+
+      const skipped = await router.routeMessage(echo, 'mcp', 'mcp', dead);
+      expect(skipped.result).toMatchObject({ success: false, errorCode: 'circuit_open', failover: true });
+
+      const route = { protocol: 'mcp', targetId: dead, target: router.universe.agents.mcpServers.get(dead) };
+      const { score, breakdown } = router.explainRouteScore(route, { content: 'echo' });
+      expect(score).toBe(0);
+      expect(breakdown.circuit).toBeLessThan(0);
+
+      // After the cool-down one probe goes through; it fails, so the circuit opens again
+      router.clock.advance(10000);
+      expect((await status()).targets[`mcp_${dead}`].state).toBe('half_open');
+      expect(router.calculateRouteScore(route, { content: 'echo' })).toBeGreaterThan(0);
+      const probe = await router.routeMessage(echo, 'mcp', 'mcp', dead);
+      expect(probe.result.errorCode).toBe('ECONNREFUSED');
+      expect((await status())).toMatchObject({ open: 1, targets: { [`mcp_${dead}`]: { state: 'open', trips: 2 } } });
+
+      // Pointing the registration at a working server starts over with a closed circuit
+      await axios.put(`http://localhost:${portOf(router._servers.mcp)}/mcp/${dead}`, { url: stub.url });
+      expect((await status()).targets[`mcp_${dead}`]).toBeUndefined();
+      const healed = await router.routeMessage(echo, 'mcp', 'mcp', dead);
+      expect(healed.result.success).toBe(true);
+    });
+  });
+
+  describe('MCP stdio transport', () => {
+    // Newline-delimited JSON-RPC server running in a child process
+    const stdioServer = `
+      require('readline').createInterface({ input: process.stdin }).on('line', line => {
+        const { id, method, params } = JSON.parse(line);
+        if (id === undefined) return;
+        const result = method === 'initialize'
+          ? { protocolVersion: params.protocolVersion, capabilities: {}, serverInfo: { name: 'stdio-stub' } }
+          : { tools: [{ name: 'ping_tool' }] };
+        process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, result }) + '\\n');
+      });
+    `;
+
+    test('Lists tools from a child process server', async () => {
+      const client = new MCPClient({ command: process.execPath, args: ['-e', stdioServer], timeout: 5000 });
+      try {
+        const tools = await client.listTools();
+        expect(client.serverInfo.name).toBe('stdio-stub');
+        expect(tools.map(t => t.name)).toEqual(['ping_tool']);
+      } finally {
+        client.close();
+      }
+    });
+
+    test('Aborting a request stops waiting for the server', async () => {
+      const client = new MCPClient({ command: process.execPath, args: ['-e', stdioServer.replace("if (id === undefined) return;", "if (id === undefined || method === 'tools/call') return;")], timeout: 5000 });
+      try {
+        await client.listTools();
+        const controller = new AbortController();
+        const call = client.callTool('hang', {}, { signal: controller.signal });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        controller.abort();
+        await expect(call).rejects.toMatchObject({ code: 'ECANCELED' });
+        expect(client.transport.pending.size).toBe(0);
+        expect((await client.listTools()).map(t => t.name)).toEqual(['ping_tool']);
+      } finally {
+        client.close();
+      }
+    });
+
+    test('A server that exits or only echoes fails the request instead of the process', async () => {
+      // Answers initialize, then stops reading stdin while staying alive, so the next write hits EPIPE
+      const deaf = `
+        process.stdin.once('data', (line) => {
+          const { id, params } = JSON.parse(line);
+          process.stdin.destroy();
+          require('fs').closeSync(0);
+          process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, result: { protocolVersion: params.protocolVersion, capabilities: {}, serverInfo: { pid: process.pid } } }) + '\\n');
+          setTimeout(() => process.exit(0), 10000);
+        });
+      `;
+      const exiting = new MCPClient({ command: process.execPath, args: ['-e', deaf], timeout: 5000 });
+      const echoing = new MCPClient({ command: process.execPath, args: ['-e', 'process.stdin.pipe(process.stdout)'], timeout: 5000 });
+      try {
+        await expect(exiting.listTools()).rejects.toThrow(/stopped reading/);
+        await expect(exiting.ping()).rejects.toThrow(/stopped reading|not running/);
+        // The server that stopped reading is not left running
+        const { pid } = exiting.serverInfo;
+        const alive = () => { try { return process.kill(pid, 0); } catch (_) { return false; } };
+        for (let attempt = 0; attempt < 100 && alive(); attempt++) await new Promise(resolve => setTimeout(resolve, 10));
+        expect(alive()).toBe(false);
+        await expect(echoing.listTools()).rejects.toThrow('Malformed JSON-RPC response to initialize: result must be an object');
+      } finally {
+        exiting.close();
+        echoing.close();
+      }
+    });
+
+    test('An unset server list starts no stdio servers', async () => {
+      const router = await createRouter({ simulation: true, mcpServers: undefined });
+      expect(router.universe.agents.mcpServers.size).toBe(0);
+      await router.stop();
+    });
+
+    test('Only startup configuration can name a command to spawn', async () => {
+      const router = await createRouter({
+        simulation: true,
+        mcpServers: [{ command: process.execPath, args: ['-e', stdioServer], capabilities: ['ping_tool'] }]
+      });
+      try {
+        const [configured] = router.universe.agents.mcpServers.values();
+        expect(configured).toMatchObject({ transport: 'stdio', command: process.execPath });
+        const routed = await router.routeMessage({ method: 'tools/list' }, 'mcp', 'mcp', configured.id);
+        expect(routed.result.result.mcpResponse.tools).toEqual([{ name: 'ping_tool' }]);
+
+        const bridge = `http://localhost:${portOf(router._servers.mcp)}/mcp`;
+        const refused = await axios.post(`${bridge}/register`, { command: 'sh', args: ['-c', 'touch pwned'] }, { validateStatus: () => true });
+        expect(refused.status).toBe(400);
+        expect(refused.data.error.details.errors).toEqual(expect.arrayContaining([
+          { field: 'url', message: 'is required' },
+          { field: 'command', message: 'is not allowed' },
+          { field: 'args', message: 'is not allowed' }
+        ]));
+
+        const { data } = await axios.post(`${bridge}/register`, { url: 'http://127.0.0.1:9/mcp' });
+        const retargeted = await axios.put(`${bridge}/${data.serverId}`, { command: 'sh', transport: 'stdio' }, { validateStatus: () => true });
+        expect(retargeted.status).toBe(400);
+        expect(router.universe.agents.mcpServers.get(data.serverId)).toMatchObject({ transport: 'http' });
+        expect(router.universe.agents.mcpServers.get(data.serverId).command).toBeUndefined();
+      } finally {
+        await router.stop();
+      }
+    });
+  });
+});